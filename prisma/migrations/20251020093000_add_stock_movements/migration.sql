@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "StockMovementType" AS ENUM ('INITIAL', 'ADJUSTMENT');
+
+-- CreateTable
+CREATE TABLE "StockMovement" (
+    "id" TEXT NOT NULL,
+    "type" "StockMovementType" NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "reference" TEXT,
+    "referenceId" TEXT,
+    "note" TEXT,
+    "productId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockMovement_productId_createdAt_idx" ON "StockMovement"("productId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "StockMovement_userId_createdAt_idx" ON "StockMovement"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill an opening movement for existing stock so every balance is explained by the ledger
+INSERT INTO "StockMovement" ("id", "type", "quantity", "balanceAfter", "reference", "productId", "userId", "createdAt")
+SELECT gen_random_uuid()::text, 'INITIAL', "stock", "stock", 'Opening balance', "id", "userId", "createdAt"
+FROM "Product"
+WHERE "stock" <> 0;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "AdjustmentReason" AS ENUM ('DAMAGE', 'COUNT_CORRECTION', 'THEFT', 'EXPIRED', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN     "reason" "AdjustmentReason";
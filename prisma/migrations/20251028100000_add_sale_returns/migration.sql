@@ -0,0 +1,64 @@
+-- AlterEnum
+ALTER TYPE "StockMovementType" ADD VALUE 'RETURN';
+
+-- CreateEnum
+CREATE TYPE "SaleRefundMethod" AS ENUM ('CASH', 'ACCOUNT_CREDIT');
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN "quantityReturned" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "SaleReturn" (
+    "id" TEXT NOT NULL,
+    "refundMethod" "SaleRefundMethod" NOT NULL DEFAULT 'CASH',
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "note" TEXT,
+    "returnedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "userId" TEXT NOT NULL,
+    "saleId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SaleReturn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "SaleReturnItem" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "lineTotal" DOUBLE PRECISION NOT NULL,
+    "restocked" BOOLEAN NOT NULL DEFAULT true,
+    "saleReturnId" TEXT NOT NULL,
+    "saleItemId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "SaleReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_userId_returnedAt_idx" ON "SaleReturn"("userId", "returnedAt");
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_saleId_idx" ON "SaleReturn"("saleId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturnItem_saleItemId_idx" ON "SaleReturnItem"("saleItemId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturnItem_productId_idx" ON "SaleReturnItem"("productId");
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_saleReturnId_fkey" FOREIGN KEY ("saleReturnId") REFERENCES "SaleReturn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturnItem" ADD CONSTRAINT "SaleReturnItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
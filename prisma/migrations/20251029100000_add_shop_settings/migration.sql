@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "id" TEXT NOT NULL,
+    "shopName" TEXT,
+    "address" TEXT,
+    "phone" TEXT,
+    "receiptFooter" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShopSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopSettings_userId_key" ON "ShopSettings"("userId");
+
+-- AddForeignKey
+ALTER TABLE "ShopSettings" ADD CONSTRAINT "ShopSettings_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
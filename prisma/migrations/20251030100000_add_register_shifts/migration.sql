@@ -0,0 +1,72 @@
+-- CreateEnum
+CREATE TYPE "RegisterShiftStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "CashMovementType" AS ENUM ('PAY_IN', 'PAYOUT');
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN "shiftId" TEXT;
+
+-- AlterTable
+ALTER TABLE "SaleReturn" ADD COLUMN "shiftId" TEXT;
+
+-- CreateTable
+CREATE TABLE "RegisterShift" (
+    "id" TEXT NOT NULL,
+    "status" "RegisterShiftStatus" NOT NULL DEFAULT 'OPEN',
+    "openingFloat" DOUBLE PRECISION NOT NULL,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+    "cashSales" DOUBLE PRECISION,
+    "cashRefunds" DOUBLE PRECISION,
+    "payIns" DOUBLE PRECISION,
+    "payouts" DOUBLE PRECISION,
+    "expectedCash" DOUBLE PRECISION,
+    "countedCash" DOUBLE PRECISION,
+    "variance" DOUBLE PRECISION,
+    "closingNote" TEXT,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RegisterShift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RegisterCashMovement" (
+    "id" TEXT NOT NULL,
+    "type" "CashMovementType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "shiftId" TEXT NOT NULL,
+
+    CONSTRAINT "RegisterCashMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Sale_shiftId_idx" ON "Sale"("shiftId");
+
+-- CreateIndex
+CREATE INDEX "SaleReturn_shiftId_idx" ON "SaleReturn"("shiftId");
+
+-- CreateIndex
+CREATE INDEX "RegisterShift_userId_status_idx" ON "RegisterShift"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "RegisterShift_userId_openedAt_idx" ON "RegisterShift"("userId", "openedAt");
+
+-- CreateIndex
+CREATE INDEX "RegisterCashMovement_shiftId_createdAt_idx" ON "RegisterCashMovement"("shiftId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "RegisterShift"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleReturn" ADD CONSTRAINT "SaleReturn_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "RegisterShift"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RegisterShift" ADD CONSTRAINT "RegisterShift_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RegisterCashMovement" ADD CONSTRAINT "RegisterCashMovement_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "RegisterShift"("id") ON DELETE CASCADE ON UPDATE CASCADE;
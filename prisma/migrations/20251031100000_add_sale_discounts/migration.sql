@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "DiscountType" AS ENUM ('PERCENT', 'FIXED');
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN "grossAmount" DOUBLE PRECISION,
+ADD COLUMN "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Existing sales had no discounts
+UPDATE "Sale" SET "grossAmount" = "totalAmount";
+
+ALTER TABLE "Sale" ALTER COLUMN "grossAmount" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "SaleDiscount" (
+    "id" TEXT NOT NULL,
+    "type" "DiscountType" NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "reason" TEXT NOT NULL,
+    "appliedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "saleId" TEXT NOT NULL,
+    "saleItemId" TEXT,
+    "appliedById" TEXT NOT NULL,
+
+    CONSTRAINT "SaleDiscount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SaleDiscount_saleItemId_key" ON "SaleDiscount"("saleItemId");
+
+-- CreateIndex
+CREATE INDEX "SaleDiscount_saleId_idx" ON "SaleDiscount"("saleId");
+
+-- CreateIndex
+CREATE INDEX "SaleDiscount_appliedById_appliedAt_idx" ON "SaleDiscount"("appliedById", "appliedAt");
+
+-- AddForeignKey
+ALTER TABLE "SaleDiscount" ADD CONSTRAINT "SaleDiscount_saleId_fkey" FOREIGN KEY ("saleId") REFERENCES "Sale"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleDiscount" ADD CONSTRAINT "SaleDiscount_saleItemId_fkey" FOREIGN KEY ("saleItemId") REFERENCES "SaleItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SaleDiscount" ADD CONSTRAINT "SaleDiscount_appliedById_fkey" FOREIGN KEY ("appliedById") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
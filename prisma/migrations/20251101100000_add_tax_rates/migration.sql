@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Category" ADD COLUMN "taxRateId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "taxRateId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "PurchaseItem" ADD COLUMN "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "SaleReturnItem" ADD COLUMN "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "TaxRate" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TaxRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxRate_userId_name_key" ON "TaxRate"("userId", "name");
+
+-- AddForeignKey
+ALTER TABLE "TaxRate" ADD CONSTRAINT "TaxRate_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Category" ADD CONSTRAINT "Category_taxRateId_fkey" FOREIGN KEY ("taxRateId") REFERENCES "TaxRate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_taxRateId_fkey" FOREIGN KEY ("taxRateId") REFERENCES "TaxRate"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "averageCost" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN "unitCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "valueAfter" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN "unitCost" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Backfill costs from the latest purchase price, the best figure available before averaging
+UPDATE "Product" SET "averageCost" = COALESCE("purchasePrice", 0);
+
+UPDATE "StockMovement" AS m
+SET "unitCost" = p."averageCost",
+    "valueAfter" = GREATEST(m."balanceAfter", 0) * p."averageCost"
+FROM "Product" AS p
+WHERE m."productId" = p."id";
+
+UPDATE "SaleItem" AS i
+SET "unitCost" = p."averageCost"
+FROM "Product" AS p
+WHERE i."productId" = p."id";
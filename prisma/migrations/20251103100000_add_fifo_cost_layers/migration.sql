@@ -0,0 +1,41 @@
+-- CreateEnum
+CREATE TYPE "CostingMethod" AS ENUM ('AVERAGE', 'FIFO');
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "costingMethod" "CostingMethod" NOT NULL DEFAULT 'AVERAGE';
+
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN "fifoUnitCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN "fifoValueAfter" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "SaleItem" ADD COLUMN "fifoUnitCost" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "CostLayer" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL,
+    "unitCost" DOUBLE PRECISION NOT NULL,
+    "productId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CostLayer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CostLayer_productId_remaining_idx" ON "CostLayer"("productId", "remaining");
+
+-- AddForeignKey
+ALTER TABLE "CostLayer" ADD CONSTRAINT "CostLayer_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill FIFO figures from average cost, the only history available
+UPDATE "StockMovement" SET "fifoUnitCost" = "unitCost", "fifoValueAfter" = "valueAfter";
+
+UPDATE "SaleItem" SET "fifoUnitCost" = "unitCost";
+
+-- Open one layer per product for the stock already on hand
+INSERT INTO "CostLayer" ("id", "quantity", "remaining", "unitCost", "productId")
+SELECT gen_random_uuid()::text, "stock", "stock", "averageCost", "id"
+FROM "Product"
+WHERE "stock" > 0;
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "StocktakeStatus" AS ENUM ('COUNTING', 'APPROVED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "StocktakeScope" AS ENUM ('ALL', 'CATEGORY', 'SUPPLIER');
+
+-- CreateTable
+CREATE TABLE "Stocktake" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "status" "StocktakeStatus" NOT NULL DEFAULT 'COUNTING',
+    "scope" "StocktakeScope" NOT NULL DEFAULT 'ALL',
+    "note" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "userId" TEXT NOT NULL,
+    "categoryId" TEXT,
+    "supplierId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Stocktake_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StocktakeItem" (
+    "id" TEXT NOT NULL,
+    "expectedQuantity" INTEGER NOT NULL,
+    "countedQuantity" INTEGER,
+    "unitCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reason" "AdjustmentReason",
+    "stocktakeId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "StocktakeItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Stocktake_userId_status_idx" ON "Stocktake"("userId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Stocktake_userId_number_key" ON "Stocktake"("userId", "number");
+
+-- CreateIndex
+CREATE INDEX "StocktakeItem_productId_idx" ON "StocktakeItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StocktakeItem_stocktakeId_productId_key" ON "StocktakeItem"("stocktakeId", "productId");
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_categoryId_fkey" FOREIGN KEY ("categoryId") REFERENCES "Category"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "Supplier"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeItem" ADD CONSTRAINT "StocktakeItem_stocktakeId_fkey" FOREIGN KEY ("stocktakeId") REFERENCES "Stocktake"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StocktakeItem" ADD CONSTRAINT "StocktakeItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
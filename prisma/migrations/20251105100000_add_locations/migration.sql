@@ -0,0 +1,153 @@
+-- CreateEnum
+CREATE TYPE "StockTransferStatus" AS ENUM ('IN_TRANSIT', 'RECEIVED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "StockMovementType" ADD VALUE 'TRANSFER_OUT';
+ALTER TYPE "StockMovementType" ADD VALUE 'TRANSFER_IN';
+
+-- AlterTable
+ALTER TABLE "Sale" ADD COLUMN "locationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "StockMovement" ADD COLUMN "locationId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Stocktake" ADD COLUMN "locationId" TEXT;
+
+-- CreateTable
+CREATE TABLE "Location" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Location_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProductStock" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "reorderPoint" INTEGER NOT NULL DEFAULT 0,
+    "productId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ProductStock_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockTransfer" (
+    "id" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "status" "StockTransferStatus" NOT NULL DEFAULT 'IN_TRANSIT',
+    "note" TEXT,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "receivedAt" TIMESTAMP(3),
+    "cancelledAt" TIMESTAMP(3),
+    "userId" TEXT NOT NULL,
+    "fromLocationId" TEXT NOT NULL,
+    "toLocationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockTransfer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockTransferItem" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "transferId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+
+    CONSTRAINT "StockTransferItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Location_userId_name_key" ON "Location"("userId", "name");
+
+-- CreateIndex
+CREATE INDEX "ProductStock_locationId_idx" ON "ProductStock"("locationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductStock_productId_locationId_key" ON "ProductStock"("productId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "StockTransfer_userId_status_idx" ON "StockTransfer"("userId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTransfer_userId_number_key" ON "StockTransfer"("userId", "number");
+
+-- CreateIndex
+CREATE INDEX "StockTransferItem_productId_idx" ON "StockTransferItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockTransferItem_transferId_productId_key" ON "StockTransferItem"("transferId", "productId");
+
+-- Give every account a default location holding all existing stock
+INSERT INTO "Location" ("id", "name", "isDefault", "userId", "updatedAt")
+SELECT gen_random_uuid()::text, 'Main', true, "id", CURRENT_TIMESTAMP
+FROM "User";
+
+INSERT INTO "ProductStock" ("id", "quantity", "reorderPoint", "productId", "locationId", "updatedAt")
+SELECT gen_random_uuid()::text, p."stock", p."reorderPoint", p."id", l."id", CURRENT_TIMESTAMP
+FROM "Product" p
+JOIN "Location" l ON l."userId" = p."userId" AND l."isDefault";
+
+-- Everything recorded so far happened at the default location
+UPDATE "StockMovement" m SET "locationId" = l."id"
+FROM "Location" l
+WHERE l."userId" = m."userId" AND l."isDefault";
+
+UPDATE "Sale" s SET "locationId" = l."id"
+FROM "Location" l
+WHERE l."userId" = s."userId" AND l."isDefault";
+
+UPDATE "Stocktake" t SET "locationId" = l."id"
+FROM "Location" l
+WHERE l."userId" = t."userId" AND l."isDefault";
+
+-- AlterTable
+ALTER TABLE "Sale" ALTER COLUMN "locationId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "StockMovement" ALTER COLUMN "locationId" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Stocktake" ALTER COLUMN "locationId" SET NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "Sale" ADD CONSTRAINT "Sale_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovement" ADD CONSTRAINT "StockMovement_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Stocktake" ADD CONSTRAINT "Stocktake_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Location" ADD CONSTRAINT "Location_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductStock" ADD CONSTRAINT "ProductStock_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductStock" ADD CONSTRAINT "ProductStock_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_fromLocationId_fkey" FOREIGN KEY ("fromLocationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransfer" ADD CONSTRAINT "StockTransfer_toLocationId_fkey" FOREIGN KEY ("toLocationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferItem" ADD CONSTRAINT "StockTransferItem_transferId_fkey" FOREIGN KEY ("transferId") REFERENCES "StockTransfer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockTransferItem" ADD CONSTRAINT "StockTransferItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
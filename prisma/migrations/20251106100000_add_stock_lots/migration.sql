@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "trackLots" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "PurchaseItem" ADD COLUMN "lotNumber" TEXT,
+ADD COLUMN "expiryDate" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "StockLot" (
+    "id" TEXT NOT NULL,
+    "lotNumber" TEXT NOT NULL,
+    "expiryDate" TIMESTAMP(3),
+    "quantity" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL,
+    "productId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StockLot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockMovementLot" (
+    "id" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "movementId" TEXT NOT NULL,
+    "lotId" TEXT NOT NULL,
+
+    CONSTRAINT "StockMovementLot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockLot_productId_locationId_remaining_idx" ON "StockLot"("productId", "locationId", "remaining");
+
+-- CreateIndex
+CREATE INDEX "StockLot_expiryDate_idx" ON "StockLot"("expiryDate");
+
+-- CreateIndex
+CREATE INDEX "StockMovementLot_movementId_idx" ON "StockMovementLot"("movementId");
+
+-- CreateIndex
+CREATE INDEX "StockMovementLot_lotId_idx" ON "StockMovementLot"("lotId");
+
+-- AddForeignKey
+ALTER TABLE "StockLot" ADD CONSTRAINT "StockLot_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockLot" ADD CONSTRAINT "StockLot_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovementLot" ADD CONSTRAINT "StockMovementLot_movementId_fkey" FOREIGN KEY ("movementId") REFERENCES "StockMovement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovementLot" ADD CONSTRAINT "StockMovementLot_lotId_fkey" FOREIGN KEY ("lotId") REFERENCES "StockLot"("id") ON DELETE CASCADE ON UPDATE CASCADE;
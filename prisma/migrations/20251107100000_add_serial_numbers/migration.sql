@@ -0,0 +1,55 @@
+-- CreateEnum
+CREATE TYPE "SerialStatus" AS ENUM ('IN_STOCK', 'IN_TRANSIT', 'SOLD', 'REMOVED');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "serialized" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "SerialNumber" (
+    "id" TEXT NOT NULL,
+    "serial" TEXT NOT NULL,
+    "status" "SerialStatus" NOT NULL DEFAULT 'IN_STOCK',
+    "productId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SerialNumber_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StockMovementSerial" (
+    "id" TEXT NOT NULL,
+    "movementId" TEXT NOT NULL,
+    "serialId" TEXT NOT NULL,
+
+    CONSTRAINT "StockMovementSerial_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SerialNumber_productId_locationId_status_idx" ON "SerialNumber"("productId", "locationId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SerialNumber_userId_serial_key" ON "SerialNumber"("userId", "serial");
+
+-- CreateIndex
+CREATE INDEX "StockMovementSerial_movementId_idx" ON "StockMovementSerial"("movementId");
+
+-- CreateIndex
+CREATE INDEX "StockMovementSerial_serialId_idx" ON "StockMovementSerial"("serialId");
+
+-- AddForeignKey
+ALTER TABLE "SerialNumber" ADD CONSTRAINT "SerialNumber_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SerialNumber" ADD CONSTRAINT "SerialNumber_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "Location"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SerialNumber" ADD CONSTRAINT "SerialNumber_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovementSerial" ADD CONSTRAINT "StockMovementSerial_movementId_fkey" FOREIGN KEY ("movementId") REFERENCES "StockMovement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StockMovementSerial" ADD CONSTRAINT "StockMovementSerial_serialId_fkey" FOREIGN KEY ("serialId") REFERENCES "SerialNumber"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "hasVariants" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "optionAxes" JSONB,
+ADD COLUMN     "optionValues" JSONB,
+ADD COLUMN     "parentId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Product_parentId_idx" ON "Product"("parentId");
+
+-- AddForeignKey
+ALTER TABLE "Product" ADD CONSTRAINT "Product_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
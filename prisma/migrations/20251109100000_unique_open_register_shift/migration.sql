@@ -0,0 +1,4 @@
+-- CreateIndex
+-- Only one open shift per user. Prisma cannot express a partial unique
+-- index, so it lives in this migration only.
+CREATE UNIQUE INDEX "RegisterShift_userId_open_key" ON "RegisterShift"("userId") WHERE "status" = 'OPEN';
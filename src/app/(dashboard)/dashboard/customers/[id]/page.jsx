@@ -0,0 +1,40 @@
+// /src/app/(dashboard)/dashboard/customers/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getCustomerStatement } from "@/lib/services/customer-service";
+import PageHeader from "@/components/ui/page-header";
+import CustomerStatement from "@/components/features/customers/customer-statement";
+
+/**
+ * Customer statement page
+ * Server Component that fetches the customer's account history
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Customer statement page
+ */
+export default async function CustomerStatementPage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch statement directly via service layer (Hybrid SSR pattern)
+  const statement = await getCustomerStatement(session.user.id, id);
+
+  if (!statement) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={statement.customer.name}
+        description="Sales on account and payments received, with the running balance."
+      />
+      <CustomerStatement initialStatement={statement} />
+    </div>
+  );
+}
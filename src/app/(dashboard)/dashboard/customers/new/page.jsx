@@ -0,0 +1,34 @@
+// /src/app/(dashboard)/dashboard/customers/new/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import CustomerCreationCockpit from "@/components/features/customers/customer-creation-cockpit";
+
+/**
+ * Customer creation "Cockpit" page
+ * Server Component that orchestrates the customer creation workflow
+ * @returns {Promise<JSX.Element>} Customer creation page
+ */
+export default async function CustomerCreationCockpitPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Add Customers</h1>
+        <p className="text-gray-600 mt-1">
+          Quickly add your regular customers. Use the form to create customers
+          one by one.
+        </p>
+      </div>
+
+      {/* Customer Creation Cockpit */}
+      <CustomerCreationCockpit />
+    </div>
+  );
+}
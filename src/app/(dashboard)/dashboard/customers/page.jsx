@@ -0,0 +1,35 @@
+// /src/app/(dashboard)/dashboard/customers/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getCustomersByUser } from "@/lib/services/customer-service";
+import PageHeader from "@/components/ui/page-header";
+import CustomerDataTable from "@/components/features/customers/customer-data-table";
+
+/**
+ * Customers list page - main customer management view
+ * Server Component that fetches customers and displays them in a data table
+ * @returns {Promise<JSX.Element>} Customers list page
+ */
+export default async function CustomersPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch customers directly via service layer (Hybrid SSR pattern)
+  const customersData = await getCustomersByUser(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Customers"
+        description="Keep your customers' contact details and account balances in one place."
+        actionLabel="Add New Customer"
+        actionHref="/dashboard/customers/new"
+      />
+      <CustomerDataTable initialCustomersData={customersData} />
+    </div>
+  );
+}
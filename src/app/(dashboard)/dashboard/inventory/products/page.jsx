@@ -2,15 +2,19 @@
 import { auth } from "@/auth";
 import { redirect } from "next/navigation";
 import { getProductsByUser } from "@/lib/services/product-service";
+import { ProductListQuerySchema } from "@/lib/schemas/product-schemas";
 import PageHeader from "@/components/ui/page-header";
 import ProductDataTable from "@/components/features/products/product-data-table";
 
 /**
  * Products list page - main inventory view
- * Server Component that fetches products and displays them in a data table
+ * Server Component that fetches the requested page of products and displays
+ * them in a data table
+ * @param {Object} props
+ * @param {Promise<Object>} props.searchParams - Page, filter and sort URL params
  * @returns {Promise<JSX.Element>} Products list page
  */
-export default async function ProductsPage() {
+export default async function ProductsPage({ searchParams }) {
   // Re-verify authentication (Defense in Depth)
   const session = await auth();
 
@@ -18,12 +22,16 @@ export default async function ProductsPage() {
     redirect("/login");
   }
 
-  // Fetch products directly via service layer (Hybrid SSR pattern)
-  const productsData = await getProductsByUser(session.user.id, {
-    page: 1,
-    limit: 100, // Get all products for now, pagination can be added later
+  // The table writes its page size as per_page
+  const params = await searchParams;
+  const options = ProductListQuerySchema.parse({
+    ...params,
+    limit: params.per_page,
   });
 
+  // Fetch products directly via service layer (Hybrid SSR pattern)
+  const productsData = await getProductsByUser(session.user.id, options);
+
   return (
     <div className="space-y-6">
       <PageHeader
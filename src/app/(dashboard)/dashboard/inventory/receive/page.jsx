@@ -0,0 +1,38 @@
+// /src/app/(dashboard)/dashboard/inventory/receive/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import ReceiveStockCockpit from "@/components/features/purchases/receive-stock-cockpit";
+import { getSettings } from "@/lib/services/settings-service";
+
+/**
+ * Receive Stock page
+ * Server Component that hosts the multi-line stock receiving workflow
+ * @returns {Promise<JSX.Element>} Receive stock page
+ */
+export default async function ReceiveStockPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch settings directly via service layer (Hybrid SSR pattern)
+  const settings = await getSettings(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Receive Stock</h1>
+        <p className="text-gray-600 mt-1">
+          Record a delivery from a supplier. Add each product with the quantity
+          received and its unit cost, then finalize to update stock levels.
+        </p>
+      </div>
+
+      {/* Receive Stock Cockpit */}
+      <ReceiveStockCockpit pricesIncludeTax={settings.pricesIncludeTax} />
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// /src/app/(dashboard)/dashboard/inventory/serials/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getSerialNumberHistory } from "@/lib/services/serial-number-service";
+import { SerialLookupQuerySchema } from "@/lib/schemas/serial-schemas";
+import PageHeader from "@/components/ui/page-header";
+import SerialNumberLookup from "@/components/features/products/serial-number-lookup";
+
+/**
+ * Serial lookup page
+ * Server Component that looks up the serial number in the URL, if any
+ * @param {Object} props
+ * @param {Promise<Object>} props.searchParams - Serial URL param
+ * @returns {Promise<JSX.Element>} Serial lookup page
+ */
+export default async function SerialLookupPage({ searchParams }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const params = await searchParams;
+  const { serial } = SerialLookupQuerySchema.parse(params);
+
+  // Fetch serial number directly via service layer (Hybrid SSR pattern)
+  const serialNumber = serial
+    ? await getSerialNumberHistory(session.user.id, serial)
+    : null;
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Serial Lookup"
+        description="Find a unit by its serial number or IMEI to see where it is, which supplier it came from and which customer bought it."
+      />
+      <SerialNumberLookup
+        initialSerial={serial ?? ""}
+        initialSerialNumber={serialNumber}
+      />
+    </div>
+  );
+}
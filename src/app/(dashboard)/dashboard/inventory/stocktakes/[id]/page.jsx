@@ -0,0 +1,41 @@
+// /src/app/(dashboard)/dashboard/inventory/stocktakes/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getStocktakeById } from "@/lib/services/stocktake-service";
+import { formatStocktakeNumber } from "@/lib/schemas/stocktake-schemas";
+import PageHeader from "@/components/ui/page-header";
+import StocktakeSheet from "@/components/features/stocktakes/stocktake-sheet";
+
+/**
+ * Stocktake detail page
+ * Server Component that fetches the stocktake with its count lines
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Stocktake detail page
+ */
+export default async function StocktakePage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch stocktake directly via service layer (Hybrid SSR pattern)
+  const stocktake = await getStocktakeById(session.user.id, id);
+
+  if (!stocktake) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={`Stocktake ${formatStocktakeNumber(stocktake.number)}`}
+        description="Enter what you counted. Approving posts one stock adjustment per variance against the expected quantities."
+      />
+      <StocktakeSheet initialStocktake={stocktake} />
+    </div>
+  );
+}
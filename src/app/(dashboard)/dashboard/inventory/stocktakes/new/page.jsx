@@ -0,0 +1,28 @@
+// /src/app/(dashboard)/dashboard/inventory/stocktakes/new/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import PageHeader from "@/components/ui/page-header";
+import StocktakeForm from "@/components/features/stocktakes/stocktake-form";
+
+/**
+ * New stocktake page
+ * @returns {Promise<JSX.Element>} New stocktake page
+ */
+export default async function NewStocktakePage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="New Stocktake"
+        description="Count the whole shop, one category or one supplier's products."
+      />
+      <StocktakeForm />
+    </div>
+  );
+}
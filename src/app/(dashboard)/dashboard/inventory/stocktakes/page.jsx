@@ -0,0 +1,35 @@
+// /src/app/(dashboard)/dashboard/inventory/stocktakes/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getStocktakesByUser } from "@/lib/services/stocktake-service";
+import PageHeader from "@/components/ui/page-header";
+import StocktakeDataTable from "@/components/features/stocktakes/stocktake-data-table";
+
+/**
+ * Stocktakes list page
+ * Server Component that fetches stocktakes and displays them in a data table
+ * @returns {Promise<JSX.Element>} Stocktakes list page
+ */
+export default async function StocktakesPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch stocktakes directly via service layer (Hybrid SSR pattern)
+  const stocktakesData = await getStocktakesByUser(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Stocktakes"
+        description="Count your stock, review the variances and approve them as recorded stock adjustments."
+        actionLabel="Start Stocktake"
+        actionHref="/dashboard/inventory/stocktakes/new"
+      />
+      <StocktakeDataTable initialStocktakesData={stocktakesData} />
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// /src/app/(dashboard)/dashboard/inventory/transfers/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getStockTransferById } from "@/lib/services/stock-transfer-service";
+import { formatTransferNumber } from "@/lib/schemas/location-schemas";
+import PageHeader from "@/components/ui/page-header";
+import StockTransferDetail from "@/components/features/stock-transfers/stock-transfer-detail";
+
+/**
+ * Stock transfer detail page
+ * Server Component that fetches the transfer with its lines
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Stock transfer detail page
+ */
+export default async function StockTransferPage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch transfer directly via service layer (Hybrid SSR pattern)
+  const transfer = await getStockTransferById(session.user.id, id);
+
+  if (!transfer) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={`Transfer ${formatTransferNumber(transfer.number)}`}
+        description="Stock in transit counts towards the product total but not towards either location until it is received."
+      />
+      <StockTransferDetail initialTransfer={transfer} />
+    </div>
+  );
+}
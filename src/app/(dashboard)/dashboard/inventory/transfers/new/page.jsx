@@ -0,0 +1,45 @@
+// /src/app/(dashboard)/dashboard/inventory/transfers/new/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getLocationsByUser } from "@/lib/services/location-service";
+import { getCurrentLocationId } from "@/lib/current-location";
+import PageHeader from "@/components/ui/page-header";
+import StockTransferForm from "@/components/features/stock-transfers/stock-transfer-form";
+
+/**
+ * New stock transfer page
+ * Sends from the location selected in the topbar unless changed
+ * @returns {Promise<JSX.Element>} New stock transfer page
+ */
+export default async function NewStockTransferPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const [locations, locationId] = await Promise.all([
+    getLocationsByUser(session.user.id),
+    getCurrentLocationId(),
+  ]);
+  const currentLocation =
+    locations.find((location) => location.id === locationId) ?? locations[0];
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="New Transfer"
+        description={
+          locations.length > 1
+            ? "Choose where the stock leaves from and where it goes."
+            : "Add a second location in Settings to transfer stock between them."
+        }
+      />
+      <StockTransferForm
+        locations={locations}
+        currentLocationId={currentLocation.id}
+      />
+    </div>
+  );
+}
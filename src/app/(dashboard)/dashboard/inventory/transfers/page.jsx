@@ -0,0 +1,35 @@
+// /src/app/(dashboard)/dashboard/inventory/transfers/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getStockTransfersByUser } from "@/lib/services/stock-transfer-service";
+import PageHeader from "@/components/ui/page-header";
+import StockTransferDataTable from "@/components/features/stock-transfers/stock-transfer-data-table";
+
+/**
+ * Stock transfers list page
+ * Server Component that fetches transfers and displays them in a data table
+ * @returns {Promise<JSX.Element>} Stock transfers list page
+ */
+export default async function StockTransfersPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch transfers directly via service layer (Hybrid SSR pattern)
+  const transfersData = await getStockTransfersByUser(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Transfers"
+        description="Move stock between your locations and receive it when it arrives."
+        actionLabel="New Transfer"
+        actionHref="/dashboard/inventory/transfers/new"
+      />
+      <StockTransferDataTable initialTransfersData={transfersData} />
+    </div>
+  );
+}
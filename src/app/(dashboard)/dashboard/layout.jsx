@@ -3,10 +3,13 @@ import { auth } from "@/auth";
 import { redirect } from "next/navigation";
 import Sidebar from "@/components/layouts/sidebar";
 import TopBar from "@/components/layouts/topbar";
+import { getCurrentLocationId } from "@/lib/current-location";
+import { getLocationsByUser } from "@/lib/services/location-service";
 
 /**
  * Authenticated dashboard layout that wraps all protected routes
- * Renders sidebar navigation and top bar for authenticated users
+ * Renders sidebar navigation and top bar for authenticated users, with the
+ * locations for the topbar switcher
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render
  * @param {React.ReactNode} props.modal - Modal slot for intercepting routes
@@ -19,6 +22,14 @@ export default async function DashboardLayout({ children, modal }) {
     redirect("/login");
   }
 
+  const [locations, locationId] = await Promise.all([
+    getLocationsByUser(session.user.id),
+    getCurrentLocationId(),
+  ]);
+  // A missing or stale cookie falls back to the default location
+  const currentLocation =
+    locations.find((location) => location.id === locationId) ?? locations[0];
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="flex">
@@ -28,10 +39,16 @@ export default async function DashboardLayout({ children, modal }) {
         {/* Main Content Area */}
         <div className="flex-1 flex flex-col min-w-0">
           {/* Top Bar */}
-          <TopBar user={session.user} />
+          <TopBar
+            user={session.user}
+            locations={locations}
+            currentLocationId={currentLocation.id}
+          />
 
           {/* Page Content */}
-          <main className="flex-1 p-6 pt-16 md:pt-6">{children}</main>
+          <main className="flex-1 p-6 pt-16 md:pt-6 print:p-0">
+            {children}
+          </main>
         </div>
       </div>
 
@@ -1,8 +1,15 @@
 // /src/app/(dashboard)/dashboard/page.jsx
 import { auth } from "@/auth";
 import { redirect } from "next/navigation";
+import { HandCoins, Package, Tags, Users, Wallet } from "lucide-react";
 import OnboardingGuide from "@/components/features/dashboard/onboarding-guide";
-import { getDashboardCounts } from "@/lib/data/dashboard";
+import StatCard from "@/components/features/dashboard/stat-card";
+import LowStockCard from "@/components/features/dashboard/low-stock-card";
+import {
+  getDashboardBalances,
+  getDashboardCounts,
+} from "@/lib/data/dashboard";
+import { getLowStockReport } from "@/lib/services/report-service";
 
 /**
  * Main dashboard page that shows onboarding guide for new users
@@ -19,7 +26,11 @@ export default async function DashboardPage() {
   }
 
   // Fetch user data counts to determine onboarding state
-  const dataCounts = await getDashboardCounts(session.user.id);
+  const [dataCounts, balances, lowStockReport] = await Promise.all([
+    getDashboardCounts(session.user.id),
+    getDashboardBalances(session.user.id),
+    getLowStockReport(session.user.id),
+  ]);
 
   // Determine if user needs onboarding (has no data)
   const totalItems =
@@ -36,17 +47,45 @@ export default async function DashboardPage() {
       ) : (
         <div className="space-y-6">
           <h1 className="text-2xl font-bold text-gray-900">Dashboard</h1>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-            {/* Dashboard widgets will be implemented in Phase 3 */}
-            <div className="bg-white p-6 rounded-lg border border-gray-200">
-              <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                Welcome Back!
-              </h3>
-              <p className="text-gray-600">
-                Your dashboard widgets will appear here once Phase 3 is
-                implemented.
-              </p>
-            </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-5 gap-6">
+            <StatCard
+              title="Products"
+              value={dataCounts.products}
+              icon={Package}
+              href="/dashboard/inventory/products"
+            />
+            <StatCard
+              title="Categories"
+              value={dataCounts.categories}
+              icon={Tags}
+              href="/dashboard/inventory/categories"
+            />
+            <StatCard
+              title="Customers"
+              value={dataCounts.customers}
+              icon={Users}
+              href="/dashboard/customers"
+            />
+            <StatCard
+              title="Outstanding Receivables"
+              value={`$${balances.receivables.toFixed(2)}`}
+              icon={HandCoins}
+              valueClassName={
+                balances.receivables > 0 ? "text-amber-600" : "text-gray-900"
+              }
+            />
+            <StatCard
+              title="Outstanding Payables"
+              value={`$${balances.payables.toFixed(2)}`}
+              icon={Wallet}
+              href="/dashboard/suppliers"
+              valueClassName={
+                balances.payables > 0 ? "text-amber-600" : "text-gray-900"
+              }
+            />
+          </div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <LowStockCard report={lowStockReport} />
           </div>
         </div>
       )}
@@ -0,0 +1,33 @@
+// /src/app/(dashboard)/dashboard/reports/discounts/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getDiscountReport } from "@/lib/services/report-service";
+import PageHeader from "@/components/ui/page-header";
+import DiscountReport from "@/components/features/reports/discount-report";
+
+/**
+ * Discount report page
+ * Server Component that fetches the discounts given over the last 30 days
+ * @returns {Promise<JSX.Element>} Discount report page
+ */
+export default async function DiscountReportPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const report = await getDiscountReport(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Discounts"
+        description="Line and cart discounts given at the till, totalled per period and per staff member."
+      />
+      <DiscountReport initialReport={report} />
+    </div>
+  );
+}
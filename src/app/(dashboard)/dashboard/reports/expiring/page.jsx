@@ -0,0 +1,33 @@
+// /src/app/(dashboard)/dashboard/reports/expiring/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getExpiringLotsReport } from "@/lib/services/report-service";
+import PageHeader from "@/components/ui/page-header";
+import ExpiringLotsReport from "@/components/features/reports/expiring-lots-report";
+
+/**
+ * Expiring-soon report page
+ * Server Component that fetches the lots close to their expiry date
+ * @returns {Promise<JSX.Element>} Expiring-soon report page
+ */
+export default async function ExpiringLotsReportPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const report = await getExpiringLotsReport(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Expiring Soon"
+        description="Lots of lot-tracked products that expire soon or have expired with stock left. Write off expired lots to take them out of stock."
+      />
+      <ExpiringLotsReport initialReport={report} />
+    </div>
+  );
+}
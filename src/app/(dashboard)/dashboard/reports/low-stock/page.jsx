@@ -0,0 +1,33 @@
+// /src/app/(dashboard)/dashboard/reports/low-stock/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getLowStockReport } from "@/lib/services/report-service";
+import PageHeader from "@/components/ui/page-header";
+import LowStockReport from "@/components/features/reports/low-stock-report";
+
+/**
+ * Low-stock report page
+ * Server Component that fetches the products due for reordering
+ * @returns {Promise<JSX.Element>} Low-stock report page
+ */
+export default async function LowStockReportPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const report = await getLowStockReport(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Low Stock"
+        description="Active products at or below their reorder point, grouped by supplier, with suggested order quantities."
+      />
+      <LowStockReport initialReport={report} />
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+// /src/app/(dashboard)/dashboard/reports/profit/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getProfitReport } from "@/lib/services/report-service";
+import PageHeader from "@/components/ui/page-header";
+import ProfitReport from "@/components/features/reports/profit-report";
+
+/**
+ * Profit report page
+ * Server Component that fetches revenue, cost of goods sold and gross
+ * profit over the last 30 days
+ * @returns {Promise<JSX.Element>} Profit report page
+ */
+export default async function ProfitReportPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const report = await getProfitReport(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Profit"
+        description="Revenue after returns, cost of goods sold and gross profit, totalled per period."
+      />
+      <ProfitReport initialReport={report} />
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+// /src/app/(dashboard)/dashboard/reports/tax/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getTaxReport } from "@/lib/services/report-service";
+import PageHeader from "@/components/ui/page-header";
+import TaxReport from "@/components/features/reports/tax-report";
+
+/**
+ * Tax report page
+ * Server Component that fetches the tax collected and paid over the last
+ * 30 days
+ * @returns {Promise<JSX.Element>} Tax report page
+ */
+export default async function TaxReportPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const report = await getTaxReport(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Tax"
+        description="Tax collected on sales, refunded on returns and paid on stock purchases, totalled per period."
+      />
+      <TaxReport initialReport={report} />
+    </div>
+  );
+}
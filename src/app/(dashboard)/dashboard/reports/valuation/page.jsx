@@ -0,0 +1,33 @@
+// /src/app/(dashboard)/dashboard/reports/valuation/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getInventoryValuation } from "@/lib/services/report-service";
+import PageHeader from "@/components/ui/page-header";
+import ValuationReport from "@/components/features/reports/valuation-report";
+
+/**
+ * Inventory valuation report page
+ * Server Component that fetches the value of stock on hand today
+ * @returns {Promise<JSX.Element>} Inventory valuation page
+ */
+export default async function ValuationReportPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const report = await getInventoryValuation(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Inventory Valuation"
+        description="Stock on hand at cost, grouped by category. Pick a past date to see stock as it stood at the end of that day."
+      />
+      <ValuationReport initialReport={report} />
+    </div>
+  );
+}
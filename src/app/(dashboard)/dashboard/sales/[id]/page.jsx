@@ -0,0 +1,48 @@
+// /src/app/(dashboard)/dashboard/sales/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getSaleById } from "@/lib/services/sale-service";
+import { getSettings } from "@/lib/services/settings-service";
+import PageHeader from "@/components/ui/page-header";
+import SaleDetail from "@/components/features/sales/sale-detail";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Sale detail page
+ * Server Component that fetches the sale with its lines and returns
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Sale detail page
+ */
+export default async function SalePage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch sale directly via service layer (Hybrid SSR pattern)
+  const [sale, settings] = await Promise.all([
+    getSaleById(session.user.id, id),
+    getSettings(session.user.id),
+  ]);
+
+  if (!sale) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={`Sale · ${formatDateTime(sale.soldAt)}`}
+        description="Return items from this sale: restock them or mark them as damaged, and refund in cash or as account credit."
+      />
+      <SaleDetail
+        initialSale={sale}
+        costingMethod={settings.costingMethod}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+// /src/app/(dashboard)/dashboard/sales/history/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getSalesByUser } from "@/lib/services/sale-service";
+import { SaleListQuerySchema } from "@/lib/schemas/sale-schemas";
+import PageHeader from "@/components/ui/page-header";
+import SaleDataTable from "@/components/features/sales/sale-data-table";
+
+/**
+ * Sales history page
+ * Server Component that fetches the requested page of sales and displays
+ * them in a data table
+ * @param {Object} props
+ * @param {Promise<Object>} props.searchParams - Page, search and sort URL params
+ * @returns {Promise<JSX.Element>} Sales history page
+ */
+export default async function SalesHistoryPage({ searchParams }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // The table writes its page size as per_page
+  const params = await searchParams;
+  const options = SaleListQuerySchema.parse({
+    ...params,
+    limit: params.per_page,
+  });
+
+  // Fetch sales directly via service layer (Hybrid SSR pattern)
+  const salesData = await getSalesByUser(session.user.id, options);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Sales History"
+        description="Look up past sales by customer or product and process returns."
+        actionLabel="New Sale"
+        actionHref="/dashboard/sales"
+      />
+      <SaleDataTable initialSalesData={salesData} />
+    </div>
+  );
+}
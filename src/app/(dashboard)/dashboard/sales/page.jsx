@@ -0,0 +1,47 @@
+// /src/app/(dashboard)/dashboard/sales/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getCurrentShift } from "@/lib/services/register-shift-service";
+import { getSettings } from "@/lib/services/settings-service";
+import PosTerminal from "@/components/features/sales/pos-terminal";
+import RegisterShiftPanel from "@/components/features/shifts/register-shift-panel";
+
+/**
+ * Point-of-sale page
+ * Server Component that hosts the keyboard-first sale screen below the
+ * cash register shift bar
+ * @returns {Promise<JSX.Element>} Sales page
+ */
+export default async function SalesPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch the open shift directly via service layer (Hybrid SSR pattern)
+  const [shift, settings] = await Promise.all([
+    getCurrentShift(session.user.id),
+    getSettings(session.user.id),
+  ]);
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">New Sale</h1>
+        <p className="text-gray-600 mt-1">
+          Scan or search products to build the cart, adjust quantities and
+          prices inline, then complete the sale.
+        </p>
+      </div>
+
+      {/* Cash Register */}
+      <RegisterShiftPanel initialShift={shift} />
+
+      {/* Point of Sale */}
+      <PosTerminal pricesIncludeTax={settings.pricesIncludeTax} />
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+// /src/app/(dashboard)/dashboard/sales/shifts/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getShiftReport } from "@/lib/services/register-shift-service";
+import { getSettings } from "@/lib/services/settings-service";
+import PageHeader from "@/components/ui/page-header";
+import ShiftReport from "@/components/features/shifts/shift-report";
+
+/**
+ * Register shift report page
+ * Server Component that fetches the shift with its totals: the printable
+ * Z-report once the shift is closed, or the running X-report while open
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Shift report page
+ */
+export default async function ShiftReportPage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch report directly via service layer (Hybrid SSR pattern)
+  const [shift, settings] = await Promise.all([
+    getShiftReport(session.user.id, id),
+    getSettings(session.user.id),
+  ]);
+
+  if (!shift) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={shift.status === "CLOSED" ? "Z-Report" : "X-Report"}
+        description={
+          shift.status === "CLOSED"
+            ? "End-of-shift summary of sales, refunds and the cash count."
+            : "Running totals for the open shift. Close the shift to produce the Z-report."
+        }
+      />
+      <ShiftReport initialShift={shift} shopName={settings.shopName} />
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+// /src/app/(dashboard)/dashboard/sales/shifts/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getShiftsByUser } from "@/lib/services/register-shift-service";
+import { ShiftListQuerySchema } from "@/lib/schemas/register-shift-schemas";
+import PageHeader from "@/components/ui/page-header";
+import ShiftDataTable from "@/components/features/shifts/shift-data-table";
+
+/**
+ * Register shifts page
+ * Server Component that fetches the requested page of shifts with their
+ * cash-up figures and displays them in a data table
+ * @param {Object} props
+ * @param {Promise<Object>} props.searchParams - Page URL params
+ * @returns {Promise<JSX.Element>} Register shifts page
+ */
+export default async function ShiftsPage({ searchParams }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // The table writes its page size as per_page
+  const params = await searchParams;
+  const options = ShiftListQuerySchema.parse({
+    ...params,
+    limit: params.per_page,
+  });
+
+  // Fetch shifts directly via service layer (Hybrid SSR pattern)
+  const shiftsData = await getShiftsByUser(session.user.id, options);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Register Shifts"
+        description="Opened and closed tills with the expected and counted cash. Select a shift to see its Z-report."
+        actionLabel="New Sale"
+        actionHref="/dashboard/sales"
+      />
+      <ShiftDataTable initialShiftsData={shiftsData} />
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// /src/app/(dashboard)/dashboard/settings/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getSettings } from "@/lib/services/settings-service";
+import { getTaxRatesByUser } from "@/lib/services/tax-rate-service";
+import { getLocationsByUser } from "@/lib/services/location-service";
+import PageHeader from "@/components/ui/page-header";
+import ShopProfileForm from "@/components/features/settings/shop-profile-form";
+import CostingSettings from "@/components/features/settings/costing-settings";
+import TaxSettings from "@/components/features/settings/tax-settings";
+import LocationSettings from "@/components/features/settings/location-settings";
+
+/**
+ * Settings page
+ * Server Component that fetches the account settings, tax rates and
+ * locations
+ * @returns {Promise<JSX.Element>} Settings page
+ */
+export default async function SettingsPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch settings directly via service layer (Hybrid SSR pattern)
+  const [settings, taxRates, locations] = await Promise.all([
+    getSettings(session.user.id),
+    getTaxRatesByUser(session.user.id),
+    getLocationsByUser(session.user.id),
+  ]);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Settings"
+        description="Manage your shop details and how your account works."
+      />
+      <div className="max-w-2xl space-y-6">
+        <ShopProfileForm initialSettings={settings} />
+        <TaxSettings initialSettings={settings} initialTaxRates={taxRates} />
+        <LocationSettings initialLocations={locations} />
+        <CostingSettings initialSettings={settings} />
+      </div>
+    </div>
+  );
+}
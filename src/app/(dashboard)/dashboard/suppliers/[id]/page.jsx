@@ -0,0 +1,40 @@
+// /src/app/(dashboard)/dashboard/suppliers/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getSupplierLedger } from "@/lib/services/supplier-service";
+import PageHeader from "@/components/ui/page-header";
+import SupplierLedger from "@/components/features/suppliers/supplier-ledger";
+
+/**
+ * Supplier ledger page
+ * Server Component that fetches the supplier's purchase and payment history
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Supplier ledger page
+ */
+export default async function SupplierLedgerPage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch ledger directly via service layer (Hybrid SSR pattern)
+  const ledger = await getSupplierLedger(session.user.id, id);
+
+  if (!ledger) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={ledger.supplier.name}
+        description="Purchases on credit and payments made, with the running balance."
+      />
+      <SupplierLedger initialLedger={ledger} />
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+// /src/app/(dashboard)/dashboard/suppliers/new/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import SupplierCreationCockpit from "@/components/features/suppliers/supplier-creation-cockpit";
+
+/**
+ * Supplier creation "Cockpit" page
+ * Server Component that orchestrates the supplier creation workflow
+ * @returns {Promise<JSX.Element>} Supplier creation page
+ */
+export default async function SupplierCreationCockpitPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Page Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Add Suppliers</h1>
+        <p className="text-gray-600 mt-1">
+          Quickly add the suppliers you buy from. Use the form to create
+          suppliers one by one.
+        </p>
+      </div>
+
+      {/* Supplier Creation Cockpit */}
+      <SupplierCreationCockpit />
+    </div>
+  );
+}
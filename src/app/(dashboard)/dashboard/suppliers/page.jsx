@@ -0,0 +1,35 @@
+// /src/app/(dashboard)/dashboard/suppliers/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getSuppliersByUser } from "@/lib/services/supplier-service";
+import PageHeader from "@/components/ui/page-header";
+import SupplierDataTable from "@/components/features/suppliers/supplier-data-table";
+
+/**
+ * Suppliers list page - main supplier management view
+ * Server Component that fetches suppliers and displays them in a data table
+ * @returns {Promise<JSX.Element>} Suppliers list page
+ */
+export default async function SuppliersPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch suppliers directly via service layer (Hybrid SSR pattern)
+  const suppliersData = await getSuppliersByUser(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Suppliers"
+        description="Keep track of the suppliers you buy from and their contact details."
+        actionLabel="Add New Supplier"
+        actionHref="/dashboard/suppliers/new"
+      />
+      <SupplierDataTable initialSuppliersData={suppliersData} />
+    </div>
+  );
+}
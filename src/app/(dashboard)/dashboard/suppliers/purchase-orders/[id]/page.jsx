@@ -0,0 +1,41 @@
+// /src/app/(dashboard)/dashboard/suppliers/purchase-orders/[id]/page.jsx
+import { auth } from "@/auth";
+import { notFound, redirect } from "next/navigation";
+import { getPurchaseOrderById } from "@/lib/services/purchase-order-service";
+import { formatPurchaseOrderNumber } from "@/lib/schemas/purchase-order-schemas";
+import PageHeader from "@/components/ui/page-header";
+import PurchaseOrderDetail from "@/components/features/purchase-orders/purchase-order-detail";
+
+/**
+ * Purchase order detail page
+ * Server Component that fetches the purchase order with its lines and deliveries
+ * @param {{ params: Promise<{ id: string }> }} props
+ * @returns {Promise<JSX.Element>} Purchase order detail page
+ */
+export default async function PurchaseOrderPage({ params }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { id } = await params;
+
+  // Fetch purchase order directly via service layer (Hybrid SSR pattern)
+  const order = await getPurchaseOrderById(session.user.id, id);
+
+  if (!order) {
+    notFound();
+  }
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title={`${formatPurchaseOrderNumber(order.number)} · ${order.supplier.name}`}
+        description="Draft orders can be edited until they are sent. Sent orders are received in one or more deliveries."
+      />
+      <PurchaseOrderDetail initialOrder={order} />
+    </div>
+  );
+}
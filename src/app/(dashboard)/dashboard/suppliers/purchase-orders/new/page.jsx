@@ -0,0 +1,36 @@
+// /src/app/(dashboard)/dashboard/suppliers/purchase-orders/new/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import PageHeader from "@/components/ui/page-header";
+import PurchaseOrderEditor from "@/components/features/purchase-orders/purchase-order-editor";
+
+/**
+ * New purchase order page
+ * Opened from the low-stock report with `?supplierId=...&prefill=low-stock`
+ * to start from that supplier's products due for reordering.
+ * @param {{ searchParams: Promise<Object> }} props
+ * @returns {Promise<JSX.Element>} New purchase order page
+ */
+export default async function NewPurchaseOrderPage({ searchParams }) {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  const { supplierId, prefill } = await searchParams;
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="New Purchase Order"
+        description="Pick a supplier and the products to order. The order is saved as a draft until you mark it as sent."
+      />
+      <PurchaseOrderEditor
+        initialSupplierId={typeof supplierId === "string" ? supplierId : ""}
+        prefillLowStock={prefill === "low-stock"}
+      />
+    </div>
+  );
+}
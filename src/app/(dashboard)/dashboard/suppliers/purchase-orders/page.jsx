@@ -0,0 +1,35 @@
+// /src/app/(dashboard)/dashboard/suppliers/purchase-orders/page.jsx
+import { auth } from "@/auth";
+import { redirect } from "next/navigation";
+import { getPurchaseOrdersByUser } from "@/lib/services/purchase-order-service";
+import PageHeader from "@/components/ui/page-header";
+import PurchaseOrderDataTable from "@/components/features/purchase-orders/purchase-order-data-table";
+
+/**
+ * Purchase orders list page
+ * Server Component that fetches purchase orders and displays them in a data table
+ * @returns {Promise<JSX.Element>} Purchase orders list page
+ */
+export default async function PurchaseOrdersPage() {
+  // Re-verify authentication (Defense in Depth)
+  const session = await auth();
+
+  if (!session?.user) {
+    redirect("/login");
+  }
+
+  // Fetch purchase orders directly via service layer (Hybrid SSR pattern)
+  const purchaseOrdersData = await getPurchaseOrdersByUser(session.user.id);
+
+  return (
+    <div className="space-y-6">
+      <PageHeader
+        title="Purchase Orders"
+        description="Order stock from your suppliers and receive it in one or more deliveries."
+        actionLabel="New Purchase Order"
+        actionHref="/dashboard/suppliers/purchase-orders/new"
+      />
+      <PurchaseOrderDataTable initialPurchaseOrdersData={purchaseOrdersData} />
+    </div>
+  );
+}
@@ -14,6 +14,7 @@ import {
 const UpdateCategorySchema = z.object({
   name: z.string().min(1).max(255).optional(),
   description: z.string().optional(),
+  taxRateId: z.string().nullable().optional(),
 });
 
 /**
@@ -13,6 +13,7 @@ import {
 const CreateCategorySchema = z.object({
   name: z.string().min(1, "Category name is required").max(255),
   description: z.string().optional(),
+  taxRateId: z.string().nullable().optional(),
 });
 
 /**
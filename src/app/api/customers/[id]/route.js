@@ -0,0 +1,137 @@
+// /src/app/api/customers/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getCustomerById,
+  updateCustomer,
+  deleteCustomerById,
+} from "@/lib/services/customer-service";
+import { UpdateCustomerSchema } from "@/lib/schemas/customer-schemas";
+
+/**
+ * Handles GET requests to fetch a single customer
+ * GET /api/customers/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Customer ID
+ * @returns {Promise<NextResponse>} JSON response with customer data
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch customer via service layer
+    const customer = await getCustomerById(session.user.id, id);
+
+    if (!customer) {
+      return NextResponse.json(
+        { error: "Customer not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: customer,
+    });
+  } catch (error) {
+    console.error("Error fetching customer:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch customer" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to update a customer
+ * PUT /api/customers/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Customer ID
+ * @returns {Promise<NextResponse>} JSON response with updated customer
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = UpdateCustomerSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Update customer via service layer
+    const customer = await updateCustomer(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: customer,
+    });
+  } catch (error) {
+    console.error("Error updating customer:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update customer" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles DELETE requests to delete a customer
+ * DELETE /api/customers/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Customer ID
+ * @returns {Promise<NextResponse>} JSON response with success message
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    await deleteCustomerById(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      message: "Customer deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting customer:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to delete customer" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+// /src/app/api/customers/[id]/statement/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getCustomerStatement } from "@/lib/services/customer-service";
+
+/**
+ * Handles GET requests to fetch a customer's account statement
+ * GET /api/customers/[id]/statement
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Customer ID
+ * @returns {Promise<NextResponse>} JSON response with the customer and statement entries
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const statement = await getCustomerStatement(session.user.id, id);
+
+    if (!statement) {
+      return NextResponse.json(
+        { error: "Customer not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    console.error("Error fetching customer statement:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch customer statement" },
+      { status: 500 }
+    );
+  }
+}
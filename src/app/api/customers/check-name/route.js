@@ -0,0 +1,54 @@
+// /src/app/api/customers/check-name/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { isCustomerNameUnique } from "@/lib/services/customer-service";
+import { normalizeName } from "@/lib/utils";
+
+/**
+ * Handles GET requests to check customer name uniqueness
+ * GET /api/customers/check-name?name=CustomerName&excludeId=optionalId
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with uniqueness status
+ */
+export async function GET(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    // Normalize the name parameter immediately upon receipt
+    const name = normalizeName(searchParams.get("name"));
+    const excludeId = searchParams.get("excludeId");
+
+    if (!name) {
+      return NextResponse.json(
+        { error: "Name parameter is required" },
+        { status: 400 }
+      );
+    }
+
+    // The service function now receives clean, normalized data
+    const isUnique = await isCustomerNameUnique(
+      session.user.id,
+      name,
+      excludeId
+    );
+
+    return NextResponse.json({
+      success: true,
+      isUnique,
+      message: isUnique
+        ? "Name is available"
+        : "A customer with this name already exists",
+    });
+  } catch (error) {
+    console.error("Error checking customer name:", error);
+    return NextResponse.json(
+      { error: "Failed to check customer name" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,86 @@
+// /src/app/api/customers/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getCustomersByUser,
+  createCustomer,
+} from "@/lib/services/customer-service";
+import { CreateCustomerSchema } from "@/lib/schemas/customer-schemas";
+
+/**
+ * Handles GET requests to fetch customers
+ * GET /api/customers
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with customers
+ */
+export async function GET(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const customers = await getCustomersByUser(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: customers,
+    });
+  } catch (error) {
+    console.error("Error fetching customers:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch customers" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a new customer
+ * POST /api/customers
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with created customer
+ */
+export async function POST(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateCustomerSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    const customer = await createCustomer(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: customer,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating customer:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create customer" },
+      { status: 500 }
+    );
+  }
+}
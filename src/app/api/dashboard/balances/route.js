@@ -0,0 +1,38 @@
+// /src/app/api/dashboard/balances/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getDashboardBalances } from "@/lib/data/dashboard";
+
+/**
+ * Dashboard balances response data
+ * @typedef {Object} DashboardBalancesResponse
+ * @property {number} receivables - Total amount owed by customers on account
+ * @property {number} payables - Total amount owed to suppliers for credit purchases
+ */
+
+/**
+ * Fetches outstanding account balances for the dashboard
+ * GET /api/dashboard/balances
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with balances
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const balances = await getDashboardBalances(session.user.id);
+
+    return NextResponse.json(balances);
+  } catch (error) {
+    console.error("Dashboard balances API error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+// /src/app/api/locations/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  updateLocation,
+  deleteLocationById,
+} from "@/lib/services/location-service";
+import { UpdateLocationSchema } from "@/lib/schemas/location-schemas";
+
+/**
+ * Handles PUT requests to update a location
+ * PUT /api/locations/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Location ID
+ * @returns {Promise<NextResponse>} JSON response with updated location
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = UpdateLocationSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Update location via service layer
+    const location = await updateLocation(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: location,
+      message: "Location updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating location:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update location" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles DELETE requests to delete a location
+ * DELETE /api/locations/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Location ID
+ * @returns {Promise<NextResponse>} JSON response with success message
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    await deleteLocationById(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      message: "Location deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting location:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to delete location" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,90 @@
+// /src/app/api/locations/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getLocationsByUser,
+  createLocation,
+} from "@/lib/services/location-service";
+import { CreateLocationSchema } from "@/lib/schemas/location-schemas";
+
+/**
+ * Handles GET requests to fetch locations
+ * GET /api/locations
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with locations
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Fetch locations via service layer
+    const locations = await getLocationsByUser(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: locations,
+    });
+  } catch (error) {
+    console.error("Error fetching locations:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch locations" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a new location
+ * POST /api/locations
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with created location
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateLocationSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    const location = await createLocation(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: location,
+        message: "Location created successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating location:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create location" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,61 @@
+// /src/app/api/products/[id]/adjustments/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { createStockAdjustment } from "@/lib/services/stock-movement-service";
+import { CreateStockAdjustmentSchema } from "@/lib/schemas/product-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles POST requests to record a manual stock adjustment
+ * POST /api/products/[id]/adjustments
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Product ID
+ * @returns {Promise<NextResponse>} JSON response with the updated product
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateStockAdjustmentSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Record adjustment at the current location via service layer
+    const product = await createStockAdjustment(session.user.id, id, {
+      ...validationResult.data,
+      locationId: await getCurrentLocationId(),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: product,
+        message: "Stock adjusted successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error adjusting stock:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to adjust stock" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,101 @@
+// /src/app/api/products/[id]/locations/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getProductStockLevels,
+  updateProductReorderPoints,
+} from "@/lib/services/location-service";
+import { UpdateReorderPointsSchema } from "@/lib/schemas/location-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles GET requests to fetch a product's stock at every location, with
+ * the current location flagged
+ * GET /api/products/[id]/locations
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Product ID
+ * @returns {Promise<NextResponse>} JSON response with stock levels
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const levels = await getProductStockLevels(
+      session.user.id,
+      id,
+      await getCurrentLocationId()
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: levels,
+    });
+  } catch (error) {
+    console.error("Error fetching stock levels:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to fetch stock levels" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to save a product's reorder point per location
+ * PUT /api/products/[id]/locations
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Product ID
+ * @returns {Promise<NextResponse>} JSON response with updated stock levels
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = UpdateReorderPointsSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Save reorder points via service layer
+    const levels = await updateProductReorderPoints(
+      session.user.id,
+      id,
+      validationResult.data,
+      await getCurrentLocationId()
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: levels,
+      message: "Reorder points updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating reorder points:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update reorder points" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+// /src/app/api/products/[id]/movements/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getProductById } from "@/lib/services/product-service";
+import { getStockMovementsByProduct } from "@/lib/services/stock-movement-service";
+
+/**
+ * Handles GET requests to fetch the stock movement history of a product
+ * GET /api/products/[id]/movements?page=1&limit=20
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Product ID
+ * @returns {Promise<NextResponse>} JSON response with paginated movements
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const product = await getProductById(session.user.id, id);
+    if (!product) {
+      return NextResponse.json({ error: "Product not found" }, { status: 404 });
+    }
+
+    // Parse query parameters
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get("page") || "1");
+    const limit = parseInt(searchParams.get("limit") || "20");
+
+    const result = await getStockMovementsByProduct(session.user.id, id, {
+      page,
+      limit,
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error fetching stock movements:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch stock movements" },
+      { status: 500 }
+    );
+  }
+}
@@ -6,6 +6,7 @@ import {
   getProductById,
   updateProduct,
   deleteProductById,
+  ProductHistoryError,
 } from "@/lib/services/product-service";
 
 /**
@@ -17,10 +18,14 @@ const UpdateProductSchema = z.object({
   sku: z.string().optional(),
   sellingPrice: z.number().positive().optional(),
   purchasePrice: z.number().positive().optional(),
-  stock: z.number().int().min(0).optional(),
   reorderPoint: z.number().int().min(0).optional(),
   unit: z.string().optional(),
   categoryId: z.string().optional(),
+  supplierId: z.string().nullable().optional(),
+  taxRateId: z.string().nullable().optional(),
+  isActive: z.boolean().optional(),
+  trackLots: z.boolean().optional(),
+  serialized: z.boolean().optional(),
 });
 
 /**
@@ -120,7 +125,8 @@ export async function PUT(request, { params }) {
  * @param {Request} request - The incoming request object
  * @param {Object} params - Route parameters
  * @param {string} params.id - Product ID
- * @returns {Promise<NextResponse>} JSON response with success message
+ * @returns {Promise<NextResponse>} JSON response with success message, or 409 with
+ * the blocking record counts when the product has transaction history
  */
 export async function DELETE(request, { params }) {
   try {
@@ -139,6 +145,17 @@ export async function DELETE(request, { params }) {
       message: "Product deleted successfully",
     });
   } catch (error) {
+    // Products with history are kept; report what blocks the deletion
+    if (error instanceof ProductHistoryError) {
+      return NextResponse.json(
+        {
+          error: error.message,
+          code: "PRODUCT_HAS_HISTORY",
+          blockers: error.blockers,
+        },
+        { status: 409 }
+      );
+    }
     console.error("Error deleting product:", error);
     return NextResponse.json(
       { error: error.message || "Failed to delete product" },
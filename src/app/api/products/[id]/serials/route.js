@@ -0,0 +1,49 @@
+// /src/app/api/products/[id]/serials/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getSerialsInStock } from "@/lib/services/serial-number-service";
+import { ProductSerialsQuerySchema } from "@/lib/schemas/serial-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles GET requests to fetch the serial numbers of a product in stock
+ * at a location (the current location unless one is given)
+ * GET /api/products/[id]/serials?locationId=
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Product ID
+ * @returns {Promise<NextResponse>} JSON response with the serials in stock
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const { locationId } = ProductSerialsQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const serials = await getSerialsInStock(
+      session.user.id,
+      id,
+      locationId || (await getCurrentLocationId())
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: serials,
+    });
+  } catch (error) {
+    console.error("Error fetching serial numbers:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to fetch serial numbers" },
+      { status: 500 }
+    );
+  }
+}
@@ -6,7 +6,11 @@ import {
   createProduct,
   getProductsByUser,
 } from "@/lib/services/product-service";
-import { CreateProductSchema } from "@/lib/schemas/product-schemas";
+import {
+  CreateProductSchema,
+  ProductListQuerySchema,
+} from "@/lib/schemas/product-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
 
 /**
  * Handles POST requests to create a new product
@@ -28,7 +32,10 @@ export async function POST(request) {
     const validatedData = CreateProductSchema.parse(body);
 
     // Create product via service layer
-    const product = await createProduct(session.user.id, validatedData);
+    const product = await createProduct(session.user.id, {
+      ...validatedData,
+      locationId: await getCurrentLocationId(),
+    });
 
     return NextResponse.json(
       {
@@ -62,7 +69,8 @@ export async function POST(request) {
 
 /**
  * Handles GET requests to fetch products
- * GET /api/products
+ * GET /api/products?page=1&limit=10&q=&categoryId=&supplierId=&lowStock=true&status=active&sort=name&order=asc
+ * Invalid or missing parameters fall back to their defaults.
  * @param {Request} request - The incoming request object
  * @returns {Promise<NextResponse>} JSON response with products list
  */
@@ -77,11 +85,12 @@ export async function GET(request) {
 
     // Parse query parameters
     const { searchParams } = new URL(request.url);
-    const page = parseInt(searchParams.get("page") || "1");
-    const limit = parseInt(searchParams.get("limit") || "10");
+    const options = ProductListQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
 
     // Fetch products via service layer
-    const result = await getProductsByUser(session.user.id, { page, limit });
+    const result = await getProductsByUser(session.user.id, options);
 
     return NextResponse.json({
       success: true,
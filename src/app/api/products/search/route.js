@@ -0,0 +1,45 @@
+// /src/app/api/products/search/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { searchProducts } from "@/lib/services/product-service";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles GET requests to look up products by name or SKU
+ * GET /api/products/search?q=term&limit=10&locationId=...
+ * Stock is reported at the given location, else the current one.
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with matching products
+ */
+export async function GET(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const query = searchParams.get("q") || "";
+    const limit = Math.min(parseInt(searchParams.get("limit") || "10"), 50);
+
+    const locationId =
+      searchParams.get("locationId") || (await getCurrentLocationId());
+
+    const products = await searchProducts(session.user.id, query, {
+      limit,
+      locationId,
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: products,
+    });
+  } catch (error) {
+    console.error("Error searching products:", error);
+    return NextResponse.json(
+      { error: "Failed to search products" },
+      { status: 500 }
+    );
+  }
+}
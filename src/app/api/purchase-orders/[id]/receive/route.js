@@ -0,0 +1,61 @@
+// /src/app/api/purchase-orders/[id]/receive/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { receivePurchaseOrder } from "@/lib/services/purchase-order-service";
+import { ReceivePurchaseOrderSchema } from "@/lib/schemas/purchase-order-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles POST requests to record a (partial) delivery against a purchase order
+ * POST /api/purchase-orders/[id]/receive
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Purchase order ID
+ * @returns {Promise<NextResponse>} JSON response with the updated purchase order
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = ReceivePurchaseOrderSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Receive delivery into the current location via service layer
+    const order = await receivePurchaseOrder(session.user.id, id, {
+      ...validationResult.data,
+      locationId: await getCurrentLocationId(),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: order,
+        message: "Delivery received successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error receiving purchase order:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to receive purchase order" },
+      { status: 500 }
+    );
+  }
+}
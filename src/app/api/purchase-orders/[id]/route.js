@@ -0,0 +1,137 @@
+// /src/app/api/purchase-orders/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  deletePurchaseOrderById,
+} from "@/lib/services/purchase-order-service";
+import { PurchaseOrderSchema } from "@/lib/schemas/purchase-order-schemas";
+
+/**
+ * Handles GET requests to fetch a single purchase order
+ * GET /api/purchase-orders/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Purchase order ID
+ * @returns {Promise<NextResponse>} JSON response with the purchase order
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch purchase order via service layer
+    const order = await getPurchaseOrderById(session.user.id, id);
+
+    if (!order) {
+      return NextResponse.json(
+        { error: "Purchase order not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Error fetching purchase order:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch purchase order" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to replace a draft purchase order
+ * PUT /api/purchase-orders/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Purchase order ID
+ * @returns {Promise<NextResponse>} JSON response with the updated purchase order
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = PurchaseOrderSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Update purchase order via service layer
+    const order = await updatePurchaseOrder(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Error updating purchase order:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update purchase order" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles DELETE requests to delete a draft purchase order
+ * DELETE /api/purchase-orders/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Purchase order ID
+ * @returns {Promise<NextResponse>} JSON response with success message
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    await deletePurchaseOrderById(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      message: "Purchase order deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting purchase order:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to delete purchase order" },
+      { status: 500 }
+    );
+  }
+}
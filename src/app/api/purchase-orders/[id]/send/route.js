@@ -0,0 +1,38 @@
+// /src/app/api/purchase-orders/[id]/send/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { markPurchaseOrderSent } from "@/lib/services/purchase-order-service";
+
+/**
+ * Handles POST requests to mark a draft purchase order as sent
+ * POST /api/purchase-orders/[id]/send
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Purchase order ID
+ * @returns {Promise<NextResponse>} JSON response with the updated purchase order
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const order = await markPurchaseOrderSent(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Error sending purchase order:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to mark purchase order as sent" },
+      { status: 500 }
+    );
+  }
+}
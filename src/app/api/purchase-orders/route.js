@@ -0,0 +1,101 @@
+// /src/app/api/purchase-orders/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  createPurchaseOrder,
+  getPurchaseOrdersByUser,
+} from "@/lib/services/purchase-order-service";
+import {
+  PURCHASE_ORDER_STATUSES,
+  PurchaseOrderSchema,
+} from "@/lib/schemas/purchase-order-schemas";
+
+/**
+ * Handles GET requests to fetch purchase orders
+ * GET /api/purchase-orders?status=SENT
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with purchase orders
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Unknown statuses are ignored rather than rejected
+    const { searchParams } = new URL(request.url);
+    const status = PURCHASE_ORDER_STATUSES.some(
+      (s) => s.value === searchParams.get("status")
+    )
+      ? searchParams.get("status")
+      : undefined;
+
+    const orders = await getPurchaseOrdersByUser(session.user.id, { status });
+
+    return NextResponse.json({
+      success: true,
+      data: orders,
+    });
+  } catch (error) {
+    console.error("Error fetching purchase orders:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch purchase orders" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a draft purchase order
+ * POST /api/purchase-orders
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the created purchase order
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = PurchaseOrderSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Create purchase order via service layer
+    const order = await createPurchaseOrder(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: order,
+        message: "Purchase order created successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating purchase order:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create purchase order" },
+      { status: 500 }
+    );
+  }
+}
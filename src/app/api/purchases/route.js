@@ -0,0 +1,97 @@
+// /src/app/api/purchases/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  createPurchase,
+  getPurchasesByUser,
+} from "@/lib/services/purchase-service";
+import { CreatePurchaseSchema } from "@/lib/schemas/purchase-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles POST requests to finalize a stock receipt
+ * POST /api/purchases
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with created purchase
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreatePurchaseSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Create purchase into the current location via service layer
+    const purchase = await createPurchase(session.user.id, {
+      ...validationResult.data,
+      locationId: await getCurrentLocationId(),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: purchase,
+        message: "Stock received successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Purchase creation API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to receive stock" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles GET requests to fetch purchases
+ * GET /api/purchases
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with purchases list
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Parse query parameters
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get("page") || "1");
+    const limit = parseInt(searchParams.get("limit") || "10");
+
+    // Fetch purchases via service layer
+    const result = await getPurchasesByUser(session.user.id, { page, limit });
+
+    return NextResponse.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Purchases fetch API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
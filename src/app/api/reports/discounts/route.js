@@ -0,0 +1,40 @@
+// /src/app/api/reports/discounts/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getDiscountReport } from "@/lib/services/report-service";
+import { DiscountReportQuerySchema } from "@/lib/schemas/report-schemas";
+
+/**
+ * Handles GET requests for the discount report
+ * GET /api/reports/discounts?days=30&period=day|week|month
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the report
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const options = DiscountReportQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const report = await getDiscountReport(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Discount report API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to build discount report" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+// /src/app/api/reports/expiring/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getExpiringLotsReport } from "@/lib/services/report-service";
+import { ExpiringLotsReportQuerySchema } from "@/lib/schemas/report-schemas";
+
+/**
+ * Handles GET requests for the expiring-soon report
+ * GET /api/reports/expiring?days=30&locationId=
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the report
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const options = ExpiringLotsReportQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const report = await getExpiringLotsReport(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Expiring-soon report API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to build expiring-soon report" },
+      { status: 500 }
+    );
+  }
+}
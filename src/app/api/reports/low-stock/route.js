@@ -0,0 +1,54 @@
+// /src/app/api/reports/low-stock/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getLowStockReport,
+  lowStockReportToCsv,
+} from "@/lib/services/report-service";
+import { LowStockReportQuerySchema } from "@/lib/schemas/report-schemas";
+
+/**
+ * Handles GET requests for the low-stock report
+ * GET /api/reports/low-stock?days=30&coverDays=30&locationId=&format=json|csv
+ * With format=csv the report is returned as a downloadable CSV file.
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON or CSV response with the report
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { format, ...options } = LowStockReportQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const report = await getLowStockReport(session.user.id, options);
+
+    if (format === "csv") {
+      const date = new Date().toISOString().slice(0, 10);
+      return new NextResponse(lowStockReportToCsv(report), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="low-stock-${date}.csv"`,
+        },
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Low-stock report API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to build low-stock report" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+// /src/app/api/reports/profit/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getProfitReport } from "@/lib/services/report-service";
+import { ProfitReportQuerySchema } from "@/lib/schemas/report-schemas";
+
+/**
+ * Handles GET requests for the profit report
+ * GET /api/reports/profit?days=30&period=day|week|month
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the report
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const options = ProfitReportQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const report = await getProfitReport(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Profit report API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to build profit report" },
+      { status: 500 }
+    );
+  }
+}
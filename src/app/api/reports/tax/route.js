@@ -0,0 +1,40 @@
+// /src/app/api/reports/tax/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getTaxReport } from "@/lib/services/report-service";
+import { TaxReportQuerySchema } from "@/lib/schemas/report-schemas";
+
+/**
+ * Handles GET requests for the tax report
+ * GET /api/reports/tax?days=30&period=day|week|month
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the report
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const options = TaxReportQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const report = await getTaxReport(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Tax report API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to build tax report" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+// /src/app/api/reports/valuation/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getInventoryValuation } from "@/lib/services/report-service";
+import { ValuationReportQuerySchema } from "@/lib/schemas/report-schemas";
+
+/**
+ * Handles GET requests for the inventory valuation report
+ * GET /api/reports/valuation?asOf=YYYY-MM-DD
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the report
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const options = ValuationReportQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const report = await getInventoryValuation(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Inventory valuation API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to build inventory valuation" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,71 @@
+// /src/app/api/sales/[id]/receipt/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getSaleById } from "@/lib/services/sale-service";
+import { getSettings } from "@/lib/services/settings-service";
+import {
+  renderInvoicePdf,
+  renderReceiptHtml,
+} from "@/lib/services/receipt-service";
+import {
+  SaleReceiptQuerySchema,
+  formatSaleReference,
+} from "@/lib/schemas/sale-schemas";
+
+/**
+ * Handles GET requests for a sale receipt
+ * GET /api/sales/[id]/receipt?format=html|pdf
+ * format=html returns an 80mm receipt page ready to print, format=pdf a
+ * downloadable A4 invoice. Both carry the shop profile from the settings.
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Sale ID
+ * @returns {Promise<NextResponse>} HTML or PDF response with the receipt
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Parse query parameters
+    const { searchParams } = new URL(request.url);
+    const { format } = SaleReceiptQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const [sale, settings] = await Promise.all([
+      getSaleById(session.user.id, id),
+      getSettings(session.user.id),
+    ]);
+
+    if (!sale) {
+      return NextResponse.json({ error: "Sale not found" }, { status: 404 });
+    }
+
+    if (format === "pdf") {
+      const reference = formatSaleReference(sale.id);
+      return new NextResponse(renderInvoicePdf(sale, settings), {
+        headers: {
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `attachment; filename="invoice-${reference}.pdf"`,
+        },
+      });
+    }
+
+    return new NextResponse(renderReceiptHtml(sale, settings), {
+      headers: { "Content-Type": "text/html; charset=utf-8" },
+    });
+  } catch (error) {
+    console.error("Sale receipt API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to render receipt" },
+      { status: 500 }
+    );
+  }
+}
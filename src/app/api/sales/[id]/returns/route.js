@@ -0,0 +1,61 @@
+// /src/app/api/sales/[id]/returns/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { createSaleReturn } from "@/lib/services/sale-service";
+import { CreateSaleReturnSchema } from "@/lib/schemas/sale-schemas";
+
+/**
+ * Handles POST requests to return items from a sale and refund the customer
+ * POST /api/sales/[id]/returns
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Sale ID
+ * @returns {Promise<NextResponse>} JSON response with the updated sale
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateSaleReturnSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Process return via service layer
+    const sale = await createSaleReturn(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: sale,
+        message: "Return processed successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error processing sale return:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to process return" },
+      { status: 500 }
+    );
+  }
+}
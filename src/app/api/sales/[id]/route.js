@@ -0,0 +1,43 @@
+// /src/app/api/sales/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getSaleById } from "@/lib/services/sale-service";
+
+/**
+ * Handles GET requests to fetch a single sale with its items and returns
+ * GET /api/sales/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Sale ID
+ * @returns {Promise<NextResponse>} JSON response with the sale
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch sale via service layer
+    const sale = await getSaleById(session.user.id, id);
+
+    if (!sale) {
+      return NextResponse.json({ error: "Sale not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: sale,
+    });
+  } catch (error) {
+    console.error("Error fetching sale:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch sale" },
+      { status: 500 }
+    );
+  }
+}
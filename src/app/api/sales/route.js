@@ -0,0 +1,101 @@
+// /src/app/api/sales/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  createSale,
+  getSalesByUser,
+} from "@/lib/services/sale-service";
+import {
+  CreateSaleSchema,
+  SaleListQuerySchema,
+} from "@/lib/schemas/sale-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles POST requests to complete a sale
+ * POST /api/sales
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with created sale
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateSaleSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Create sale at the current location via service layer
+    const sale = await createSale(session.user.id, {
+      ...validationResult.data,
+      locationId: await getCurrentLocationId(),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: sale,
+        message: "Sale completed successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Sale creation API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to complete sale" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles GET requests to fetch sales
+ * GET /api/sales?page=1&limit=10&q=&sort=soldAt&order=desc
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with sales list
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Parse query parameters
+    const { searchParams } = new URL(request.url);
+    const options = SaleListQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    // Fetch sales via service layer
+    const result = await getSalesByUser(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Sales fetch API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
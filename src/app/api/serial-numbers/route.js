@@ -0,0 +1,44 @@
+// /src/app/api/serial-numbers/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getSerialNumberHistory } from "@/lib/services/serial-number-service";
+import { SerialLookupQuerySchema } from "@/lib/schemas/serial-schemas";
+
+/**
+ * Handles GET requests to look up a serial number: the unit's product,
+ * status and location, the supplier it came from, the customer it went to
+ * and its full movement history
+ * GET /api/serial-numbers?serial=
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the serial number, or null if unknown
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const { serial } = SerialLookupQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    const serialNumber = serial
+      ? await getSerialNumberHistory(session.user.id, serial)
+      : null;
+
+    return NextResponse.json({
+      success: true,
+      data: serialNumber,
+    });
+  } catch (error) {
+    console.error("Serial number lookup API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to look up serial number" },
+      { status: 500 }
+    );
+  }
+}
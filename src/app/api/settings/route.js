@@ -0,0 +1,85 @@
+// /src/app/api/settings/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getSettings, updateSettings } from "@/lib/services/settings-service";
+import { UpdateSettingsSchema } from "@/lib/schemas/settings-schemas";
+
+/**
+ * Handles GET requests to fetch the account settings
+ * GET /api/settings
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the settings
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Fetch settings via service layer
+    const settings = await getSettings(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: settings,
+    });
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch settings" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to update the account settings
+ * PUT /api/settings
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the updated settings
+ */
+export async function PUT(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = UpdateSettingsSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Update settings via service layer
+    const settings = await updateSettings(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: settings,
+      message: "Settings saved successfully",
+    });
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update settings" },
+      { status: 500 }
+    );
+  }
+}
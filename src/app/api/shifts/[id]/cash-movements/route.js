@@ -0,0 +1,61 @@
+// /src/app/api/shifts/[id]/cash-movements/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { recordCashMovement } from "@/lib/services/register-shift-service";
+import { CreateCashMovementSchema } from "@/lib/schemas/register-shift-schemas";
+
+/**
+ * Handles POST requests to record cash put into or paid out of the till
+ * POST /api/shifts/[id]/cash-movements
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Shift ID
+ * @returns {Promise<NextResponse>} JSON response with the updated shift
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateCashMovementSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Record cash movement via service layer
+    const shift = await recordCashMovement(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: shift,
+        message: "Cash movement recorded successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error recording cash movement:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to record cash movement" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,53 @@
+// /src/app/api/shifts/[id]/close/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { closeShift } from "@/lib/services/register-shift-service";
+import { CloseShiftSchema } from "@/lib/schemas/register-shift-schemas";
+
+/**
+ * Handles POST requests to close a register shift with the counted cash
+ * POST /api/shifts/[id]/close
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Shift ID
+ * @returns {Promise<NextResponse>} JSON response with the closed shift (Z-report)
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CloseShiftSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    const shift = await closeShift(session.user.id, id, validationResult.data);
+
+    return NextResponse.json({
+      success: true,
+      data: shift,
+      message: "Shift closed successfully",
+    });
+  } catch (error) {
+    console.error("Error closing shift:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to close shift" },
+      { status: 500 }
+    );
+  }
+}
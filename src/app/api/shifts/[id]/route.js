@@ -0,0 +1,43 @@
+// /src/app/api/shifts/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getShiftReport } from "@/lib/services/register-shift-service";
+
+/**
+ * Handles GET requests to fetch a register shift with its totals
+ * GET /api/shifts/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Shift ID
+ * @returns {Promise<NextResponse>} JSON response with the shift report
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch shift via service layer
+    const shift = await getShiftReport(session.user.id, id);
+
+    if (!shift) {
+      return NextResponse.json({ error: "Shift not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: shift,
+    });
+  } catch (error) {
+    console.error("Error fetching shift:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch shift" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,34 @@
+// /src/app/api/shifts/current/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getCurrentShift } from "@/lib/services/register-shift-service";
+
+/**
+ * Handles GET requests to fetch the open register shift
+ * GET /api/shifts/current
+ * Responds with null data when no shift is open.
+ * @returns {Promise<NextResponse>} JSON response with the open shift and its running totals
+ */
+export async function GET() {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const shift = await getCurrentShift(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: shift,
+    });
+  } catch (error) {
+    console.error("Error fetching current shift:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch current shift" },
+      { status: 500 }
+    );
+  }
+}
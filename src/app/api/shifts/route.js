@@ -0,0 +1,97 @@
+// /src/app/api/shifts/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getShiftsByUser,
+  openShift,
+} from "@/lib/services/register-shift-service";
+import {
+  OpenShiftSchema,
+  ShiftListQuerySchema,
+} from "@/lib/schemas/register-shift-schemas";
+
+/**
+ * Handles GET requests to fetch register shifts
+ * GET /api/shifts?page=1&limit=10
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with shifts list
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Parse query parameters
+    const { searchParams } = new URL(request.url);
+    const options = ShiftListQuerySchema.parse(
+      Object.fromEntries(searchParams)
+    );
+
+    // Fetch shifts via service layer
+    const result = await getShiftsByUser(session.user.id, options);
+
+    return NextResponse.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Shifts fetch API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to open a register shift
+ * POST /api/shifts
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the open shift
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = OpenShiftSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Open shift via service layer
+    const shift = await openShift(session.user.id, validationResult.data);
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: shift,
+        message: "Shift opened successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Shift open API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to open shift" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,58 @@
+// /src/app/api/stock-lots/[id]/write-off/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { writeOffStockLot } from "@/lib/services/stock-movement-service";
+import { WriteOffLotSchema } from "@/lib/schemas/product-schemas";
+
+/**
+ * Handles POST requests to write off what is left of a lot
+ * POST /api/stock-lots/[id]/write-off
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stock lot ID
+ * @returns {Promise<NextResponse>} JSON response with the written-off lot
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = WriteOffLotSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Post the write-off as a stock adjustment via service layer
+    const lot = await writeOffStockLot(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: lot,
+      message: "Lot written off successfully",
+    });
+  } catch (error) {
+    console.error("Error writing off lot:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to write off lot" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+// /src/app/api/stock-transfers/[id]/cancel/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { cancelStockTransfer } from "@/lib/services/stock-transfer-service";
+
+/**
+ * Handles POST requests to cancel an in-transit transfer, returning the
+ * stock to the sending location
+ * POST /api/stock-transfers/[id]/cancel
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stock transfer ID
+ * @returns {Promise<NextResponse>} JSON response with the cancelled transfer
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const transfer = await cancelStockTransfer(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Error cancelling stock transfer:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to cancel stock transfer" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,38 @@
+// /src/app/api/stock-transfers/[id]/receive/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { receiveStockTransfer } from "@/lib/services/stock-transfer-service";
+
+/**
+ * Handles POST requests to receive an in-transit transfer at its destination
+ * POST /api/stock-transfers/[id]/receive
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stock transfer ID
+ * @returns {Promise<NextResponse>} JSON response with the received transfer
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const transfer = await receiveStockTransfer(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Error receiving stock transfer:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to receive stock transfer" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,46 @@
+// /src/app/api/stock-transfers/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getStockTransferById } from "@/lib/services/stock-transfer-service";
+
+/**
+ * Handles GET requests to fetch a single stock transfer
+ * GET /api/stock-transfers/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stock transfer ID
+ * @returns {Promise<NextResponse>} JSON response with the stock transfer
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch transfer via service layer
+    const transfer = await getStockTransferById(session.user.id, id);
+
+    if (!transfer) {
+      return NextResponse.json(
+        { error: "Stock transfer not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: transfer,
+    });
+  } catch (error) {
+    console.error("Error fetching stock transfer:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch stock transfer" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,103 @@
+// /src/app/api/stock-transfers/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  createStockTransfer,
+  getStockTransfersByUser,
+} from "@/lib/services/stock-transfer-service";
+import {
+  STOCK_TRANSFER_STATUSES,
+  CreateStockTransferSchema,
+} from "@/lib/schemas/location-schemas";
+
+/**
+ * Handles GET requests to fetch stock transfers
+ * GET /api/stock-transfers?status=IN_TRANSIT
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with stock transfers
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Unknown statuses are ignored rather than rejected
+    const { searchParams } = new URL(request.url);
+    const status = STOCK_TRANSFER_STATUSES.some(
+      (s) => s.value === searchParams.get("status")
+    )
+      ? searchParams.get("status")
+      : undefined;
+
+    const transfers = await getStockTransfersByUser(session.user.id, {
+      status,
+    });
+
+    return NextResponse.json({
+      success: true,
+      data: transfers,
+    });
+  } catch (error) {
+    console.error("Error fetching stock transfers:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch stock transfers" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to send stock between locations
+ * POST /api/stock-transfers
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the created transfer
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateStockTransferSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Send transfer via service layer
+    const transfer = await createStockTransfer(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: transfer,
+        message: "Stock transfer sent successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Stock transfer creation API error:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create stock transfer" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+// /src/app/api/stocktakes/[id]/approve/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { approveStocktake } from "@/lib/services/stocktake-service";
+
+/**
+ * Handles POST requests to approve a stocktake and post its variances as
+ * stock adjustments
+ * POST /api/stocktakes/[id]/approve
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stocktake ID
+ * @returns {Promise<NextResponse>} JSON response with the approved stocktake
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const stocktake = await approveStocktake(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      data: stocktake,
+    });
+  } catch (error) {
+    console.error("Error approving stocktake:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to approve stocktake" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,38 @@
+// /src/app/api/stocktakes/[id]/cancel/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { cancelStocktake } from "@/lib/services/stocktake-service";
+
+/**
+ * Handles POST requests to cancel a stocktake without changing stock
+ * POST /api/stocktakes/[id]/cancel
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stocktake ID
+ * @returns {Promise<NextResponse>} JSON response with the cancelled stocktake
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const stocktake = await cancelStocktake(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      data: stocktake,
+    });
+  } catch (error) {
+    console.error("Error cancelling stocktake:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to cancel stocktake" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+// /src/app/api/stocktakes/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getStocktakeById,
+  saveStocktakeCounts,
+} from "@/lib/services/stocktake-service";
+import { SaveStocktakeCountsSchema } from "@/lib/schemas/stocktake-schemas";
+
+/**
+ * Handles GET requests to fetch a single stocktake
+ * GET /api/stocktakes/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stocktake ID
+ * @returns {Promise<NextResponse>} JSON response with the stocktake
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch stocktake via service layer
+    const stocktake = await getStocktakeById(session.user.id, id);
+
+    if (!stocktake) {
+      return NextResponse.json(
+        { error: "Stocktake not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: stocktake,
+    });
+  } catch (error) {
+    console.error("Error fetching stocktake:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch stocktake" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to save counted quantities on a stocktake
+ * PUT /api/stocktakes/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Stocktake ID
+ * @returns {Promise<NextResponse>} JSON response with the updated stocktake
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = SaveStocktakeCountsSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Save counts via service layer
+    const stocktake = await saveStocktakeCounts(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: stocktake,
+    });
+  } catch (error) {
+    console.error("Error saving stocktake counts:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to save stocktake counts" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,102 @@
+// /src/app/api/stocktakes/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  createStocktake,
+  getStocktakesByUser,
+} from "@/lib/services/stocktake-service";
+import {
+  STOCKTAKE_STATUSES,
+  CreateStocktakeSchema,
+} from "@/lib/schemas/stocktake-schemas";
+import { getCurrentLocationId } from "@/lib/current-location";
+
+/**
+ * Handles GET requests to fetch stocktakes
+ * GET /api/stocktakes?status=COUNTING
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with stocktakes
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Unknown statuses are ignored rather than rejected
+    const { searchParams } = new URL(request.url);
+    const status = STOCKTAKE_STATUSES.some(
+      (s) => s.value === searchParams.get("status")
+    )
+      ? searchParams.get("status")
+      : undefined;
+
+    const stocktakes = await getStocktakesByUser(session.user.id, { status });
+
+    return NextResponse.json({
+      success: true,
+      data: stocktakes,
+    });
+  } catch (error) {
+    console.error("Error fetching stocktakes:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch stocktakes" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to start a stocktake
+ * POST /api/stocktakes
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with the created stocktake
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateStocktakeSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Count the current location via service layer
+    const stocktake = await createStocktake(session.user.id, {
+      ...validationResult.data,
+      locationId: await getCurrentLocationId(),
+    });
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: stocktake,
+        message: "Stocktake started successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating stocktake:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create stocktake" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,45 @@
+// /src/app/api/suppliers/[id]/ledger/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { getSupplierLedger } from "@/lib/services/supplier-service";
+
+/**
+ * Handles GET requests to fetch a supplier's ledger of purchases and payments
+ * GET /api/suppliers/[id]/ledger
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Supplier ID
+ * @returns {Promise<NextResponse>} JSON response with the supplier and ledger entries
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    const ledger = await getSupplierLedger(session.user.id, id);
+
+    if (!ledger) {
+      return NextResponse.json(
+        { error: "Supplier not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: ledger,
+    });
+  } catch (error) {
+    console.error("Error fetching supplier ledger:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch supplier ledger" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,61 @@
+// /src/app/api/suppliers/[id]/payments/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { recordSupplierPayment } from "@/lib/services/supplier-service";
+import { CreateSupplierPaymentSchema } from "@/lib/schemas/supplier-schemas";
+
+/**
+ * Handles POST requests to record a payment made against a supplier's balance
+ * POST /api/suppliers/[id]/payments
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Supplier ID
+ * @returns {Promise<NextResponse>} JSON response with the recorded payment
+ */
+export async function POST(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateSupplierPaymentSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Record payment via service layer
+    const payment = await recordSupplierPayment(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: payment,
+        message: "Payment recorded successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error recording supplier payment:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to record payment" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,139 @@
+// /src/app/api/suppliers/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getSupplierById,
+  updateSupplier,
+  deleteSupplierById,
+} from "@/lib/services/supplier-service";
+import { UpdateSupplierSchema } from "@/lib/schemas/supplier-schemas";
+
+/**
+ * Handles GET requests to fetch a single supplier
+ * GET /api/suppliers/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Supplier ID
+ * @returns {Promise<NextResponse>} JSON response with supplier data
+ */
+export async function GET(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+
+    // Fetch supplier via service layer
+    const supplier = await getSupplierById(session.user.id, id);
+
+    if (!supplier) {
+      return NextResponse.json(
+        { error: "Supplier not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    console.error("Error fetching supplier:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch supplier" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles PUT requests to update a supplier
+ * PUT /api/suppliers/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Supplier ID
+ * @returns {Promise<NextResponse>} JSON response with updated supplier
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = UpdateSupplierSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Update supplier via service layer
+    const supplier = await updateSupplier(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    console.error("Error updating supplier:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update supplier" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles DELETE requests to delete a supplier
+ * DELETE /api/suppliers/[id]?reassignTo=otherSupplierId
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Supplier ID
+ * @returns {Promise<NextResponse>} JSON response with success message
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const reassignToId = searchParams.get("reassignTo") || undefined;
+
+    await deleteSupplierById(session.user.id, id, { reassignToId });
+
+    return NextResponse.json({
+      success: true,
+      message: "Supplier deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting supplier:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to delete supplier" },
+      { status: 500 }
+    );
+  }
+}
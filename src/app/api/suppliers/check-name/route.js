@@ -0,0 +1,54 @@
+// /src/app/api/suppliers/check-name/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import { isSupplierNameUnique } from "@/lib/services/supplier-service";
+import { normalizeName } from "@/lib/utils";
+
+/**
+ * Handles GET requests to check supplier name uniqueness
+ * GET /api/suppliers/check-name?name=SupplierName&excludeId=optionalId
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with uniqueness status
+ */
+export async function GET(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    // Normalize the name parameter immediately upon receipt
+    const name = normalizeName(searchParams.get("name"));
+    const excludeId = searchParams.get("excludeId");
+
+    if (!name) {
+      return NextResponse.json(
+        { error: "Name parameter is required" },
+        { status: 400 }
+      );
+    }
+
+    // The service function now receives clean, normalized data
+    const isUnique = await isSupplierNameUnique(
+      session.user.id,
+      name,
+      excludeId
+    );
+
+    return NextResponse.json({
+      success: true,
+      isUnique,
+      message: isUnique
+        ? "Name is available"
+        : "A supplier with this name already exists",
+    });
+  } catch (error) {
+    console.error("Error checking supplier name:", error);
+    return NextResponse.json(
+      { error: "Failed to check supplier name" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,86 @@
+// /src/app/api/suppliers/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getSuppliersByUser,
+  createSupplier,
+} from "@/lib/services/supplier-service";
+import { CreateSupplierSchema } from "@/lib/schemas/supplier-schemas";
+
+/**
+ * Handles GET requests to fetch suppliers
+ * GET /api/suppliers
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with suppliers
+ */
+export async function GET(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const suppliers = await getSuppliersByUser(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: suppliers,
+    });
+  } catch (error) {
+    console.error("Error fetching suppliers:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch suppliers" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a new supplier
+ * POST /api/suppliers
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with created supplier
+ */
+export async function POST(request) {
+  try {
+    // Authentication check
+    const session = await auth();
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateSupplierSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    const supplier = await createSupplier(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: supplier,
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating supplier:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create supplier" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+// /src/app/api/tax-rates/[id]/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  updateTaxRate,
+  deleteTaxRateById,
+} from "@/lib/services/tax-rate-service";
+import { UpdateTaxRateSchema } from "@/lib/schemas/tax-schemas";
+
+/**
+ * Handles PUT requests to update a tax rate
+ * PUT /api/tax-rates/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Tax rate ID
+ * @returns {Promise<NextResponse>} JSON response with updated tax rate
+ */
+export async function PUT(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = UpdateTaxRateSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    // Update tax rate via service layer
+    const taxRate = await updateTaxRate(
+      session.user.id,
+      id,
+      validationResult.data
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: taxRate,
+      message: "Tax rate updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating tax rate:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to update tax rate" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles DELETE requests to delete a tax rate
+ * DELETE /api/tax-rates/[id]
+ * @param {Request} request - The incoming request object
+ * @param {Object} params - Route parameters
+ * @param {string} params.id - Tax rate ID
+ * @returns {Promise<NextResponse>} JSON response with success message
+ */
+export async function DELETE(request, { params }) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { id } = await params;
+    await deleteTaxRateById(session.user.id, id);
+
+    return NextResponse.json({
+      success: true,
+      message: "Tax rate deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error deleting tax rate:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to delete tax rate" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,90 @@
+// /src/app/api/tax-rates/route.js
+import { auth } from "@/auth";
+import { NextResponse } from "next/server";
+import {
+  getTaxRatesByUser,
+  createTaxRate,
+} from "@/lib/services/tax-rate-service";
+import { CreateTaxRateSchema } from "@/lib/schemas/tax-schemas";
+
+/**
+ * Handles GET requests to fetch tax rates
+ * GET /api/tax-rates
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with tax rates
+ */
+export async function GET(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    // Fetch tax rates via service layer
+    const taxRates = await getTaxRatesByUser(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: taxRates,
+    });
+  } catch (error) {
+    console.error("Error fetching tax rates:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch tax rates" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * Handles POST requests to create a new tax rate
+ * POST /api/tax-rates
+ * @param {Request} request - The incoming request object
+ * @returns {Promise<NextResponse>} JSON response with created tax rate
+ */
+export async function POST(request) {
+  try {
+    // Authentication check (Defense in Depth)
+    const session = await auth();
+
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const body = await request.json();
+
+    // Validate request body
+    const validationResult = CreateTaxRateSchema.safeParse(body);
+    if (!validationResult.success) {
+      return NextResponse.json(
+        {
+          error: "Validation failed",
+          details: validationResult.error.errors,
+        },
+        { status: 400 }
+      );
+    }
+
+    const taxRate = await createTaxRate(
+      session.user.id,
+      validationResult.data
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        data: taxRate,
+        message: "Tax rate created successfully",
+      },
+      { status: 201 }
+    );
+  } catch (error) {
+    console.error("Error creating tax rate:", error);
+    return NextResponse.json(
+      { error: error.message || "Failed to create tax rate" },
+      { status: 500 }
+    );
+  }
+}
@@ -11,6 +11,7 @@ import {
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import { MoreHorizontal, Edit, Trash2 } from "lucide-react";
+import { formatTaxRate } from "@/lib/schemas/tax-schemas";
 
 /**
  * Category table columns configuration for TanStack Table
@@ -44,6 +45,17 @@ export function createCategoryColumns(onEdit, onDelete) {
       },
       enableSorting: false,
     },
+    {
+      id: "taxRate",
+      header: "Tax Rate",
+      cell: ({ row }) => {
+        const taxRate = row.original.taxRate;
+        return (
+          <div className="text-sm">{taxRate ? formatTaxRate(taxRate) : "—"}</div>
+        );
+      },
+      enableSorting: false,
+    },
     {
       accessorKey: "_count.products",
       header: "Products",
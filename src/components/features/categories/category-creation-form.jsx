@@ -11,6 +11,9 @@ import { Label } from "@/components/ui/label";
 import { useCategoryCreateMutation } from "@/hooks/use-category-create-mutation";
 import { useDebouncedCategoryNameValidation } from "@/hooks/use-debounced-category-name-validation";
 import { CategoryFormSchema } from "@/lib/schemas/category-schemas";
+import TaxRateSelect, {
+  NO_TAX_RATE,
+} from "@/components/features/settings/tax-rate-select";
 import CategoryNameValidation from "./category-name-validation";
 
 /**
@@ -26,12 +29,14 @@ export default function CategoryCreationForm({ onCategoryCreated }) {
     handleSubmit,
     reset,
     watch,
+    setValue,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(CategoryFormSchema),
     defaultValues: {
       name: "",
       description: "",
+      taxRateId: NO_TAX_RATE,
     },
   });
 
@@ -55,7 +60,10 @@ export default function CategoryCreationForm({ onCategoryCreated }) {
       return;
     }
 
-    createCategoryMutation.mutate(data);
+    createCategoryMutation.mutate({
+      ...data,
+      taxRateId: data.taxRateId === NO_TAX_RATE ? undefined : data.taxRateId,
+    });
 
     // Clear form and focus first input for quick continuation
     reset();
@@ -112,6 +120,17 @@ export default function CategoryCreationForm({ onCategoryCreated }) {
             )}
           </div>
 
+          {/* Tax Rate */}
+          <div className="space-y-2">
+            <Label htmlFor="taxRateId">Tax Rate</Label>
+            <TaxRateSelect
+              id="taxRateId"
+              value={watch("taxRateId")}
+              onValueChange={(value) => setValue("taxRateId", value)}
+              emptyLabel="No tax"
+            />
+          </div>
+
           <Button
             type="submit"
             disabled={
@@ -20,6 +20,9 @@ import { useCategoryEdit } from "@/hooks/use-category-edit";
 import { useDebouncedCategoryNameValidation } from "@/hooks/use-debounced-category-name-validation";
 import { CategoryFormSchema } from "@/lib/schemas/category-schemas";
 import { normalizeName } from "@/lib/utils";
+import TaxRateSelect, {
+  NO_TAX_RATE,
+} from "@/components/features/settings/tax-rate-select";
 import CategoryNameValidation from "./category-name-validation";
 import CategoryDeleteDialog from "./category-delete-dialog";
 
@@ -49,6 +52,7 @@ export default function CategoryEditModal({ categoryId, isOpen, onClose }) {
     handleSubmit,
     reset,
     watch,
+    setValue,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(CategoryFormSchema),
@@ -71,6 +75,7 @@ export default function CategoryEditModal({ categoryId, isOpen, onClose }) {
       const defaultValues = {
         name: category.name || "",
         description: category.description || "",
+        taxRateId: category.taxRateId || NO_TAX_RATE,
       };
       reset(defaultValues);
       setIsFormActuallyDirty(false);
@@ -84,6 +89,7 @@ export default function CategoryEditModal({ categoryId, isOpen, onClose }) {
     const defaultValues = {
       name: category.name || "",
       description: category.description || "",
+      taxRateId: category.taxRateId || NO_TAX_RATE,
     };
 
     let dirty = false;
@@ -112,7 +118,10 @@ export default function CategoryEditModal({ categoryId, isOpen, onClose }) {
       toast.error("Please use a unique category name");
       return;
     }
-    handleUpdate(data);
+    handleUpdate({
+      ...data,
+      taxRateId: data.taxRateId === NO_TAX_RATE ? null : data.taxRateId,
+    });
   };
 
   const handleDeleteConfirm = () => {
@@ -192,6 +201,17 @@ export default function CategoryEditModal({ categoryId, isOpen, onClose }) {
               )}
             </div>
 
+            {/* Tax Rate */}
+            <div className="space-y-2">
+              <Label htmlFor="taxRateId">Tax Rate</Label>
+              <TaxRateSelect
+                id="taxRateId"
+                value={watch("taxRateId")}
+                onValueChange={(value) => setValue("taxRateId", value)}
+                emptyLabel="No tax"
+              />
+            </div>
+
             {/* Action Buttons */}
             <div className="flex justify-between pt-4">
               <Button
@@ -0,0 +1,54 @@
+// /src/components/features/customers/customer-creation-cockpit.jsx
+"use client";
+
+import { useState } from "react";
+import CustomerCreationForm from "@/components/features/customers/customer-creation-form";
+import CustomerSessionCreationList from "@/components/features/customers/customer-session-creation-list";
+import CustomerEditModal from "@/components/features/customers/customer-edit-modal";
+
+/**
+ * Customer creation cockpit client component
+ * Manages state for creating and editing customers within a session.
+ * @returns {JSX.Element} Customer creation cockpit with two-column layout
+ */
+export default function CustomerCreationCockpit() {
+  const [editingCustomer, setEditingCustomer] = useState(null);
+
+  /**
+   * Handles customer edit request
+   * Opens the standard edit modal
+   * @param {Object} customer - Customer to edit
+   */
+  const handleEditCustomer = (customer) => {
+    setEditingCustomer(customer);
+  };
+
+  const handleCloseModal = () => {
+    setEditingCustomer(null);
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Left Column: Creation Form */}
+        <div>
+          <CustomerCreationForm />
+        </div>
+
+        {/* Right Column: Session Creation List */}
+        <div>
+          <CustomerSessionCreationList onEditCustomer={handleEditCustomer} />
+        </div>
+      </div>
+
+      {/* Edit Modal */}
+      {editingCustomer && (
+        <CustomerEditModal
+          customerId={editingCustomer.id}
+          isOpen={!!editingCustomer}
+          onClose={handleCloseModal}
+        />
+      )}
+    </>
+  );
+}
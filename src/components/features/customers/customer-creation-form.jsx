@@ -0,0 +1,100 @@
+// /src/components/features/customers/customer-creation-form.jsx
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useCustomerCreateMutation } from "@/hooks/use-customer-create-mutation";
+import { useDebouncedCustomerNameValidation } from "@/hooks/use-debounced-customer-name-validation";
+import { CustomerFormSchema } from "@/lib/schemas/customer-schemas";
+import CustomerFormFields from "./customer-form-fields";
+
+/**
+ * Customer creation form component with optimistic updates
+ * Handles form submission and validation for creating new customers
+ * @param {Object} props - Component props
+ * @param {Function} [props.onCustomerCreated] - Optional callback when customer is successfully created
+ * @returns {JSX.Element} Customer creation form
+ */
+export default function CustomerCreationForm({ onCustomerCreated }) {
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(CustomerFormSchema),
+    defaultValues: {
+      name: "",
+      contactEmail: "",
+      contactPhone: "",
+      address: "",
+    },
+  });
+
+  const watchedName = watch("name");
+  const nameValidation = useDebouncedCustomerNameValidation(watchedName);
+  const { createCustomerMutation } =
+    useCustomerCreateMutation(onCustomerCreated);
+
+  const isNameTaken =
+    !nameValidation.isUnique &&
+    nameValidation.hasChecked &&
+    watchedName.trim().length > 0;
+
+  /**
+   * Handles form submission
+   * @param {Object} data - Form data (already trimmed by Zod schema)
+   */
+  const onSubmit = (data) => {
+    // Check name uniqueness before submitting
+    if (isNameTaken) {
+      toast.error("Please use a unique customer name");
+      return;
+    }
+
+    createCustomerMutation.mutate(data);
+
+    // Clear form and focus first input for quick continuation
+    reset();
+    setTimeout(() => {
+      const firstInput = document.querySelector('input[name="name"]');
+      if (firstInput) firstInput.focus();
+    }, 100);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Add New Customer</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <CustomerFormFields
+            register={register}
+            errors={errors}
+            watch={watch}
+            nameValidation={nameValidation}
+          />
+
+          <Button
+            type="submit"
+            disabled={
+              createCustomerMutation.isPending ||
+              nameValidation.isChecking ||
+              isNameTaken
+            }
+            className="w-full"
+          >
+            {createCustomerMutation.isPending
+              ? "Saving..."
+              : "Save and Add Another"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,134 @@
+// /src/components/features/customers/customer-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import { createCustomerColumns } from "@/components/features/customers/customer-columns";
+import { Users } from "lucide-react";
+import { queryKeys } from "@/lib/queryKeys";
+import CustomerEditModal from "./customer-edit-modal";
+import CustomerDeleteDialog from "./customer-delete-dialog";
+import { fetchCustomers, deleteCustomer } from "@/lib/api/customers-api";
+
+/**
+ * Client component to render the customers data table.
+ * It uses TanStack Query to manage and update the customer list.
+ * @param {{ initialCustomersData: Array }} props
+ * @returns {JSX.Element}
+ */
+export default function CustomerDataTable({ initialCustomersData }) {
+  const queryClient = useQueryClient();
+  const [editingCustomerId, setEditingCustomerId] = useState(null);
+  const [deletingCustomer, setDeletingCustomer] = useState(null);
+
+  const {
+    data: customers = [],
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("customers"),
+    queryFn: fetchCustomers,
+    initialData: initialCustomersData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteCustomer,
+    onMutate: async (customerId) => {
+      await queryClient.cancelQueries({
+        queryKey: queryKeys.list("customers"),
+      });
+      const previousCustomersData = queryClient.getQueryData(
+        queryKeys.list("customers")
+      );
+
+      queryClient.setQueryData(queryKeys.list("customers"), (oldData) => {
+        if (!oldData) return [];
+        return oldData.filter((c) => c.id !== customerId);
+      });
+
+      return { previousCustomersData };
+    },
+    onError: (err, variables, context) => {
+      toast.error(err.message || "Failed to delete customer");
+      if (context?.previousCustomersData) {
+        queryClient.setQueryData(
+          queryKeys.list("customers"),
+          context.previousCustomersData
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("customers") });
+      setDeletingCustomer(null);
+    },
+    onSuccess: () => {
+      toast.success("Customer deleted successfully!");
+    },
+  });
+
+  const columns = createCustomerColumns(setEditingCustomerId, (customerId) => {
+    const customer = customers.find((c) => c.id === customerId);
+    setDeletingCustomer(customer);
+  });
+
+  const handleDelete = () => {
+    if (deletingCustomer) {
+      deleteMutation.mutate(deletingCustomer.id);
+    }
+  };
+
+  if (isLoading && !initialCustomersData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading customers. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (!customers || customers.length === 0) {
+    return (
+      <EmptyState
+        icon={Users}
+        title="No customers yet"
+        description="Add your regular customers to keep their contact details on file, sell to them on account and track what they owe."
+        actionLabel="Add First Customer"
+        actionHref="/dashboard/customers/new"
+      />
+    );
+  }
+
+  return (
+    <>
+      <DataTable
+        columns={columns}
+        data={customers}
+        filterKey="name"
+        filterPlaceholder="Search by name, phone or email..."
+      />
+      {editingCustomerId && (
+        <CustomerEditModal
+          customerId={editingCustomerId}
+          isOpen={!!editingCustomerId}
+          onClose={() => setEditingCustomerId(null)}
+        />
+      )}
+      <CustomerDeleteDialog
+        isOpen={!!deletingCustomer}
+        onClose={() => setDeletingCustomer(null)}
+        onConfirm={handleDelete}
+        customerName={deletingCustomer?.name || ""}
+        saleCount={deletingCustomer?._count?.sales || 0}
+        paymentCount={deletingCustomer?._count?.payments || 0}
+        isPending={deleteMutation.isPending}
+      />
+    </>
+  );
+}
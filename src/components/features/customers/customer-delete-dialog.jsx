@@ -0,0 +1,80 @@
+// /src/components/features/customers/customer-delete-dialog.jsx
+"use client";
+
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { AlertTriangle } from "lucide-react";
+
+/**
+ * Customer delete confirmation dialog
+ * Customers with sales or payments on record cannot be deleted.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {Function} props.onClose - Function to close the dialog
+ * @param {Function} props.onConfirm - Function to confirm deletion
+ * @param {string} props.customerName - Name of the customer to delete
+ * @param {number} props.saleCount - Number of sales made to this customer
+ * @param {number} props.paymentCount - Number of payments received from this customer
+ * @param {boolean} props.isPending - Whether the deletion is in progress
+ * @returns {JSX.Element} Delete confirmation dialog
+ */
+export default function CustomerDeleteDialog({
+  isOpen,
+  onClose,
+  onConfirm,
+  customerName,
+  saleCount = 0,
+  paymentCount = 0,
+  isPending,
+}) {
+  const hasHistory = saleCount > 0 || paymentCount > 0;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5 text-red-500" />
+            Delete Customer
+          </DialogTitle>
+          <DialogDescription asChild>
+            <div className="space-y-2">
+              <p>
+                Are you sure you want to delete the customer{" "}
+                <span className="font-medium">"{customerName}"</span>?
+              </p>
+              {hasHistory && (
+                <p className="text-red-600 font-medium">
+                  This customer has {saleCount}{" "}
+                  {saleCount === 1 ? "sale" : "sales"} and {paymentCount}{" "}
+                  {paymentCount === 1 ? "payment" : "payments"} on record and
+                  cannot be deleted.
+                </p>
+              )}
+              {!hasHistory && <p>This action cannot be undone.</p>}
+            </div>
+          </DialogDescription>
+        </DialogHeader>
+        <DialogFooter className="flex gap-2">
+          <Button variant="outline" onClick={onClose} disabled={isPending}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={onConfirm}
+            disabled={isPending || hasHistory}
+          >
+            {isPending ? "Deleting..." : "Delete Customer"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
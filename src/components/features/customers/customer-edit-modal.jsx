@@ -0,0 +1,203 @@
+// /src/components/features/customers/customer-edit-modal.jsx
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { VisuallyHidden } from "@radix-ui/react-visually-hidden";
+import { useCustomerEdit } from "@/hooks/use-customer-edit";
+import { useDebouncedCustomerNameValidation } from "@/hooks/use-debounced-customer-name-validation";
+import { CustomerFormSchema } from "@/lib/schemas/customer-schemas";
+import { normalizeName } from "@/lib/utils";
+import CustomerFormFields from "./customer-form-fields";
+import CustomerDeleteDialog from "./customer-delete-dialog";
+
+/**
+ * Builds the form values for a customer
+ * @param {Object} customer - Customer data
+ * @returns {Object} Form default values
+ */
+function toFormValues(customer) {
+  return {
+    name: customer.name || "",
+    contactEmail: customer.contactEmail || "",
+    contactPhone: customer.contactPhone || "",
+    address: customer.address || "",
+  };
+}
+
+/**
+ * Reusable modal for editing a customer.
+ * @param {Object} props
+ * @param {string} props.customerId - The ID of the customer to edit
+ * @param {boolean} props.isOpen - Controls if the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ */
+export default function CustomerEditModal({ customerId, isOpen, onClose }) {
+  const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  // Custom dirty state for meaningful changes
+  const [isFormActuallyDirty, setIsFormActuallyDirty] = useState(false);
+
+  const {
+    customer,
+    isLoading,
+    updateMutation,
+    deleteMutation,
+    handleUpdate,
+    handleDelete,
+  } = useCustomerEdit(customerId, isOpen, onClose);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(CustomerFormSchema),
+  });
+
+  // Watch the name field for validation
+  const watchedName = watch("name");
+  // Watch all form values for custom dirty check
+  const watchedValues = watch();
+
+  // Pass the original customer name to the hook for initial-state-aware validation
+  const nameValidation = useDebouncedCustomerNameValidation(
+    watchedName,
+    customer?.name,
+    customerId
+  );
+
+  useEffect(() => {
+    if (customer) {
+      reset(toFormValues(customer));
+      setIsFormActuallyDirty(false);
+    }
+  }, [customer, reset]);
+
+  // Custom dirty check: only mark dirty if a meaningful (normalized) value changed
+  useEffect(() => {
+    if (!customer) return;
+
+    const defaultValues = toFormValues(customer);
+
+    let dirty = false;
+    for (const key in defaultValues) {
+      if (
+        normalizeName(watchedValues[key]) !== normalizeName(defaultValues[key])
+      ) {
+        dirty = true;
+        break;
+      }
+    }
+    setIsFormActuallyDirty(dirty);
+  }, [watchedValues, customer]);
+
+  const onSubmit = (data) => {
+    // Check name uniqueness if name has changed
+    // Note: data.name is already normalized by Zod schema's .transform()
+    if (
+      customer &&
+      data.name !== customer.name &&
+      !nameValidation.isUnique &&
+      nameValidation.hasChecked
+    ) {
+      toast.error("Please use a unique customer name");
+      return;
+    }
+    handleUpdate(data);
+  };
+
+  // Derived state logic uses normalization for comparison
+  const hasNameChanged =
+    customer && normalizeName(watchedName) !== normalizeName(customer.name);
+  const isNameInvalid =
+    hasNameChanged && !nameValidation.isUnique && nameValidation.hasChecked;
+  const isNameBeingChecked = hasNameChanged && nameValidation.isChecking;
+
+  if (isLoading && isOpen) {
+    return (
+      <Dialog open={isOpen} onOpenChange={onClose}>
+        <DialogContent>
+          <VisuallyHidden asChild>
+            <DialogTitle>Loading</DialogTitle>
+          </VisuallyHidden>
+          <div className="p-8 text-center">Loading...</div>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
+  return (
+    <>
+      <Dialog open={isOpen} onOpenChange={onClose}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Edit Customer</DialogTitle>
+            <DialogDescription>
+              Update the details for this customer.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <CustomerFormFields
+              register={register}
+              errors={errors}
+              watch={watch}
+              nameValidation={nameValidation}
+              customer={customer}
+            />
+
+            {/* Action Buttons */}
+            <div className="flex justify-between pt-4">
+              <Button
+                type="button"
+                variant="destructive"
+                onClick={() => setShowDeleteDialog(true)}
+                disabled={updateMutation.isPending || deleteMutation.isPending}
+              >
+                Delete
+              </Button>
+              <div className="flex space-x-2">
+                <Button type="button" variant="outline" onClick={onClose}>
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  disabled={
+                    !isFormActuallyDirty ||
+                    updateMutation.isPending ||
+                    deleteMutation.isPending ||
+                    isNameBeingChecked ||
+                    isNameInvalid
+                  }
+                >
+                  {updateMutation.isPending ? "Saving..." : "Save Changes"}
+                </Button>
+              </div>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <CustomerDeleteDialog
+        isOpen={showDeleteDialog}
+        onClose={() => setShowDeleteDialog(false)}
+        onConfirm={handleDelete}
+        customerName={customer?.name || ""}
+        saleCount={customer?._count?.sales || 0}
+        paymentCount={customer?._count?.payments || 0}
+        isPending={deleteMutation.isPending}
+      />
+    </>
+  );
+}
@@ -0,0 +1,101 @@
+// /src/components/features/customers/customer-form-fields.jsx
+"use client";
+
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import CustomerNameValidation from "./customer-name-validation";
+
+/**
+ * Customer form fields component shared by the creation form and edit modal
+ * @param {Object} props
+ * @param {Object} props.register - React Hook Form register function
+ * @param {Object} props.errors - Form validation errors
+ * @param {Function} props.watch - React Hook Form watch function
+ * @param {Object} props.nameValidation - Name validation state
+ * @param {Object} [props.customer] - Current customer data (edit mode)
+ * @returns {JSX.Element} Form fields component
+ */
+export default function CustomerFormFields({
+  register,
+  errors,
+  watch,
+  nameValidation,
+  customer,
+}) {
+  const watchedName = watch("name") || "";
+  const isNameTaken =
+    !nameValidation.isUnique &&
+    nameValidation.hasChecked &&
+    watchedName.trim().length > 0 &&
+    (!customer || watchedName !== customer.name);
+
+  return (
+    <>
+      {/* Customer Name */}
+      <div className="space-y-2">
+        <Label htmlFor="name">Customer Name *</Label>
+        <Input
+          id="name"
+          {...register("name")}
+          className={errors.name || isNameTaken ? "border-red-500" : ""}
+          placeholder="Enter customer name"
+        />
+        {errors.name && (
+          <p className="text-sm text-red-500">{errors.name.message}</p>
+        )}
+        <CustomerNameValidation
+          watchedName={watchedName}
+          customer={customer}
+          {...nameValidation}
+        />
+      </div>
+
+      {/* Contact Fields */}
+      <div className="grid grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label htmlFor="contactPhone">Phone</Label>
+          <Input
+            id="contactPhone"
+            type="tel"
+            {...register("contactPhone")}
+            placeholder="Phone (optional)"
+          />
+          {errors.contactPhone && (
+            <p className="text-sm text-red-500">
+              {errors.contactPhone.message}
+            </p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <Label htmlFor="contactEmail">Email</Label>
+          <Input
+            id="contactEmail"
+            type="email"
+            {...register("contactEmail")}
+            placeholder="Email (optional)"
+            className={errors.contactEmail ? "border-red-500" : ""}
+          />
+          {errors.contactEmail && (
+            <p className="text-sm text-red-500">
+              {errors.contactEmail.message}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Address */}
+      <div className="space-y-2">
+        <Label htmlFor="address">Address</Label>
+        <Input
+          id="address"
+          {...register("address")}
+          placeholder="Address (optional)"
+        />
+        {errors.address && (
+          <p className="text-sm text-red-500">{errors.address.message}</p>
+        )}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,110 @@
+// /src/components/features/customers/customer-payment-form.jsx
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useCustomerPaymentMutation } from "@/hooks/use-customer-payment-mutation";
+import { CustomerPaymentFormSchema } from "@/lib/schemas/customer-schemas";
+
+const DEFAULT_VALUES = { amount: "", note: "" };
+
+/**
+ * Form for recording a payment received from a customer
+ * @param {Object} props
+ * @param {Object} props.customer - Customer receiving the payment
+ * @returns {JSX.Element} Customer payment form card
+ */
+export default function CustomerPaymentForm({ customer }) {
+  const {
+    register,
+    handleSubmit,
+    reset,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(CustomerPaymentFormSchema),
+    defaultValues: DEFAULT_VALUES,
+  });
+
+  const { paymentMutation } = useCustomerPaymentMutation(customer.id, () =>
+    reset(DEFAULT_VALUES)
+  );
+
+  const onSubmit = (data) => {
+    paymentMutation.mutate({
+      amount: parseFloat(data.amount),
+      note: data.note || undefined,
+    });
+  };
+
+  const hasBalance = customer.balance > 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Record Payment</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="amount">Amount *</Label>
+            <div className="flex space-x-2">
+              <Input
+                id="amount"
+                type="number"
+                min="0"
+                step="0.01"
+                {...register("amount")}
+                placeholder="0.00"
+                disabled={!hasBalance}
+                className={errors.amount ? "border-red-500" : ""}
+              />
+              <Button
+                type="button"
+                variant="outline"
+                disabled={!hasBalance}
+                onClick={() =>
+                  setValue("amount", customer.balance.toFixed(2), {
+                    shouldValidate: true,
+                  })
+                }
+              >
+                Full
+              </Button>
+            </div>
+            {errors.amount && (
+              <p className="text-sm text-red-500">{errors.amount.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="note">Note</Label>
+            <Input
+              id="note"
+              {...register("note")}
+              placeholder="Cash, bank transfer, receipt no. (optional)"
+              disabled={!hasBalance}
+            />
+          </div>
+
+          <Button
+            type="submit"
+            className="w-full"
+            disabled={!hasBalance || paymentMutation.isPending}
+          >
+            {paymentMutation.isPending ? "Saving..." : "Record Payment"}
+          </Button>
+          {!hasBalance && (
+            <p className="text-sm text-center text-gray-500">
+              This customer has no outstanding balance.
+            </p>
+          )}
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,223 @@
+// /src/components/features/customers/customer-session-creation-list.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Edit, Trash2, Users } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { queryKeys } from "@/lib/queryKeys";
+import { deleteCustomer } from "@/lib/api/customers-api";
+import CustomerDeleteDialog from "./customer-delete-dialog";
+
+/**
+ * Customer list item component for session creation list
+ * @param {Object} props - Component props
+ * @param {Object} props.customer - Customer data
+ * @param {Function} props.onEdit - Edit callback function
+ * @param {Function} props.onDelete - Delete callback function
+ * @returns {JSX.Element} Customer list item
+ */
+function CustomerListItem({ customer, onEdit, onDelete }) {
+  const isOptimistic = customer.id.toString().startsWith("optimistic-");
+  const isUpdating = !!customer.isUpdating;
+
+  return (
+    <div
+      className={`flex items-center justify-between p-3 border rounded-lg transition-colors ${
+        isOptimistic || isUpdating
+          ? "bg-blue-50 border-blue-200 animate-pulse"
+          : "bg-gray-50 hover:bg-gray-100"
+      }`}
+    >
+      <div className="flex-1">
+        <h4
+          className={`font-medium ${
+            isOptimistic || isUpdating ? "text-blue-900" : "text-gray-900"
+          }`}
+        >
+          {customer.name}
+          {(isOptimistic || isUpdating) && (
+            <span className="text-xs ml-2 text-blue-600">(saving...)</span>
+          )}
+        </h4>
+        {(customer.contactPhone || customer.contactEmail) && (
+          <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
+            {customer.contactPhone && <span>{customer.contactPhone}</span>}
+            {customer.contactEmail && <span>{customer.contactEmail}</span>}
+          </div>
+        )}
+        {customer.address && (
+          <p className="text-sm text-gray-500 mt-1 truncate">
+            {customer.address}
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-2 ml-3">
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onEdit(customer)}
+          disabled={isOptimistic || isUpdating}
+        >
+          <Edit className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onDelete(customer)}
+          disabled={isOptimistic || isUpdating}
+          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        >
+          <Trash2 className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Session creation list component using TanStack Query
+ * Displays customers created in the current session from the query cache
+ * @param {Object} props - Component props
+ * @param {Function} props.onEditCustomer - Edit customer callback
+ * @returns {JSX.Element} Session creation list
+ */
+export default function CustomerSessionCreationList({ onEditCustomer }) {
+  const queryClient = useQueryClient();
+  const [deletingCustomer, setDeletingCustomer] = useState(null);
+
+  const { data: customers = [] } = useQuery({
+    queryKey: queryKeys.session("customers"),
+    queryFn: () => {
+      return [];
+    },
+    staleTime: Infinity,
+    initialData: [],
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteCustomer,
+    onMutate: async (customerId) => {
+      await queryClient.cancelQueries();
+      const previousSessionCustomers = queryClient.getQueryData(
+        queryKeys.session("customers")
+      );
+      const previousCustomersData = queryClient.getQueryData(
+        queryKeys.list("customers")
+      );
+
+      // Remove from session list
+      queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+        if (!old) return [];
+        return old.filter((c) => c.id !== customerId);
+      });
+
+      // Remove from main customers list
+      queryClient.setQueryData(queryKeys.list("customers"), (oldData) => {
+        if (!oldData) return oldData;
+        return oldData.filter((c) => c.id !== customerId);
+      });
+
+      return { previousSessionCustomers, previousCustomersData };
+    },
+    onError: (err, customerId, context) => {
+      toast.error(err.message || "Failed to delete customer");
+      if (context?.previousSessionCustomers) {
+        queryClient.setQueryData(
+          queryKeys.session("customers"),
+          context.previousSessionCustomers
+        );
+      }
+      if (context?.previousCustomersData) {
+        queryClient.setQueryData(
+          queryKeys.list("customers"),
+          context.previousCustomersData
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("customers") });
+      setDeletingCustomer(null);
+    },
+    onSuccess: () => {
+      toast.success("Customer deleted successfully!");
+    },
+  });
+
+  const handleDelete = () => {
+    if (deletingCustomer) {
+      // Check if it's an optimistic customer (not yet saved to server)
+      if (deletingCustomer.id.toString().startsWith("optimistic-")) {
+        // Just remove from session cache for optimistic customers
+        queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+          if (!old) return [];
+          return old.filter((c) => c.id !== deletingCustomer.id);
+        });
+        toast.success("Customer removed from session!");
+        setDeletingCustomer(null);
+      } else {
+        // Delete from server for real customers
+        deleteMutation.mutate(deletingCustomer.id);
+      }
+    }
+  };
+
+  return (
+    <>
+      <Card className="h-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Users className="w-5 h-5 mr-2" />
+            Customers Added This Session
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              ({customers.length})
+            </span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {customers.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <Users className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              <p className="text-sm">No customers added yet</p>
+              <p className="text-xs mt-1">
+                Customers you create will appear here instantly
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {customers.map((customer) => (
+                <CustomerListItem
+                  key={customer.id}
+                  customer={customer}
+                  onEdit={onEditCustomer}
+                  onDelete={setDeletingCustomer}
+                />
+              ))}
+            </div>
+          )}
+
+          {customers.length > 0 && (
+            <div className="mt-4 pt-4 border-t">
+              <Button className="w-full" asChild>
+                <a href="/dashboard/customers">
+                  Save and Finish ({customers.length} customers)
+                </a>
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <CustomerDeleteDialog
+        isOpen={!!deletingCustomer}
+        onClose={() => setDeletingCustomer(null)}
+        onConfirm={handleDelete}
+        customerName={deletingCustomer?.name || ""}
+        isPending={deleteMutation.isPending}
+      />
+    </>
+  );
+}
@@ -0,0 +1,117 @@
+// /src/components/features/customers/customer-statement.jsx
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import CustomerPaymentForm from "@/components/features/customers/customer-payment-form";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchCustomerStatement } from "@/lib/api/customers-api";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Customer account statement client component
+ * Lists every charge and payment with a running balance, next to the
+ * payment form. Hydrated from the server-rendered statement.
+ * @param {{ initialStatement: { customer: Object, entries: Array } }} props
+ * @returns {JSX.Element} Customer statement view
+ */
+export default function CustomerStatement({ initialStatement }) {
+  const customerId = initialStatement.customer.id;
+
+  const { data: statement } = useQuery({
+    queryKey: queryKeys.detail("customerStatements", customerId),
+    queryFn: () => fetchCustomerStatement(customerId),
+    initialData: initialStatement,
+  });
+
+  const { customer, entries } = statement;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Statement */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Statement</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Charge</TableHead>
+                    <TableHead className="text-right">Payment</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.length ? (
+                    entries.map((entry) => (
+                      <TableRow key={`${entry.type}-${entry.id}`}>
+                        <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                          {formatDateTime(entry.date)}
+                        </TableCell>
+                        <TableCell>{entry.description}</TableCell>
+                        <TableCell className="text-right">
+                          {entry.charge ? `$${entry.charge.toFixed(2)}` : ""}
+                        </TableCell>
+                        <TableCell className="text-right text-green-600">
+                          {entry.payment ? `$${entry.payment.toFixed(2)}` : ""}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">
+                          ${entry.balance.toFixed(2)}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={5} className="h-24 text-center">
+                        No sales on account or payments yet.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Balance and payment */}
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Outstanding Balance</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p
+              className={`text-3xl font-bold ${
+                customer.balance > 0 ? "text-red-600" : "text-gray-900"
+              }`}
+            >
+              ${customer.balance.toFixed(2)}
+            </p>
+            {(customer.contactPhone || customer.contactEmail) && (
+              <div className="mt-3 text-sm text-gray-600 space-y-1">
+                {customer.contactPhone && <p>{customer.contactPhone}</p>}
+                {customer.contactEmail && <p>{customer.contactEmail}</p>}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <CustomerPaymentForm customer={customer} />
+      </div>
+    </div>
+  );
+}
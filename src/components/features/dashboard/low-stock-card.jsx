@@ -0,0 +1,82 @@
+// /src/components/features/dashboard/low-stock-card.jsx
+import Link from "next/link";
+import { AlertTriangle } from "lucide-react";
+
+const MAX_ITEMS = 5;
+
+/**
+ * Dashboard card listing the products that need reordering
+ * Shows the first few low-stock products by supplier and links to the full
+ * report.
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Low-stock report from getLowStockReport
+ * @returns {JSX.Element} Low-stock card
+ */
+export default function LowStockCard({ report }) {
+  const lines = report.groups
+    .flatMap((group) =>
+      group.items.map((item) => ({
+        ...item,
+        supplierName: group.supplier?.name ?? "No supplier",
+      }))
+    )
+    .slice(0, MAX_ITEMS);
+
+  return (
+    <div className="bg-white p-6 rounded-lg border border-gray-200">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-600">Low Stock</h3>
+        <AlertTriangle
+          className={`h-5 w-5 ${
+            report.totalProducts > 0 ? "text-amber-500" : "text-gray-400"
+          }`}
+        />
+      </div>
+      {report.totalProducts === 0 ? (
+        <p className="mt-2 text-sm text-gray-600">
+          Every active product is above its reorder point.
+        </p>
+      ) : (
+        <>
+          <p className="mt-2 text-2xl font-bold text-amber-600">
+            {report.totalProducts}{" "}
+            <span className="text-sm font-medium text-gray-600">
+              {report.totalProducts === 1 ? "product" : "products"} to reorder
+            </span>
+          </p>
+          <ul className="mt-4 divide-y divide-gray-100 text-sm">
+            {lines.map((line) => (
+              <li
+                key={line.id}
+                className="flex items-center justify-between gap-4 py-2"
+              >
+                <div className="min-w-0">
+                  <p className="truncate font-medium text-gray-900">
+                    {line.name}
+                  </p>
+                  <p className="truncate text-xs text-gray-500">
+                    {line.supplierName}
+                  </p>
+                </div>
+                <div className="text-right whitespace-nowrap">
+                  <p className="text-red-600">
+                    {line.stock} / {line.reorderPoint}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Order {line.suggestedQuantity}
+                  </p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      <Link
+        href="/dashboard/reports/low-stock"
+        className="mt-4 inline-block text-sm font-medium text-primary hover:underline"
+      >
+        View full report
+      </Link>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+// /src/components/features/dashboard/stat-card.jsx
+import Link from "next/link";
+
+/**
+ * Dashboard statistic card
+ * @param {Object} props - Component props
+ * @param {string} props.title - Statistic label
+ * @param {string | number} props.value - Statistic value
+ * @param {React.ComponentType} props.icon - Lucide icon component
+ * @param {string} [props.href] - Optional link to the related page
+ * @param {string} [props.valueClassName] - Optional classes for the value
+ * @returns {JSX.Element} Stat card
+ */
+export default function StatCard({
+  title,
+  value,
+  icon: Icon,
+  href,
+  valueClassName = "text-gray-900",
+}) {
+  const content = (
+    <div className="bg-white p-6 rounded-lg border border-gray-200 h-full transition-colors hover:border-gray-300">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-600">{title}</h3>
+        <Icon className="h-5 w-5 text-gray-400" />
+      </div>
+      <p className={`mt-2 text-2xl font-bold ${valueClassName}`}>{value}</p>
+    </div>
+  );
+
+  return href ? <Link href={href}>{content}</Link> : content;
+}
@@ -10,16 +10,66 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
-import { MoreHorizontal, Edit, Trash2 } from "lucide-react";
+import {
+  ChevronDown,
+  ChevronRight,
+  MoreHorizontal,
+  Edit,
+  History,
+  MapPin,
+  SlidersHorizontal,
+  Trash2,
+  EyeOff,
+  Eye,
+} from "lucide-react";
+import { formatVariantLabel } from "@/lib/schemas/product-schemas";
+
+/**
+ * Formats an amount as US dollars
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount (e.g. $12.50)
+ */
+function formatCurrency(amount) {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+  }).format(amount);
+}
+
+/**
+ * Checks whether a product is at or below its reorder point; a parent
+ * product is when any of its variants is
+ * @param {Object} product - Product (with variants, for a parent)
+ * @returns {boolean} True if the product needs reordering
+ */
+function isLowStock(product) {
+  if (product.hasVariants) {
+    return product.variants.some(isLowStock);
+  }
+  return product.stock <= (product.reorderPoint || 0);
+}
 
 /**
  * Product table columns configuration for TanStack Table
- * Defines column structure, sorting, and actions for product data display
+ * Defines column structure, sorting, and actions for product data display.
+ * A parent product expands to its variants; its price is the range of
+ * theirs and its stock their total. Stock actions are on the variants.
  * @param {Function} onEdit - Callback function to trigger editing a product
  * @param {Function} onDelete - Callback function to trigger deleting a product
+ * @param {Function} onViewHistory - Callback function to show a product's stock history
+ * @param {Function} onAdjustStock - Callback function to trigger a stock adjustment
+ * @param {Function} onToggleActive - Callback function to deactivate or reactivate a product
+ * @param {Function} onViewLocations - Callback function to show a product's stock by location
  * @returns {Array} Column definitions array
  */
-export function createProductColumns(onEdit, onDelete) {
+export function createProductColumns(
+  onEdit,
+  onDelete,
+  onViewHistory,
+  onAdjustStock,
+  onToggleActive,
+  onViewLocations
+) {
   return [
     {
       accessorKey: "name",
@@ -27,13 +77,48 @@ export function createProductColumns(onEdit, onDelete) {
       cell: ({ row }) => {
         const product = row.original;
         return (
-          <div className="font-medium">
-            {product.name}
-            {product.sku && (
-              <div className="text-sm text-muted-foreground">
-                SKU: {product.sku}
-              </div>
+          <div
+            className={`flex items-start gap-1 font-medium ${
+              row.depth > 0 ? "pl-7" : ""
+            }`}
+          >
+            {row.getCanExpand() && (
+              <Button
+                variant="ghost"
+                size="sm"
+                className="h-6 w-6 p-0"
+                onClick={row.getToggleExpandedHandler()}
+                aria-label={
+                  row.getIsExpanded() ? "Hide variants" : "Show variants"
+                }
+              >
+                {row.getIsExpanded() ? (
+                  <ChevronDown className="h-4 w-4" />
+                ) : (
+                  <ChevronRight className="h-4 w-4" />
+                )}
+              </Button>
             )}
+            <div>
+              {row.depth > 0
+                ? formatVariantLabel(product.optionValues)
+                : product.name}
+              {!product.isActive && (
+                <span className="ml-2 rounded bg-gray-100 px-1.5 py-0.5 text-xs font-normal text-gray-600">
+                  Inactive
+                </span>
+              )}
+              {product.sku && (
+                <div className="text-sm text-muted-foreground">
+                  SKU: {product.sku}
+                </div>
+              )}
+              {product.hasVariants && (
+                <div className="text-xs font-normal text-muted-foreground">
+                  {product.variants.length} variants
+                </div>
+              )}
+            </div>
           </div>
         );
       },
@@ -60,28 +145,49 @@ export function createProductColumns(onEdit, onDelete) {
       accessorKey: "sellingPrice",
       header: "Price",
       cell: ({ row }) => {
+        const product = row.original;
+        if (product.hasVariants && product.variants.length > 0) {
+          const prices = product.variants.map((v) => v.sellingPrice);
+          const low = Math.min(...prices);
+          const high = Math.max(...prices);
+          return (
+            <div className="font-medium">
+              {low === high
+                ? formatCurrency(low)
+                : `${formatCurrency(low)} – ${formatCurrency(high)}`}
+            </div>
+          );
+        }
+
         const price = parseFloat(row.getValue("sellingPrice"));
-        const formatted = new Intl.NumberFormat("en-US", {
-          style: "currency",
-          currency: "USD",
-        }).format(price);
-        return <div className="font-medium">{formatted}</div>;
+        return <div className="font-medium">{formatCurrency(price)}</div>;
       },
     },
+    {
+      accessorKey: "averageCost",
+      header: "Avg. Cost",
+      cell: ({ row }) => {
+        // Each variant has its own cost
+        if (row.original.hasVariants) return "—";
+        return (
+          <div className="text-muted-foreground">
+            {formatCurrency(row.getValue("averageCost"))}
+          </div>
+        );
+      },
+      enableSorting: false,
+    },
     {
       accessorKey: "stock",
       header: "Stock",
       cell: ({ row }) => {
         const stock = row.getValue("stock");
-        const reorderPoint = row.original.reorderPoint || 0;
-        const isLowStock = stock <= reorderPoint;
+        const lowStock = isLowStock(row.original);
 
         return (
-          <div className={`font-medium ${isLowStock ? "text-red-600" : ""}`}>
+          <div className={`font-medium ${lowStock ? "text-red-600" : ""}`}>
             {stock}
-            {isLowStock && (
-              <div className="text-xs text-red-500">Low Stock</div>
-            )}
+            {lowStock && <div className="text-xs text-red-500">Low Stock</div>}
           </div>
         );
       },
@@ -109,14 +215,60 @@ export function createProductColumns(onEdit, onDelete) {
                 <Edit className="mr-2 h-4 w-4" />
                 Edit
               </DropdownMenuItem>
-              <DropdownMenuSeparator />
+              {!product.hasVariants && (
+                <>
+                  <DropdownMenuItem
+                    onClick={() => onAdjustStock(product.id)}
+                    className="flex items-center cursor-pointer"
+                  >
+                    <SlidersHorizontal className="mr-2 h-4 w-4" />
+                    Adjust Stock
+                  </DropdownMenuItem>
+                  <DropdownMenuItem
+                    onClick={() => onViewHistory(product.id)}
+                    className="flex items-center cursor-pointer"
+                  >
+                    <History className="mr-2 h-4 w-4" />
+                    Stock History
+                  </DropdownMenuItem>
+                  <DropdownMenuItem
+                    onClick={() => onViewLocations(product.id)}
+                    className="flex items-center cursor-pointer"
+                  >
+                    <MapPin className="mr-2 h-4 w-4" />
+                    Stock by Location
+                  </DropdownMenuItem>
+                </>
+              )}
               <DropdownMenuItem
-                onClick={() => onDelete(product.id)}
-                className="flex items-center cursor-pointer text-red-600 focus:text-red-600"
+                onClick={() => onToggleActive(product.id)}
+                className="flex items-center cursor-pointer"
               >
-                <Trash2 className="mr-2 h-4 w-4" />
-                Delete
+                {product.isActive ? (
+                  <>
+                    <EyeOff className="mr-2 h-4 w-4" />
+                    Deactivate
+                  </>
+                ) : (
+                  <>
+                    <Eye className="mr-2 h-4 w-4" />
+                    Reactivate
+                  </>
+                )}
               </DropdownMenuItem>
+              {/* Variants are deactivated; they go with their product */}
+              {!product.parentId && (
+                <>
+                  <DropdownMenuSeparator />
+                  <DropdownMenuItem
+                    onClick={() => onDelete(product.id)}
+                    className="flex items-center cursor-pointer text-red-600 focus:text-red-600"
+                  >
+                    <Trash2 className="mr-2 h-4 w-4" />
+                    Delete
+                  </DropdownMenuItem>
+                </>
+              )}
             </DropdownMenuContent>
           </DropdownMenu>
         );
@@ -10,10 +10,12 @@ import { useDebouncedNameValidation } from "@/hooks/use-debounced-product-name-v
 import { useProductCreateMutation } from "@/hooks/use-product-create-mutation";
 import { ProductFormSchema } from "@/lib/schemas/product-schemas";
 import ProductFormFields from "./product-form-fields";
+import ProductVariantFields from "./product-variant-fields";
 
 /**
  * Product creation form component with optimistic updates
- * Handles form submission and validation for creating new products
+ * Handles form submission and validation for creating new products, with
+ * or without a matrix of variants
  * @param {Object} props - Component props
  * @param {Function} [props.onProductCreated] - Optional callback when product is successfully created
  * @returns {JSX.Element} Product creation form
@@ -21,10 +23,12 @@ import ProductFormFields from "./product-form-fields";
 export default function ProductCreationForm({ onProductCreated }) {
   const {
     register,
+    control,
     handleSubmit,
     reset,
     watch,
     setValue,
+    getValues,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(ProductFormSchema),
@@ -38,13 +42,25 @@ export default function ProductCreationForm({ onProductCreated }) {
       reorderPoint: "0",
       unit: "piece",
       categoryId: "uncategorized",
+      supplierId: "none",
+      taxRateId: "none",
+      trackLots: false,
+      serialized: false,
+      hasVariants: false,
+      optionAxes: [{ name: "", values: "" }],
+      variants: [],
     },
   });
 
   const watchedName = watch("name");
   const nameValidation = useDebouncedNameValidation(watchedName);
-  const { categories, isLoadingCategories, createProductMutation } =
-    useProductCreateMutation(onProductCreated);
+  const {
+    categories,
+    isLoadingCategories,
+    suppliers,
+    isLoadingSuppliers,
+    createProductMutation,
+  } = useProductCreateMutation(onProductCreated);
 
   /**
    * Handles form submission
@@ -61,7 +77,19 @@ export default function ProductCreationForm({ onProductCreated }) {
       return;
     }
 
-    createProductMutation.mutate(data);
+    // Serialized products get their stock when received
+    createProductMutation.mutate(
+      data.serialized
+        ? {
+            ...data,
+            stock: "0",
+            variants: data.variants.map((variant) => ({
+              ...variant,
+              stock: "0",
+            })),
+          }
+        : data
+    );
 
     // Clear form and focus first input for quick continuation
     reset();
@@ -85,9 +113,19 @@ export default function ProductCreationForm({ onProductCreated }) {
             watch={watch}
             categories={categories}
             isLoadingCategories={isLoadingCategories}
+            suppliers={suppliers}
+            isLoadingSuppliers={isLoadingSuppliers}
             nameValidation={nameValidation}
           />
 
+          <ProductVariantFields
+            control={control}
+            register={register}
+            watch={watch}
+            getValues={getValues}
+            errors={errors}
+          />
+
           <Button
             type="submit"
             disabled={
@@ -2,36 +2,125 @@
 "use client";
 
 import { useState } from "react";
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  useQuery,
+  useMutation,
+  useQueryClient,
+  keepPreviousData,
+} from "@tanstack/react-query";
 import { toast } from "sonner";
 import DataTable from "@/components/ui/data-table";
 import EmptyState from "@/components/ui/empty-state";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
 import { createProductColumns } from "@/components/features/products/product-columns";
-import { Package } from "lucide-react";
+import { AlertTriangle, Package } from "lucide-react";
 import { queryKeys } from "@/lib/queryKeys";
+import { useUrlSearchParams } from "@/hooks/use-url-search-params";
+import {
+  snapshotProductLists,
+  updateProductLists,
+  restoreProductLists,
+} from "@/lib/product-list-cache";
 import ProductEditModal from "./product-edit-modal";
 import ProductDeleteDialog from "./product-delete-dialog";
+import ProductStockHistoryModal from "./product-stock-history-modal";
+import ProductStockAdjustmentDialog from "./product-stock-adjustment-dialog";
+import ProductStockLocationsDialog from "./product-stock-locations-dialog";
+import { useProductStatusMutation } from "@/hooks/use-product-status-mutation";
 import { fetchProducts, deleteProduct } from "@/lib/api/products-api";
+import { fetchCategories } from "@/lib/api/categories-api";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
+
+const STATUS_FILTERS = [
+  { value: "active", label: "Active" },
+  { value: "inactive", label: "Inactive" },
+  { value: "all", label: "All products" },
+];
+
+const ALL_OPTION = "all";
+
+/**
+ * Finds a product on the page, including the variants listed under parents
+ * @param {Array} products - Products on the page
+ * @param {string} productId - Product ID
+ * @returns {Object|undefined} Product or variant
+ */
+function findProduct(products, productId) {
+  return products
+    .flatMap((product) => [product, ...(product.variants ?? [])])
+    .find((p) => p.id === productId);
+}
+
+/**
+ * Reads the products list params from the URL search params
+ * @param {URLSearchParams} searchParams - Current URL search params
+ * @returns {Object} Params for fetchProducts
+ */
+function getListParams(searchParams) {
+  return {
+    page: searchParams.get("page") ?? "1",
+    limit: searchParams.get("per_page") ?? "10",
+    q: searchParams.get("q") ?? "",
+    categoryId: searchParams.get("categoryId") ?? "",
+    supplierId: searchParams.get("supplierId") ?? "",
+    lowStock: searchParams.get("lowStock") ?? "",
+    status: searchParams.get("status") ?? "active",
+    sort: searchParams.get("sort") ?? "",
+    order: searchParams.get("order") ?? "",
+  };
+}
 
 /**
  * Client component to render the products data table.
- * It uses TanStack Query to manage and update the product list.
+ * Search, filters, sorting and pagination live in the URL and are applied
+ * server-side; TanStack Query caches one page per param combination.
+ * Parent products expand to show their variants.
  * @param {{ initialProductsData: Object }} props
  * @returns {JSX.Element}
  */
 export default function ProductDataTable({ initialProductsData }) {
   const queryClient = useQueryClient();
+  const { searchParams, setSearchParams } = useUrlSearchParams();
   const [editingProductId, setEditingProductId] = useState(null);
   const [deletingProduct, setDeletingProduct] = useState(null);
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [adjustingProduct, setAdjustingProduct] = useState(null);
+  const [locationsProduct, setLocationsProduct] = useState(null);
+
+  const params = getListParams(searchParams);
+  const paramsKey = JSON.stringify(params);
+  // The server rendered the page for the URL the table was mounted with
+  const [initialParamsKey] = useState(paramsKey);
 
   const {
     data: productsData,
     isLoading,
     isError,
   } = useQuery({
-    queryKey: queryKeys.list("products"),
-    queryFn: fetchProducts,
-    initialData: initialProductsData,
+    queryKey: queryKeys.list("products", params),
+    queryFn: () => fetchProducts(params),
+    initialData:
+      paramsKey === initialParamsKey ? initialProductsData : undefined,
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const { data: categories = [] } = useQuery({
+    queryKey: queryKeys.list("categories"),
+    queryFn: fetchCategories,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const { data: suppliers = [] } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
     staleTime: 1000 * 60 * 5,
   });
 
@@ -39,43 +128,63 @@ export default function ProductDataTable({ initialProductsData }) {
     mutationFn: deleteProduct,
     onMutate: async (productId) => {
       await queryClient.cancelQueries({ queryKey: queryKeys.list("products") });
-      const previousProductsData = queryClient.getQueryData(
-        queryKeys.list("products")
-      );
+      const previousProductsData = snapshotProductLists(queryClient);
 
-      queryClient.setQueryData(queryKeys.list("products"), (oldData) => {
-        if (!oldData || !oldData.products) return oldData;
-        const filteredProducts = oldData.products.filter(
-          (p) => p.id !== productId
-        );
-        return { ...oldData, products: filteredProducts };
-      });
+      updateProductLists(queryClient, (products) =>
+        products.filter((p) => p.id !== productId)
+      );
 
       return { previousProductsData };
     },
     onError: (err, productId, context) => {
-      toast.error(err.message || "Failed to delete product");
-      if (context?.previousProductsData) {
-        queryClient.setQueryData(
-          queryKeys.list("products"),
-          context.previousProductsData
-        );
+      // History blockers are shown in the dialog, which stays open
+      if (!err.blockers) {
+        toast.error(err.message || "Failed to delete product");
+        setDeletingProduct(null);
       }
+      restoreProductLists(queryClient, context?.previousProductsData);
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
-      setDeletingProduct(null);
     },
     onSuccess: () => {
       toast.success("Product deleted successfully!");
+      setDeletingProduct(null);
     },
   });
 
+  const { statusMutation } = useProductStatusMutation();
+
   const products = productsData?.products || [];
-  const columns = createProductColumns(setEditingProductId, (productId) => {
-    const product = products.find((p) => p.id === productId);
-    setDeletingProduct(product);
-  });
+  const hasFilters =
+    params.q ||
+    params.categoryId ||
+    params.supplierId ||
+    params.lowStock === "true" ||
+    params.status !== "active";
+  const columns = createProductColumns(
+    setEditingProductId,
+    (productId) => {
+      const product = findProduct(products, productId);
+      setDeletingProduct(product);
+    },
+    (productId) => {
+      const product = findProduct(products, productId);
+      setHistoryProduct(product);
+    },
+    (productId) => {
+      const product = findProduct(products, productId);
+      setAdjustingProduct(product);
+    },
+    (productId) => {
+      const product = findProduct(products, productId);
+      statusMutation.mutate({ productId, isActive: !product.isActive });
+    },
+    (productId) => {
+      const product = findProduct(products, productId);
+      setLocationsProduct(product);
+    }
+  );
 
   const handleDelete = () => {
     if (deletingProduct) {
@@ -83,6 +192,24 @@ export default function ProductDataTable({ initialProductsData }) {
     }
   };
 
+  const handleCloseDeleteDialog = () => {
+    setDeletingProduct(null);
+    deleteMutation.reset();
+  };
+
+  const handleDeactivateInstead = () => {
+    statusMutation.mutate({ productId: deletingProduct.id, isActive: false });
+    handleCloseDeleteDialog();
+  };
+
+  /**
+   * Applies a filter change and returns to the first page
+   * @param {Object} updates - URL params to set (empty values clear them)
+   */
+  const handleFilterChange = (updates) => {
+    setSearchParams({ ...updates, page: 1 });
+  };
+
   if (isLoading && !initialProductsData) {
     return <div>Loading table...</div>;
   }
@@ -95,7 +222,7 @@ export default function ProductDataTable({ initialProductsData }) {
     );
   }
 
-  if (!products || products.length === 0) {
+  if (products.length === 0 && !hasFilters) {
     return (
       <EmptyState
         icon={Package}
@@ -113,7 +240,82 @@ export default function ProductDataTable({ initialProductsData }) {
         columns={columns}
         data={products}
         filterKey="name"
-        filterPlaceholder="Search products..."
+        filterPlaceholder="Search by name or SKU..."
+        manual
+        pageCount={productsData?.totalPages ?? 0}
+        rowCount={productsData?.totalCount ?? 0}
+        getSubRows={(product) => product.variants}
+        toolbar={
+          <>
+            <Select
+              onValueChange={(status) => handleFilterChange({ status })}
+              value={params.status}
+            >
+              <SelectTrigger className="w-40" aria-label="Product status">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {STATUS_FILTERS.map((filter) => (
+                  <SelectItem key={filter.value} value={filter.value}>
+                    {filter.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select
+              onValueChange={(categoryId) =>
+                handleFilterChange({
+                  categoryId: categoryId === ALL_OPTION ? "" : categoryId,
+                })
+              }
+              value={params.categoryId || ALL_OPTION}
+            >
+              <SelectTrigger className="w-44" aria-label="Category">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_OPTION}>All categories</SelectItem>
+                {categories.map((category) => (
+                  <SelectItem key={category.id} value={category.id}>
+                    {category.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select
+              onValueChange={(supplierId) =>
+                handleFilterChange({
+                  supplierId: supplierId === ALL_OPTION ? "" : supplierId,
+                })
+              }
+              value={params.supplierId || ALL_OPTION}
+            >
+              <SelectTrigger className="w-44" aria-label="Supplier">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_OPTION}>All suppliers</SelectItem>
+                {suppliers.map((supplier) => (
+                  <SelectItem key={supplier.id} value={supplier.id}>
+                    {supplier.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Button
+              variant={params.lowStock === "true" ? "default" : "outline"}
+              aria-pressed={params.lowStock === "true"}
+              onClick={() =>
+                handleFilterChange({
+                  lowStock: params.lowStock === "true" ? "" : "true",
+                })
+              }
+            >
+              <AlertTriangle className="mr-2 h-4 w-4" />
+              Low stock
+            </Button>
+          </>
+        }
       />
       {editingProductId && (
         <ProductEditModal
@@ -122,12 +324,37 @@ export default function ProductDataTable({ initialProductsData }) {
           onClose={() => setEditingProductId(null)}
         />
       )}
+      {historyProduct && (
+        <ProductStockHistoryModal
+          product={historyProduct}
+          isOpen={!!historyProduct}
+          onClose={() => setHistoryProduct(null)}
+        />
+      )}
+      {adjustingProduct && (
+        <ProductStockAdjustmentDialog
+          product={adjustingProduct}
+          isOpen={!!adjustingProduct}
+          onClose={() => setAdjustingProduct(null)}
+        />
+      )}
+      {locationsProduct && (
+        <ProductStockLocationsDialog
+          product={locationsProduct}
+          isOpen={!!locationsProduct}
+          onClose={() => setLocationsProduct(null)}
+        />
+      )}
       <ProductDeleteDialog
         isOpen={!!deletingProduct}
-        onClose={() => setDeletingProduct(null)}
+        onClose={handleCloseDeleteDialog}
         onConfirm={handleDelete}
         productName={deletingProduct?.name || ""}
         isPending={deleteMutation.isPending}
+        blockers={deleteMutation.error?.blockers}
+        isActive={deletingProduct?.isActive}
+        onDeactivate={handleDeactivateInstead}
+        variantCount={deletingProduct?.variants?.length}
       />
     </>
   );
@@ -3,7 +3,6 @@
 
 import {
   AlertDialog,
-  AlertDialogAction,
   AlertDialogCancel,
   AlertDialogContent,
   AlertDialogDescription,
@@ -11,15 +10,22 @@ import {
   AlertDialogHeader,
   AlertDialogTitle,
 } from "@/components/ui/alert-dialog";
+import { Button } from "@/components/ui/button";
 
 /**
  * Product delete confirmation dialog
+ * When the deletion was blocked by transaction history, lists the blocking
+ * records and offers to deactivate the product instead.
  * @param {Object} props
  * @param {boolean} props.isOpen - Whether dialog is open
  * @param {Function} props.onClose - Callback to close dialog
  * @param {Function} props.onConfirm - Callback when delete is confirmed
  * @param {boolean} [props.isPending=false] - Whether the confirm action is pending
  * @param {string} props.productName - Name of product to delete
+ * @param {Array<{type: string, label: string, count?: number}>} [props.blockers] - History that blocked the deletion
+ * @param {boolean} [props.isActive=true] - Whether the product is currently active
+ * @param {Function} [props.onDeactivate] - Callback to deactivate the product instead
+ * @param {number} [props.variantCount=0] - Variants deleted along with a parent product
  * @returns {JSX.Element} Delete confirmation dialog
  */
 export default function ProductDeleteDialog({
@@ -28,27 +34,70 @@ export default function ProductDeleteDialog({
   onConfirm,
   isPending = false,
   productName,
+  blockers,
+  isActive = true,
+  onDeactivate,
+  variantCount = 0,
 }) {
+  const isBlocked = blockers?.length > 0;
+
   return (
     <AlertDialog open={isOpen} onOpenChange={onClose}>
       <AlertDialogContent>
         <AlertDialogHeader>
-          <AlertDialogTitle>Delete Product</AlertDialogTitle>
-          <AlertDialogDescription>
-            Are you sure you want to delete "{productName}"? This action cannot
-            be undone. If this product has transaction history, the deletion
-            will be blocked.
-          </AlertDialogDescription>
+          <AlertDialogTitle>
+            {isBlocked ? "Product Has History" : "Delete Product"}
+          </AlertDialogTitle>
+          {isBlocked ? (
+            <AlertDialogDescription asChild>
+              <div className="space-y-2">
+                <p>
+                  "{productName}" cannot be deleted because it has transaction
+                  history:
+                </p>
+                <ul className="list-disc pl-5">
+                  {blockers.map((blocker) => (
+                    <li key={blocker.type}>
+                      {blocker.label}
+                      {blocker.count !== undefined && `: ${blocker.count}`}
+                    </li>
+                  ))}
+                </ul>
+                <p>
+                  {isActive
+                    ? "Deactivate it instead to hide it from sales and receiving while keeping its history."
+                    : "The product is already inactive and hidden from sales and receiving."}
+                </p>
+              </div>
+            </AlertDialogDescription>
+          ) : (
+            <AlertDialogDescription>
+              Are you sure you want to delete "{productName}"?
+              {variantCount > 0 &&
+                ` Its ${variantCount} variants are deleted with it.`}{" "}
+              This action cannot be undone. If this product has transaction
+              history, the deletion will be blocked.
+            </AlertDialogDescription>
+          )}
         </AlertDialogHeader>
         <AlertDialogFooter>
-          <AlertDialogCancel>Cancel</AlertDialogCancel>
-          <AlertDialogAction
-            onClick={onConfirm}
-            disabled={isPending}
-            className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
-          >
-            {isPending ? "Deleting..." : "Delete Product"}
-          </AlertDialogAction>
+          <AlertDialogCancel>
+            {isBlocked ? "Close" : "Cancel"}
+          </AlertDialogCancel>
+          {isBlocked ? (
+            isActive &&
+            onDeactivate && (
+              <Button onClick={onDeactivate}>Deactivate Instead</Button>
+            )
+          ) : (
+            <Button
+              variant="destructive"
+              onClick={onConfirm}
+              disabled={isPending}
+            >
+              {isPending ? "Deleting..." : "Delete Product"}
+            </Button>
+          )}
         </AlertDialogFooter>
       </AlertDialogContent>
     </AlertDialog>
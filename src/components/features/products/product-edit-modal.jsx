@@ -16,6 +16,7 @@ import { Button } from "@/components/ui/button";
 import { VisuallyHidden } from "@radix-ui/react-visually-hidden";
 import { useDebouncedNameValidation } from "@/hooks/use-debounced-product-name-validation";
 import { useProductEdit } from "@/hooks/use-product-edit-mutation";
+import { useProductStatusMutation } from "@/hooks/use-product-status-mutation";
 import {
   EditProductSchema,
   SELLING_UNITS,
@@ -41,11 +42,14 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
     categories,
     isLoading,
     isLoadingCategories,
+    suppliers,
+    isLoadingSuppliers,
     updateMutation,
     deleteMutation,
     handleUpdate,
     handleDelete,
   } = useProductEdit(productId, isOpen, onClose);
+  const { statusMutation } = useProductStatusMutation();
 
   const {
     register,
@@ -78,12 +82,15 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
         sku: product.sku || "",
         sellingPrice: product.sellingPrice?.toString() || "",
         purchasePrice: product.purchasePrice?.toString() || "",
-        stock: product.stock?.toString() || "0",
         reorderPoint: product.reorderPoint?.toString() || "0",
         unit: SELLING_UNITS.some((u) => u.value === product.unit)
           ? product.unit
           : "piece",
         categoryId: product.categoryId || "uncategorized",
+        supplierId: product.supplierId || "none",
+        taxRateId: product.taxRateId || "none",
+        trackLots: product.trackLots ?? false,
+        serialized: product.serialized ?? false,
       };
       reset(defaultValues);
       setIsFormActuallyDirty(false);
@@ -100,12 +107,15 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
       sku: product.sku || "",
       sellingPrice: product.sellingPrice?.toString() || "",
       purchasePrice: product.purchasePrice?.toString() || "",
-      stock: product.stock?.toString() || "0",
       reorderPoint: product.reorderPoint?.toString() || "0",
       unit: SELLING_UNITS.some((u) => u.value === product.unit)
         ? product.unit
         : "piece",
       categoryId: product.categoryId || "uncategorized",
+      supplierId: product.supplierId || "none",
+      taxRateId: product.taxRateId || "none",
+      trackLots: product.trackLots ?? false,
+      serialized: product.serialized ?? false,
     };
 
     let dirty = false;
@@ -146,6 +156,17 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
     handleDelete();
   };
 
+  const handleCloseDeleteDialog = () => {
+    setShowDeleteDialog(false);
+    deleteMutation.reset();
+  };
+
+  const handleDeactivateInstead = () => {
+    statusMutation.mutate({ productId, isActive: false });
+    setShowDeleteDialog(false);
+    onClose();
+  };
+
   // Derived state logic now uses normalization for comparison
   const hasNameChanged =
     product && normalizeName(watchedName) !== normalizeName(product.name);
@@ -173,7 +194,9 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
           <DialogHeader>
             <DialogTitle>Edit Product</DialogTitle>
             <DialogDescription>
-              Update the details for this product.
+              {product?.hasVariants
+                ? "Update the details for this product. Its variants take on every change except the price and SKU, and are renamed with it."
+                : "Update the details for this product."}
             </DialogDescription>
           </DialogHeader>
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
@@ -184,20 +207,29 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
               watch={watch}
               categories={categories}
               isLoadingCategories={isLoadingCategories}
+              suppliers={suppliers}
+              isLoadingSuppliers={isLoadingSuppliers}
               nameValidation={nameValidation}
               product={product}
             />
 
             {/* Action Buttons */}
             <div className="flex justify-between pt-4">
-              <Button
-                type="button"
-                variant="destructive"
-                onClick={() => setShowDeleteDialog(true)}
-                disabled={updateMutation.isPending || deleteMutation.isPending}
-              >
-                Delete
-              </Button>
+              {/* Variants are deactivated; they go with their product */}
+              {product?.parentId ? (
+                <div />
+              ) : (
+                <Button
+                  type="button"
+                  variant="destructive"
+                  onClick={() => setShowDeleteDialog(true)}
+                  disabled={
+                    updateMutation.isPending || deleteMutation.isPending
+                  }
+                >
+                  Delete
+                </Button>
+              )}
               <div className="flex space-x-2">
                 <Button type="button" variant="outline" onClick={onClose}>
                   Cancel
@@ -222,9 +254,14 @@ export default function ProductEditModal({ productId, isOpen, onClose }) {
 
       <ProductDeleteDialog
         isOpen={showDeleteDialog}
-        onClose={() => setShowDeleteDialog(false)}
+        onClose={handleCloseDeleteDialog}
         onConfirm={handleDeleteConfirm}
         productName={product?.name || ""}
+        isPending={deleteMutation.isPending}
+        blockers={deleteMutation.error?.blockers}
+        isActive={product?.isActive}
+        onDeactivate={handleDeactivateInstead}
+        variantCount={product?.variants?.length}
       />
     </>
   );
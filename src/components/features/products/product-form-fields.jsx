@@ -11,6 +11,7 @@ import {
   SelectValue,
 } from "@/components/ui/select";
 import { SELLING_UNITS } from "@/lib/schemas/product-schemas";
+import TaxRateSelect from "@/components/features/settings/tax-rate-select";
 import ProductNameValidation from "./product-name-validation";
 
 /**
@@ -22,8 +23,10 @@ import ProductNameValidation from "./product-name-validation";
  * @param {Function} props.watch - React Hook Form watch function
  * @param {Array} props.categories - Available categories
  * @param {boolean} props.isLoadingCategories - Categories loading state
+ * @param {Array} props.suppliers - Available suppliers
+ * @param {boolean} props.isLoadingSuppliers - Suppliers loading state
  * @param {Object} props.nameValidation - Name validation state
- * @param {Object} props.product - Current product data
+ * @param {Object} props.product - Current product data (edit mode; stock is then read-only)
  * @returns {JSX.Element} Form fields component
  */
 export default function ProductFormFields({
@@ -33,10 +36,14 @@ export default function ProductFormFields({
   watch,
   categories,
   isLoadingCategories,
+  suppliers,
+  isLoadingSuppliers,
   nameValidation,
   product,
 }) {
   const watchedName = watch("name");
+  const isSerialized = watch("serialized");
+  const hasVariants = product ? product.hasVariants : watch("hasVariants");
 
   return (
     <>
@@ -94,6 +101,45 @@ export default function ProductFormFields({
         </Select>
       </div>
 
+      {/* Supplier */}
+      <div className="space-y-2">
+        <Label htmlFor="supplierId">Supplier</Label>
+        <Select
+          onValueChange={(value) => setValue("supplierId", value)}
+          value={watch("supplierId") || "none"}
+          defaultValue={watch("supplierId") || "none"}
+        >
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="none">No supplier</SelectItem>
+            {isLoadingSuppliers ? (
+              <SelectItem disabled value="loading">
+                Loading suppliers...
+              </SelectItem>
+            ) : (
+              suppliers.map((supplier) => (
+                <SelectItem key={supplier.id} value={supplier.id}>
+                  {supplier.name}
+                </SelectItem>
+              ))
+            )}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {/* Tax Rate */}
+      <div className="space-y-2">
+        <Label htmlFor="taxRateId">Tax Rate</Label>
+        <TaxRateSelect
+          id="taxRateId"
+          value={watch("taxRateId")}
+          onValueChange={(value) => setValue("taxRateId", value)}
+          emptyLabel="Same as category"
+        />
+      </div>
+
       {/* Description */}
       <div className="space-y-2">
         <Label htmlFor="description">Description</Label>
@@ -162,28 +208,81 @@ export default function ProductFormFields({
         </div>
       </div>
 
-      {/* Stock Fields */}
-      <div className="grid grid-cols-2 gap-4">
-        <div className="space-y-2">
-          <Label htmlFor="stock">Initial Stock</Label>
-          <Input
-            id="stock"
-            type="number"
-            {...register("stock")}
-            placeholder="0"
-          />
-        </div>
+      {/* Stock Fields (kept per variant for products with variants) */}
+      {hasVariants ? (
+        product && (
+          <p className="text-sm text-muted-foreground">
+            Stock and reorder points are kept per variant: {product.stock} in
+            stock across {product.variants.length} variants.
+          </p>
+        )
+      ) : (
+        <div className="grid grid-cols-2 gap-4">
+          {product ? (
+            <div className="space-y-2">
+              <Label>Current Stock</Label>
+              <p className="text-sm h-9 flex items-center">
+                {product.stock}
+                <span className="ml-2 text-xs text-muted-foreground">
+                  (use Adjust Stock or a stocktake to change)
+                </span>
+              </p>
+            </div>
+          ) : isSerialized ? (
+            <div className="space-y-2">
+              <Label>Initial Stock</Label>
+              <p className="text-xs text-muted-foreground">
+                Serialized products start with no stock. Receive them to record
+                their serial numbers.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <Label htmlFor="stock">Initial Stock</Label>
+              <Input
+                id="stock"
+                type="number"
+                {...register("stock")}
+                placeholder="0"
+              />
+            </div>
+          )}
 
-        <div className="space-y-2">
-          <Label htmlFor="reorderPoint">Reorder Point</Label>
-          <Input
-            id="reorderPoint"
-            type="number"
-            {...register("reorderPoint")}
-            placeholder="0"
-          />
+          <div className="space-y-2">
+            <Label htmlFor="reorderPoint">Reorder Point</Label>
+            <Input
+              id="reorderPoint"
+              type="number"
+              {...register("reorderPoint")}
+              placeholder="0"
+            />
+          </div>
         </div>
-      </div>
+      )}
+
+      {/* Lot Tracking */}
+      <label className="flex items-start space-x-2 text-sm">
+        <input type="checkbox" className="mt-1" {...register("trackLots")} />
+        <span>
+          Track lots and expiry dates
+          <span className="block text-xs text-muted-foreground">
+            Receiving asks for a lot number and expiry date, and sales use the
+            earliest-expiring lot first.
+          </span>
+        </span>
+      </label>
+
+      {/* Serial Number Tracking */}
+      <label className="flex items-start space-x-2 text-sm">
+        <input type="checkbox" className="mt-1" {...register("serialized")} />
+        <span>
+          Track serial numbers
+          <span className="block text-xs text-muted-foreground">
+            Every unit is received with its serial number or IMEI and chosen
+            by serial at the till. Can only be changed while out of stock.
+          </span>
+        </span>
+      </label>
     </>
   );
 }
@@ -0,0 +1,122 @@
+// /src/components/features/products/product-search-input.jsx
+"use client";
+
+import { forwardRef, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { useDebounce } from "use-debounce";
+import { Search } from "lucide-react";
+import { Input } from "@/components/ui/input";
+import { queryKeys } from "@/lib/queryKeys";
+import { searchProducts } from "@/lib/api/products-api";
+
+/**
+ * Keyboard-driven product search box.
+ * Type a name or SKU, move through results with the arrow keys and press
+ * Enter to pick the highlighted product. The query clears after a pick so
+ * the next product can be scanned or typed straight away.
+ * @param {Object} props
+ * @param {Function} props.onSelect - Called with the chosen product
+ * @param {string} [props.placeholder] - Input placeholder
+ * @param {string} [props.locationId] - Location to show stock at; defaults to the current one
+ * @param {React.Ref} ref - Forwarded to the underlying input
+ * @returns {JSX.Element} Product search input with results dropdown
+ */
+const ProductSearchInput = forwardRef(function ProductSearchInput(
+  { onSelect, placeholder = "Search products by name or SKU...", locationId },
+  ref
+) {
+  const [query, setQuery] = useState("");
+  const [highlightedIndex, setHighlightedIndex] = useState(0);
+  const [debouncedQuery] = useDebounce(query.trim(), 250);
+
+  const { data: results = [], isFetching } = useQuery({
+    queryKey: queryKeys.list("products", {
+      search: debouncedQuery,
+      locationId,
+    }),
+    queryFn: () => searchProducts(debouncedQuery, locationId),
+    enabled: debouncedQuery.length > 0,
+    staleTime: 1000 * 30,
+  });
+
+  const showResults = query.trim().length > 0 && debouncedQuery.length > 0;
+
+  const selectProduct = (product) => {
+    onSelect(product);
+    setQuery("");
+    setHighlightedIndex(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setHighlightedIndex((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlightedIndex((i) => Math.max(i - 1, 0));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (showResults && results[highlightedIndex]) {
+        selectProduct(results[highlightedIndex]);
+      }
+    } else if (e.key === "Escape") {
+      setQuery("");
+      setHighlightedIndex(0);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400" />
+      <Input
+        ref={ref}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setHighlightedIndex(0);
+        }}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className="pl-9"
+        autoComplete="off"
+      />
+
+      {showResults && (
+        <div className="absolute z-20 mt-1 w-full rounded-md border bg-white shadow-lg max-h-72 overflow-y-auto">
+          {results.length ? (
+            results.map((product, index) => (
+              <button
+                key={product.id}
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectProduct(product)}
+                onMouseEnter={() => setHighlightedIndex(index)}
+                className={`flex w-full items-center justify-between px-3 py-2 text-left text-sm ${
+                  index === highlightedIndex ? "bg-blue-50" : ""
+                }`}
+              >
+                <span>
+                  <span className="font-medium text-gray-900">
+                    {product.name}
+                  </span>
+                  {product.sku && (
+                    <span className="ml-2 text-gray-500">{product.sku}</span>
+                  )}
+                </span>
+                <span className="text-gray-500">
+                  Stock: {product.stock} {product.unit}
+                </span>
+              </button>
+            ))
+          ) : (
+            <div className="px-3 py-2 text-sm text-gray-500">
+              {isFetching ? "Searching..." : "No products found"}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default ProductSearchInput;
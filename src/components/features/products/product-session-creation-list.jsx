@@ -8,27 +8,15 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Edit, Package, Trash2 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { queryKeys } from "@/lib/queryKeys";
+import {
+  snapshotProductLists,
+  updateProductLists,
+  restoreProductLists,
+} from "@/lib/product-list-cache";
+import { deleteProduct } from "@/lib/api/products-api";
+import { useProductStatusMutation } from "@/hooks/use-product-status-mutation";
 import ProductDeleteDialog from "./product-delete-dialog";
 
-/**
- * Deletes a product via API
- * @param {string} productId - Product ID to delete
- * @returns {Promise<Object>} Delete response
- */
-async function deleteProduct(productId) {
-  const response = await fetch(`/api/products/${productId}`, {
-    method: "DELETE",
-    headers: { "Content-Type": "application/json" },
-  });
-
-  if (!response.ok) {
-    const error = await response.json();
-    throw new Error(error.error || "Failed to delete product");
-  }
-
-  return await response.json();
-}
-
 /**
  * Product list item component for session creation list
  * @param {Object} props - Component props
@@ -63,7 +51,11 @@ function ProductListItem({ product, onEdit, onDelete }) {
         <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
           <span>${product.sellingPrice.toFixed(2)}</span>
           {product.sku && <span>SKU: {product.sku}</span>}
-          <span>Stock: {product.stock}</span>
+          {product.hasVariants ? (
+            <span>{product.variants.length} variants</span>
+          ) : (
+            <span>Stock: {product.stock}</span>
+          )}
         </div>
         {product.description && (
           <p className="text-sm text-gray-500 mt-1 truncate">
@@ -122,9 +114,7 @@ export default function ProductSessionCreationList({ onEditProduct }) {
       const previousSessionProducts = queryClient.getQueryData(
         queryKeys.session("products")
       );
-      const previousProductsData = queryClient.getQueryData(
-        queryKeys.list("products")
-      );
+      const previousProductsData = snapshotProductLists(queryClient);
 
       // Remove from session list
       queryClient.setQueryData(queryKeys.session("products"), (old) => {
@@ -133,40 +123,37 @@ export default function ProductSessionCreationList({ onEditProduct }) {
       });
 
       // Remove from main products list
-      queryClient.setQueryData(queryKeys.list("products"), (oldData) => {
-        if (!oldData || !oldData.products) return oldData;
-        const filteredProducts = oldData.products.filter(
-          (p) => p.id !== productId
-        );
-        return { ...oldData, products: filteredProducts };
-      });
+      updateProductLists(queryClient, (products) =>
+        products.filter((p) => p.id !== productId)
+      );
 
       return { previousSessionProducts, previousProductsData };
     },
     onError: (err, productId, context) => {
-      toast.error(err.message || "Failed to delete product");
+      // History blockers are shown in the dialog, which stays open
+      if (!err.blockers) {
+        toast.error(err.message || "Failed to delete product");
+        setDeletingProduct(null);
+      }
       if (context?.previousSessionProducts) {
         queryClient.setQueryData(
           queryKeys.session("products"),
           context.previousSessionProducts
         );
       }
-      if (context?.previousProductsData) {
-        queryClient.setQueryData(
-          queryKeys.list("products"),
-          context.previousProductsData
-        );
-      }
+      restoreProductLists(queryClient, context?.previousProductsData);
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
-      setDeletingProduct(null);
     },
     onSuccess: () => {
       toast.success("Product deleted successfully!");
+      setDeletingProduct(null);
     },
   });
 
+  const { statusMutation } = useProductStatusMutation();
+
   const handleDelete = () => {
     if (deletingProduct) {
       // Check if it's an optimistic product (not yet saved to server)
@@ -185,6 +172,16 @@ export default function ProductSessionCreationList({ onEditProduct }) {
     }
   };
 
+  const handleCloseDeleteDialog = () => {
+    setDeletingProduct(null);
+    deleteMutation.reset();
+  };
+
+  const handleDeactivateInstead = () => {
+    statusMutation.mutate({ productId: deletingProduct.id, isActive: false });
+    handleCloseDeleteDialog();
+  };
+
   return (
     <>
       <Card className="h-full">
@@ -233,10 +230,13 @@ export default function ProductSessionCreationList({ onEditProduct }) {
 
       <ProductDeleteDialog
         isOpen={!!deletingProduct}
-        onClose={() => setDeletingProduct(null)}
+        onClose={handleCloseDeleteDialog}
         onConfirm={handleDelete}
         productName={deletingProduct?.name || ""}
         isPending={deleteMutation.isPending}
+        blockers={deleteMutation.error?.blockers}
+        isActive={deletingProduct?.isActive}
+        onDeactivate={handleDeactivateInstead}
       />
     </>
   );
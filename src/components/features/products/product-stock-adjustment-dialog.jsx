@@ -0,0 +1,268 @@
+// /src/components/features/products/product-stock-adjustment-dialog.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import SerialNumberInput from "@/components/features/products/serial-number-input";
+import SerialNumberPicker from "@/components/features/products/serial-number-picker";
+import { useStockAdjustmentMutation } from "@/hooks/use-stock-adjustment-mutation";
+import { fetchProductStockLevels } from "@/lib/api/products-api";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  ADJUSTMENT_REASONS,
+  StockAdjustmentFormSchema,
+} from "@/lib/schemas/product-schemas";
+
+const DEFAULT_VALUES = {
+  direction: "decrease",
+  quantity: "",
+  reason: undefined,
+  note: "",
+  allowNegative: false,
+  serials: [],
+};
+
+/**
+ * Dialog for recording a manual stock adjustment with a reason code, at the
+ * location selected in the topbar. Serialized products are adjusted unit by
+ * unit: added units are entered by serial number, removed ones chosen from
+ * the serials in stock.
+ * @param {Object} props
+ * @param {Object} props.product - The product to adjust
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Stock adjustment dialog
+ */
+export default function ProductStockAdjustmentDialog({
+  product,
+  isOpen,
+  onClose,
+}) {
+  const { adjustmentMutation } = useStockAdjustmentMutation(
+    product?.id,
+    onClose
+  );
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(StockAdjustmentFormSchema),
+    defaultValues: DEFAULT_VALUES,
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset(DEFAULT_VALUES);
+    }
+  }, [isOpen, reset]);
+
+  const { data: levels } = useQuery({
+    queryKey: queryKeys.detail("productStockLevels", product?.id),
+    queryFn: () => fetchProductStockLevels(product.id),
+    enabled: !!product?.id && isOpen,
+  });
+  const currentLevel = levels?.find((level) => level.isCurrent);
+
+  const direction = watch("direction");
+  const serials = watch("serials");
+  const quantity = parseInt(watch("quantity")) || 0;
+  const currentStock = currentLevel?.quantity ?? product?.stock ?? 0;
+  const newStock =
+    direction === "increase" ? currentStock + quantity : currentStock - quantity;
+  const wouldGoNegative = newStock < 0;
+
+  const onSubmit = (data) => {
+    const delta = parseInt(data.quantity);
+    adjustmentMutation.mutate({
+      quantity: data.direction === "increase" ? delta : -delta,
+      reason: data.reason,
+      note: data.note || undefined,
+      allowNegative: data.allowNegative || undefined,
+      ...(product.serialized && { serials: data.serials }),
+    });
+  };
+
+  /**
+   * Records the serial numbers chosen; they make up the quantity
+   * @param {string[]} chosen - Serial numbers added or removed
+   */
+  const handleSerialsChange = (chosen) => {
+    setValue("serials", chosen);
+    setValue("quantity", chosen.length ? String(chosen.length) : "", {
+      shouldValidate: true,
+    });
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Adjust Stock</DialogTitle>
+          <DialogDescription>
+            Record a stock correction for "{product?.name}"
+            {currentLevel ? ` at ${currentLevel.locationName}` : ""}. Current
+            stock: <span className="font-medium">{currentStock}</span>
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {/* Direction */}
+            <div className="space-y-2">
+              <Label htmlFor="direction">Adjustment</Label>
+              <Select
+                onValueChange={(value) => {
+                  setValue("direction", value);
+                  handleSerialsChange([]);
+                }}
+                value={direction}
+              >
+                <SelectTrigger id="direction">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="decrease">Remove stock</SelectItem>
+                  <SelectItem value="increase">Add stock</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {/* Quantity */}
+            <div className="space-y-2">
+              <Label htmlFor="quantity">Quantity *</Label>
+              {product?.serialized ? (
+                <p className="text-sm h-9 flex items-center">
+                  {quantity} (one per serial number)
+                </p>
+              ) : (
+                <Input
+                  id="quantity"
+                  type="number"
+                  min="1"
+                  {...register("quantity")}
+                  placeholder="0"
+                  className={errors.quantity ? "border-red-500" : ""}
+                />
+              )}
+            </div>
+          </div>
+          {product?.serialized && (
+            <div className="space-y-2">
+              <Label>Serial Numbers *</Label>
+              {direction === "increase" ? (
+                <SerialNumberInput
+                  serials={serials}
+                  onChange={handleSerialsChange}
+                  invalid={!!errors.quantity}
+                />
+              ) : (
+                <SerialNumberPicker
+                  productId={product.id}
+                  selected={serials}
+                  onChange={handleSerialsChange}
+                />
+              )}
+            </div>
+          )}
+          {errors.quantity && (
+            <p className="text-sm text-red-500">{errors.quantity.message}</p>
+          )}
+
+          {/* Reason */}
+          <div className="space-y-2">
+            <Label htmlFor="reason">Reason *</Label>
+            <Select
+              onValueChange={(value) =>
+                setValue("reason", value, { shouldValidate: true })
+              }
+              value={watch("reason") || ""}
+            >
+              <SelectTrigger
+                id="reason"
+                className={errors.reason ? "border-red-500" : ""}
+              >
+                <SelectValue placeholder="Select a reason" />
+              </SelectTrigger>
+              <SelectContent>
+                {ADJUSTMENT_REASONS.map((reason) => (
+                  <SelectItem key={reason.value} value={reason.value}>
+                    {reason.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {errors.reason && (
+              <p className="text-sm text-red-500">{errors.reason.message}</p>
+            )}
+          </div>
+
+          {/* Note */}
+          <div className="space-y-2">
+            <Label htmlFor="note">Note</Label>
+            <Input
+              id="note"
+              {...register("note")}
+              placeholder="Additional details (optional)"
+            />
+          </div>
+
+          {/* Resulting stock */}
+          <div className="rounded-md bg-gray-50 p-3 text-sm">
+            New stock:{" "}
+            <span
+              className={`font-medium ${wouldGoNegative ? "text-red-600" : ""}`}
+            >
+              {newStock}
+            </span>
+          </div>
+
+          {wouldGoNegative && (
+            <label className="flex items-center space-x-2 text-sm text-red-600">
+              <input type="checkbox" {...register("allowNegative")} />
+              <span>Allow stock to go below zero</span>
+            </label>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex justify-end space-x-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={
+                adjustmentMutation.isPending ||
+                (wouldGoNegative && !watch("allowNegative"))
+              }
+            >
+              {adjustmentMutation.isPending ? "Saving..." : "Save Adjustment"}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
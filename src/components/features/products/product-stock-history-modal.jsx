@@ -0,0 +1,210 @@
+// /src/components/features/products/product-stock-history-modal.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchProductStockMovements } from "@/lib/api/products-api";
+import { fetchSettings } from "@/lib/api/settings-api";
+import {
+  ADJUSTMENT_REASONS,
+  MOVEMENT_TYPE_LABELS,
+} from "@/lib/schemas/product-schemas";
+import {
+  getUnitCost,
+  getValueAfter,
+} from "@/lib/schemas/settings-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Modal listing every stock movement recorded for a product, costed with
+ * the account's costing method. Each change lands at one location; the
+ * balance and value are the product's totals.
+ * @param {Object} props
+ * @param {Object} props.product - The product whose history is shown
+ * @param {boolean} props.isOpen - Controls if the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ * @returns {JSX.Element} Stock history modal
+ */
+export default function ProductStockHistoryModal({ product, isOpen, onClose }) {
+  const [page, setPage] = useState(1);
+
+  const { data, isLoading, isError } = useQuery({
+    queryKey: queryKeys.list("stockMovements", {
+      productId: product?.id,
+      page,
+    }),
+    queryFn: () => fetchProductStockMovements(product.id, page),
+    enabled: !!product?.id && isOpen,
+    placeholderData: keepPreviousData,
+  });
+
+  const { data: settings } = useQuery({
+    queryKey: queryKeys.list("settings"),
+    queryFn: fetchSettings,
+    enabled: isOpen,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+  const costingMethod = settings?.costingMethod ?? "AVERAGE";
+
+  const movements = data?.movements || [];
+  const totalPages = data?.totalPages || 1;
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Stock History</DialogTitle>
+          <DialogDescription>
+            Every stock change recorded for "{product?.name}". Current stock:{" "}
+            <span className="font-medium">{product?.stock}</span>
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="p-8 text-center">Loading...</div>
+        ) : isError ? (
+          <div className="text-red-500">
+            Error loading stock history. Please try again.
+          </div>
+        ) : (
+          <div className="rounded-md border max-h-96 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Date</TableHead>
+                  <TableHead>Type</TableHead>
+                  <TableHead>Location</TableHead>
+                  <TableHead className="text-right">Change</TableHead>
+                  <TableHead className="text-right">Unit Cost</TableHead>
+                  <TableHead className="text-right">Balance</TableHead>
+                  <TableHead className="text-right">Value</TableHead>
+                  <TableHead>Reference</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {movements.length ? (
+                  movements.map((movement) => (
+                    <TableRow key={movement.id}>
+                      <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                        {formatDateTime(movement.createdAt)}
+                      </TableCell>
+                      <TableCell>
+                        {MOVEMENT_TYPE_LABELS[movement.type] || movement.type}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {movement.location.name}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right font-medium ${
+                          movement.quantity < 0
+                            ? "text-red-600"
+                            : "text-green-600"
+                        }`}
+                      >
+                        {movement.quantity > 0
+                          ? `+${movement.quantity}`
+                          : movement.quantity}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${getUnitCost(movement, costingMethod).toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {movement.balanceAfter}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${getValueAfter(movement, costingMethod).toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {movement.reference || "—"}
+                        {movement.reason && (
+                          <span className="ml-1 text-muted-foreground">
+                            (
+                            {ADJUSTMENT_REASONS.find(
+                              (r) => r.value === movement.reason
+                            )?.label || movement.reason}
+                            )
+                          </span>
+                        )}
+                        {movement.lots.length > 0 && (
+                          <div className="text-xs text-muted-foreground">
+                            {movement.lots
+                              .map(
+                                ({ lot, quantity }) =>
+                                  `Lot ${lot.lotNumber} (${Math.abs(quantity)})`
+                              )
+                              .join(", ")}
+                          </div>
+                        )}
+                        {movement.serials.length > 0 && (
+                          <div className="text-xs text-muted-foreground">
+                            S/N{" "}
+                            {movement.serials
+                              .map(({ serial }) => serial.serial)
+                              .join(", ")}
+                          </div>
+                        )}
+                        {movement.note && (
+                          <div className="text-xs text-muted-foreground">
+                            {movement.note}
+                          </div>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={8} className="h-24 text-center">
+                      No stock movements recorded yet.
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="flex items-center justify-end space-x-2">
+            <span className="text-sm font-medium">
+              Page {page} of {totalPages}
+            </span>
+            <Button
+              variant="outline"
+              className="h-8 w-8 p-0"
+              onClick={() => setPage((p) => p - 1)}
+              disabled={page <= 1}
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button
+              variant="outline"
+              className="h-8 w-8 p-0"
+              onClick={() => setPage((p) => p + 1)}
+              disabled={page >= totalPages}
+            >
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
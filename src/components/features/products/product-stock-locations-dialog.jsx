@@ -0,0 +1,186 @@
+// /src/components/features/products/product-stock-locations-dialog.jsx
+"use client";
+
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useReorderPointsMutation } from "@/hooks/use-reorder-points-mutation";
+import { fetchProductStockLevels } from "@/lib/api/products-api";
+import { queryKeys } from "@/lib/queryKeys";
+
+/**
+ * Dialog showing a product's stock at each location, with an editable
+ * reorder point per location. Stock on its way between locations counts
+ * towards the product's total but not towards any location yet.
+ * @param {Object} props
+ * @param {Object} props.product - The product whose stock is shown
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Stock by location dialog
+ */
+export default function ProductStockLocationsDialog({
+  product,
+  isOpen,
+  onClose,
+}) {
+  const [reorderPoints, setReorderPoints] = useState({});
+
+  const { data: levels, isLoading, isError } = useQuery({
+    queryKey: queryKeys.detail("productStockLevels", product?.id),
+    queryFn: () => fetchProductStockLevels(product.id),
+    enabled: !!product?.id && isOpen,
+  });
+
+  const { reorderPointsMutation } = useReorderPointsMutation(
+    product?.id,
+    onClose
+  );
+
+  useEffect(() => {
+    if (isOpen && levels) {
+      setReorderPoints(
+        Object.fromEntries(
+          levels.map((level) => [level.locationId, String(level.reorderPoint)])
+        )
+      );
+    }
+  }, [isOpen, levels]);
+
+  const atLocations = (levels || []).reduce(
+    (sum, level) => sum + level.quantity,
+    0
+  );
+  const inTransit = (product?.stock ?? 0) - atLocations;
+  const isValid = Object.values(reorderPoints).every((value) =>
+    /^\d+$/.test(value)
+  );
+
+  const handleSave = () => {
+    reorderPointsMutation.mutate({
+      levels: Object.entries(reorderPoints).map(([locationId, value]) => ({
+        locationId,
+        reorderPoint: parseInt(value),
+      })),
+    });
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Stock by Location</DialogTitle>
+          <DialogDescription>
+            Where the stock of "{product?.name}" is kept. A location is low on
+            stock at or below its own reorder point.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="p-8 text-center">Loading...</div>
+        ) : isError ? (
+          <div className="text-red-500">
+            Error loading stock levels. Please try again.
+          </div>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Location</TableHead>
+                  <TableHead className="text-right">In Stock</TableHead>
+                  <TableHead className="w-32">Reorder Point</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {levels.map((level) => {
+                  const value = reorderPoints[level.locationId] ?? "";
+                  const isLowStock =
+                    /^\d+$/.test(value) && level.quantity <= parseInt(value);
+                  return (
+                    <TableRow key={level.locationId}>
+                      <TableCell className="font-medium">
+                        {level.locationName}
+                        {level.isCurrent && (
+                          <span className="ml-2 text-xs font-normal text-gray-500">
+                            (current)
+                          </span>
+                        )}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right ${isLowStock ? "text-red-600" : ""}`}
+                      >
+                        {level.quantity} {product?.unit}
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          type="number"
+                          min="0"
+                          step="1"
+                          aria-label={`Reorder point at ${level.locationName}`}
+                          value={value}
+                          onChange={(e) =>
+                            setReorderPoints((current) => ({
+                              ...current,
+                              [level.locationId]: e.target.value,
+                            }))
+                          }
+                        />
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+                {inTransit > 0 && (
+                  <TableRow>
+                    <TableCell className="text-gray-600">In transit</TableCell>
+                    <TableCell className="text-right text-gray-600">
+                      {inTransit} {product?.unit}
+                    </TableCell>
+                    <TableCell />
+                  </TableRow>
+                )}
+                <TableRow>
+                  <TableCell className="font-medium">Total</TableCell>
+                  <TableCell className="text-right font-medium">
+                    {product?.stock} {product?.unit}
+                  </TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {/* Action Buttons */}
+        <div className="flex justify-end space-x-2 pt-4">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            disabled={!levels || !isValid || reorderPointsMutation.isPending}
+          >
+            {reorderPointsMutation.isPending
+              ? "Saving..."
+              : "Save Reorder Points"}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
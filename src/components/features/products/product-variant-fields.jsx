@@ -0,0 +1,263 @@
+// /src/components/features/products/product-variant-fields.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useFieldArray } from "react-hook-form";
+import { Plus, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  MAX_OPTION_AXES,
+  MAX_VARIANTS,
+  formatVariantLabel,
+  getVariantCombinations,
+  parseOptionValues,
+  suggestVariantSku,
+} from "@/lib/schemas/product-schemas";
+
+/**
+ * Reads the option axes that have a name and at least one value
+ * @param {{ name: string, values: string }[]} [axes] - Option axes as typed
+ * @returns {{ name: string, values: string[] }[]} Complete option axes
+ */
+export function getCompleteAxes(axes = []) {
+  return axes
+    .map((axis) => ({
+      name: axis.name.trim(),
+      values: parseOptionValues(axis.values),
+    }))
+    .filter((axis) => axis.name && axis.values.length > 0);
+}
+
+/**
+ * Variant fields of the product creation form
+ * Option axes (e.g. Size: S, M, L and Colour: Red, Blue) are typed with
+ * comma-separated values, and a variant row is generated for every
+ * combination with its own SKU, price, initial stock and reorder point.
+ * Rows keep what was typed into them while the axes are edited.
+ * @param {Object} props
+ * @param {Object} props.control - React Hook Form control
+ * @param {Function} props.register - React Hook Form register function
+ * @param {Function} props.watch - React Hook Form watch function
+ * @param {Function} props.getValues - React Hook Form getValues function
+ * @param {Object} props.errors - Form validation errors
+ * @returns {JSX.Element} Variant fields
+ */
+export default function ProductVariantFields({
+  control,
+  register,
+  watch,
+  getValues,
+  errors,
+}) {
+  const hasVariants = watch("hasVariants");
+  const isSerialized = watch("serialized");
+  const parentSku = watch("sku")?.trim();
+  const parentPrice = watch("sellingPrice");
+
+  const {
+    fields: axisFields,
+    append: appendAxis,
+    remove: removeAxis,
+  } = useFieldArray({ control, name: "optionAxes" });
+  const { fields: variantFields, replace: replaceVariants } = useFieldArray({
+    control,
+    name: "variants",
+  });
+
+  const combinations = getVariantCombinations(
+    getCompleteAxes(watch("optionAxes"))
+  );
+  const tooMany = combinations.length > MAX_VARIANTS;
+  const combinationsKey = JSON.stringify(tooMany ? [] : combinations);
+
+  // Regenerate the rows when the option values change
+  useEffect(() => {
+    if (!hasVariants) return;
+
+    const rowsByLabel = new Map(
+      (getValues("variants") ?? []).map((row) => [
+        formatVariantLabel(row.optionValues),
+        row,
+      ])
+    );
+    replaceVariants(
+      JSON.parse(combinationsKey).map(
+        (optionValues) =>
+          rowsByLabel.get(formatVariantLabel(optionValues)) ?? {
+            optionValues,
+            sku: "",
+            sellingPrice: "",
+            stock: "0",
+            reorderPoint: "0",
+          }
+      )
+    );
+  }, [hasVariants, combinationsKey, getValues, replaceVariants]);
+
+  const variantsError = errors.variants?.root ?? errors.variants;
+
+  return (
+    <div className="space-y-4">
+      <label className="flex items-start space-x-2 text-sm">
+        <input type="checkbox" className="mt-1" {...register("hasVariants")} />
+        <span>
+          This product has variants
+          <span className="block text-xs text-muted-foreground">
+            Sizes, colours or other options, each sold as its own SKU with its
+            own price, stock and reorder point.
+          </span>
+        </span>
+      </label>
+
+      {hasVariants && (
+        <>
+          <div className="space-y-2">
+            <Label>Options</Label>
+            {axisFields.map((field, index) => (
+              <div key={field.id} className="space-y-1">
+                <div className="flex gap-2">
+                  <Input
+                    {...register(`optionAxes.${index}.name`)}
+                    placeholder="Size"
+                    aria-label="Option name"
+                    className="w-32"
+                  />
+                  <Input
+                    {...register(`optionAxes.${index}.values`)}
+                    placeholder="S, M, L"
+                    aria-label="Option values, separated by commas"
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => removeAxis(index)}
+                    disabled={axisFields.length === 1}
+                    aria-label="Remove option"
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+                {errors.optionAxes?.[index]?.name && (
+                  <p className="text-sm text-red-500">
+                    {errors.optionAxes[index].name.message}
+                  </p>
+                )}
+                {errors.optionAxes?.[index]?.values && (
+                  <p className="text-sm text-red-500">
+                    {errors.optionAxes[index].values.message}
+                  </p>
+                )}
+              </div>
+            ))}
+            {axisFields.length < MAX_OPTION_AXES && (
+              <Button
+                type="button"
+                variant="outline"
+                size="sm"
+                onClick={() => appendAxis({ name: "", values: "" })}
+              >
+                <Plus className="mr-2 h-4 w-4" />
+                Add Option
+              </Button>
+            )}
+          </div>
+
+          {tooMany ? (
+            <p className="text-sm text-red-500">
+              These options make {combinations.length} variants; a product can
+              have at most {MAX_VARIANTS}.
+            </p>
+          ) : variantFields.length > 0 ? (
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Variant</TableHead>
+                    <TableHead>SKU</TableHead>
+                    <TableHead>Price</TableHead>
+                    {!isSerialized && <TableHead>Stock</TableHead>}
+                    <TableHead>Reorder Pt.</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {variantFields.map((field, index) => (
+                    <TableRow key={field.id}>
+                      <TableCell className="whitespace-nowrap font-medium">
+                        {formatVariantLabel(field.optionValues)}
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          {...register(`variants.${index}.sku`)}
+                          placeholder={
+                            parentSku
+                              ? suggestVariantSku(parentSku, field.optionValues)
+                              : "Optional"
+                          }
+                          aria-label="Variant SKU"
+                          className="h-8 min-w-28"
+                        />
+                      </TableCell>
+                      <TableCell>
+                        <Input
+                          {...register(`variants.${index}.sellingPrice`)}
+                          type="number"
+                          step="0.01"
+                          placeholder={parentPrice || "0.00"}
+                          aria-label="Variant price"
+                          className={`h-8 w-24 ${
+                            errors.variants?.[index]?.sellingPrice
+                              ? "border-red-500"
+                              : ""
+                          }`}
+                        />
+                      </TableCell>
+                      {!isSerialized && (
+                        <TableCell>
+                          <Input
+                            {...register(`variants.${index}.stock`)}
+                            type="number"
+                            aria-label="Variant initial stock"
+                            className="h-8 w-20"
+                          />
+                        </TableCell>
+                      )}
+                      <TableCell>
+                        <Input
+                          {...register(`variants.${index}.reorderPoint`)}
+                          type="number"
+                          aria-label="Variant reorder point"
+                          className="h-8 w-20"
+                        />
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          ) : (
+            variantsError?.message && (
+              <p className="text-sm text-red-500">{variantsError.message}</p>
+            )
+          )}
+          <p className="text-xs text-muted-foreground">
+            Blank prices use the product&apos;s selling price
+            {isSerialized &&
+              "; serialized variants start with no stock and get it when received"}
+            .
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
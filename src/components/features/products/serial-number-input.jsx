@@ -0,0 +1,84 @@
+// /src/components/features/products/serial-number-input.jsx
+"use client";
+
+import { forwardRef, useState } from "react";
+import { X } from "lucide-react";
+import { Input } from "@/components/ui/input";
+
+/**
+ * Captures the serial numbers of units coming into stock, one per unit.
+ * Scan or type a serial and press Enter to add it; Enter on an empty field
+ * calls onDone and Backspace on an empty field removes the last serial.
+ * @param {Object} props
+ * @param {string[]} props.serials - Serial numbers entered so far
+ * @param {Function} props.onChange - Called with the new list of serials
+ * @param {Function} [props.onDone] - Called with the key event when Enter is pressed on an empty field
+ * @param {boolean} [props.invalid] - Highlights the field as needing serials
+ * @param {React.Ref} ref - Forwarded to the underlying input
+ * @returns {JSX.Element} Serial number chips with an input
+ */
+const SerialNumberInput = forwardRef(function SerialNumberInput(
+  { serials, onChange, onDone, invalid },
+  ref
+) {
+  const [value, setValue] = useState("");
+  const [error, setError] = useState(null);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      const serial = value.trim();
+      if (!serial) {
+        onDone?.(e);
+        return;
+      }
+      if (serials.includes(serial)) {
+        setError(`${serial} is already on this line`);
+        return;
+      }
+      onChange([...serials, serial]);
+      setValue("");
+      setError(null);
+    } else if (e.key === "Backspace" && !value && serials.length > 0) {
+      onChange(serials.slice(0, -1));
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-1">
+        {serials.map((serial) => (
+          <span
+            key={serial}
+            className="inline-flex items-center gap-1 rounded border bg-white px-2 py-0.5 text-xs font-mono"
+          >
+            {serial}
+            <button
+              type="button"
+              onClick={() => onChange(serials.filter((s) => s !== serial))}
+              className="text-gray-400 hover:text-red-600"
+              aria-label={`Remove ${serial}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+        <Input
+          ref={ref}
+          value={value}
+          onChange={(e) => {
+            setValue(e.target.value);
+            setError(null);
+          }}
+          onKeyDown={handleKeyDown}
+          aria-label="Serial number"
+          placeholder="Scan or type a serial number, then press Enter"
+          className={`h-8 flex-1 min-w-48 ${invalid ? "border-red-500" : ""}`}
+        />
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+});
+
+export default SerialNumberInput;
@@ -0,0 +1,211 @@
+// /src/components/features/products/serial-number-lookup.jsx
+"use client";
+
+import { useState } from "react";
+import Link from "next/link";
+import { useQuery } from "@tanstack/react-query";
+import { ScanBarcode, Search } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { queryKeys } from "@/lib/queryKeys";
+import { useUrlSearchParams } from "@/hooks/use-url-search-params";
+import { fetchSerialNumber } from "@/lib/api/serial-numbers-api";
+import { SERIAL_STATUSES } from "@/lib/schemas/serial-schemas";
+import { MOVEMENT_TYPE_LABELS } from "@/lib/schemas/product-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Serial lookup client component
+ * Looks up the serial number entered (kept in the URL as ?serial=) and
+ * shows the unit's product, status and location, the supplier it was
+ * received from, the customer it was sold to and every movement it went
+ * through. Hydrated from the server-rendered lookup.
+ * @param {Object} props
+ * @param {string} props.initialSerial - Serial the page was rendered for
+ * @param {Object|null} props.initialSerialNumber - Server-rendered lookup result
+ * @returns {JSX.Element} Serial lookup view
+ */
+export default function SerialNumberLookup({
+  initialSerial,
+  initialSerialNumber,
+}) {
+  const { searchParams, setSearchParams } = useUrlSearchParams();
+  const serial = searchParams.get("serial")?.trim() ?? "";
+  const [input, setInput] = useState(serial);
+
+  const { data: serialNumber, isError } = useQuery({
+    queryKey: queryKeys.detail("serialNumbers", serial),
+    queryFn: () => fetchSerialNumber(serial),
+    enabled: !!serial,
+    initialData:
+      serial === initialSerial ? initialSerialNumber ?? null : undefined,
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSearchParams({ serial: input.trim() });
+  };
+
+  const status = SERIAL_STATUSES.find(
+    (s) => s.value === serialNumber?.status
+  );
+
+  return (
+    <div className="space-y-6">
+      <form onSubmit={handleSubmit} className="flex max-w-md gap-2">
+        <Input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder="Scan or type a serial number or IMEI"
+          aria-label="Serial number"
+          autoFocus
+        />
+        <Button type="submit" disabled={!input.trim()}>
+          <Search className="mr-2 h-4 w-4" />
+          Look Up
+        </Button>
+      </form>
+
+      {!serial ? null : isError ? (
+        <div className="text-red-500">
+          Error looking up the serial number. Please try again.
+        </div>
+      ) : serialNumber === undefined ? (
+        <div className="p-8 text-center">Loading...</div>
+      ) : !serialNumber ? (
+        <EmptyState
+          icon={ScanBarcode}
+          title="Serial number not found"
+          description={`No unit with serial ${serial} has been received.`}
+        />
+      ) : (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>{serialNumber.serial}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <dl className="grid gap-4 text-sm sm:grid-cols-2">
+                <div>
+                  <dt className="text-muted-foreground">Product</dt>
+                  <dd className="font-medium">
+                    {serialNumber.product.name}
+                    {serialNumber.product.sku && (
+                      <span className="ml-1 font-normal text-muted-foreground">
+                        ({serialNumber.product.sku})
+                      </span>
+                    )}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-muted-foreground">Status</dt>
+                  <dd className="font-medium">
+                    {status?.label || serialNumber.status}
+                    {serialNumber.status === "IN_STOCK" &&
+                      ` at ${serialNumber.location.name}`}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-muted-foreground">Received from</dt>
+                  <dd>
+                    {serialNumber.receivedFrom ? (
+                      <>
+                        {serialNumber.receivedFrom.supplier?.name ||
+                          "No supplier"}{" "}
+                        on{" "}
+                        {formatDateTime(serialNumber.receivedFrom.receivedAt)}
+                      </>
+                    ) : (
+                      "—"
+                    )}
+                  </dd>
+                </div>
+                <div>
+                  <dt className="text-muted-foreground">Sold to</dt>
+                  <dd>
+                    {serialNumber.soldTo ? (
+                      <Link
+                        href={`/dashboard/sales/${serialNumber.soldTo.id}`}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {serialNumber.soldTo.customer?.name || "Walk-in"}{" "}
+                        on{" "}
+                        {formatDateTime(serialNumber.soldTo.soldAt)}
+                      </Link>
+                    ) : (
+                      "—"
+                    )}
+                  </dd>
+                </div>
+              </dl>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>History</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Date</TableHead>
+                      <TableHead>Type</TableHead>
+                      <TableHead>Location</TableHead>
+                      <TableHead>Reference</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {serialNumber.history.map((movement) => (
+                      <TableRow key={movement.id}>
+                        <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                          {formatDateTime(movement.createdAt)}
+                        </TableCell>
+                        <TableCell>
+                          {MOVEMENT_TYPE_LABELS[movement.type] ||
+                            movement.type}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {movement.location.name}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {movement.reference || "—"}
+                          {movement.purchase?.supplier && (
+                            <div className="text-xs text-muted-foreground">
+                              From {movement.purchase.supplier.name}
+                            </div>
+                          )}
+                          {movement.sale?.customer && (
+                            <div className="text-xs text-muted-foreground">
+                              To {movement.sale.customer.name}
+                            </div>
+                          )}
+                          {movement.note && (
+                            <div className="text-xs text-muted-foreground">
+                              {movement.note}
+                            </div>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
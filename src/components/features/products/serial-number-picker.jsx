@@ -0,0 +1,105 @@
+// /src/components/features/products/serial-number-picker.jsx
+"use client";
+
+import { forwardRef, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Input } from "@/components/ui/input";
+import { fetchProductSerials } from "@/lib/api/products-api";
+import { queryKeys } from "@/lib/queryKeys";
+
+/**
+ * Chooses which units of a serialized product leave stock, from the serial
+ * numbers in stock at a location. Tick them in the list, or scan or type a
+ * serial and press Enter to tick it; Enter on an empty field calls onDone.
+ * @param {Object} props
+ * @param {string} props.productId - Serialized product
+ * @param {string} [props.locationId] - Location the units leave; defaults to the current one
+ * @param {string[]} props.selected - Serial numbers chosen so far
+ * @param {Function} props.onChange - Called with the new list of chosen serials
+ * @param {Function} [props.onDone] - Called with the key event when Enter is pressed on an empty field
+ * @param {React.Ref} ref - Forwarded to the scan input
+ * @returns {JSX.Element} Scan input with a checklist of serials in stock
+ */
+const SerialNumberPicker = forwardRef(function SerialNumberPicker(
+  { productId, locationId, selected, onChange, onDone },
+  ref
+) {
+  const [value, setValue] = useState("");
+  const [error, setError] = useState(null);
+
+  const { data: serials = [], isLoading } = useQuery({
+    queryKey: queryKeys.list("serialNumbers", { productId, locationId }),
+    queryFn: () => fetchProductSerials(productId, locationId),
+    staleTime: 1000 * 30,
+  });
+
+  const toggle = (serial) =>
+    onChange(
+      selected.includes(serial)
+        ? selected.filter((s) => s !== serial)
+        : [...selected, serial]
+    );
+
+  const handleKeyDown = (e) => {
+    if (e.key !== "Enter") return;
+    e.preventDefault();
+    const typed = value.trim();
+    if (!typed) {
+      onDone?.(e);
+      return;
+    }
+    const match = serials.find(
+      (unit) => unit.serial.toLowerCase() === typed.toLowerCase()
+    );
+    if (!match) {
+      setError(`${typed} is not in stock here`);
+      return;
+    }
+    if (!selected.includes(match.serial)) {
+      onChange([...selected, match.serial]);
+    }
+    setValue("");
+    setError(null);
+  };
+
+  return (
+    <div className="space-y-1">
+      <Input
+        ref={ref}
+        value={value}
+        onChange={(e) => {
+          setValue(e.target.value);
+          setError(null);
+        }}
+        onKeyDown={handleKeyDown}
+        aria-label="Serial number"
+        placeholder="Scan or type a serial number, then press Enter"
+        className={`h-8 ${selected.length ? "" : "border-red-500"}`}
+      />
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {isLoading ? (
+        <p className="text-xs text-muted-foreground">Loading serials...</p>
+      ) : serials.length ? (
+        <div className="flex max-h-28 flex-wrap gap-x-4 gap-y-1 overflow-y-auto">
+          {serials.map((unit) => (
+            <label
+              key={unit.id}
+              className="flex items-center gap-1 text-xs font-mono"
+            >
+              <input
+                type="checkbox"
+                checked={selected.includes(unit.serial)}
+                onChange={() => toggle(unit.serial)}
+              />
+              {unit.serial}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <p className="text-xs text-red-600">No serial numbers in stock here</p>
+      )}
+    </div>
+  );
+});
+
+export default SerialNumberPicker;
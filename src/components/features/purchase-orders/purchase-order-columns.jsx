@@ -0,0 +1,72 @@
+// /src/components/features/purchase-orders/purchase-order-columns.jsx
+"use client";
+
+import Link from "next/link";
+import PurchaseOrderStatus from "@/components/features/purchase-orders/purchase-order-status";
+import { formatPurchaseOrderNumber } from "@/lib/schemas/purchase-order-schemas";
+
+/**
+ * Purchase order table columns configuration for TanStack Table
+ * @returns {Array} Column definitions array
+ */
+export function createPurchaseOrderColumns() {
+  return [
+    {
+      accessorKey: "number",
+      header: "Order",
+      cell: ({ row }) => (
+        <Link
+          href={`/dashboard/suppliers/purchase-orders/${row.original.id}`}
+          className="font-medium text-primary hover:underline"
+        >
+          {formatPurchaseOrderNumber(row.original.number)}
+        </Link>
+      ),
+    },
+    {
+      id: "supplier",
+      accessorFn: (order) => order.supplier.name,
+      header: "Supplier",
+      cell: ({ row }) => <div>{row.original.supplier.name}</div>,
+    },
+    {
+      accessorKey: "status",
+      header: "Status",
+      cell: ({ row }) => <PurchaseOrderStatus status={row.original.status} />,
+    },
+    {
+      id: "received",
+      header: "Received",
+      cell: ({ row }) => {
+        const { unitsOrdered, unitsReceived } = row.original;
+        return (
+          <div className="text-sm">
+            {unitsReceived} / {unitsOrdered} units
+          </div>
+        );
+      },
+      enableSorting: false,
+    },
+    {
+      accessorKey: "totalAmount",
+      header: "Total",
+      cell: ({ row }) => (
+        <div className="font-medium">
+          ${row.original.totalAmount.toFixed(2)}
+        </div>
+      ),
+    },
+    {
+      accessorKey: "createdAt",
+      header: "Created",
+      cell: ({ row }) => {
+        const date = new Date(row.getValue("createdAt"));
+        return (
+          <div className="text-sm text-muted-foreground">
+            {date.toLocaleDateString()}
+          </div>
+        );
+      },
+    },
+  ];
+}
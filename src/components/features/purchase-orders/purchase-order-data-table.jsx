@@ -0,0 +1,96 @@
+// /src/components/features/purchase-orders/purchase-order-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { ClipboardList } from "lucide-react";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { createPurchaseOrderColumns } from "@/components/features/purchase-orders/purchase-order-columns";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchPurchaseOrders } from "@/lib/api/purchase-orders-api";
+import { PURCHASE_ORDER_STATUSES } from "@/lib/schemas/purchase-order-schemas";
+
+const ALL_STATUSES = "all";
+
+/**
+ * Client component to render the purchase orders data table.
+ * It uses TanStack Query to manage and update the purchase order list.
+ * @param {{ initialPurchaseOrdersData: Array }} props
+ * @returns {JSX.Element}
+ */
+export default function PurchaseOrderDataTable({ initialPurchaseOrdersData }) {
+  const [statusFilter, setStatusFilter] = useState(ALL_STATUSES);
+
+  const {
+    data: orders = [],
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("purchaseOrders"),
+    queryFn: () => fetchPurchaseOrders(),
+    initialData: initialPurchaseOrdersData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const visibleOrders =
+    statusFilter === ALL_STATUSES
+      ? orders
+      : orders.filter((order) => order.status === statusFilter);
+  const columns = createPurchaseOrderColumns();
+
+  if (isLoading && !initialPurchaseOrdersData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading purchase orders. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (orders.length === 0) {
+    return (
+      <EmptyState
+        icon={ClipboardList}
+        title="No purchase orders yet"
+        description="Draft an order for a supplier, prefilled from your low-stock products, then receive it in one or more deliveries."
+        actionLabel="Create Purchase Order"
+        actionHref="/dashboard/suppliers/purchase-orders/new"
+      />
+    );
+  }
+
+  return (
+    <DataTable
+      columns={columns}
+      data={visibleOrders}
+      filterKey="supplier"
+      filterPlaceholder="Filter by supplier..."
+      toolbar={
+        <Select onValueChange={setStatusFilter} value={statusFilter}>
+          <SelectTrigger className="w-48" aria-label="Order status">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+            {PURCHASE_ORDER_STATUSES.map((status) => (
+              <SelectItem key={status.value} value={status.value}>
+                {status.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      }
+    />
+  );
+}
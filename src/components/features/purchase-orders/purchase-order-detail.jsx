@@ -0,0 +1,504 @@
+// /src/components/features/purchase-orders/purchase-order-detail.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import SerialNumberInput from "@/components/features/products/serial-number-input";
+import PurchaseOrderEditor from "@/components/features/purchase-orders/purchase-order-editor";
+import PurchaseOrderStatus from "@/components/features/purchase-orders/purchase-order-status";
+import { usePurchaseOrderMutations } from "@/hooks/use-purchase-order-mutations";
+import { fetchPurchaseOrder } from "@/lib/api/purchase-orders-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { PURCHASE_PAYMENT_STATUSES } from "@/lib/schemas/purchase-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Purchase order detail client component
+ * Drafts open in the editor. Sent orders list their lines with ordered,
+ * received and outstanding quantities and take deliveries in one or more
+ * parts; each line defaults to receiving everything outstanding, and lines
+ * of lot-tracked products also take the delivered lot and its expiry date.
+ * Lines of serialized products receive one unit per serial number entered.
+ * Hydrated from the server-rendered purchase order.
+ * @param {{ initialOrder: Object }} props
+ * @returns {JSX.Element} Purchase order detail view
+ */
+export default function PurchaseOrderDetail({ initialOrder }) {
+  const orderId = initialOrder.id;
+
+  const { data: order } = useQuery({
+    queryKey: queryKeys.detail("purchaseOrders", orderId),
+    queryFn: () => fetchPurchaseOrder(orderId),
+    initialData: initialOrder,
+  });
+
+  // Quantities typed per order line; untouched lines receive the outstanding
+  // quantity
+  const [quantities, setQuantities] = useState({});
+  const [lots, setLots] = useState({});
+  const [serials, setSerials] = useState({});
+  const [paymentStatus, setPaymentStatus] = useState("PAID");
+  const [note, setNote] = useState("");
+
+  const { statusMutation, receiveMutation } =
+    usePurchaseOrderMutations(orderId);
+
+  if (order.status === "DRAFT") {
+    return <PurchaseOrderEditor key={order.updatedAt} order={order} />;
+  }
+
+  const canReceive =
+    order.status === "SENT" || order.status === "PARTIALLY_RECEIVED";
+  const unitsOutstanding = order.unitsOrdered - order.unitsReceived;
+
+  const deliveryLines = order.items.map((item) => {
+    const outstanding = item.quantityOrdered - item.quantityReceived;
+    const lineSerials = serials[item.id] ?? [];
+    const input = item.product.serialized
+      ? String(lineSerials.length)
+      : (quantities[item.id] ?? String(outstanding));
+    const quantity = parseInt(input) || 0;
+    const lot = lots[item.id] ?? { lotNumber: "", expiryDate: "" };
+    const needsLot =
+      item.product.trackLots && quantity > 0 && !lot.lotNumber.trim();
+    return {
+      item,
+      outstanding,
+      input,
+      quantity,
+      lot,
+      needsLot,
+      serials: lineSerials,
+    };
+  });
+  const hasInvalidLine = deliveryLines.some(
+    ({ outstanding, quantity, needsLot }) =>
+      quantity < 0 || quantity > outstanding || needsLot
+  );
+  const deliveryUnits = deliveryLines.reduce(
+    (sum, line) => sum + line.quantity,
+    0
+  );
+  const deliveryTotal = deliveryLines.reduce(
+    (sum, line) => sum + line.quantity * line.item.unitCost,
+    0
+  );
+  const canSubmitDelivery =
+    canReceive &&
+    deliveryUnits > 0 &&
+    !hasInvalidLine &&
+    !receiveMutation.isPending;
+
+  /**
+   * Records the lot number or expiry date typed for an order line
+   * @param {string} itemId - Order line ID
+   * @param {Object} change - Changed lot fields
+   */
+  const updateLot = (itemId, change) => {
+    setLots((current) => ({
+      ...current,
+      [itemId]: {
+        lotNumber: "",
+        expiryDate: "",
+        ...current[itemId],
+        ...change,
+      },
+    }));
+  };
+
+  const handleReceive = () => {
+    if (!canSubmitDelivery) return;
+
+    receiveMutation.mutate(
+      {
+        paymentStatus,
+        note: note.trim() || undefined,
+        items: deliveryLines
+          .filter((line) => line.quantity > 0)
+          .map((line) => ({
+            itemId: line.item.id,
+            quantity: line.quantity,
+            ...(line.item.product.trackLots && {
+              lotNumber: line.lot.lotNumber.trim(),
+              expiryDate: line.lot.expiryDate || undefined,
+            }),
+            ...(line.item.product.serialized && { serials: line.serials }),
+          })),
+      },
+      {
+        onSuccess: () => {
+          setQuantities({});
+          setLots({});
+          setSerials({});
+          setNote("");
+        },
+      }
+    );
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Lines and deliveries */}
+      <div className="lg:col-span-2 space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Order Lines</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Product</TableHead>
+                    <TableHead className="text-right">Unit Cost</TableHead>
+                    <TableHead className="text-right">Ordered</TableHead>
+                    <TableHead className="text-right">Received</TableHead>
+                    <TableHead className="text-right">Outstanding</TableHead>
+                    {canReceive && (
+                      <TableHead className="w-28">Receive Now</TableHead>
+                    )}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {deliveryLines.map((line) => (
+                    <TableRow key={line.item.id}>
+                      <TableCell>
+                        <div className="font-medium">
+                          {line.item.product.name}
+                        </div>
+                        <div className="text-xs text-muted-foreground">
+                          {line.item.product.sku
+                            ? `SKU: ${line.item.product.sku} · `
+                            : ""}
+                          In stock: {line.item.product.stock}{" "}
+                          {line.item.product.unit}
+                        </div>
+                        {canReceive &&
+                          line.item.product.trackLots &&
+                          line.outstanding > 0 && (
+                            <div className="mt-2 flex gap-2">
+                              <Input
+                                value={line.lot.lotNumber}
+                                onChange={(e) =>
+                                  updateLot(line.item.id, {
+                                    lotNumber: e.target.value,
+                                  })
+                                }
+                                placeholder="Lot number"
+                                aria-label={`Lot number of ${line.item.product.name}`}
+                                className={
+                                  line.needsLot ? "border-red-500" : ""
+                                }
+                              />
+                              <Input
+                                type="date"
+                                value={line.lot.expiryDate}
+                                onChange={(e) =>
+                                  updateLot(line.item.id, {
+                                    expiryDate: e.target.value,
+                                  })
+                                }
+                                aria-label={`Expiry date of ${line.item.product.name}`}
+                              />
+                            </div>
+                          )}
+                        {canReceive &&
+                          line.item.product.serialized &&
+                          line.outstanding > 0 && (
+                            <div className="mt-2">
+                              <SerialNumberInput
+                                serials={line.serials}
+                                onChange={(lineSerials) =>
+                                  setSerials((current) => ({
+                                    ...current,
+                                    [line.item.id]: lineSerials,
+                                  }))
+                                }
+                              />
+                            </div>
+                          )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${line.item.unitCost.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {line.item.quantityOrdered}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {line.item.quantityReceived}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right ${
+                          line.outstanding > 0
+                            ? "text-amber-600"
+                            : "text-green-600"
+                        }`}
+                      >
+                        {line.outstanding}
+                      </TableCell>
+                      {canReceive && line.item.product.serialized && (
+                        <TableCell
+                          className={`text-sm ${
+                            line.quantity > line.outstanding
+                              ? "text-red-600"
+                              : ""
+                          }`}
+                          title="One unit per serial number"
+                        >
+                          {line.quantity}
+                        </TableCell>
+                      )}
+                      {canReceive && !line.item.product.serialized && (
+                        <TableCell>
+                          <Input
+                            type="number"
+                            min="0"
+                            max={line.outstanding}
+                            step="1"
+                            value={line.input}
+                            onChange={(e) =>
+                              setQuantities((current) => ({
+                                ...current,
+                                [line.item.id]: e.target.value,
+                              }))
+                            }
+                            disabled={line.outstanding === 0}
+                            aria-label={`Receive ${line.item.product.name}`}
+                            className={
+                              line.quantity < 0 ||
+                              line.quantity > line.outstanding
+                                ? "border-red-500"
+                                : ""
+                            }
+                          />
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Deliveries</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Received</TableHead>
+                    <TableHead>Lines</TableHead>
+                    <TableHead>Payment</TableHead>
+                    <TableHead>Note</TableHead>
+                    <TableHead className="text-right">Total</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {order.receipts.length ? (
+                    order.receipts.map((receipt) => (
+                      <TableRow key={receipt.id}>
+                        <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                          {formatDateTime(receipt.receivedAt)}
+                        </TableCell>
+                        <TableCell>{receipt._count.items}</TableCell>
+                        <TableCell>
+                          {PURCHASE_PAYMENT_STATUSES.find(
+                            (s) => s.value === receipt.paymentStatus
+                          )?.label ?? receipt.paymentStatus}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {receipt.note || "—"}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">
+                          ${receipt.totalAmount.toFixed(2)}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={5} className="h-24 text-center">
+                        Nothing received against this order yet.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Summary and delivery */}
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Order Summary</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Status</span>
+              <PurchaseOrderStatus status={order.status} />
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Supplier</span>
+              <span className="font-medium">{order.supplier.name}</span>
+            </div>
+            {order.sentAt && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Sent</span>
+                <span>{formatDateTime(order.sentAt)}</span>
+              </div>
+            )}
+            {order.expectedAt && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Expected</span>
+                <span>{new Date(order.expectedAt).toLocaleDateString()}</span>
+              </div>
+            )}
+            {order.closedAt && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Closed</span>
+                <span>{formatDateTime(order.closedAt)}</span>
+              </div>
+            )}
+            {order.note && <p className="text-gray-600">{order.note}</p>}
+            <div className="rounded-md bg-gray-50 p-3 space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Units received</span>
+                <span>
+                  {order.unitsReceived} / {order.unitsOrdered}
+                </span>
+              </div>
+              <div className="flex justify-between font-medium text-base pt-1">
+                <span>Order Total</span>
+                <span>${order.totalAmount.toFixed(2)}</span>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {canReceive && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Receive Delivery</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {/* Payment status */}
+              <div className="space-y-2">
+                <Label htmlFor="paymentStatus">Payment</Label>
+                <Select onValueChange={setPaymentStatus} value={paymentStatus}>
+                  <SelectTrigger id="paymentStatus">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {PURCHASE_PAYMENT_STATUSES.map((status) => (
+                      <SelectItem key={status.value} value={status.value}>
+                        {status.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Note */}
+              <div className="space-y-2">
+                <Label htmlFor="note">Note</Label>
+                <Input
+                  id="note"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="Delivery note, invoice number (optional)"
+                />
+              </div>
+
+              <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Units</span>
+                  <span>{deliveryUnits}</span>
+                </div>
+                <div className="flex justify-between font-medium text-base pt-1">
+                  <span>Delivery Total</span>
+                  <span>${deliveryTotal.toFixed(2)}</span>
+                </div>
+              </div>
+
+              <Button
+                className="w-full"
+                onClick={handleReceive}
+                disabled={!canSubmitDelivery}
+              >
+                {receiveMutation.isPending
+                  ? "Receiving..."
+                  : "Receive Delivery"}
+              </Button>
+
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    className="w-full"
+                    variant="ghost"
+                    disabled={statusMutation.isPending}
+                  >
+                    Close Order
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Close Purchase Order</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      {unitsOutstanding > 0
+                        ? `${unitsOutstanding} ordered units have not been delivered. Closing the order means no further deliveries can be received against it.`
+                        : "Once closed, no further deliveries can be received against this order."}
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Cancel</AlertDialogCancel>
+                    <AlertDialogAction
+                      onClick={() => statusMutation.mutate("close")}
+                    >
+                      Close Order
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,449 @@
+// /src/components/features/purchase-orders/purchase-order-editor.jsx
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { AlertTriangle, ClipboardList } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import ProductSearchInput from "@/components/features/products/product-search-input";
+import ReceiveStockLineItem from "@/components/features/purchases/receive-stock-line-item";
+import { usePurchaseOrderMutations } from "@/hooks/use-purchase-order-mutations";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
+import { fetchLowStockReport } from "@/lib/api/reports-api";
+import { queryKeys } from "@/lib/queryKeys";
+
+/**
+ * Maps a saved purchase order line to an editor line
+ * @param {Object} item - Purchase order item including its product
+ * @returns {Object} Editor line
+ */
+function toEditorLine(item) {
+  return {
+    productId: item.product.id,
+    name: item.product.name,
+    sku: item.product.sku,
+    unit: item.product.unit,
+    stock: item.product.stock,
+    quantity: String(item.quantityOrdered),
+    unitCost: String(item.unitCost),
+  };
+}
+
+/**
+ * Draft purchase order editor client component
+ * Left column builds the order line by line from a product search or from
+ * the supplier's low-stock products; right column holds the supplier,
+ * expected date and note with the save, send and delete actions.
+ * @param {Object} props
+ * @param {Object} [props.order] - Draft purchase order to edit (omit to create one)
+ * @param {string} [props.initialSupplierId] - Supplier to preselect for a new order
+ * @param {boolean} [props.prefillLowStock=false] - Add the supplier's low-stock products on load
+ * @returns {JSX.Element} Purchase order editor with two-column layout
+ */
+export default function PurchaseOrderEditor({
+  order,
+  initialSupplierId = "",
+  prefillLowStock = false,
+}) {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [supplierId, setSupplierId] = useState(
+    order?.supplierId ?? initialSupplierId
+  );
+  const [expectedAt, setExpectedAt] = useState(
+    order?.expectedAt
+      ? new Date(order.expectedAt).toISOString().slice(0, 10)
+      : ""
+  );
+  const [note, setNote] = useState(order?.note ?? "");
+  const [lines, setLines] = useState(
+    order ? order.items.map(toEditorLine) : []
+  );
+  const [focusProductId, setFocusProductId] = useState(null);
+  const [isPrefilling, setIsPrefilling] = useState(false);
+
+  const searchInputRef = useRef(null);
+  const quantityRefs = useRef({});
+  const hasPrefilled = useRef(false);
+
+  const { data: suppliers = [], isLoading: isLoadingSuppliers } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { saveMutation, statusMutation, deleteMutation } =
+    usePurchaseOrderMutations(order?.id, {
+      onSaved: (saved) => {
+        if (!order) {
+          router.push(`/dashboard/suppliers/purchase-orders/${saved.id}`);
+        }
+      },
+      onDeleted: () => router.push("/dashboard/suppliers/purchase-orders"),
+    });
+
+  // Move focus to the quantity of the line that was just added or bumped
+  useEffect(() => {
+    if (focusProductId) {
+      const input = quantityRefs.current[focusProductId];
+      input?.focus();
+      input?.select();
+      setFocusProductId(null);
+    }
+  }, [focusProductId]);
+
+  /**
+   * Adds the supplier's low-stock products with their suggested quantities,
+   * skipping products already on the order
+   * @param {string} forSupplierId - Supplier whose low-stock products to add
+   */
+  const addLowStockProducts = useCallback(
+    async (forSupplierId) => {
+      setIsPrefilling(true);
+      try {
+        const report = await queryClient.fetchQuery({
+          queryKey: queryKeys.list("lowStockReport"),
+          queryFn: () => fetchLowStockReport(),
+        });
+        const group = report.groups.find(
+          (g) => g.supplier?.id === forSupplierId
+        );
+
+        if (!group) {
+          toast.info("No low-stock products for this supplier");
+          return;
+        }
+
+        setLines((current) => {
+          const listed = new Set(current.map((line) => line.productId));
+          const added = group.items
+            .filter((item) => !listed.has(item.id))
+            .map((item) => ({
+              productId: item.id,
+              name: item.name,
+              sku: item.sku,
+              unit: item.unit,
+              stock: item.stock,
+              quantity: String(Math.max(item.suggestedQuantity, 1)),
+              unitCost: item.unitCost != null ? String(item.unitCost) : "",
+            }));
+          return [...current, ...added];
+        });
+      } catch (error) {
+        toast.error(error.message || "Failed to load low-stock products");
+      } finally {
+        setIsPrefilling(false);
+      }
+    },
+    [queryClient]
+  );
+
+  // Prefill once when opened from the low-stock report
+  useEffect(() => {
+    if (prefillLowStock && initialSupplierId && !hasPrefilled.current) {
+      hasPrefilled.current = true;
+      addLowStockProducts(initialSupplierId);
+    }
+  }, [prefillLowStock, initialSupplierId, addLowStockProducts]);
+
+  /**
+   * Adds a product to the order, or bumps its quantity if already listed
+   * @param {Object} product - Product picked from the search
+   */
+  const handleAddProduct = (product) => {
+    setLines((current) => {
+      const existing = current.find((line) => line.productId === product.id);
+      if (existing) {
+        return current.map((line) =>
+          line.productId === product.id
+            ? { ...line, quantity: String((parseInt(line.quantity) || 0) + 1) }
+            : line
+        );
+      }
+      return [
+        ...current,
+        {
+          productId: product.id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+          stock: product.stock,
+          quantity: "1",
+          unitCost:
+            product.purchasePrice != null ? String(product.purchasePrice) : "",
+        },
+      ];
+    });
+    setFocusProductId(product.id);
+  };
+
+  const handleLineChange = (productId, changes) => {
+    setLines((current) =>
+      current.map((line) =>
+        line.productId === productId ? { ...line, ...changes } : line
+      )
+    );
+  };
+
+  const handleRemoveLine = (productId) => {
+    setLines((current) =>
+      current.filter((line) => line.productId !== productId)
+    );
+    searchInputRef.current?.focus();
+  };
+
+  const totalUnits = lines.reduce(
+    (sum, line) => sum + (parseInt(line.quantity) || 0),
+    0
+  );
+  const totalAmount = lines.reduce(
+    (sum, line) =>
+      sum + (parseInt(line.quantity) || 0) * (parseFloat(line.unitCost) || 0),
+    0
+  );
+
+  const hasInvalidLine = lines.some(
+    (line) =>
+      !(parseInt(line.quantity) > 0) || !(parseFloat(line.unitCost) >= 0)
+  );
+  const isBusy =
+    saveMutation.isPending ||
+    statusMutation.isPending ||
+    deleteMutation.isPending;
+  const canSave =
+    !!supplierId && lines.length > 0 && !hasInvalidLine && !isBusy;
+
+  const buildOrderData = () => ({
+    supplierId,
+    expectedAt: expectedAt || undefined,
+    note: note.trim() || undefined,
+    items: lines.map((line) => ({
+      productId: line.productId,
+      quantity: parseInt(line.quantity),
+      unitCost: parseFloat(line.unitCost),
+    })),
+  });
+
+  const handleSave = () => {
+    if (!canSave) return;
+    saveMutation.mutate(buildOrderData());
+  };
+
+  const handleSaveAndSend = async () => {
+    if (!canSave) return;
+    try {
+      await saveMutation.mutateAsync(buildOrderData());
+      statusMutation.mutate("send");
+    } catch {
+      // The save error is already reported by the mutation
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Order lines */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between gap-4">
+              <CardTitle>Ordered Products</CardTitle>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => addLowStockProducts(supplierId)}
+                disabled={!supplierId || isPrefilling}
+              >
+                <AlertTriangle className="mr-2 h-4 w-4" />
+                {isPrefilling ? "Adding..." : "Add Low-Stock Products"}
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ProductSearchInput
+              ref={searchInputRef}
+              onSelect={handleAddProduct}
+            />
+
+            {lines.length ? (
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 px-3 text-xs font-medium text-gray-500">
+                  <span className="col-span-5">Product</span>
+                  <span className="col-span-2">Quantity</span>
+                  <span className="col-span-2">Unit Cost</span>
+                  <span className="col-span-2 text-right">Line Total</span>
+                </div>
+                {lines.map((line) => (
+                  <ReceiveStockLineItem
+                    key={line.productId}
+                    ref={(el) => {
+                      quantityRefs.current[line.productId] = el;
+                    }}
+                    line={line}
+                    onChange={(changes) =>
+                      handleLineChange(line.productId, changes)
+                    }
+                    onRemove={() => handleRemoveLine(line.productId)}
+                    onDone={() => searchInputRef.current?.focus()}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <ClipboardList className="mx-auto h-12 w-12 text-gray-300 mb-3" />
+                <p>No products on this order yet</p>
+                <p className="text-sm">
+                  Search for a product, or pick a supplier and add their
+                  low-stock products
+                </p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Order details and actions */}
+      <div>
+        <Card>
+          <CardHeader>
+            <CardTitle>Order Details</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {/* Supplier */}
+            <div className="space-y-2">
+              <Label htmlFor="supplierId">Supplier</Label>
+              <Select
+                onValueChange={setSupplierId}
+                value={supplierId}
+                disabled={isLoadingSuppliers}
+              >
+                <SelectTrigger id="supplierId">
+                  <SelectValue placeholder="Select a supplier" />
+                </SelectTrigger>
+                <SelectContent>
+                  {suppliers.map((supplier) => (
+                    <SelectItem key={supplier.id} value={supplier.id}>
+                      {supplier.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {/* Expected delivery */}
+            <div className="space-y-2">
+              <Label htmlFor="expectedAt">Expected Delivery</Label>
+              <Input
+                id="expectedAt"
+                type="date"
+                value={expectedAt}
+                onChange={(e) => setExpectedAt(e.target.value)}
+              />
+            </div>
+
+            {/* Note */}
+            <div className="space-y-2">
+              <Label htmlFor="note">Note</Label>
+              <Input
+                id="note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Delivery instructions, remarks (optional)"
+              />
+            </div>
+
+            {/* Totals */}
+            <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Products</span>
+                <span>{lines.length}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Units</span>
+                <span>{totalUnits}</span>
+              </div>
+              <div className="flex justify-between font-medium text-base pt-1">
+                <span>Total</span>
+                <span>${totalAmount.toFixed(2)}</span>
+              </div>
+            </div>
+
+            <Button className="w-full" onClick={handleSave} disabled={!canSave}>
+              {saveMutation.isPending
+                ? "Saving..."
+                : order
+                  ? "Save Draft"
+                  : "Create Draft"}
+            </Button>
+
+            {order && (
+              <>
+                <Button
+                  className="w-full"
+                  variant="secondary"
+                  onClick={handleSaveAndSend}
+                  disabled={!canSave}
+                >
+                  {statusMutation.isPending
+                    ? "Sending..."
+                    : "Save & Mark as Sent"}
+                </Button>
+
+                <AlertDialog>
+                  <AlertDialogTrigger asChild>
+                    <Button
+                      className="w-full"
+                      variant="ghost"
+                      disabled={isBusy}
+                    >
+                      Delete Draft
+                    </Button>
+                  </AlertDialogTrigger>
+                  <AlertDialogContent>
+                    <AlertDialogHeader>
+                      <AlertDialogTitle>Delete Draft</AlertDialogTitle>
+                      <AlertDialogDescription>
+                        This draft purchase order and its lines will be
+                        deleted. This action cannot be undone.
+                      </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                      <AlertDialogCancel>Cancel</AlertDialogCancel>
+                      <AlertDialogAction
+                        onClick={() => deleteMutation.mutate()}
+                      >
+                        Delete Draft
+                      </AlertDialogAction>
+                    </AlertDialogFooter>
+                  </AlertDialogContent>
+                </AlertDialog>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
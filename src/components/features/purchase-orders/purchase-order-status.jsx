@@ -0,0 +1,32 @@
+// /src/components/features/purchase-orders/purchase-order-status.jsx
+import { cn } from "@/lib/utils";
+import { PURCHASE_ORDER_STATUSES } from "@/lib/schemas/purchase-order-schemas";
+
+const STATUS_STYLES = {
+  DRAFT: "bg-gray-100 text-gray-700",
+  SENT: "bg-blue-100 text-blue-700",
+  PARTIALLY_RECEIVED: "bg-amber-100 text-amber-700",
+  CLOSED: "bg-green-100 text-green-700",
+};
+
+/**
+ * Colored label for a purchase order status
+ * @param {{ status: string, className?: string }} props
+ * @returns {JSX.Element} Status label
+ */
+export default function PurchaseOrderStatus({ status, className }) {
+  const label =
+    PURCHASE_ORDER_STATUSES.find((s) => s.value === status)?.label ?? status;
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium",
+        STATUS_STYLES[status],
+        className
+      )}
+    >
+      {label}
+    </span>
+  );
+}
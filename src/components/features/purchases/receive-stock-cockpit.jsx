@@ -0,0 +1,343 @@
+// /src/components/features/purchases/receive-stock-cockpit.jsx
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { PackagePlus } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import ProductSearchInput from "@/components/features/products/product-search-input";
+import ReceiveStockLineItem from "@/components/features/purchases/receive-stock-line-item";
+import { usePurchaseCreateMutation } from "@/hooks/use-purchase-create-mutation";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { PURCHASE_PAYMENT_STATUSES } from "@/lib/schemas/purchase-schemas";
+import { addLineTaxes, getProductTaxRate } from "@/lib/schemas/tax-schemas";
+import { roundMoney } from "@/lib/utils";
+
+const NO_SUPPLIER = "none";
+
+/**
+ * Stock receiving cockpit client component
+ * Left column builds the receipt line by line from a product search;
+ * right column holds the supplier, payment status and the finalize action.
+ * @param {{ pricesIncludeTax: boolean }} props - Whether costs include tax
+ * @returns {JSX.Element} Receive stock cockpit with two-column layout
+ */
+export default function ReceiveStockCockpit({ pricesIncludeTax }) {
+  const [lines, setLines] = useState([]);
+  const [supplierId, setSupplierId] = useState(NO_SUPPLIER);
+  const [paymentStatus, setPaymentStatus] = useState("PAID");
+  const [note, setNote] = useState("");
+  const [focusProductId, setFocusProductId] = useState(null);
+
+  const searchInputRef = useRef(null);
+  const quantityRefs = useRef({});
+
+  const { data: suppliers = [], isLoading: isLoadingSuppliers } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { createPurchaseMutation } = usePurchaseCreateMutation(() => {
+    setLines([]);
+    setNote("");
+    setPaymentStatus("PAID");
+    searchInputRef.current?.focus();
+  });
+
+  // Move focus to the quantity of the line that was just added or bumped
+  useEffect(() => {
+    if (focusProductId) {
+      const input = quantityRefs.current[focusProductId];
+      input?.focus();
+      input?.select();
+      setFocusProductId(null);
+    }
+  }, [focusProductId]);
+
+  /**
+   * Adds a product to the receipt, or bumps its quantity if already listed
+   * @param {Object} product - Product picked from the search
+   */
+  const handleAddProduct = (product) => {
+    setLines((current) => {
+      const existing = current.find((line) => line.productId === product.id);
+      // Serialized lines grow by scanning serial numbers, not by bumping
+      if (existing?.serialized) return current;
+      if (existing) {
+        return current.map((line) =>
+          line.productId === product.id
+            ? { ...line, quantity: String((parseInt(line.quantity) || 0) + 1) }
+            : line
+        );
+      }
+      return [
+        ...current,
+        {
+          productId: product.id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+          stock: product.stock,
+          taxRate: getProductTaxRate(product),
+          trackLots: product.trackLots,
+          lotNumber: "",
+          expiryDate: "",
+          serialized: product.serialized,
+          serials: [],
+          quantity: product.serialized ? "0" : "1",
+          unitCost:
+            product.purchasePrice != null ? String(product.purchasePrice) : "",
+        },
+      ];
+    });
+    setFocusProductId(product.id);
+  };
+
+  const handleLineChange = (productId, changes) => {
+    setLines((current) =>
+      current.map((line) =>
+        line.productId === productId ? { ...line, ...changes } : line
+      )
+    );
+  };
+
+  const handleRemoveLine = (productId) => {
+    setLines((current) =>
+      current.filter((line) => line.productId !== productId)
+    );
+    searchInputRef.current?.focus();
+  };
+
+  const totalUnits = lines.reduce(
+    (sum, line) => sum + (parseInt(line.quantity) || 0),
+    0
+  );
+  const taxedLines = addLineTaxes(
+    lines.map((line) => ({
+      lineTotal:
+        (parseInt(line.quantity) || 0) * (parseFloat(line.unitCost) || 0),
+      taxRate: line.taxRate,
+    })),
+    0,
+    pricesIncludeTax
+  );
+  const subtotal = roundMoney(
+    taxedLines.reduce((sum, line) => sum + line.lineTotal, 0)
+  );
+  const taxAmount = roundMoney(
+    taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)
+  );
+  const totalAmount = pricesIncludeTax
+    ? subtotal
+    : roundMoney(subtotal + taxAmount);
+
+  const hasInvalidLine = lines.some(
+    (line) =>
+      !(parseInt(line.quantity) > 0) ||
+      !(parseFloat(line.unitCost) >= 0) ||
+      (line.trackLots && !line.lotNumber.trim())
+  );
+  const needsSupplier = paymentStatus === "CREDIT" && supplierId === NO_SUPPLIER;
+  const canFinalize =
+    lines.length > 0 &&
+    !hasInvalidLine &&
+    !needsSupplier &&
+    !createPurchaseMutation.isPending;
+
+  const handleFinalize = () => {
+    if (!canFinalize) return;
+
+    createPurchaseMutation.mutate({
+      supplierId: supplierId === NO_SUPPLIER ? undefined : supplierId,
+      paymentStatus,
+      note: note.trim() || undefined,
+      items: lines.map((line) => ({
+        productId: line.productId,
+        quantity: parseInt(line.quantity),
+        unitCost: parseFloat(line.unitCost),
+        ...(line.trackLots && {
+          lotNumber: line.lotNumber.trim(),
+          expiryDate: line.expiryDate || undefined,
+        }),
+        ...(line.serialized && { serials: line.serials }),
+      })),
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Receipt lines */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Received Products</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ProductSearchInput
+              ref={searchInputRef}
+              onSelect={handleAddProduct}
+            />
+
+            {lines.length ? (
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 px-3 text-xs font-medium text-gray-500">
+                  <span className="col-span-5">Product</span>
+                  <span className="col-span-2">Quantity</span>
+                  <span className="col-span-2">Unit Cost</span>
+                  <span className="col-span-2 text-right">Line Total</span>
+                </div>
+                {lines.map((line) => (
+                  <ReceiveStockLineItem
+                    key={line.productId}
+                    ref={(el) => {
+                      quantityRefs.current[line.productId] = el;
+                    }}
+                    line={line}
+                    onChange={(changes) =>
+                      handleLineChange(line.productId, changes)
+                    }
+                    onRemove={() => handleRemoveLine(line.productId)}
+                    onDone={() => searchInputRef.current?.focus()}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <PackagePlus className="mx-auto h-12 w-12 text-gray-300 mb-3" />
+                <p>No products added yet</p>
+                <p className="text-sm">
+                  Search for a product and press Enter to add it to this
+                  receipt
+                </p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Summary and finalization */}
+      <div>
+        <Card>
+          <CardHeader>
+            <CardTitle>Receipt Summary</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {/* Supplier */}
+            <div className="space-y-2">
+              <Label htmlFor="supplierId">Supplier</Label>
+              <Select
+                onValueChange={setSupplierId}
+                value={supplierId}
+                disabled={isLoadingSuppliers}
+              >
+                <SelectTrigger
+                  id="supplierId"
+                  className={needsSupplier ? "border-red-500" : ""}
+                >
+                  <SelectValue placeholder="Select a supplier" />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={NO_SUPPLIER}>No supplier</SelectItem>
+                  {suppliers.map((supplier) => (
+                    <SelectItem key={supplier.id} value={supplier.id}>
+                      {supplier.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {needsSupplier && (
+                <p className="text-sm text-red-500">
+                  Select a supplier for purchases on credit
+                </p>
+              )}
+            </div>
+
+            {/* Payment status */}
+            <div className="space-y-2">
+              <Label htmlFor="paymentStatus">Payment</Label>
+              <Select onValueChange={setPaymentStatus} value={paymentStatus}>
+                <SelectTrigger id="paymentStatus">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {PURCHASE_PAYMENT_STATUSES.map((status) => (
+                    <SelectItem key={status.value} value={status.value}>
+                      {status.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {/* Note */}
+            <div className="space-y-2">
+              <Label htmlFor="note">Note</Label>
+              <Input
+                id="note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Invoice number, remarks (optional)"
+              />
+            </div>
+
+            {/* Totals */}
+            <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Products</span>
+                <span>{lines.length}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Units</span>
+                <span>{totalUnits}</span>
+              </div>
+              {taxAmount > 0 && !pricesIncludeTax && (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Subtotal</span>
+                    <span>${subtotal.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Tax</span>
+                    <span>${taxAmount.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
+              <div className="flex justify-between font-medium text-base pt-1">
+                <span>Total</span>
+                <span>${totalAmount.toFixed(2)}</span>
+              </div>
+              {taxAmount > 0 && pricesIncludeTax && (
+                <div className="flex justify-between text-gray-600">
+                  <span>Includes tax</span>
+                  <span>${taxAmount.toFixed(2)}</span>
+                </div>
+              )}
+            </div>
+
+            <Button
+              className="w-full"
+              onClick={handleFinalize}
+              disabled={!canFinalize}
+            >
+              {createPurchaseMutation.isPending
+                ? "Receiving..."
+                : "Finalize Receipt"}
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// /src/components/features/purchases/receive-stock-line-item.jsx
+"use client";
+
+import { forwardRef } from "react";
+import { Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import SerialNumberInput from "@/components/features/products/serial-number-input";
+
+/**
+ * A single product line in a stock receiving session.
+ * Enter in the quantity field moves to the unit cost; Enter in the unit
+ * cost field hands focus back to the product search via onDone. Lines of
+ * lot-tracked products also take a lot number and expiry date, which Enter
+ * walks through before handing focus back. Serialized lines take a serial
+ * number per unit instead of a quantity, then move on to the unit cost.
+ * @param {Object} props
+ * @param {Object} props.line - Line data (product info, quantity, unitCost, lot, serials)
+ * @param {Function} props.onChange - Called with a partial line update
+ * @param {Function} props.onRemove - Removes the line
+ * @param {Function} props.onDone - Called when line entry is complete
+ * @param {React.Ref} ref - Forwarded to the quantity (or serial number) input
+ * @returns {JSX.Element} Receive stock line item
+ */
+const ReceiveStockLineItem = forwardRef(function ReceiveStockLineItem(
+  { line, onChange, onRemove, onDone },
+  ref
+) {
+  const quantity = parseInt(line.quantity) || 0;
+  const unitCost = parseFloat(line.unitCost) || 0;
+
+  const handleEnter = (next) => (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      next(e);
+    }
+  };
+
+  const focusInLine = (e, selector) =>
+    e.currentTarget.closest("[data-line]")?.querySelector(selector)?.focus();
+
+  return (
+    <div
+      data-line
+      className="grid grid-cols-12 items-center gap-2 p-3 border rounded-lg bg-gray-50"
+    >
+      <div className="col-span-5">
+        <p className="font-medium text-gray-900 truncate">{line.name}</p>
+        <p className="text-xs text-gray-500">
+          {line.sku ? `SKU: ${line.sku} · ` : ""}In stock: {line.stock}{" "}
+          {line.unit}
+        </p>
+      </div>
+      <div className="col-span-2">
+        {line.serialized ? (
+          <p className="text-sm" title="One unit per serial number">
+            {quantity} {line.unit}
+          </p>
+        ) : (
+          <Input
+            ref={ref}
+            type="number"
+            min="1"
+            step="1"
+            value={line.quantity}
+            onChange={(e) => onChange({ quantity: e.target.value })}
+            onKeyDown={handleEnter((e) => focusInLine(e, "[data-unit-cost]"))}
+            aria-label="Quantity"
+            className={quantity > 0 ? "" : "border-red-500"}
+          />
+        )}
+      </div>
+      <div className="col-span-2">
+        <Input
+          data-unit-cost
+          type="number"
+          min="0"
+          step="0.01"
+          value={line.unitCost}
+          onChange={(e) => onChange({ unitCost: e.target.value })}
+          onKeyDown={handleEnter((e) =>
+            line.trackLots ? focusInLine(e, "[data-lot-number]") : onDone()
+          )}
+          aria-label="Unit cost"
+          placeholder="0.00"
+        />
+      </div>
+      <div className="col-span-2 text-right font-medium">
+        ${(quantity * unitCost).toFixed(2)}
+      </div>
+      <div className="col-span-1 text-right">
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={onRemove}
+          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+      {line.serialized && (
+        <div className="col-span-12">
+          <SerialNumberInput
+            ref={ref}
+            serials={line.serials}
+            onChange={(serials) =>
+              onChange({ serials, quantity: String(serials.length) })
+            }
+            onDone={(e) => focusInLine(e, "[data-unit-cost]")}
+            invalid={quantity === 0}
+          />
+        </div>
+      )}
+      {line.trackLots && (
+        <>
+          <div className="col-span-5 col-start-6">
+            <Input
+              data-lot-number
+              value={line.lotNumber}
+              onChange={(e) => onChange({ lotNumber: e.target.value })}
+              onKeyDown={handleEnter((e) => focusInLine(e, "[data-expiry]"))}
+              aria-label="Lot number"
+              placeholder="Lot number"
+              className={line.lotNumber.trim() ? "" : "border-red-500"}
+            />
+          </div>
+          <div className="col-span-2">
+            <Input
+              data-expiry
+              type="date"
+              value={line.expiryDate}
+              onChange={(e) => onChange({ expiryDate: e.target.value })}
+              onKeyDown={handleEnter(() => onDone())}
+              aria-label="Expiry date"
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+});
+
+export default ReceiveStockLineItem;
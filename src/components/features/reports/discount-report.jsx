@@ -0,0 +1,202 @@
+// /src/components/features/reports/discount-report.jsx
+"use client";
+
+import { useState } from "react";
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { Percent } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchDiscountReport } from "@/lib/api/reports-api";
+import {
+  PERIOD_LABELS,
+  REPORT_PERIODS,
+  REPORT_WINDOWS,
+  formatReportPeriod,
+} from "@/lib/schemas/report-schemas";
+
+/**
+ * Discount report client component
+ * Shows the discounts given over a selectable range, totalled per day, week
+ * or month and per staff member who applied them.
+ * Hydrated from the server-rendered report.
+ * @param {{ initialReport: Object }} props
+ * @returns {JSX.Element} Discount report view
+ */
+export default function DiscountReport({ initialReport }) {
+  const [days, setDays] = useState(initialReport.days);
+  const [period, setPeriod] = useState(initialReport.period);
+  const params = { days, period };
+
+  const { data: report } = useQuery({
+    queryKey: queryKeys.list("discountReport", params),
+    queryFn: () => fetchDiscountReport(params),
+    initialData:
+      days === initialReport.days && period === initialReport.period
+        ? initialReport
+        : undefined,
+    placeholderData: keepPreviousData,
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <Select
+          value={String(days)}
+          onValueChange={(value) => setDays(Number(value))}
+        >
+          <SelectTrigger className="w-36" aria-label="Date range">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPORT_WINDOWS.map((windowDays) => (
+              <SelectItem key={windowDays} value={String(windowDays)}>
+                Last {windowDays} days
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <span>grouped by</span>
+        <Select value={period} onValueChange={setPeriod}>
+          <SelectTrigger className="w-28" aria-label="Group by">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPORT_PERIODS.map((value) => (
+              <SelectItem key={value} value={value}>
+                {PERIOD_LABELS[value]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {report.totals.count === 0 ? (
+        <EmptyState
+          icon={Percent}
+          title="No discounts given"
+          description={`No discounts were applied in the last ${report.days} days.`}
+          actionLabel="Open Point of Sale"
+          actionHref="/dashboard/sales"
+        />
+      ) : (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-sm font-medium text-gray-600">
+                  Discounts Given
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="text-2xl font-bold">
+                {report.totals.count}
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-sm font-medium text-gray-600">
+                  Total Discounted
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="text-2xl font-bold">
+                ${report.totals.amount.toFixed(2)}
+              </CardContent>
+            </Card>
+          </div>
+
+          <div className="grid gap-6 lg:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle>By {PERIOD_LABELS[report.period]}</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="rounded-md border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Period</TableHead>
+                        <TableHead className="text-right">Discounts</TableHead>
+                        <TableHead className="text-right">Amount</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {report.periods.map((row) => (
+                        <TableRow key={row.period}>
+                          <TableCell>
+                            {formatReportPeriod(row.period, report.period)}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {row.count}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            ${row.amount.toFixed(2)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>By Staff Member</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="rounded-md border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Staff Member</TableHead>
+                        <TableHead className="text-right">Discounts</TableHead>
+                        <TableHead className="text-right">Amount</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {report.staff.map((row) => (
+                        <TableRow key={row.user.id}>
+                          <TableCell>
+                            <div className="font-medium">
+                              {row.user.name || row.user.email}
+                            </div>
+                            {row.user.name && (
+                              <div className="text-xs text-muted-foreground">
+                                {row.user.email}
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {row.count}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            ${row.amount.toFixed(2)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
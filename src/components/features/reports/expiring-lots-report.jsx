@@ -0,0 +1,246 @@
+// /src/components/features/reports/expiring-lots-report.jsx
+"use client";
+
+import { useState } from "react";
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { CalendarCheck } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from "@/components/ui/alert-dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { useLotWriteOffMutation } from "@/hooks/use-lot-write-off-mutation";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchExpiringLotsReport } from "@/lib/api/reports-api";
+import { fetchLocations } from "@/lib/api/locations-api";
+import { EXPIRY_WINDOWS } from "@/lib/schemas/report-schemas";
+
+// Select value for every location (Select items cannot be empty)
+const ALL_LOCATIONS = "all";
+
+/**
+ * Describes how far off a lot's expiry is
+ * @param {number} daysLeft - Days until expiry (negative once expired)
+ * @returns {string} Label (e.g. In 3 days, Today, Expired 2 days ago)
+ */
+function formatDaysLeft(daysLeft) {
+  if (daysLeft === 0) return "Today";
+  if (daysLeft < 0) {
+    return `Expired ${-daysLeft} ${daysLeft === -1 ? "day" : "days"} ago`;
+  }
+  return `In ${daysLeft} ${daysLeft === 1 ? "day" : "days"}`;
+}
+
+/**
+ * Expiring-soon report client component
+ * Lists the lots expiring within the next 7, 30 or 90 days, earliest
+ * first, with lots that have already expired at the top. Any lot can be
+ * written off, which posts an "Expired" stock adjustment for what is left
+ * of it. Hydrated from the server-rendered report.
+ * @param {{ initialReport: Object }} props
+ * @returns {JSX.Element} Expiring-soon report view
+ */
+export default function ExpiringLotsReport({ initialReport }) {
+  const [days, setDays] = useState(initialReport.days);
+  const [locationId, setLocationId] = useState(ALL_LOCATIONS);
+  const [writingOff, setWritingOff] = useState(null);
+  const params = {
+    days,
+    ...(locationId !== ALL_LOCATIONS && { locationId }),
+  };
+
+  const { data: report } = useQuery({
+    queryKey: queryKeys.list("expiringReport", params),
+    queryFn: () => fetchExpiringLotsReport(params),
+    initialData:
+      days === initialReport.days && locationId === ALL_LOCATIONS
+        ? initialReport
+        : undefined,
+    placeholderData: keepPreviousData,
+  });
+
+  const { data: locations = [] } = useQuery({
+    queryKey: queryKeys.list("locations"),
+    queryFn: fetchLocations,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { writeOffMutation } = useLotWriteOffMutation(() =>
+    setWritingOff(null)
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        {locations.length > 1 && (
+          <Select value={locationId} onValueChange={setLocationId}>
+            <SelectTrigger className="w-44" aria-label="Location">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={ALL_LOCATIONS}>All locations</SelectItem>
+              {locations.map((location) => (
+                <SelectItem key={location.id} value={location.id}>
+                  {location.name}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+        <span>Expiring within</span>
+        <Select
+          value={String(days)}
+          onValueChange={(value) => setDays(Number(value))}
+        >
+          <SelectTrigger className="w-32" aria-label="Expiry window">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {EXPIRY_WINDOWS.map((windowDays) => (
+              <SelectItem key={windowDays} value={String(windowDays)}>
+                {windowDays} days
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {report.lots.length === 0 ? (
+        <EmptyState
+          icon={CalendarCheck}
+          title="Nothing expiring soon"
+          description={`No lot${report.location ? ` at ${report.location.name}` : ""} expires in the next ${report.days} days, and none has expired with stock left.`}
+          actionLabel="View Products"
+          actionHref="/dashboard/inventory/products"
+        />
+      ) : (
+        <Card>
+          <CardHeader>
+            <div className="flex items-start justify-between gap-4">
+              <CardTitle>Lots</CardTitle>
+              <div className="text-right text-sm text-gray-600">
+                <p>
+                  {report.totals.expiredLots} expired ·{" "}
+                  {report.totals.expiringLots} expiring
+                </p>
+                <p className="font-medium text-gray-900">
+                  {report.totals.units} units · $
+                  {report.totals.value.toFixed(2)} at cost
+                </p>
+              </div>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Product</TableHead>
+                    <TableHead>Lot</TableHead>
+                    <TableHead>Location</TableHead>
+                    <TableHead>Expires</TableHead>
+                    <TableHead className="text-right">Units</TableHead>
+                    <TableHead className="text-right">Value</TableHead>
+                    <TableHead className="w-28" />
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.lots.map((lot) => (
+                    <TableRow key={lot.id}>
+                      <TableCell>
+                        <div className="font-medium">{lot.product.name}</div>
+                        {lot.product.sku && (
+                          <div className="text-xs text-muted-foreground">
+                            {lot.product.sku}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>{lot.lotNumber}</TableCell>
+                      <TableCell>{lot.location.name}</TableCell>
+                      <TableCell>
+                        <div>
+                          {new Date(lot.expiryDate).toLocaleDateString(
+                            undefined,
+                            { timeZone: "UTC" }
+                          )}
+                        </div>
+                        <div
+                          className={`text-xs ${
+                            lot.daysLeft < 0 ? "text-red-600" : "text-amber-600"
+                          }`}
+                        >
+                          {formatDaysLeft(lot.daysLeft)}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {lot.remaining} {lot.product.unit}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${lot.value.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setWritingOff(lot)}
+                          disabled={writeOffMutation.isPending}
+                        >
+                          Write Off
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <AlertDialog
+        open={!!writingOff}
+        onOpenChange={(open) => !open && setWritingOff(null)}
+      >
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Write Off Lot</AlertDialogTitle>
+            <AlertDialogDescription>
+              {`The ${writingOff?.remaining} ${writingOff?.product.unit} left in lot ${writingOff?.lotNumber} of "${writingOff?.product.name}" at ${writingOff?.location.name} will be removed from stock as an "Expired" adjustment.`}
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => writeOffMutation.mutate({ lotId: writingOff.id })}
+            >
+              Write Off
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+}
@@ -0,0 +1,229 @@
+// /src/components/features/reports/low-stock-report.jsx
+"use client";
+
+import { useState } from "react";
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import Link from "next/link";
+import { ClipboardList, Download, PackageCheck } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  fetchLowStockReport,
+  getLowStockReportCsvUrl,
+} from "@/lib/api/reports-api";
+import { fetchLocations } from "@/lib/api/locations-api";
+import { VELOCITY_WINDOWS } from "@/lib/schemas/report-schemas";
+
+// Select value for the product totals (Select items cannot be empty)
+const ALL_LOCATIONS = "all";
+
+/**
+ * Low-stock report client component
+ * Lists active products at or below their reorder point grouped by supplier,
+ * with order suggestions based on sales velocity over a selectable window,
+ * either for the product totals or for one location's stock and reorder
+ * points. Hydrated from the server-rendered report.
+ * @param {{ initialReport: Object }} props
+ * @returns {JSX.Element} Low-stock report view
+ */
+export default function LowStockReport({ initialReport }) {
+  const [days, setDays] = useState(initialReport.days);
+  const [locationId, setLocationId] = useState(ALL_LOCATIONS);
+  const params = {
+    days,
+    coverDays: initialReport.coverDays,
+    ...(locationId !== ALL_LOCATIONS && { locationId }),
+  };
+
+  const { data: report } = useQuery({
+    queryKey: queryKeys.list("lowStockReport", params),
+    queryFn: () => fetchLowStockReport(params),
+    initialData:
+      days === initialReport.days && locationId === ALL_LOCATIONS
+        ? initialReport
+        : undefined,
+    placeholderData: keepPreviousData,
+  });
+
+  const { data: locations = [] } = useQuery({
+    queryKey: queryKeys.list("locations"),
+    queryFn: fetchLocations,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+          {locations.length > 1 && (
+            <Select value={locationId} onValueChange={setLocationId}>
+              <SelectTrigger className="w-44" aria-label="Location">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_LOCATIONS}>All locations</SelectItem>
+                {locations.map((location) => (
+                  <SelectItem key={location.id} value={location.id}>
+                    {location.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <span>Sales velocity over</span>
+          <Select
+            value={String(days)}
+            onValueChange={(value) => setDays(Number(value))}
+          >
+            <SelectTrigger className="w-32" aria-label="Velocity window">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {VELOCITY_WINDOWS.map((windowDays) => (
+                <SelectItem key={windowDays} value={String(windowDays)}>
+                  Last {windowDays} days
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <span>
+            Suggestions cover {report.coverDays} days of sales above the
+            reorder point.
+          </span>
+        </div>
+        <Button asChild variant="outline">
+          <a href={getLowStockReportCsvUrl(params)}>
+            <Download className="mr-2 h-4 w-4" />
+            Export CSV
+          </a>
+        </Button>
+      </div>
+
+      {report.groups.length === 0 ? (
+        <EmptyState
+          icon={PackageCheck}
+          title="Nothing to reorder"
+          description={
+            report.location
+              ? `Every product stocked at ${report.location.name} is above its reorder point there.`
+              : "Every active product is above its reorder point."
+          }
+          actionLabel="View Products"
+          actionHref="/dashboard/inventory/products"
+        />
+      ) : (
+        report.groups.map((group) => (
+          <Card key={group.supplier?.id ?? "none"}>
+            <CardHeader>
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <CardTitle>{group.supplier?.name ?? "No supplier"}</CardTitle>
+                  {(group.supplier?.contactEmail ||
+                    group.supplier?.contactPhone) && (
+                    <p className="mt-1 text-sm text-gray-600">
+                      {[
+                        group.supplier.contactEmail,
+                        group.supplier.contactPhone,
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </p>
+                  )}
+                </div>
+                <div className="text-right text-sm text-gray-600">
+                  <p>
+                    {group.items.length}{" "}
+                    {group.items.length === 1 ? "product" : "products"}
+                  </p>
+                  <p className="font-medium text-gray-900">
+                    Est. ${group.estimatedCost.toFixed(2)}
+                  </p>
+                  {group.supplier && (
+                    <Button asChild variant="outline" size="sm" className="mt-2">
+                      <Link
+                        href={`/dashboard/suppliers/purchase-orders/new?supplierId=${group.supplier.id}&prefill=low-stock`}
+                      >
+                        <ClipboardList className="mr-2 h-4 w-4" />
+                        Create Purchase Order
+                      </Link>
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent>
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Product</TableHead>
+                      <TableHead className="text-right">Stock</TableHead>
+                      <TableHead className="text-right">Reorder Point</TableHead>
+                      <TableHead className="text-right">
+                        Sold ({report.days}d)
+                      </TableHead>
+                      <TableHead className="text-right">Per Day</TableHead>
+                      <TableHead className="text-right">Suggested</TableHead>
+                      <TableHead className="text-right">Est. Cost</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {group.items.map((item) => (
+                      <TableRow key={item.id}>
+                        <TableCell>
+                          <div className="font-medium">{item.name}</div>
+                          {item.sku && (
+                            <div className="text-xs text-muted-foreground">
+                              {item.sku}
+                            </div>
+                          )}
+                        </TableCell>
+                        <TableCell className="text-right text-red-600">
+                          {item.stock} {item.unit}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {item.reorderPoint}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {item.soldInWindow}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {item.dailyVelocity.toFixed(2)}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">
+                          {item.suggestedQuantity}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {item.estimatedCost === null
+                            ? "—"
+                            : `$${item.estimatedCost.toFixed(2)}`}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        ))
+      )}
+    </div>
+  );
+}
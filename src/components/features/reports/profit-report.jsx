@@ -0,0 +1,213 @@
+// /src/components/features/reports/profit-report.jsx
+"use client";
+
+import { useState } from "react";
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { TrendingUp } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchProfitReport } from "@/lib/api/reports-api";
+import {
+  PERIOD_LABELS,
+  REPORT_PERIODS,
+  REPORT_WINDOWS,
+  formatReportPeriod,
+} from "@/lib/schemas/report-schemas";
+import { COSTING_METHODS } from "@/lib/schemas/settings-schemas";
+
+/**
+ * Works out gross margin as a percentage of revenue
+ * @param {{ revenue: number, profit: number }} total - Profit totals
+ * @returns {string} Margin (e.g. 32.5%), or a dash without revenue
+ */
+function formatMargin(total) {
+  return total.revenue > 0
+    ? `${((total.profit / total.revenue) * 100).toFixed(1)}%`
+    : "—";
+}
+
+/**
+ * Profit report client component
+ * Shows revenue, cost of goods sold and gross profit over a selectable
+ * range, totalled per day, week or month, with costs following the
+ * account's costing method. Hydrated from the server-rendered report.
+ * @param {{ initialReport: Object }} props
+ * @returns {JSX.Element} Profit report view
+ */
+export default function ProfitReport({ initialReport }) {
+  const [days, setDays] = useState(initialReport.days);
+  const [period, setPeriod] = useState(initialReport.period);
+  const params = { days, period };
+
+  const { data: report } = useQuery({
+    queryKey: queryKeys.list("profitReport", params),
+    queryFn: () => fetchProfitReport(params),
+    initialData:
+      days === initialReport.days && period === initialReport.period
+        ? initialReport
+        : undefined,
+    placeholderData: keepPreviousData,
+  });
+
+  const costingMethod = COSTING_METHODS.find(
+    (method) => method.value === report.costingMethod
+  );
+  const summaryCards = [
+    { title: "Revenue", value: `$${report.totals.revenue.toFixed(2)}` },
+    { title: "Cost of Goods", value: `$${report.totals.cost.toFixed(2)}` },
+    { title: "Gross Profit", value: `$${report.totals.profit.toFixed(2)}` },
+    { title: "Margin", value: formatMargin(report.totals) },
+  ];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <Select
+          value={String(days)}
+          onValueChange={(value) => setDays(Number(value))}
+        >
+          <SelectTrigger className="w-36" aria-label="Date range">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPORT_WINDOWS.map((windowDays) => (
+              <SelectItem key={windowDays} value={String(windowDays)}>
+                Last {windowDays} days
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <span>grouped by</span>
+        <Select value={period} onValueChange={setPeriod}>
+          <SelectTrigger className="w-28" aria-label="Group by">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPORT_PERIODS.map((value) => (
+              <SelectItem key={value} value={value}>
+                {PERIOD_LABELS[value]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {report.periods.length === 0 ? (
+        <EmptyState
+          icon={TrendingUp}
+          title="No sales yet"
+          description={`No sales or returns in the last ${report.days} days.`}
+          actionLabel="Open Point of Sale"
+          actionHref="/dashboard/sales"
+        />
+      ) : (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            {summaryCards.map((card) => (
+              <Card key={card.title}>
+                <CardHeader>
+                  <CardTitle className="text-sm font-medium text-gray-600">
+                    {card.title}
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="text-2xl font-bold">
+                  {card.value}
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>By {PERIOD_LABELS[report.period]}</CardTitle>
+              <p className="text-sm text-gray-600">
+                Costing method: {costingMethod?.label}
+              </p>
+            </CardHeader>
+            <CardContent>
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Period</TableHead>
+                      <TableHead className="text-right">Sales</TableHead>
+                      <TableHead className="text-right">Revenue</TableHead>
+                      <TableHead className="text-right">Cost</TableHead>
+                      <TableHead className="text-right">Profit</TableHead>
+                      <TableHead className="text-right">Margin</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {report.periods.map((row) => (
+                      <TableRow key={row.period}>
+                        <TableCell>
+                          {formatReportPeriod(row.period, report.period)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {row.sales}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          ${row.revenue.toFixed(2)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          ${row.cost.toFixed(2)}
+                        </TableCell>
+                        <TableCell
+                          className={`text-right font-medium ${
+                            row.profit < 0 ? "text-red-600" : ""
+                          }`}
+                        >
+                          ${row.profit.toFixed(2)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {formatMargin(row)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                  <TableFooter>
+                    <TableRow>
+                      <TableCell>Total</TableCell>
+                      <TableCell className="text-right">
+                        {report.totals.sales}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.revenue.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.cost.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.profit.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatMargin(report.totals)}
+                      </TableCell>
+                    </TableRow>
+                  </TableFooter>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+// /src/components/features/reports/tax-report.jsx
+"use client";
+
+import { useState } from "react";
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { Receipt } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableFooter,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchTaxReport } from "@/lib/api/reports-api";
+import {
+  PERIOD_LABELS,
+  REPORT_PERIODS,
+  REPORT_WINDOWS,
+  formatReportPeriod,
+} from "@/lib/schemas/report-schemas";
+
+const SUMMARY_CARDS = [
+  { key: "collected", title: "Collected on Sales" },
+  { key: "refunded", title: "Refunded on Returns" },
+  { key: "paid", title: "Paid on Purchases" },
+  { key: "net", title: "Net Tax Owed" },
+];
+
+/**
+ * Tax report client component
+ * Shows the tax collected, refunded and paid over a selectable range,
+ * totalled per day, week or month. Hydrated from the server-rendered report.
+ * @param {{ initialReport: Object }} props
+ * @returns {JSX.Element} Tax report view
+ */
+export default function TaxReport({ initialReport }) {
+  const [days, setDays] = useState(initialReport.days);
+  const [period, setPeriod] = useState(initialReport.period);
+  const params = { days, period };
+
+  const { data: report } = useQuery({
+    queryKey: queryKeys.list("taxReport", params),
+    queryFn: () => fetchTaxReport(params),
+    initialData:
+      days === initialReport.days && period === initialReport.period
+        ? initialReport
+        : undefined,
+    placeholderData: keepPreviousData,
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <Select
+          value={String(days)}
+          onValueChange={(value) => setDays(Number(value))}
+        >
+          <SelectTrigger className="w-36" aria-label="Date range">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPORT_WINDOWS.map((windowDays) => (
+              <SelectItem key={windowDays} value={String(windowDays)}>
+                Last {windowDays} days
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <span>grouped by</span>
+        <Select value={period} onValueChange={setPeriod}>
+          <SelectTrigger className="w-28" aria-label="Group by">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {REPORT_PERIODS.map((value) => (
+              <SelectItem key={value} value={value}>
+                {PERIOD_LABELS[value]}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {report.periods.length === 0 ? (
+        <EmptyState
+          icon={Receipt}
+          title="No tax recorded"
+          description={`No taxed sales, returns or purchases in the last ${report.days} days. Assign tax rates to categories or products in Settings.`}
+          actionLabel="Open Settings"
+          actionHref="/dashboard/settings"
+        />
+      ) : (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+            {SUMMARY_CARDS.map((card) => (
+              <Card key={card.key}>
+                <CardHeader>
+                  <CardTitle className="text-sm font-medium text-gray-600">
+                    {card.title}
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="text-2xl font-bold">
+                  ${report.totals[card.key].toFixed(2)}
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>By {PERIOD_LABELS[report.period]}</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Period</TableHead>
+                      <TableHead className="text-right">Collected</TableHead>
+                      <TableHead className="text-right">Refunded</TableHead>
+                      <TableHead className="text-right">Paid</TableHead>
+                      <TableHead className="text-right">Net</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {report.periods.map((row) => (
+                      <TableRow key={row.period}>
+                        <TableCell>
+                          {formatReportPeriod(row.period, report.period)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          ${row.collected.toFixed(2)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          ${row.refunded.toFixed(2)}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          ${row.paid.toFixed(2)}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">
+                          ${row.net.toFixed(2)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                  <TableFooter>
+                    <TableRow>
+                      <TableCell>Total</TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.collected.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.refunded.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.paid.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${report.totals.net.toFixed(2)}
+                      </TableCell>
+                    </TableRow>
+                  </TableFooter>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+}
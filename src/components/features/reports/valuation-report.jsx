@@ -0,0 +1,165 @@
+// /src/components/features/reports/valuation-report.jsx
+"use client";
+
+import { useState } from "react";
+import { keepPreviousData, useQuery } from "@tanstack/react-query";
+import { Coins } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchValuationReport } from "@/lib/api/reports-api";
+import { COSTING_METHODS } from "@/lib/schemas/settings-schemas";
+
+/**
+ * Inventory valuation report client component
+ * Shows stock on hand per category, valued with the account's costing
+ * method, as of now or as of the end of a chosen past day.
+ * Hydrated from the server-rendered report.
+ * @param {{ initialReport: Object }} props
+ * @returns {JSX.Element} Inventory valuation view
+ */
+export default function ValuationReport({ initialReport }) {
+  const [asOf, setAsOf] = useState(initialReport.asOf ?? "");
+  const today = new Date().toISOString().slice(0, 10);
+  const params = asOf ? { asOf } : {};
+
+  const { data: report } = useQuery({
+    queryKey: queryKeys.list("valuationReport", params),
+    queryFn: () => fetchValuationReport(params),
+    initialData:
+      asOf === (initialReport.asOf ?? "") ? initialReport : undefined,
+    placeholderData: keepPreviousData,
+  });
+
+  const costingMethod = COSTING_METHODS.find(
+    (method) => method.value === report.costingMethod
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+        <span>Value stock as of</span>
+        <Input
+          type="date"
+          className="w-44"
+          aria-label="Valuation date"
+          value={asOf}
+          max={today}
+          onChange={(e) => setAsOf(e.target.value)}
+        />
+        {asOf ? (
+          <Button variant="outline" size="sm" onClick={() => setAsOf("")}>
+            Today
+          </Button>
+        ) : (
+          <span>(today)</span>
+        )}
+        <span className="ml-auto">Costing method: {costingMethod?.label}</span>
+      </div>
+
+      {report.groups.length === 0 ? (
+        <EmptyState
+          icon={Coins}
+          title="No stock on hand"
+          description={
+            report.asOf
+              ? `There was no stock on hand at the end of ${report.asOf}.`
+              : "There is no stock on hand to value."
+          }
+          actionLabel="Receive Stock"
+          actionHref="/dashboard/inventory/receive"
+        />
+      ) : (
+        <>
+          <div className="grid gap-4 sm:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-sm font-medium text-gray-600">
+                  Units in Stock
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="text-2xl font-bold">
+                {report.totals.quantity}
+              </CardContent>
+            </Card>
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-sm font-medium text-gray-600">
+                  Stock Value
+                </CardTitle>
+              </CardHeader>
+              <CardContent className="text-2xl font-bold">
+                ${report.totals.value.toFixed(2)}
+              </CardContent>
+            </Card>
+          </div>
+
+          {report.groups.map((group) => (
+            <Card key={group.category?.id ?? "none"}>
+              <CardHeader>
+                <div className="flex items-start justify-between gap-4">
+                  <CardTitle>
+                    {group.category?.name ?? "Uncategorized"}
+                  </CardTitle>
+                  <div className="text-right text-sm text-gray-600">
+                    <p>{group.quantity} units</p>
+                    <p className="font-medium text-gray-900">
+                      ${group.value.toFixed(2)}
+                    </p>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="rounded-md border">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Product</TableHead>
+                        <TableHead className="text-right">Quantity</TableHead>
+                        <TableHead className="text-right">Avg. Cost</TableHead>
+                        <TableHead className="text-right">Value</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {group.items.map((item) => (
+                        <TableRow key={item.id}>
+                          <TableCell>
+                            <div className="font-medium">{item.name}</div>
+                            {item.sku && (
+                              <div className="text-xs text-muted-foreground">
+                                SKU: {item.sku}
+                              </div>
+                            )}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {item.quantity} {item.unit}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            ${item.averageCost.toFixed(2)}
+                          </TableCell>
+                          <TableCell className="text-right font-medium">
+                            ${item.value.toFixed(2)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
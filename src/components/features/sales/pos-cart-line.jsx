@@ -0,0 +1,163 @@
+// /src/components/features/sales/pos-cart-line.jsx
+"use client";
+
+import { forwardRef } from "react";
+import { Percent, Trash2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import SerialNumberPicker from "@/components/features/products/serial-number-picker";
+import { calculateDiscountAmount } from "@/lib/schemas/sale-schemas";
+
+/**
+ * A single cart line on the point-of-sale screen.
+ * Enter in the quantity field moves to the price; Enter in the price field
+ * hands focus back to the product search via onDone. Serialized lines sell
+ * one unit per serial number chosen, then move on to the price.
+ * @param {Object} props
+ * @param {Object} props.line - Cart line (product info, quantity, unitPrice, discount, serials)
+ * @param {Function} props.onChange - Called with a partial line update
+ * @param {Function} props.onDiscount - Opens the discount dialog for the line
+ * @param {Function} props.onRemove - Removes the line
+ * @param {Function} props.onDone - Called when line entry is complete
+ * @param {React.Ref} ref - Forwarded to the quantity (or serial number) input
+ * @returns {JSX.Element} Cart line
+ */
+const PosCartLine = forwardRef(function PosCartLine(
+  { line, onChange, onDiscount, onRemove, onDone },
+  ref
+) {
+  const quantity = parseInt(line.quantity) || 0;
+  const unitPrice = parseFloat(line.unitPrice) || 0;
+  const exceedsStock = quantity > line.stock;
+  const isPriceOverridden = unitPrice !== line.sellingPrice;
+  const grossAmount = quantity * unitPrice;
+  const discountAmount = line.discount
+    ? calculateDiscountAmount(line.discount, grossAmount)
+    : 0;
+  const exceedsLineTotal = discountAmount > grossAmount;
+
+  const focusPrice = (e) =>
+    e.currentTarget
+      .closest("[data-line]")
+      ?.querySelector("[data-unit-price]")
+      ?.focus();
+
+  const handleEnter = (next) => (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      next(e);
+    }
+  };
+
+  return (
+    <div
+      data-line
+      className={`grid grid-cols-12 items-center gap-2 p-3 border rounded-lg ${
+        exceedsStock ? "bg-red-50 border-red-200" : "bg-gray-50"
+      }`}
+    >
+      <div className="col-span-4">
+        <p className="font-medium text-gray-900 truncate">{line.name}</p>
+        <p
+          className={`text-xs ${
+            exceedsStock ? "text-red-600" : "text-gray-500"
+          }`}
+        >
+          {line.sku ? `SKU: ${line.sku} · ` : ""}
+          {exceedsStock
+            ? `Only ${line.stock} ${line.unit} in stock`
+            : `In stock: ${line.stock} ${line.unit}`}
+        </p>
+      </div>
+      <div className="col-span-2">
+        {line.serialized ? (
+          <p className="text-sm" title="One unit per serial number">
+            {quantity} {line.unit}
+          </p>
+        ) : (
+          <Input
+            ref={ref}
+            type="number"
+            min="1"
+            step="1"
+            value={line.quantity}
+            onChange={(e) => onChange({ quantity: e.target.value })}
+            onKeyDown={handleEnter(focusPrice)}
+            aria-label="Quantity"
+            className={quantity > 0 && !exceedsStock ? "" : "border-red-500"}
+          />
+        )}
+      </div>
+      <div className="col-span-2">
+        <Input
+          data-unit-price
+          type="number"
+          min="0"
+          step="0.01"
+          value={line.unitPrice}
+          onChange={(e) => onChange({ unitPrice: e.target.value })}
+          onKeyDown={handleEnter(() => onDone())}
+          aria-label="Price"
+          title={
+            isPriceOverridden
+              ? `Regular price: $${line.sellingPrice.toFixed(2)}`
+              : undefined
+          }
+          className={isPriceOverridden ? "border-amber-400" : ""}
+        />
+      </div>
+      <div className="col-span-2 text-right">
+        <p className="font-medium">
+          ${(grossAmount - discountAmount).toFixed(2)}
+        </p>
+        {line.discount && (
+          <p
+            className={`text-xs ${
+              exceedsLineTotal ? "text-red-600" : "text-green-600"
+            }`}
+            title={line.discount.reason}
+          >
+            -${discountAmount.toFixed(2)}
+            {line.discount.type === "PERCENT" && ` (${line.discount.value}%)`}
+          </p>
+        )}
+      </div>
+      <div className="col-span-2 flex justify-end">
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={onDiscount}
+          title={line.discount ? "Edit discount" : "Add discount"}
+          className={line.discount ? "text-green-600" : ""}
+        >
+          <Percent className="h-4 w-4" />
+        </Button>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={onRemove}
+          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+      {line.serialized && (
+        <div className="col-span-12">
+          <SerialNumberPicker
+            ref={ref}
+            productId={line.productId}
+            selected={line.serials}
+            onChange={(serials) =>
+              onChange({ serials, quantity: String(serials.length) })
+            }
+            onDone={focusPrice}
+          />
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default PosCartLine;
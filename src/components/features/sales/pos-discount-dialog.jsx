@@ -0,0 +1,208 @@
+// /src/components/features/sales/pos-discount-dialog.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  DISCOUNT_TYPES,
+  DiscountFormSchema,
+  calculateDiscountAmount,
+} from "@/lib/schemas/sale-schemas";
+
+/**
+ * Turns the discount being edited into form values
+ * @param {Object} [discount] - Discount currently applied
+ * @returns {Object} Form values
+ */
+function toFormValues(discount) {
+  return {
+    type: discount?.type ?? "PERCENT",
+    value: discount ? String(discount.value) : "",
+    reason: discount?.reason ?? "",
+  };
+}
+
+/**
+ * Dialog for giving a percentage or fixed discount on a cart line or the
+ * whole cart. A reason is always required.
+ * @param {Object} props
+ * @param {string} props.title - Dialog title (e.g. the product name)
+ * @param {number} props.amount - Amount the discount applies to
+ * @param {Object} [props.discount] - Discount currently applied
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onApply - Called with the discount, or null to remove it
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Discount dialog
+ */
+export default function PosDiscountDialog({
+  title,
+  amount,
+  discount,
+  isOpen,
+  onApply,
+  onClose,
+}) {
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(DiscountFormSchema),
+    defaultValues: toFormValues(discount),
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset(toFormValues(discount));
+    }
+  }, [isOpen, discount, reset]);
+
+  const type = watch("type");
+  const value = parseFloat(watch("value")) || 0;
+  const discountAmount = calculateDiscountAmount({ type, value }, amount);
+  const exceedsAmount = discountAmount > amount;
+
+  const onSubmit = (data) => {
+    if (exceedsAmount) return;
+    onApply({
+      type: data.type,
+      value: parseFloat(data.value),
+      reason: data.reason,
+    });
+    onClose();
+  };
+
+  const handleRemove = () => {
+    onApply(null);
+    onClose();
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Discount · {title}</DialogTitle>
+          <DialogDescription>
+            Applies to ${amount.toFixed(2)}. The reason is recorded on the
+            sale along with who gave the discount.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {/* Type */}
+            <div className="space-y-2">
+              <Label htmlFor="discountType">Discount</Label>
+              <Select
+                onValueChange={(value) => setValue("type", value)}
+                value={type}
+              >
+                <SelectTrigger id="discountType">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {DISCOUNT_TYPES.map((discountType) => (
+                    <SelectItem
+                      key={discountType.value}
+                      value={discountType.value}
+                    >
+                      {discountType.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {/* Value */}
+            <div className="space-y-2">
+              <Label htmlFor="discountValue">
+                {type === "PERCENT" ? "Percent *" : "Amount *"}
+              </Label>
+              <Input
+                id="discountValue"
+                type="number"
+                min="0"
+                step={type === "PERCENT" ? "1" : "0.01"}
+                {...register("value")}
+                placeholder="0"
+                className={
+                  errors.value || exceedsAmount ? "border-red-500" : ""
+                }
+              />
+            </div>
+          </div>
+          {errors.value && (
+            <p className="text-sm text-red-500">{errors.value.message}</p>
+          )}
+
+          {/* Reason */}
+          <div className="space-y-2">
+            <Label htmlFor="discountReason">Reason *</Label>
+            <Input
+              id="discountReason"
+              {...register("reason")}
+              placeholder="e.g. Damaged packaging, loyal customer"
+              className={errors.reason ? "border-red-500" : ""}
+            />
+            {errors.reason && (
+              <p className="text-sm text-red-500">{errors.reason.message}</p>
+            )}
+          </div>
+
+          {/* Resulting price */}
+          <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Discount</span>
+              <span className={exceedsAmount ? "text-red-600" : ""}>
+                -${discountAmount.toFixed(2)}
+              </span>
+            </div>
+            <div className="flex justify-between font-medium">
+              <span>After discount</span>
+              <span>${Math.max(amount - discountAmount, 0).toFixed(2)}</span>
+            </div>
+          </div>
+
+          {/* Action Buttons */}
+          <div className="flex justify-between pt-4">
+            {discount ? (
+              <Button type="button" variant="ghost" onClick={handleRemove}>
+                Remove Discount
+              </Button>
+            ) : (
+              <span />
+            )}
+            <div className="flex space-x-2">
+              <Button type="button" variant="outline" onClick={onClose}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={exceedsAmount}>
+                Apply
+              </Button>
+            </div>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
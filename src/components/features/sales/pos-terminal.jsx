@@ -0,0 +1,460 @@
+// /src/components/features/sales/pos-terminal.jsx
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Download, Percent, Printer, ShoppingCart } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import ProductSearchInput from "@/components/features/products/product-search-input";
+import PosCartLine from "@/components/features/sales/pos-cart-line";
+import PosDiscountDialog from "@/components/features/sales/pos-discount-dialog";
+import { useSaleCreateMutation } from "@/hooks/use-sale-create-mutation";
+import { fetchCustomers } from "@/lib/api/customers-api";
+import { getSaleReceiptUrl } from "@/lib/api/sales-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { calculateDiscountAmount } from "@/lib/schemas/sale-schemas";
+import { addLineTaxes, getProductTaxRate } from "@/lib/schemas/tax-schemas";
+import { roundMoney } from "@/lib/utils";
+
+const WALK_IN = "walk-in";
+const CART = "cart";
+
+/**
+ * Works out a cart line's amounts before and after its discount
+ * @param {Object} line - Cart line
+ * @returns {{ grossAmount: number, discountAmount: number, lineTotal: number }} Line amounts
+ */
+function getLineAmounts(line) {
+  const grossAmount = roundMoney(
+    (parseInt(line.quantity) || 0) * (parseFloat(line.unitPrice) || 0)
+  );
+  const discountAmount = line.discount
+    ? calculateDiscountAmount(line.discount, grossAmount)
+    : 0;
+  return {
+    grossAmount,
+    discountAmount,
+    lineTotal: roundMoney(grossAmount - discountAmount),
+  };
+}
+
+/**
+ * Keyboard-first point-of-sale client component
+ * Search (name or SKU) + Enter adds a product to the cart, Enter walks
+ * through quantity and price and returns to the search. F9 completes the
+ * sale as cash; picking a customer also allows selling on account.
+ * Serialized products are sold by choosing or scanning the serial number
+ * of every unit. Lines
+ * and the whole cart can be discounted with a reason. Tax is shown as it
+ * will be charged. The receipt of the last completed sale stays available
+ * for printing.
+ * @param {{ pricesIncludeTax: boolean }} props - Whether prices include tax
+ * @returns {JSX.Element} Point-of-sale terminal with cart and totals
+ */
+export default function PosTerminal({ pricesIncludeTax }) {
+  const [cart, setCart] = useState([]);
+  const [customerId, setCustomerId] = useState(WALK_IN);
+  const [focusProductId, setFocusProductId] = useState(null);
+  const [lastSale, setLastSale] = useState(null);
+  const [cartDiscount, setCartDiscount] = useState(null);
+  // Product ID of the line being discounted, or CART for the cart discount
+  const [discountTarget, setDiscountTarget] = useState(null);
+
+  const searchInputRef = useRef(null);
+  const quantityRefs = useRef({});
+
+  const { data: customers = [], isLoading: isLoadingCustomers } = useQuery({
+    queryKey: queryKeys.list("customers"),
+    queryFn: fetchCustomers,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { createSaleMutation } = useSaleCreateMutation((sale) => {
+    setLastSale(sale);
+    setCart([]);
+    setCartDiscount(null);
+    setCustomerId(WALK_IN);
+    searchInputRef.current?.focus();
+  });
+
+  // Start every session with the cursor in the search box
+  useEffect(() => {
+    searchInputRef.current?.focus();
+  }, []);
+
+  // Move focus to the quantity of the line that was just added or bumped
+  useEffect(() => {
+    if (focusProductId) {
+      const input = quantityRefs.current[focusProductId];
+      input?.focus();
+      input?.select();
+      setFocusProductId(null);
+    }
+  }, [focusProductId]);
+
+  /**
+   * Adds a product to the cart, or bumps its quantity if already listed
+   * @param {Object} product - Product picked from the search
+   */
+  const handleAddProduct = (product) => {
+    setCart((current) => {
+      const existing = current.find((line) => line.productId === product.id);
+      // Serialized lines grow by choosing serial numbers, not by bumping
+      if (existing?.serialized) return current;
+      if (existing) {
+        return current.map((line) =>
+          line.productId === product.id
+            ? { ...line, quantity: String((parseInt(line.quantity) || 0) + 1) }
+            : line
+        );
+      }
+      return [
+        ...current,
+        {
+          productId: product.id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+          stock: product.stock,
+          sellingPrice: product.sellingPrice,
+          taxRate: getProductTaxRate(product),
+          serialized: product.serialized,
+          serials: [],
+          quantity: product.serialized ? "0" : "1",
+          unitPrice: String(product.sellingPrice),
+        },
+      ];
+    });
+    setFocusProductId(product.id);
+  };
+
+  const handleLineChange = (productId, changes) => {
+    setCart((current) =>
+      current.map((line) =>
+        line.productId === productId ? { ...line, ...changes } : line
+      )
+    );
+  };
+
+  const handleRemoveLine = (productId) => {
+    setCart((current) =>
+      current.filter((line) => line.productId !== productId)
+    );
+    searchInputRef.current?.focus();
+  };
+
+  const totalItems = cart.reduce(
+    (sum, line) => sum + (parseInt(line.quantity) || 0),
+    0
+  );
+  const lineAmounts = cart.map(getLineAmounts);
+  const grossAmount = roundMoney(
+    lineAmounts.reduce((sum, amounts) => sum + amounts.grossAmount, 0)
+  );
+  const subtotal = roundMoney(
+    lineAmounts.reduce((sum, amounts) => sum + amounts.lineTotal, 0)
+  );
+  const cartDiscountAmount = cartDiscount
+    ? calculateDiscountAmount(cartDiscount, subtotal)
+    : 0;
+  const netAmount = roundMoney(subtotal - cartDiscountAmount);
+  const discountAmount = roundMoney(grossAmount - netAmount);
+  const taxedLines = addLineTaxes(
+    cart.map((line, index) => ({
+      lineTotal: lineAmounts[index].lineTotal,
+      taxRate: line.taxRate,
+    })),
+    cartDiscountAmount,
+    pricesIncludeTax
+  );
+  const taxAmount = roundMoney(
+    taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)
+  );
+  const totalAmount = pricesIncludeTax
+    ? netAmount
+    : roundMoney(netAmount + taxAmount);
+
+  const hasInvalidLine = cart.some(
+    (line, index) =>
+      !(parseInt(line.quantity) > 0) ||
+      parseInt(line.quantity) > line.stock ||
+      !(parseFloat(line.unitPrice) >= 0) ||
+      lineAmounts[index].lineTotal < 0
+  );
+  const canComplete =
+    cart.length > 0 &&
+    !hasInvalidLine &&
+    totalAmount >= 0 &&
+    !createSaleMutation.isPending;
+
+  const discountLine = cart.find((line) => line.productId === discountTarget);
+  const discountLineAmounts = discountLine && getLineAmounts(discountLine);
+  const selectedCustomer = customers.find((c) => c.id === customerId);
+
+  /**
+   * Completes the sale with the given payment method
+   * @param {"CASH" | "ON_ACCOUNT"} [paymentMethod="CASH"]
+   */
+  const handleCompleteSale = (paymentMethod = "CASH") => {
+    if (!canComplete) return;
+    if (paymentMethod === "ON_ACCOUNT" && !selectedCustomer) return;
+
+    createSaleMutation.mutate({
+      paymentMethod,
+      customerId: selectedCustomer?.id,
+      items: cart.map((line) => ({
+        productId: line.productId,
+        quantity: parseInt(line.quantity),
+        unitPrice: parseFloat(line.unitPrice),
+        discount: line.discount ?? undefined,
+        ...(line.serialized && { serials: line.serials }),
+      })),
+      discount: cartDiscount ?? undefined,
+    });
+  };
+
+  // F9 completes the sale from anywhere on the screen
+  const completeSaleRef = useRef(handleCompleteSale);
+  completeSaleRef.current = handleCompleteSale;
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "F9") {
+        e.preventDefault();
+        completeSaleRef.current();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Search and cart */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Cart</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ProductSearchInput
+              ref={searchInputRef}
+              onSelect={handleAddProduct}
+              placeholder="Scan or type a product name or SKU, then press Enter..."
+            />
+
+            {cart.length ? (
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 px-3 text-xs font-medium text-gray-500">
+                  <span className="col-span-4">Product</span>
+                  <span className="col-span-2">Quantity</span>
+                  <span className="col-span-2">Price</span>
+                  <span className="col-span-2 text-right">Line Total</span>
+                </div>
+                {cart.map((line) => (
+                  <PosCartLine
+                    key={line.productId}
+                    ref={(el) => {
+                      quantityRefs.current[line.productId] = el;
+                    }}
+                    line={line}
+                    onChange={(changes) =>
+                      handleLineChange(line.productId, changes)
+                    }
+                    onDiscount={() => setDiscountTarget(line.productId)}
+                    onRemove={() => handleRemoveLine(line.productId)}
+                    onDone={() => searchInputRef.current?.focus()}
+                  />
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <ShoppingCart className="mx-auto h-12 w-12 text-gray-300 mb-3" />
+                <p>The cart is empty</p>
+                <p className="text-sm">
+                  Search for a product and press Enter to add it
+                </p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Totals and payment */}
+      <div>
+        <Card>
+          <CardHeader>
+            <CardTitle>Total</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Lines</span>
+                <span>{cart.length}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Items</span>
+                <span>{totalItems}</span>
+              </div>
+              {discountAmount !== 0 && (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Before discounts</span>
+                    <span>${grossAmount.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between text-green-600">
+                    <span>Discounts</span>
+                    <span>-${discountAmount.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
+              {taxAmount !== 0 && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">
+                    {pricesIncludeTax ? "Includes tax" : "Tax"}
+                  </span>
+                  <span>${taxAmount.toFixed(2)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-bold text-2xl pt-2">
+                <span>Due</span>
+                <span>${totalAmount.toFixed(2)}</span>
+              </div>
+            </div>
+
+            {/* Cart discount */}
+            <Button
+              variant="outline"
+              className="w-full"
+              onClick={() => setDiscountTarget(CART)}
+              disabled={cart.length === 0}
+            >
+              <Percent className="mr-2 h-4 w-4" />
+              {cartDiscount
+                ? `Cart Discount: -$${cartDiscountAmount.toFixed(2)}`
+                : "Cart Discount"}
+            </Button>
+            {cartDiscount && (
+              <p
+                className={`text-xs -mt-2 ${
+                  totalAmount < 0 ? "text-red-600" : "text-gray-500"
+                }`}
+              >
+                {totalAmount < 0
+                  ? "The cart discount is more than the subtotal"
+                  : `Reason: ${cartDiscount.reason}`}
+              </p>
+            )}
+
+            {/* Customer */}
+            <div className="space-y-2">
+              <Label htmlFor="customerId">Customer</Label>
+              <Select
+                onValueChange={setCustomerId}
+                value={customerId}
+                disabled={isLoadingCustomers}
+              >
+                <SelectTrigger id="customerId">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value={WALK_IN}>Walk-in customer</SelectItem>
+                  {customers.map((customer) => (
+                    <SelectItem key={customer.id} value={customer.id}>
+                      {customer.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {selectedCustomer && selectedCustomer.balance > 0 && (
+                <p className="text-sm text-amber-600">
+                  Current balance owed: ${selectedCustomer.balance.toFixed(2)}
+                </p>
+              )}
+            </div>
+
+            <Button
+              className="w-full h-12 text-base"
+              onClick={() => handleCompleteSale("CASH")}
+              disabled={!canComplete}
+            >
+              {createSaleMutation.isPending
+                ? "Completing..."
+                : "Complete Sale (Cash)"}
+            </Button>
+            <Button
+              variant="outline"
+              className="w-full"
+              onClick={() => handleCompleteSale("ON_ACCOUNT")}
+              disabled={!canComplete || !selectedCustomer}
+              title={
+                selectedCustomer
+                  ? undefined
+                  : "Select a customer to sell on account"
+              }
+            >
+              Sell on Account
+            </Button>
+            <p className="text-xs text-center text-gray-500">
+              Press F9 to complete the sale
+            </p>
+
+            {/* Receipt of the last completed sale */}
+            {lastSale && (
+              <div className="rounded-md border p-3 space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600">Last sale</span>
+                  <span className="font-medium">
+                    ${lastSale.totalAmount.toFixed(2)}
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <Button asChild variant="outline" size="sm">
+                    <a
+                      href={getSaleReceiptUrl(lastSale.id)}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      <Printer className="mr-2 h-4 w-4" />
+                      Receipt
+                    </a>
+                  </Button>
+                  <Button asChild variant="outline" size="sm">
+                    <a href={getSaleReceiptUrl(lastSale.id, "pdf")}>
+                      <Download className="mr-2 h-4 w-4" />
+                      Invoice PDF
+                    </a>
+                  </Button>
+                </div>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      <PosDiscountDialog
+        title={discountLine ? discountLine.name : "Whole cart"}
+        amount={discountLine ? discountLineAmounts.grossAmount : subtotal}
+        discount={discountLine ? discountLine.discount : cartDiscount}
+        isOpen={discountTarget !== null}
+        onApply={(discount) =>
+          discountLine
+            ? handleLineChange(discountLine.productId, { discount })
+            : setCartDiscount(discount)
+        }
+        onClose={() => {
+          setDiscountTarget(null);
+          searchInputRef.current?.focus();
+        }}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+// /src/components/features/sales/sale-columns.jsx
+"use client";
+
+import Link from "next/link";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Sale table columns configuration for TanStack Table
+ * Only the sale date and total can be sorted (server-side).
+ * @returns {Array} Column definitions array
+ */
+export function createSaleColumns() {
+  return [
+    {
+      accessorKey: "soldAt",
+      header: "Date",
+      cell: ({ row }) => (
+        <Link
+          href={`/dashboard/sales/${row.original.id}`}
+          className="font-medium text-primary hover:underline whitespace-nowrap"
+        >
+          {formatDateTime(row.original.soldAt)}
+        </Link>
+      ),
+    },
+    {
+      id: "customer",
+      header: "Customer",
+      cell: ({ row }) => {
+        const { customer } = row.original;
+        return customer ? (
+          <div>{customer.name}</div>
+        ) : (
+          <div className="text-sm text-muted-foreground">Walk-in</div>
+        );
+      },
+      enableSorting: false,
+    },
+    {
+      accessorKey: "paymentMethod",
+      header: "Payment",
+      cell: ({ row }) => (
+        <div className="text-sm">
+          {row.original.paymentMethod === "ON_ACCOUNT" ? "On account" : "Cash"}
+        </div>
+      ),
+      enableSorting: false,
+    },
+    {
+      id: "items",
+      header: "Items",
+      cell: ({ row }) => {
+        const { items, returns } = row.original._count;
+        return (
+          <div className="text-sm">
+            {items} {items === 1 ? "line" : "lines"}
+            {returns > 0 && (
+              <span className="ml-2 text-amber-600">
+                ({returns} {returns === 1 ? "return" : "returns"})
+              </span>
+            )}
+          </div>
+        );
+      },
+      enableSorting: false,
+    },
+    {
+      accessorKey: "totalAmount",
+      header: "Total",
+      cell: ({ row }) => (
+        <div className="font-medium">
+          ${row.original.totalAmount.toFixed(2)}
+        </div>
+      ),
+    },
+  ];
+}
@@ -0,0 +1,94 @@
+// /src/components/features/sales/sale-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import { ShoppingCart } from "lucide-react";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import { createSaleColumns } from "@/components/features/sales/sale-columns";
+import { queryKeys } from "@/lib/queryKeys";
+import { useUrlSearchParams } from "@/hooks/use-url-search-params";
+import { fetchSales } from "@/lib/api/sales-api";
+
+/**
+ * Reads the sales list params from the URL search params
+ * @param {URLSearchParams} searchParams - Current URL search params
+ * @returns {Object} Params for fetchSales
+ */
+function getListParams(searchParams) {
+  return {
+    page: searchParams.get("page") ?? "1",
+    limit: searchParams.get("per_page") ?? "10",
+    q: searchParams.get("q") ?? "",
+    sort: searchParams.get("sort") ?? "",
+    order: searchParams.get("order") ?? "",
+  };
+}
+
+/**
+ * Client component to render the sales history data table.
+ * Search, sorting and pagination live in the URL and are applied
+ * server-side, so a past sale can be found to process a return.
+ * @param {{ initialSalesData: Object }} props
+ * @returns {JSX.Element}
+ */
+export default function SaleDataTable({ initialSalesData }) {
+  const { searchParams } = useUrlSearchParams();
+
+  const params = getListParams(searchParams);
+  const paramsKey = JSON.stringify(params);
+  // The server rendered the page for the URL the table was mounted with
+  const [initialParamsKey] = useState(paramsKey);
+
+  const {
+    data: salesData,
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("sales", params),
+    queryFn: () => fetchSales(params),
+    initialData: paramsKey === initialParamsKey ? initialSalesData : undefined,
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const sales = salesData?.sales || [];
+  const columns = createSaleColumns();
+
+  if (isLoading && !initialSalesData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading sales. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (sales.length === 0 && !params.q) {
+    return (
+      <EmptyState
+        icon={ShoppingCart}
+        title="No sales yet"
+        description="Completed sales show up here, where you can look them up and process returns."
+        actionLabel="New Sale"
+        actionHref="/dashboard/sales"
+      />
+    );
+  }
+
+  return (
+    <DataTable
+      columns={columns}
+      data={sales}
+      filterKey="customer"
+      filterPlaceholder="Search by customer, product or SKU..."
+      manual
+      pageCount={salesData?.totalPages ?? 0}
+      rowCount={salesData?.totalCount ?? 0}
+    />
+  );
+}
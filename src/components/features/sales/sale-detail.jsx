@@ -0,0 +1,554 @@
+// /src/components/features/sales/sale-detail.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Download, Printer } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { useSaleReturnMutation } from "@/hooks/use-sale-return-mutation";
+import { fetchSale, getSaleReceiptUrl } from "@/lib/api/sales-api";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  SALE_REFUND_METHODS,
+  calculateRefundAmount,
+  calculateSaleProfit,
+} from "@/lib/schemas/sale-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Sale detail client component
+ * Lists the sale lines with sold and already returned quantities and takes
+ * returns against them: each line can be restocked or marked as damaged,
+ * and the refund goes out as cash or as credit on the customer's account.
+ * Lines of serialized products list the serial numbers sold and are
+ * returned by ticking the units coming back.
+ * Refunds are at the price paid after line and cart discounts, which are
+ * listed with their reason and who gave them. Gross profit uses the
+ * account's costing method.
+ * Hydrated from the server-rendered sale.
+ * @param {{ initialSale: Object, costingMethod: "AVERAGE"|"FIFO" }} props
+ * @returns {JSX.Element} Sale detail view
+ */
+export default function SaleDetail({ initialSale, costingMethod }) {
+  const saleId = initialSale.id;
+
+  const { data: sale } = useQuery({
+    queryKey: queryKeys.detail("sales", saleId),
+    queryFn: () => fetchSale(saleId),
+    initialData: initialSale,
+  });
+
+  // Quantities typed per sale line and the lines marked as damaged
+  const [quantities, setQuantities] = useState({});
+  const [damaged, setDamaged] = useState({});
+  const [returnSerials, setReturnSerials] = useState({});
+  const [refundMethod, setRefundMethod] = useState("CASH");
+  const [note, setNote] = useState("");
+
+  const { returnMutation } = useSaleReturnMutation(saleId, () => {
+    setQuantities({});
+    setDamaged({});
+    setReturnSerials({});
+    setNote("");
+  });
+
+  const returnLines = sale.items.map((item) => {
+    const returnable = item.quantity - item.quantityReturned;
+    const serials = returnSerials[item.id] ?? [];
+    const input = item.product.serialized
+      ? String(serials.length)
+      : (quantities[item.id] ?? "0");
+    return {
+      item,
+      returnable,
+      input,
+      quantity: parseInt(input) || 0,
+      serials,
+    };
+  });
+  const hasInvalidLine = returnLines.some(
+    ({ returnable, quantity }) => quantity < 0 || quantity > returnable
+  );
+  const returnUnits = returnLines.reduce(
+    (sum, line) => sum + line.quantity,
+    0
+  );
+  const refundTotal = returnLines.reduce(
+    (sum, line) =>
+      line.quantity > 0
+        ? sum + calculateRefundAmount(sale, line.item, line.quantity)
+        : sum,
+    0
+  );
+  const itemsById = new Map(sale.items.map((item) => [item.id, item]));
+  const { costAmount, grossProfit } = calculateSaleProfit(sale, costingMethod);
+  const canReturn = returnLines.some((line) => line.returnable > 0);
+  const canSubmitReturn =
+    returnUnits > 0 &&
+    !hasInvalidLine &&
+    (refundMethod !== "ACCOUNT_CREDIT" || !!sale.customer) &&
+    !returnMutation.isPending;
+
+  const handleReturn = () => {
+    if (!canSubmitReturn) return;
+
+    returnMutation.mutate({
+      refundMethod,
+      note: note.trim() || undefined,
+      items: returnLines
+        .filter((line) => line.quantity > 0)
+        .map((line) => ({
+          saleItemId: line.item.id,
+          quantity: line.quantity,
+          restock: !damaged[line.item.id],
+          ...(line.item.product.serialized &&
+            !damaged[line.item.id] && { serials: line.serials }),
+        })),
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Lines and returns */}
+      <div className="lg:col-span-2 space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Sale Lines</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Product</TableHead>
+                    <TableHead className="text-right">Price</TableHead>
+                    <TableHead className="text-right">Line Total</TableHead>
+                    <TableHead className="text-right">Sold</TableHead>
+                    <TableHead className="text-right">Returned</TableHead>
+                    {canReturn && (
+                      <>
+                        <TableHead className="w-28">Return</TableHead>
+                        <TableHead>Damaged</TableHead>
+                      </>
+                    )}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {returnLines.map((line) => (
+                    <TableRow key={line.item.id}>
+                      <TableCell>
+                        <div className="font-medium">
+                          {line.item.product.name}
+                        </div>
+                        {line.item.product.sku && (
+                          <div className="text-xs text-muted-foreground">
+                            SKU: {line.item.product.sku}
+                          </div>
+                        )}
+                        {line.item.serials.length > 0 && (
+                          <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1">
+                            {line.item.serials.map(({ serial, status }) =>
+                              canReturn && status === "SOLD" ? (
+                                <label
+                                  key={serial}
+                                  className="flex items-center gap-1 text-xs font-mono"
+                                >
+                                  <input
+                                    type="checkbox"
+                                    checked={line.serials.includes(serial)}
+                                    onChange={(e) =>
+                                      setReturnSerials((current) => ({
+                                        ...current,
+                                        [line.item.id]: e.target.checked
+                                          ? [...line.serials, serial]
+                                          : line.serials.filter(
+                                              (s) => s !== serial
+                                            ),
+                                      }))
+                                    }
+                                    aria-label={`Return ${serial}`}
+                                  />
+                                  {serial}
+                                </label>
+                              ) : (
+                                <span
+                                  key={serial}
+                                  className="text-xs font-mono text-muted-foreground"
+                                >
+                                  {serial}
+                                </span>
+                              )
+                            )}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        ${line.item.unitPrice.toFixed(2)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <div>${line.item.lineTotal.toFixed(2)}</div>
+                        {line.item.discountAmount > 0 && (
+                          <div className="text-xs text-green-600">
+                            -${line.item.discountAmount.toFixed(2)} discount
+                          </div>
+                        )}
+                        {line.item.taxAmount > 0 && (
+                          <div className="text-xs text-muted-foreground">
+                            ${line.item.taxAmount.toFixed(2)} tax (
+                            {line.item.taxRate}%)
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {line.item.quantity}
+                      </TableCell>
+                      <TableCell
+                        className={`text-right ${
+                          line.item.quantityReturned > 0 ? "text-amber-600" : ""
+                        }`}
+                      >
+                        {line.item.quantityReturned}
+                      </TableCell>
+                      {canReturn && (
+                        <>
+                          <TableCell>
+                            {line.item.product.serialized ? (
+                              <span
+                                className="text-sm"
+                                title="Tick the serial numbers coming back"
+                              >
+                                {line.quantity}
+                              </span>
+                            ) : (
+                              <Input
+                                type="number"
+                                min="0"
+                                max={line.returnable}
+                                step="1"
+                                value={line.input}
+                                onChange={(e) =>
+                                  setQuantities((current) => ({
+                                    ...current,
+                                    [line.item.id]: e.target.value,
+                                  }))
+                                }
+                                disabled={line.returnable === 0}
+                                aria-label={`Return ${line.item.product.name}`}
+                                className={
+                                  line.quantity < 0 ||
+                                  line.quantity > line.returnable
+                                    ? "border-red-500"
+                                    : ""
+                                }
+                              />
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            <input
+                              type="checkbox"
+                              checked={!!damaged[line.item.id]}
+                              onChange={(e) =>
+                                setDamaged((current) => ({
+                                  ...current,
+                                  [line.item.id]: e.target.checked,
+                                }))
+                              }
+                              disabled={line.returnable === 0}
+                              aria-label={`${line.item.product.name} is damaged`}
+                            />
+                          </TableCell>
+                        </>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+
+        {sale.discounts.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Discounts</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="rounded-md border">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Applied To</TableHead>
+                      <TableHead>Discount</TableHead>
+                      <TableHead>Reason</TableHead>
+                      <TableHead>Given By</TableHead>
+                      <TableHead className="text-right">Amount</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {sale.discounts.map((discount) => (
+                      <TableRow key={discount.id}>
+                        <TableCell className="font-medium">
+                          {discount.saleItemId
+                            ? itemsById.get(discount.saleItemId)?.product.name
+                            : "Whole cart"}
+                        </TableCell>
+                        <TableCell>
+                          {discount.type === "PERCENT"
+                            ? `${discount.value}%`
+                            : `$${discount.value.toFixed(2)}`}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {discount.reason}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {discount.appliedBy.name || discount.appliedBy.email}
+                        </TableCell>
+                        <TableCell className="text-right font-medium text-green-600">
+                          -${discount.amount.toFixed(2)}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Returns</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Returned</TableHead>
+                    <TableHead>Items</TableHead>
+                    <TableHead>Refund</TableHead>
+                    <TableHead>Note</TableHead>
+                    <TableHead className="text-right">Total</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {sale.returns.length ? (
+                    sale.returns.map((saleReturn) => (
+                      <TableRow key={saleReturn.id}>
+                        <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                          {formatDateTime(saleReturn.returnedAt)}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {saleReturn.items.map((item) => (
+                            <div key={item.id}>
+                              {item.quantity} × {item.product.name}
+                              {!item.restocked && (
+                                <span className="ml-1 text-red-600">
+                                  (damaged)
+                                </span>
+                              )}
+                            </div>
+                          ))}
+                        </TableCell>
+                        <TableCell>
+                          {SALE_REFUND_METHODS.find(
+                            (m) => m.value === saleReturn.refundMethod
+                          )?.label ?? saleReturn.refundMethod}
+                        </TableCell>
+                        <TableCell className="text-sm">
+                          {saleReturn.note || "—"}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">
+                          ${saleReturn.totalAmount.toFixed(2)}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={5} className="h-24 text-center">
+                        Nothing has been returned from this sale.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Summary and return */}
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Sale Summary</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Sold</span>
+              <span>{formatDateTime(sale.soldAt)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Customer</span>
+              <span className="font-medium">
+                {sale.customer?.name ?? "Walk-in"}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Payment</span>
+              <span>
+                {sale.paymentMethod === "ON_ACCOUNT" ? "On account" : "Cash"}
+              </span>
+            </div>
+            {sale.note && <p className="text-gray-600">{sale.note}</p>}
+            <div className="rounded-md bg-gray-50 p-3 space-y-1">
+              {sale.discountAmount > 0 && (
+                <>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Before discounts</span>
+                    <span>${sale.grossAmount.toFixed(2)}</span>
+                  </div>
+                  <div className="flex justify-between text-green-600">
+                    <span>Discounts</span>
+                    <span>-${sale.discountAmount.toFixed(2)}</span>
+                  </div>
+                </>
+              )}
+              {sale.taxAmount > 0 && !sale.pricesIncludeTax && (
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Tax</span>
+                  <span>${sale.taxAmount.toFixed(2)}</span>
+                </div>
+              )}
+              <div className="flex justify-between font-medium text-base">
+                <span>Sale Total</span>
+                <span>${sale.totalAmount.toFixed(2)}</span>
+              </div>
+              {sale.taxAmount > 0 && sale.pricesIncludeTax && (
+                <div className="flex justify-between text-gray-600">
+                  <span>Includes tax</span>
+                  <span>${sale.taxAmount.toFixed(2)}</span>
+                </div>
+              )}
+              <div className="flex justify-between border-t pt-1 mt-1">
+                <span className="text-gray-600">Cost of goods</span>
+                <span>${costAmount.toFixed(2)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Gross profit</span>
+                <span
+                  className={grossProfit < 0 ? "text-red-600" : undefined}
+                >
+                  ${grossProfit.toFixed(2)}
+                </span>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2 pt-1">
+              <Button asChild variant="outline">
+                <a
+                  href={getSaleReceiptUrl(sale.id)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  <Printer className="mr-2 h-4 w-4" />
+                  Receipt
+                </a>
+              </Button>
+              <Button asChild variant="outline">
+                <a href={getSaleReceiptUrl(sale.id, "pdf")}>
+                  <Download className="mr-2 h-4 w-4" />
+                  Invoice PDF
+                </a>
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+
+        {canReturn && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Process Return</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {/* Refund method */}
+              <div className="space-y-2">
+                <Label htmlFor="refundMethod">Refund</Label>
+                <Select onValueChange={setRefundMethod} value={refundMethod}>
+                  <SelectTrigger id="refundMethod">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SALE_REFUND_METHODS.map((method) => (
+                      <SelectItem
+                        key={method.value}
+                        value={method.value}
+                        disabled={
+                          method.value === "ACCOUNT_CREDIT" && !sale.customer
+                        }
+                      >
+                        {method.label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {!sale.customer && (
+                  <p className="text-xs text-muted-foreground">
+                    Walk-in sales can only be refunded in cash.
+                  </p>
+                )}
+              </div>
+
+              {/* Note */}
+              <div className="space-y-2">
+                <Label htmlFor="note">Note</Label>
+                <Input
+                  id="note"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="Reason for the return (optional)"
+                />
+              </div>
+
+              <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Units</span>
+                  <span>{returnUnits}</span>
+                </div>
+                <div className="flex justify-between font-medium text-base pt-1">
+                  <span>Refund Total</span>
+                  <span>${refundTotal.toFixed(2)}</span>
+                </div>
+              </div>
+
+              <Button
+                className="w-full"
+                onClick={handleReturn}
+                disabled={!canSubmitReturn}
+              >
+                {returnMutation.isPending ? "Processing..." : "Process Return"}
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
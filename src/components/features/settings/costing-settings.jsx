@@ -0,0 +1,75 @@
+// /src/components/features/settings/costing-settings.jsx
+"use client";
+
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useSettingsMutation } from "@/hooks/use-settings-mutation";
+import { fetchSettings } from "@/lib/api/settings-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { COSTING_METHODS } from "@/lib/schemas/settings-schemas";
+
+/**
+ * Costing settings card
+ * Chooses how stock and cost of goods sold are valued. Both methods are
+ * tracked on every movement, so switching applies to past figures too.
+ * Hydrated from the server-rendered settings.
+ * @param {{ initialSettings: Object }} props
+ * @returns {JSX.Element} Costing settings card
+ */
+export default function CostingSettings({ initialSettings }) {
+  const queryClient = useQueryClient();
+
+  const { data: settings } = useQuery({
+    queryKey: queryKeys.list("settings"),
+    queryFn: fetchSettings,
+    initialData: initialSettings,
+  });
+
+  const { settingsMutation } = useSettingsMutation(() => {
+    // Costs shown in reports and on sales follow the method
+    queryClient.invalidateQueries({
+      queryKey: queryKeys.list("valuationReport"),
+    });
+    queryClient.invalidateQueries({
+      queryKey: queryKeys.list("profitReport"),
+    });
+    queryClient.invalidateQueries({ queryKey: ["sales"] });
+    queryClient.invalidateQueries({ queryKey: ["stockMovements"] });
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Costing Method</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {COSTING_METHODS.map((method) => (
+          <label
+            key={method.value}
+            className="flex items-start space-x-2 text-sm"
+          >
+            <input
+              type="radio"
+              name="costingMethod"
+              className="mt-1"
+              value={method.value}
+              checked={settings.costingMethod === method.value}
+              disabled={settingsMutation.isPending}
+              onChange={() =>
+                settingsMutation.mutate({ costingMethod: method.value })
+              }
+            />
+            <span>
+              <span className="font-medium">{method.label}</span>
+              <span className="block text-gray-600">{method.description}</span>
+            </span>
+          </label>
+        ))}
+        <p className="text-xs text-gray-500">
+          Both methods are tracked on every stock movement, so the valuation
+          and profit reports switch over straight away, history included.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,97 @@
+// /src/components/features/settings/location-dialog.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useLocationMutations } from "@/hooks/use-location-mutations";
+import { LocationFormSchema } from "@/lib/schemas/location-schemas";
+
+/**
+ * Dialog for adding a location or renaming an existing one
+ * @param {Object} props
+ * @param {Object|null} props.location - Location to rename, or null to add one
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Location dialog
+ */
+export default function LocationDialog({ location, isOpen, onClose }) {
+  const { createMutation, updateMutation } = useLocationMutations(onClose);
+  const isPending = createMutation.isPending || updateMutation.isPending;
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(LocationFormSchema),
+    defaultValues: { name: "" },
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset({ name: location?.name ?? "" });
+    }
+  }, [isOpen, location, reset]);
+
+  const onSubmit = (data) => {
+    if (location) {
+      updateMutation.mutate({ locationId: location.id, name: data.name });
+    } else {
+      createMutation.mutate({ name: data.name });
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>
+            {location ? "Rename Location" : "Add Location"}
+          </DialogTitle>
+          <DialogDescription>
+            {location
+              ? "Sales, transfers and stock history show the new name."
+              : "New locations start empty. Send stock there with a transfer or receive deliveries into it."}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {/* Name */}
+          <div className="space-y-2">
+            <Label htmlFor="locationName">Name *</Label>
+            <Input
+              id="locationName"
+              {...register("name")}
+              placeholder="e.g. Back store"
+              className={errors.name ? "border-red-500" : ""}
+            />
+            {errors.name && (
+              <p className="text-sm text-red-500">{errors.name.message}</p>
+            )}
+          </div>
+
+          {/* Action Buttons */}
+          <div className="flex justify-end space-x-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending ? "Saving..." : "Save Location"}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
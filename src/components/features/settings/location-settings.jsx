@@ -0,0 +1,177 @@
+// /src/components/features/settings/location-settings.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Pencil, Plus, Star, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { useLocationMutations } from "@/hooks/use-location-mutations";
+import { fetchLocations } from "@/lib/api/locations-api";
+import { queryKeys } from "@/lib/queryKeys";
+import LocationDialog from "./location-dialog";
+
+/**
+ * Locations settings card
+ * Manages the places stock is kept (shop floor, back store, a second
+ * branch). The default location is used when none is chosen in the topbar.
+ * Hydrated from the server-rendered locations.
+ * @param {{ initialLocations: Array }} props
+ * @returns {JSX.Element} Locations settings card
+ */
+export default function LocationSettings({ initialLocations }) {
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+
+  const { data: locations } = useQuery({
+    queryKey: queryKeys.list("locations"),
+    queryFn: fetchLocations,
+    initialData: initialLocations,
+  });
+
+  const { updateMutation, deleteMutation } = useLocationMutations();
+
+  const handleDeleteConfirm = () => {
+    deleteMutation.mutate(deleting.id, {
+      onSuccess: () => setDeleting(null),
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle>Locations</CardTitle>
+          <Button size="sm" onClick={() => setEditing({})}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Location
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">
+          Stock is kept per location. Sales, deliveries, adjustments and
+          stocktakes happen at the location selected in the top bar; move
+          stock between locations with a transfer.
+        </p>
+
+        <div className="rounded-md border">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Name</TableHead>
+                <TableHead className="text-right">Products in stock</TableHead>
+                <TableHead className="w-32" />
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {locations.map((location) => (
+                <TableRow key={location.id}>
+                  <TableCell className="font-medium">
+                    {location.name}
+                    {location.isDefault && (
+                      <span className="ml-2 text-xs text-gray-500">
+                        (default)
+                      </span>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {location.productCount}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {!location.isDefault && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        aria-label={`Make ${location.name} the default`}
+                        title="Make default"
+                        disabled={updateMutation.isPending}
+                        onClick={() =>
+                          updateMutation.mutate({
+                            locationId: location.id,
+                            isDefault: true,
+                          })
+                        }
+                      >
+                        <Star className="h-4 w-4" />
+                      </Button>
+                    )}
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      aria-label={`Rename ${location.name}`}
+                      onClick={() => setEditing(location)}
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </Button>
+                    {!location.isDefault && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        aria-label={`Delete ${location.name}`}
+                        onClick={() => setDeleting(location)}
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </CardContent>
+
+      <LocationDialog
+        location={editing?.id ? editing : null}
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+      />
+
+      <Dialog open={!!deleting} onOpenChange={() => setDeleting(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Delete Location</DialogTitle>
+            <DialogDescription>
+              {deleting?.productCount > 0
+                ? `"${deleting?.name}" still holds ${deleting?.productCount} product(s). Transfer the stock out before deleting it.`
+                : `Are you sure you want to delete "${deleting?.name}"? Locations that have held stock are kept for the record and cannot be deleted.`}
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={() => setDeleting(null)}
+              disabled={deleteMutation.isPending}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleDeleteConfirm}
+              disabled={deleteMutation.isPending || deleting?.productCount > 0}
+            >
+              {deleteMutation.isPending ? "Deleting..." : "Delete Location"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
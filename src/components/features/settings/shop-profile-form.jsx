@@ -0,0 +1,127 @@
+// /src/components/features/settings/shop-profile-form.jsx
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useSettingsMutation } from "@/hooks/use-settings-mutation";
+import { fetchSettings } from "@/lib/api/settings-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { ShopProfileFormSchema } from "@/lib/schemas/settings-schemas";
+
+/**
+ * Converts settings to shop profile form values
+ * @param {Object} settings - Account settings
+ * @returns {Object} Form values
+ */
+function toFormValues(settings) {
+  return {
+    shopName: settings.shopName ?? "",
+    address: settings.address ?? "",
+    phone: settings.phone ?? "",
+    receiptFooter: settings.receiptFooter ?? "",
+  };
+}
+
+/**
+ * Shop profile form
+ * Edits the shop name, address, phone and footer text printed on receipts
+ * and invoices. Hydrated from the server-rendered settings.
+ * @param {{ initialSettings: Object }} props
+ * @returns {JSX.Element} Shop profile form card
+ */
+export default function ShopProfileForm({ initialSettings }) {
+  const { data: settings } = useQuery({
+    queryKey: queryKeys.list("settings"),
+    queryFn: fetchSettings,
+    initialData: initialSettings,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors, isDirty },
+  } = useForm({
+    resolver: zodResolver(ShopProfileFormSchema),
+    defaultValues: toFormValues(settings),
+  });
+
+  const { settingsMutation } = useSettingsMutation((saved) =>
+    reset(toFormValues(saved))
+  );
+
+  /**
+   * Handles form submission; blank fields are cleared
+   * @param {Object} data - Form data (already trimmed by Zod schema)
+   */
+  const onSubmit = (data) => {
+    settingsMutation.mutate({
+      shopName: data.shopName || null,
+      address: data.address || null,
+      phone: data.phone || null,
+      receiptFooter: data.receiptFooter || null,
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Shop Profile</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="shopName">Shop Name</Label>
+            <Input
+              id="shopName"
+              {...register("shopName")}
+              placeholder="Shown at the top of receipts and invoices"
+              className={errors.shopName ? "border-red-500" : ""}
+            />
+            {errors.shopName && (
+              <p className="text-sm text-red-500">{errors.shopName.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="address">Address</Label>
+            <Input id="address" {...register("address")} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="phone">Phone</Label>
+            <Input id="phone" {...register("phone")} />
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="receiptFooter">Receipt Footer</Label>
+            <Input
+              id="receiptFooter"
+              {...register("receiptFooter")}
+              placeholder="Thank you for shopping with us!"
+              className={errors.receiptFooter ? "border-red-500" : ""}
+            />
+            {errors.receiptFooter && (
+              <p className="text-sm text-red-500">
+                {errors.receiptFooter.message}
+              </p>
+            )}
+          </div>
+
+          <Button
+            type="submit"
+            className="w-full"
+            disabled={!isDirty || settingsMutation.isPending}
+          >
+            {settingsMutation.isPending ? "Saving..." : "Save Shop Profile"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,121 @@
+// /src/components/features/settings/tax-rate-dialog.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useTaxRateMutations } from "@/hooks/use-tax-rate-mutations";
+import { TaxRateFormSchema } from "@/lib/schemas/tax-schemas";
+
+/**
+ * Dialog for adding a tax rate or editing an existing one
+ * @param {Object} props
+ * @param {Object|null} props.taxRate - Tax rate to edit, or null to add one
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Tax rate dialog
+ */
+export default function TaxRateDialog({ taxRate, isOpen, onClose }) {
+  const { createMutation, updateMutation } = useTaxRateMutations(onClose);
+  const isPending = createMutation.isPending || updateMutation.isPending;
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(TaxRateFormSchema),
+    defaultValues: { name: "", rate: "" },
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset({
+        name: taxRate?.name ?? "",
+        rate: taxRate ? String(taxRate.rate) : "",
+      });
+    }
+  }, [isOpen, taxRate, reset]);
+
+  const onSubmit = (data) => {
+    const taxRateData = { name: data.name, rate: parseFloat(data.rate) };
+    if (taxRate) {
+      updateMutation.mutate({ taxRateId: taxRate.id, ...taxRateData });
+    } else {
+      createMutation.mutate(taxRateData);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>
+            {taxRate ? "Edit Tax Rate" : "Add Tax Rate"}
+          </DialogTitle>
+          <DialogDescription>
+            {taxRate
+              ? "Changes apply to new sales and purchases only."
+              : "Assign the rate to categories or products once it is saved."}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {/* Name */}
+            <div className="space-y-2">
+              <Label htmlFor="taxRateName">Name *</Label>
+              <Input
+                id="taxRateName"
+                {...register("name")}
+                placeholder="e.g. Standard"
+                className={errors.name ? "border-red-500" : ""}
+              />
+            </div>
+
+            {/* Rate */}
+            <div className="space-y-2">
+              <Label htmlFor="rate">Rate (%) *</Label>
+              <Input
+                id="rate"
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                {...register("rate")}
+                placeholder="0"
+                className={errors.rate ? "border-red-500" : ""}
+              />
+            </div>
+          </div>
+          {errors.name && (
+            <p className="text-sm text-red-500">{errors.name.message}</p>
+          )}
+          {errors.rate && (
+            <p className="text-sm text-red-500">{errors.rate.message}</p>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex justify-end space-x-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={isPending}>
+              {isPending ? "Saving..." : "Save Tax Rate"}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,63 @@
+// /src/components/features/settings/tax-rate-select.jsx
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { fetchTaxRates } from "@/lib/api/tax-rates-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { formatTaxRate } from "@/lib/schemas/tax-schemas";
+
+/**
+ * Select value used when no tax rate is assigned
+ */
+export const NO_TAX_RATE = "none";
+
+/**
+ * Tax rate picker for category and product forms
+ * @param {Object} props
+ * @param {string} [props.id] - Trigger element ID (for the label)
+ * @param {string} props.value - Selected tax rate ID, or NO_TAX_RATE
+ * @param {Function} props.onValueChange - Called with the new value
+ * @param {string} props.emptyLabel - Label for the "no tax rate" option
+ * @returns {JSX.Element} Tax rate select
+ */
+export default function TaxRateSelect({
+  id,
+  value,
+  onValueChange,
+  emptyLabel,
+}) {
+  const { data: taxRates = [], isLoading } = useQuery({
+    queryKey: queryKeys.list("taxRates"),
+    queryFn: fetchTaxRates,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  return (
+    <Select onValueChange={onValueChange} value={value || NO_TAX_RATE}>
+      <SelectTrigger id={id}>
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        <SelectItem value={NO_TAX_RATE}>{emptyLabel}</SelectItem>
+        {isLoading ? (
+          <SelectItem disabled value="loading">
+            Loading tax rates...
+          </SelectItem>
+        ) : (
+          taxRates.map((taxRate) => (
+            <SelectItem key={taxRate.id} value={taxRate.id}>
+              {formatTaxRate(taxRate)}
+            </SelectItem>
+          ))
+        )}
+      </SelectContent>
+    </Select>
+  );
+}
@@ -0,0 +1,195 @@
+// /src/components/features/settings/tax-settings.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Pencil, Plus, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { useSettingsMutation } from "@/hooks/use-settings-mutation";
+import { useTaxRateMutations } from "@/hooks/use-tax-rate-mutations";
+import { fetchSettings } from "@/lib/api/settings-api";
+import { fetchTaxRates } from "@/lib/api/tax-rates-api";
+import { queryKeys } from "@/lib/queryKeys";
+import TaxRateDialog from "./tax-rate-dialog";
+
+/**
+ * Tax settings card
+ * Chooses whether prices include tax and manages the tax rates that can be
+ * assigned to categories and products. Hydrated from the server-rendered
+ * settings and tax rates.
+ * @param {{ initialSettings: Object, initialTaxRates: Array }} props
+ * @returns {JSX.Element} Tax settings card
+ */
+export default function TaxSettings({ initialSettings, initialTaxRates }) {
+  const [editing, setEditing] = useState(null);
+  const [deleting, setDeleting] = useState(null);
+
+  const { data: settings } = useQuery({
+    queryKey: queryKeys.list("settings"),
+    queryFn: fetchSettings,
+    initialData: initialSettings,
+  });
+
+  const { data: taxRates } = useQuery({
+    queryKey: queryKeys.list("taxRates"),
+    queryFn: fetchTaxRates,
+    initialData: initialTaxRates,
+  });
+
+  const { settingsMutation } = useSettingsMutation();
+  const { deleteMutation } = useTaxRateMutations();
+
+  const handleDeleteConfirm = () => {
+    deleteMutation.mutate(deleting.id, {
+      onSuccess: () => setDeleting(null),
+    });
+  };
+
+  const usage = deleting
+    ? deleting._count.categories + deleting._count.products
+    : 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center justify-between gap-4">
+          <CardTitle>Tax</CardTitle>
+          <Button size="sm" onClick={() => setEditing({})}>
+            <Plus className="mr-2 h-4 w-4" />
+            Add Tax Rate
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <label className="flex items-start space-x-2 text-sm">
+          <input
+            type="checkbox"
+            className="mt-1"
+            checked={settings.pricesIncludeTax}
+            disabled={settingsMutation.isPending}
+            onChange={(e) =>
+              settingsMutation.mutate({ pricesIncludeTax: e.target.checked })
+            }
+          />
+          <span>
+            <span className="font-medium">Prices include tax</span>
+            <span className="block text-gray-600">
+              When ticked, selling prices and purchase costs already include
+              tax. Otherwise tax is added on top at the till and when
+              receiving stock.
+            </span>
+          </span>
+        </label>
+
+        {taxRates.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No tax rates yet. Add one, then assign it to categories or
+            products.
+          </p>
+        ) : (
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Name</TableHead>
+                  <TableHead className="text-right">Rate</TableHead>
+                  <TableHead className="text-right">Categories</TableHead>
+                  <TableHead className="text-right">Products</TableHead>
+                  <TableHead className="w-24" />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {taxRates.map((taxRate) => (
+                  <TableRow key={taxRate.id}>
+                    <TableCell className="font-medium">
+                      {taxRate.name}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {taxRate.rate}%
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {taxRate._count.categories}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {taxRate._count.products}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        aria-label={`Edit ${taxRate.name}`}
+                        onClick={() => setEditing(taxRate)}
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        aria-label={`Delete ${taxRate.name}`}
+                        onClick={() => setDeleting(taxRate)}
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+
+      <TaxRateDialog
+        taxRate={editing?.id ? editing : null}
+        isOpen={!!editing}
+        onClose={() => setEditing(null)}
+      />
+
+      <Dialog open={!!deleting} onOpenChange={() => setDeleting(null)}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Delete Tax Rate</DialogTitle>
+            <DialogDescription>
+              {usage > 0
+                ? `"${deleting?.name}" is assigned to ${deleting?._count.categories} category(ies) and ${deleting?._count.products} product(s). Reassign them before deleting it.`
+                : `Are you sure you want to delete "${deleting?.name}"? Sales and purchases already recorded keep their tax.`}
+            </DialogDescription>
+          </DialogHeader>
+          <DialogFooter className="flex gap-2">
+            <Button
+              variant="outline"
+              onClick={() => setDeleting(null)}
+              disabled={deleteMutation.isPending}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={handleDeleteConfirm}
+              disabled={deleteMutation.isPending || usage > 0}
+            >
+              {deleteMutation.isPending ? "Deleting..." : "Delete Tax Rate"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
@@ -0,0 +1,151 @@
+// /src/components/features/shifts/register-shift-panel.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import Link from "next/link";
+import { Banknote } from "lucide-react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import ShiftCashMovementDialog from "@/components/features/shifts/shift-cash-movement-dialog";
+import ShiftCloseDialog from "@/components/features/shifts/shift-close-dialog";
+import { useRegisterShiftMutations } from "@/hooks/use-register-shift-mutations";
+import { fetchCurrentShift } from "@/lib/api/shifts-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { OpenShiftFormSchema } from "@/lib/schemas/register-shift-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Cash register bar shown above the point of sale
+ * With the till closed it takes the opening float; with a shift open it
+ * shows the running cash figures and opens the cash in/out and close shift
+ * dialogs. Hydrated from the server-rendered open shift.
+ * @param {{ initialShift: Object|null }} props
+ * @returns {JSX.Element} Register shift panel
+ */
+export default function RegisterShiftPanel({ initialShift }) {
+  const [isCashDialogOpen, setIsCashDialogOpen] = useState(false);
+  const [isCloseDialogOpen, setIsCloseDialogOpen] = useState(false);
+
+  const { data: shift } = useQuery({
+    queryKey: queryKeys.detail("shifts", "current"),
+    queryFn: fetchCurrentShift,
+    initialData: initialShift,
+  });
+
+  const { openMutation } = useRegisterShiftMutations();
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(OpenShiftFormSchema),
+    defaultValues: { openingFloat: "" },
+  });
+
+  const onOpenShift = (data) => {
+    openMutation.mutate({ openingFloat: parseFloat(data.openingFloat) });
+  };
+
+  if (!shift) {
+    return (
+      <Card>
+        <CardContent className="pt-6">
+          <form
+            onSubmit={handleSubmit(onOpenShift)}
+            className="flex flex-wrap items-end gap-4"
+          >
+            <div className="flex-1 min-w-[220px]">
+              <p className="font-medium">The till is closed</p>
+              <p className="text-sm text-gray-600">
+                Open a shift with the cash float to reconcile the till at the
+                end of the day.
+              </p>
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="openingFloat">Opening Float *</Label>
+              <Input
+                id="openingFloat"
+                type="number"
+                min="0"
+                step="0.01"
+                {...register("openingFloat")}
+                placeholder="0.00"
+                className={`w-36 ${errors.openingFloat ? "border-red-500" : ""}`}
+              />
+            </div>
+            <Button type="submit" disabled={openMutation.isPending}>
+              <Banknote className="mr-2 h-4 w-4" />
+              {openMutation.isPending ? "Opening..." : "Open Shift"}
+            </Button>
+          </form>
+          {errors.openingFloat && (
+            <p className="mt-2 text-sm text-red-500">
+              {errors.openingFloat.message}
+            </p>
+          )}
+        </CardContent>
+      </Card>
+    );
+  }
+
+  const figures = [
+    { label: "Float", amount: shift.openingFloat },
+    { label: "Cash sales", amount: shift.cashSales },
+    { label: "Cash refunds", amount: shift.cashRefunds },
+    { label: "Cash in", amount: shift.payIns },
+    { label: "Payouts", amount: shift.payouts },
+  ];
+
+  return (
+    <Card>
+      <CardContent className="pt-6 flex flex-wrap items-center gap-6">
+        <div className="min-w-[180px]">
+          <p className="font-medium">Shift open</p>
+          <p className="text-sm text-gray-600">
+            Since {formatDateTime(shift.openedAt)}
+          </p>
+        </div>
+        {figures.map((figure) => (
+          <div key={figure.label} className="text-sm">
+            <p className="text-gray-600">{figure.label}</p>
+            <p className="font-medium">${figure.amount.toFixed(2)}</p>
+          </div>
+        ))}
+        <div className="text-sm">
+          <p className="text-gray-600">Expected in till</p>
+          <p className="font-bold text-base">
+            ${shift.expectedCash.toFixed(2)}
+          </p>
+        </div>
+        <div className="ml-auto flex flex-wrap gap-2">
+          <Button variant="outline" onClick={() => setIsCashDialogOpen(true)}>
+            Cash In / Out
+          </Button>
+          <Button onClick={() => setIsCloseDialogOpen(true)}>
+            Close Shift
+          </Button>
+          <Button asChild variant="ghost">
+            <Link href={`/dashboard/sales/shifts/${shift.id}`}>X-Report</Link>
+          </Button>
+        </div>
+      </CardContent>
+
+      <ShiftCashMovementDialog
+        shift={shift}
+        isOpen={isCashDialogOpen}
+        onClose={() => setIsCashDialogOpen(false)}
+      />
+      <ShiftCloseDialog
+        shift={shift}
+        isOpen={isCloseDialogOpen}
+        onClose={() => setIsCloseDialogOpen(false)}
+      />
+    </Card>
+  );
+}
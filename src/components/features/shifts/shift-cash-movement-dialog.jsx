@@ -0,0 +1,151 @@
+// /src/components/features/shifts/shift-cash-movement-dialog.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useRegisterShiftMutations } from "@/hooks/use-register-shift-mutations";
+import {
+  CASH_MOVEMENT_TYPES,
+  CashMovementFormSchema,
+} from "@/lib/schemas/register-shift-schemas";
+
+const DEFAULT_VALUES = { type: "PAYOUT", amount: "", reason: "" };
+
+/**
+ * Dialog for recording cash put into or paid out of the till during a shift
+ * (e.g. change from the bank, or paying a delivery driver from the till).
+ * @param {Object} props
+ * @param {Object} props.shift - The open shift
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Cash movement dialog
+ */
+export default function ShiftCashMovementDialog({ shift, isOpen, onClose }) {
+  const { cashMovementMutation } = useRegisterShiftMutations(shift.id, {
+    onCashMoved: onClose,
+  });
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(CashMovementFormSchema),
+    defaultValues: DEFAULT_VALUES,
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset(DEFAULT_VALUES);
+    }
+  }, [isOpen, reset]);
+
+  const onSubmit = (data) => {
+    cashMovementMutation.mutate({
+      type: data.type,
+      amount: parseFloat(data.amount),
+      reason: data.reason,
+    });
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Cash In / Out</DialogTitle>
+          <DialogDescription>
+            Record cash put into or taken out of the till. Expected cash:{" "}
+            <span className="font-medium">
+              ${shift.expectedCash.toFixed(2)}
+            </span>
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            {/* Type */}
+            <div className="space-y-2">
+              <Label htmlFor="type">Movement</Label>
+              <Select
+                onValueChange={(value) => setValue("type", value)}
+                value={watch("type")}
+              >
+                <SelectTrigger id="type">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {CASH_MOVEMENT_TYPES.map((type) => (
+                    <SelectItem key={type.value} value={type.value}>
+                      {type.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {/* Amount */}
+            <div className="space-y-2">
+              <Label htmlFor="amount">Amount *</Label>
+              <Input
+                id="amount"
+                type="number"
+                min="0"
+                step="0.01"
+                {...register("amount")}
+                placeholder="0.00"
+                className={errors.amount ? "border-red-500" : ""}
+              />
+            </div>
+          </div>
+          {errors.amount && (
+            <p className="text-sm text-red-500">{errors.amount.message}</p>
+          )}
+
+          {/* Reason */}
+          <div className="space-y-2">
+            <Label htmlFor="reason">Reason *</Label>
+            <Input
+              id="reason"
+              {...register("reason")}
+              placeholder="e.g. Change from bank, window cleaner"
+              className={errors.reason ? "border-red-500" : ""}
+            />
+            {errors.reason && (
+              <p className="text-sm text-red-500">{errors.reason.message}</p>
+            )}
+          </div>
+
+          {/* Action Buttons */}
+          <div className="flex justify-end space-x-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={cashMovementMutation.isPending}>
+              {cashMovementMutation.isPending ? "Saving..." : "Record"}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
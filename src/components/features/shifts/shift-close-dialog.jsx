@@ -0,0 +1,148 @@
+// /src/components/features/shifts/shift-close-dialog.jsx
+"use client";
+
+import { useEffect } from "react";
+import { useRouter } from "next/navigation";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useRegisterShiftMutations } from "@/hooks/use-register-shift-mutations";
+import { CloseShiftFormSchema } from "@/lib/schemas/register-shift-schemas";
+import { roundMoney } from "@/lib/utils";
+
+const DEFAULT_VALUES = { countedCash: "", closingNote: "" };
+
+/**
+ * Dialog for closing a register shift: the cashier counts the till, sees
+ * the variance against the expected cash and is taken to the Z-report.
+ * @param {Object} props
+ * @param {Object} props.shift - The open shift with its running totals
+ * @param {boolean} props.isOpen - Controls if the dialog is open
+ * @param {Function} props.onClose - Callback to close the dialog
+ * @returns {JSX.Element} Close shift dialog
+ */
+export default function ShiftCloseDialog({ shift, isOpen, onClose }) {
+  const router = useRouter();
+
+  const { closeMutation } = useRegisterShiftMutations(shift.id, {
+    onClosed: (closedShift) => {
+      onClose();
+      router.push(`/dashboard/sales/shifts/${closedShift.id}`);
+    },
+  });
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(CloseShiftFormSchema),
+    defaultValues: DEFAULT_VALUES,
+  });
+
+  useEffect(() => {
+    if (isOpen) {
+      reset(DEFAULT_VALUES);
+    }
+  }, [isOpen, reset]);
+
+  const countedInput = watch("countedCash");
+  const variance =
+    countedInput === ""
+      ? null
+      : roundMoney((parseFloat(countedInput) || 0) - shift.expectedCash);
+
+  const onSubmit = (data) => {
+    closeMutation.mutate({
+      countedCash: parseFloat(data.countedCash),
+      closingNote: data.closingNote || undefined,
+    });
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Close Shift</DialogTitle>
+          <DialogDescription>
+            Count the cash in the till and enter the total. Sales made after
+            closing are not added to this shift.
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          {/* Counted cash */}
+          <div className="space-y-2">
+            <Label htmlFor="countedCash">Counted Cash *</Label>
+            <Input
+              id="countedCash"
+              type="number"
+              min="0"
+              step="0.01"
+              {...register("countedCash")}
+              placeholder="0.00"
+              className={errors.countedCash ? "border-red-500" : ""}
+            />
+            {errors.countedCash && (
+              <p className="text-sm text-red-500">
+                {errors.countedCash.message}
+              </p>
+            )}
+          </div>
+
+          {/* Note */}
+          <div className="space-y-2">
+            <Label htmlFor="closingNote">Note</Label>
+            <Input
+              id="closingNote"
+              {...register("closingNote")}
+              placeholder="Explain any difference (optional)"
+            />
+          </div>
+
+          {/* Reconciliation */}
+          <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Expected cash</span>
+              <span>${shift.expectedCash.toFixed(2)}</span>
+            </div>
+            <div className="flex justify-between font-medium">
+              <span>Variance</span>
+              <span
+                className={
+                  variance < 0
+                    ? "text-red-600"
+                    : variance > 0
+                      ? "text-amber-600"
+                      : ""
+                }
+              >
+                {variance === null ? "—" : `$${variance.toFixed(2)}`}
+              </span>
+            </div>
+          </div>
+
+          {/* Action Buttons */}
+          <div className="flex justify-end space-x-2 pt-4">
+            <Button type="button" variant="outline" onClick={onClose}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={closeMutation.isPending}>
+              {closeMutation.isPending ? "Closing..." : "Close Shift"}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
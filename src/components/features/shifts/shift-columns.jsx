@@ -0,0 +1,95 @@
+// /src/components/features/shifts/shift-columns.jsx
+"use client";
+
+import Link from "next/link";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Formats a cash-up figure, which is only set once the shift is closed
+ * @param {number|null} amount - Amount, or null while the shift is open
+ * @returns {string} Formatted amount or a dash
+ */
+function formatFigure(amount) {
+  return amount === null ? "—" : `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Register shift table columns configuration for TanStack Table
+ * Shifts are listed newest first and cannot be re-sorted.
+ * @returns {Array} Column definitions array
+ */
+export function createShiftColumns() {
+  return [
+    {
+      id: "openedAt",
+      header: "Opened",
+      cell: ({ row }) => (
+        <Link
+          href={`/dashboard/sales/shifts/${row.original.id}`}
+          className="font-medium text-primary hover:underline whitespace-nowrap"
+        >
+          {formatDateTime(row.original.openedAt)}
+        </Link>
+      ),
+      enableSorting: false,
+    },
+    {
+      id: "closedAt",
+      header: "Closed",
+      cell: ({ row }) =>
+        row.original.closedAt ? (
+          <div className="text-sm whitespace-nowrap">
+            {formatDateTime(row.original.closedAt)}
+          </div>
+        ) : (
+          <div className="text-sm font-medium text-green-600">Open</div>
+        ),
+      enableSorting: false,
+    },
+    {
+      id: "sales",
+      header: "Sales",
+      cell: ({ row }) => (
+        <div className="text-sm">{row.original._count.sales}</div>
+      ),
+      enableSorting: false,
+    },
+    {
+      id: "expectedCash",
+      header: "Expected",
+      cell: ({ row }) => (
+        <div className="text-sm">{formatFigure(row.original.expectedCash)}</div>
+      ),
+      enableSorting: false,
+    },
+    {
+      id: "countedCash",
+      header: "Counted",
+      cell: ({ row }) => (
+        <div className="text-sm">{formatFigure(row.original.countedCash)}</div>
+      ),
+      enableSorting: false,
+    },
+    {
+      id: "variance",
+      header: "Variance",
+      cell: ({ row }) => {
+        const { variance } = row.original;
+        return (
+          <div
+            className={`font-medium ${
+              variance < 0
+                ? "text-red-600"
+                : variance > 0
+                  ? "text-amber-600"
+                  : ""
+            }`}
+          >
+            {formatFigure(variance)}
+          </div>
+        );
+      },
+      enableSorting: false,
+    },
+  ];
+}
@@ -0,0 +1,88 @@
+// /src/components/features/shifts/shift-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, keepPreviousData } from "@tanstack/react-query";
+import { Banknote } from "lucide-react";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import { createShiftColumns } from "@/components/features/shifts/shift-columns";
+import { queryKeys } from "@/lib/queryKeys";
+import { useUrlSearchParams } from "@/hooks/use-url-search-params";
+import { fetchShifts } from "@/lib/api/shifts-api";
+
+/**
+ * Reads the shifts list params from the URL search params
+ * @param {URLSearchParams} searchParams - Current URL search params
+ * @returns {Object} Params for fetchShifts
+ */
+function getListParams(searchParams) {
+  return {
+    page: searchParams.get("page") ?? "1",
+    limit: searchParams.get("per_page") ?? "10",
+  };
+}
+
+/**
+ * Client component to render the register shifts data table.
+ * Pagination lives in the URL and is applied server-side.
+ * @param {{ initialShiftsData: Object }} props
+ * @returns {JSX.Element}
+ */
+export default function ShiftDataTable({ initialShiftsData }) {
+  const { searchParams } = useUrlSearchParams();
+
+  const params = getListParams(searchParams);
+  const paramsKey = JSON.stringify(params);
+  // The server rendered the page for the URL the table was mounted with
+  const [initialParamsKey] = useState(paramsKey);
+
+  const {
+    data: shiftsData,
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("shifts", params),
+    queryFn: () => fetchShifts(params),
+    initialData: paramsKey === initialParamsKey ? initialShiftsData : undefined,
+    placeholderData: keepPreviousData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const shifts = shiftsData?.shifts || [];
+  const columns = createShiftColumns();
+
+  if (isLoading && !initialShiftsData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading shifts. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (shifts.length === 0) {
+    return (
+      <EmptyState
+        icon={Banknote}
+        title="No shifts yet"
+        description="Open a shift on the sales page with the cash float to start reconciling the till."
+        actionLabel="New Sale"
+        actionHref="/dashboard/sales"
+      />
+    );
+  }
+
+  return (
+    <DataTable
+      columns={columns}
+      data={shifts}
+      manual
+      pageCount={shiftsData?.totalPages ?? 0}
+      rowCount={shiftsData?.totalCount ?? 0}
+    />
+  );
+}
@@ -0,0 +1,211 @@
+// /src/components/features/shifts/shift-report.jsx
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import { Printer } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { fetchShift } from "@/lib/api/shifts-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { CASH_MOVEMENT_TYPES } from "@/lib/schemas/register-shift-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * One labelled amount in a report section
+ * @param {Object} props
+ * @param {string} props.label - Row label
+ * @param {React.ReactNode} props.value - Formatted value
+ * @param {string} [props.className] - Extra classes for the row
+ * @returns {JSX.Element} Report row
+ */
+function ReportRow({ label, value, className = "" }) {
+  return (
+    <div className={`flex justify-between ${className}`}>
+      <span className="text-gray-600">{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+}
+
+/**
+ * Register shift report client component
+ * For a closed shift this is the Z-report: sales, returns and the cash-up
+ * with the variance between expected and counted cash. For the open shift
+ * it shows the running totals (X-report). Laid out to be printed.
+ * Hydrated from the server-rendered report.
+ * @param {{ initialShift: Object, shopName?: string }} props
+ * @returns {JSX.Element} Shift report view
+ */
+export default function ShiftReport({ initialShift, shopName }) {
+  const shiftId = initialShift.id;
+
+  const { data: shift } = useQuery({
+    queryKey: queryKeys.detail("shifts", shiftId),
+    queryFn: () => fetchShift(shiftId),
+    initialData: initialShift,
+  });
+
+  const isClosed = shift.status === "CLOSED";
+  const money = (amount) => `$${amount.toFixed(2)}`;
+
+  return (
+    <div className="space-y-6 max-w-3xl">
+      <div className="flex items-center justify-between">
+        <div>
+          {shopName && <p className="font-medium">{shopName}</p>}
+          <p className="text-sm text-gray-600">
+            {formatDateTime(shift.openedAt)} –{" "}
+            {isClosed ? formatDateTime(shift.closedAt) : "still open"}
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          className="print:hidden"
+          onClick={() => window.print()}
+        >
+          <Printer className="mr-2 h-4 w-4" />
+          Print
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Sales</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2 text-sm">
+            <ReportRow label="Sales completed" value={shift.salesCount} />
+            <ReportRow label="Cash sales" value={money(shift.cashSales)} />
+            <ReportRow label="On account" value={money(shift.accountSales)} />
+            <ReportRow
+              label="Total sales"
+              value={money(shift.cashSales + shift.accountSales)}
+              className="font-medium border-t pt-2"
+            />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Returns</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2 text-sm">
+            <ReportRow label="Returns processed" value={shift.returnsCount} />
+            <ReportRow label="Cash refunds" value={money(shift.cashRefunds)} />
+            <ReportRow
+              label="Account credits"
+              value={money(shift.accountCredits)}
+            />
+            <ReportRow
+              label="Total refunded"
+              value={money(shift.cashRefunds + shift.accountCredits)}
+              className="font-medium border-t pt-2"
+            />
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Cash Drawer</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-2 text-sm">
+          <ReportRow label="Opening float" value={money(shift.openingFloat)} />
+          <ReportRow label="+ Cash sales" value={money(shift.cashSales)} />
+          <ReportRow label="− Cash refunds" value={money(shift.cashRefunds)} />
+          <ReportRow label="+ Cash in" value={money(shift.payIns)} />
+          <ReportRow label="− Payouts" value={money(shift.payouts)} />
+          <ReportRow
+            label="Expected cash"
+            value={money(shift.expectedCash)}
+            className="font-medium border-t pt-2"
+          />
+          {isClosed && (
+            <>
+              <ReportRow
+                label="Counted cash"
+                value={money(shift.countedCash)}
+              />
+              <ReportRow
+                label={
+                  shift.variance < 0
+                    ? "Variance (short)"
+                    : shift.variance > 0
+                      ? "Variance (over)"
+                      : "Variance"
+                }
+                value={money(shift.variance)}
+                className={`font-bold text-base ${
+                  shift.variance < 0
+                    ? "text-red-600"
+                    : shift.variance > 0
+                      ? "text-amber-600"
+                      : ""
+                }`}
+              />
+            </>
+          )}
+          {shift.closingNote && (
+            <p className="text-gray-600 pt-2">{shift.closingNote}</p>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Cash In / Out</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="rounded-md border">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Time</TableHead>
+                  <TableHead>Movement</TableHead>
+                  <TableHead>Reason</TableHead>
+                  <TableHead className="text-right">Amount</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {shift.cashMovements.length ? (
+                  shift.cashMovements.map((movement) => (
+                    <TableRow key={movement.id}>
+                      <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                        {formatDateTime(movement.createdAt)}
+                      </TableCell>
+                      <TableCell>
+                        {CASH_MOVEMENT_TYPES.find(
+                          (t) => t.value === movement.type
+                        )?.label ?? movement.type}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {movement.reason}
+                      </TableCell>
+                      <TableCell className="text-right font-medium">
+                        {money(movement.amount)}
+                      </TableCell>
+                    </TableRow>
+                  ))
+                ) : (
+                  <TableRow>
+                    <TableCell colSpan={4} className="h-16 text-center">
+                      No cash was put in or paid out during this shift.
+                    </TableCell>
+                  </TableRow>
+                )}
+              </TableBody>
+            </Table>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+// /src/components/features/stock-transfers/stock-transfer-columns.jsx
+"use client";
+
+import Link from "next/link";
+import StockTransferStatus from "@/components/features/stock-transfers/stock-transfer-status";
+import { formatTransferNumber } from "@/lib/schemas/location-schemas";
+
+/**
+ * Describes where a transfer goes (e.g. Back store → Shop floor)
+ * @param {Object} transfer - Stock transfer with its locations
+ * @returns {string} Route label
+ */
+export function formatTransferRoute(transfer) {
+  return `${transfer.fromLocation.name} → ${transfer.toLocation.name}`;
+}
+
+/**
+ * Stock transfer table columns configuration for TanStack Table
+ * @returns {Array} Column definitions array
+ */
+export function createStockTransferColumns() {
+  return [
+    {
+      accessorKey: "number",
+      header: "Transfer",
+      cell: ({ row }) => (
+        <Link
+          href={`/dashboard/inventory/transfers/${row.original.id}`}
+          className="font-medium text-primary hover:underline"
+        >
+          {formatTransferNumber(row.original.number)}
+        </Link>
+      ),
+    },
+    {
+      id: "route",
+      accessorFn: formatTransferRoute,
+      header: "Route",
+      cell: ({ row }) => <div>{formatTransferRoute(row.original)}</div>,
+    },
+    {
+      accessorKey: "status",
+      header: "Status",
+      cell: ({ row }) => <StockTransferStatus status={row.original.status} />,
+    },
+    {
+      accessorKey: "totalQuantity",
+      header: "Units",
+      cell: ({ row }) => {
+        const { itemCount, totalQuantity } = row.original;
+        return (
+          <div className="text-sm">
+            {totalQuantity} units · {itemCount} products
+          </div>
+        );
+      },
+    },
+    {
+      accessorKey: "sentAt",
+      header: "Sent",
+      cell: ({ row }) => {
+        const date = new Date(row.getValue("sentAt"));
+        return (
+          <div className="text-sm text-muted-foreground">
+            {date.toLocaleDateString()}
+          </div>
+        );
+      },
+    },
+  ];
+}
@@ -0,0 +1,96 @@
+// /src/components/features/stock-transfers/stock-transfer-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { ArrowLeftRight } from "lucide-react";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { createStockTransferColumns } from "@/components/features/stock-transfers/stock-transfer-columns";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchStockTransfers } from "@/lib/api/stock-transfers-api";
+import { STOCK_TRANSFER_STATUSES } from "@/lib/schemas/location-schemas";
+
+const ALL_STATUSES = "all";
+
+/**
+ * Client component to render the stock transfers data table.
+ * It uses TanStack Query to manage and update the transfer list.
+ * @param {{ initialTransfersData: Array }} props
+ * @returns {JSX.Element}
+ */
+export default function StockTransferDataTable({ initialTransfersData }) {
+  const [statusFilter, setStatusFilter] = useState(ALL_STATUSES);
+
+  const {
+    data: transfers = [],
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("stockTransfers"),
+    queryFn: () => fetchStockTransfers(),
+    initialData: initialTransfersData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const visibleTransfers =
+    statusFilter === ALL_STATUSES
+      ? transfers
+      : transfers.filter((transfer) => transfer.status === statusFilter);
+  const columns = createStockTransferColumns();
+
+  if (isLoading && !initialTransfersData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading transfers. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (transfers.length === 0) {
+    return (
+      <EmptyState
+        icon={ArrowLeftRight}
+        title="No transfers yet"
+        description="Move stock between your locations, such as from the back store to the shop floor or to a second branch."
+        actionLabel="New Transfer"
+        actionHref="/dashboard/inventory/transfers/new"
+      />
+    );
+  }
+
+  return (
+    <DataTable
+      columns={columns}
+      data={visibleTransfers}
+      filterKey="route"
+      filterPlaceholder="Filter by location..."
+      toolbar={
+        <Select onValueChange={setStatusFilter} value={statusFilter}>
+          <SelectTrigger className="w-48" aria-label="Transfer status">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+            {STOCK_TRANSFER_STATUSES.map((status) => (
+              <SelectItem key={status.value} value={status.value}>
+                {status.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      }
+    />
+  );
+}
@@ -0,0 +1,210 @@
+// /src/components/features/stock-transfers/stock-transfer-detail.jsx
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import StockTransferStatus from "@/components/features/stock-transfers/stock-transfer-status";
+import { useStockTransferMutations } from "@/hooks/use-stock-transfer-mutations";
+import { fetchStockTransfer } from "@/lib/api/stock-transfers-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Stock transfer detail client component
+ * Shows the lines sent and, while the transfer is in transit, lets it be
+ * received at the destination or cancelled back into the sending location.
+ * Hydrated from the server-rendered transfer.
+ * @param {{ initialTransfer: Object }} props
+ * @returns {JSX.Element} Stock transfer detail view
+ */
+export default function StockTransferDetail({ initialTransfer }) {
+  const transferId = initialTransfer.id;
+
+  const { data: transfer } = useQuery({
+    queryKey: queryKeys.detail("stockTransfers", transferId),
+    queryFn: () => fetchStockTransfer(transferId),
+    initialData: initialTransfer,
+  });
+
+  const { statusMutation } = useStockTransferMutations(transferId);
+
+  const isInTransit = transfer.status === "IN_TRANSIT";
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Lines sent */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Products</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Product</TableHead>
+                    <TableHead className="text-right">Quantity</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {transfer.items.map((item) => (
+                    <TableRow key={item.id}>
+                      <TableCell>
+                        <div className="font-medium">{item.product.name}</div>
+                        {item.product.sku && (
+                          <div className="text-xs text-muted-foreground">
+                            SKU: {item.product.sku}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {item.quantity} {item.product.unit}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Summary and receiving */}
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Transfer Summary</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Status</span>
+              <StockTransferStatus status={transfer.status} />
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">From</span>
+              <span className="font-medium">{transfer.fromLocation.name}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">To</span>
+              <span className="font-medium">{transfer.toLocation.name}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Sent</span>
+              <span>{formatDateTime(transfer.sentAt)}</span>
+            </div>
+            {transfer.receivedAt && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Received</span>
+                <span>{formatDateTime(transfer.receivedAt)}</span>
+              </div>
+            )}
+            {transfer.cancelledAt && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Cancelled</span>
+                <span>{formatDateTime(transfer.cancelledAt)}</span>
+              </div>
+            )}
+            {transfer.note && <p className="text-gray-600">{transfer.note}</p>}
+            <div className="rounded-md bg-gray-50 p-3 space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Products</span>
+                <span>{transfer.itemCount}</span>
+              </div>
+              <div className="flex justify-between font-medium text-base pt-1">
+                <span>Units</span>
+                <span>{transfer.totalQuantity}</span>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {isInTransit && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Receive</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    className="w-full"
+                    disabled={statusMutation.isPending}
+                  >
+                    Receive Transfer
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Receive Transfer</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      {`${transfer.totalQuantity} units will be added to the stock at ${transfer.toLocation.name}. `}
+                      Received transfers cannot be changed.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Cancel</AlertDialogCancel>
+                    <AlertDialogAction
+                      onClick={() => statusMutation.mutate("receive")}
+                    >
+                      Receive
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    className="w-full"
+                    variant="ghost"
+                    disabled={statusMutation.isPending}
+                  >
+                    Cancel Transfer
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Cancel Transfer</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      {`The ${transfer.totalQuantity} units go back into the stock at ${transfer.fromLocation.name}. `}
+                      Cancelled transfers cannot be changed.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Keep in Transit</AlertDialogCancel>
+                    <AlertDialogAction
+                      onClick={() => statusMutation.mutate("cancel")}
+                    >
+                      Cancel Transfer
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,322 @@
+// /src/components/features/stock-transfers/stock-transfer-form.jsx
+"use client";
+
+import { useRef, useState } from "react";
+import { useRouter } from "next/navigation";
+import { ArrowLeftRight, Trash2 } from "lucide-react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import ProductSearchInput from "@/components/features/products/product-search-input";
+import SerialNumberPicker from "@/components/features/products/serial-number-picker";
+import { useStockTransferMutations } from "@/hooks/use-stock-transfer-mutations";
+
+/**
+ * New stock transfer client component
+ * Left column builds the transfer line by line from a product search that
+ * shows the stock at the sending location; right column holds the two
+ * locations, a note and the send action. Changing the sending location
+ * clears the lines, as their available stock no longer applies. Serialized
+ * products are sent by choosing the serial numbers of the units.
+ * @param {Object} props
+ * @param {Array} props.locations - The user's locations
+ * @param {string} props.currentLocationId - Location selected in the topbar
+ * @returns {JSX.Element} Stock transfer form with two-column layout
+ */
+export default function StockTransferForm({ locations, currentLocationId }) {
+  const router = useRouter();
+  const [fromLocationId, setFromLocationId] = useState(currentLocationId);
+  const [toLocationId, setToLocationId] = useState(
+    () =>
+      locations.find((location) => location.id !== currentLocationId)?.id ??
+      ""
+  );
+  const [lines, setLines] = useState([]);
+  const [note, setNote] = useState("");
+
+  const searchInputRef = useRef(null);
+
+  const { createMutation } = useStockTransferMutations(undefined, {
+    onCreated: (transfer) =>
+      router.push(`/dashboard/inventory/transfers/${transfer.id}`),
+  });
+
+  const handleFromLocationChange = (locationId) => {
+    setFromLocationId(locationId);
+    if (locationId === toLocationId) {
+      setToLocationId(fromLocationId);
+    }
+    setLines([]);
+  };
+
+  /**
+   * Adds a product to the transfer, or bumps its quantity if already listed
+   * @param {Object} product - Product picked from the search
+   */
+  const handleAddProduct = (product) => {
+    setLines((current) => {
+      const existing = current.find((line) => line.productId === product.id);
+      // Serialized lines grow by choosing serial numbers, not by bumping
+      if (existing?.serialized) return current;
+      if (existing) {
+        return current.map((line) =>
+          line.productId === product.id
+            ? { ...line, quantity: String((parseInt(line.quantity) || 0) + 1) }
+            : line
+        );
+      }
+      return [
+        ...current,
+        {
+          productId: product.id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+          available: product.stock,
+          serialized: product.serialized,
+          serials: [],
+          quantity: product.serialized ? "0" : "1",
+        },
+      ];
+    });
+  };
+
+  const handleLineChange = (productId, changes) => {
+    setLines((current) =>
+      current.map((line) =>
+        line.productId === productId ? { ...line, ...changes } : line
+      )
+    );
+  };
+
+  const handleRemoveLine = (productId) => {
+    setLines((current) =>
+      current.filter((line) => line.productId !== productId)
+    );
+    searchInputRef.current?.focus();
+  };
+
+  const isInvalidLine = (line) => {
+    const quantity = Number(line.quantity);
+    return (
+      !Number.isInteger(quantity) || quantity <= 0 || quantity > line.available
+    );
+  };
+
+  const totalUnits = lines.reduce(
+    (sum, line) => sum + (parseInt(line.quantity) || 0),
+    0
+  );
+  const canSend =
+    lines.length > 0 &&
+    !lines.some(isInvalidLine) &&
+    fromLocationId &&
+    toLocationId &&
+    fromLocationId !== toLocationId &&
+    !createMutation.isPending;
+
+  const handleSend = () => {
+    if (!canSend) return;
+
+    createMutation.mutate({
+      fromLocationId,
+      toLocationId,
+      note: note.trim() || undefined,
+      items: lines.map((line) => ({
+        productId: line.productId,
+        quantity: parseInt(line.quantity),
+        ...(line.serialized && { serials: line.serials }),
+      })),
+    });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Transfer lines */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Products to Send</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <ProductSearchInput
+              ref={searchInputRef}
+              onSelect={handleAddProduct}
+              locationId={fromLocationId}
+            />
+
+            {lines.length ? (
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 px-3 text-xs font-medium text-gray-500">
+                  <span className="col-span-7">Product</span>
+                  <span className="col-span-3">Quantity</span>
+                </div>
+                {lines.map((line) => (
+                  <div
+                    key={line.productId}
+                    className="grid grid-cols-12 items-center gap-2 p-3 border rounded-lg bg-gray-50"
+                  >
+                    <div className="col-span-7">
+                      <p className="font-medium text-gray-900 truncate">
+                        {line.name}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {line.sku ? `SKU: ${line.sku} · ` : ""}Available:{" "}
+                        {line.available} {line.unit}
+                      </p>
+                    </div>
+                    <div className="col-span-3">
+                      {line.serialized ? (
+                        <p className="text-sm" title="One unit per serial">
+                          {line.quantity} {line.unit}
+                        </p>
+                      ) : (
+                        <Input
+                          type="number"
+                          min="1"
+                          max={line.available}
+                          step="1"
+                          value={line.quantity}
+                          onChange={(e) =>
+                            handleLineChange(line.productId, {
+                              quantity: e.target.value,
+                            })
+                          }
+                          aria-label={`Quantity of ${line.name}`}
+                          className={
+                            isInvalidLine(line) ? "border-red-500" : ""
+                          }
+                        />
+                      )}
+                    </div>
+                    <div className="col-span-2 text-right">
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleRemoveLine(line.productId)}
+                        aria-label={`Remove ${line.name}`}
+                      >
+                        <Trash2 className="h-4 w-4 text-red-500" />
+                      </Button>
+                    </div>
+                    {line.serialized && (
+                      <div className="col-span-12">
+                        <SerialNumberPicker
+                          productId={line.productId}
+                          locationId={fromLocationId}
+                          selected={line.serials}
+                          onChange={(serials) =>
+                            handleLineChange(line.productId, {
+                              serials,
+                              quantity: String(serials.length),
+                            })
+                          }
+                          onDone={() => searchInputRef.current?.focus()}
+                        />
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <div className="text-center py-8 text-gray-500">
+                <ArrowLeftRight className="mx-auto h-12 w-12 text-gray-300 mb-3" />
+                <p>No products added yet</p>
+                <p className="text-sm">
+                  Search for a product and press Enter to add it to this
+                  transfer
+                </p>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Locations and sending */}
+      <div>
+        <Card>
+          <CardHeader>
+            <CardTitle>Transfer Summary</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="fromLocationId">From</Label>
+              <Select
+                onValueChange={handleFromLocationChange}
+                value={fromLocationId}
+              >
+                <SelectTrigger id="fromLocationId">
+                  <SelectValue placeholder="Select a location" />
+                </SelectTrigger>
+                <SelectContent>
+                  {locations.map((location) => (
+                    <SelectItem key={location.id} value={location.id}>
+                      {location.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="toLocationId">To</Label>
+              <Select onValueChange={setToLocationId} value={toLocationId}>
+                <SelectTrigger id="toLocationId">
+                  <SelectValue placeholder="Select a location" />
+                </SelectTrigger>
+                <SelectContent>
+                  {locations
+                    .filter((location) => location.id !== fromLocationId)
+                    .map((location) => (
+                      <SelectItem key={location.id} value={location.id}>
+                        {location.name}
+                      </SelectItem>
+                    ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="note">Note</Label>
+              <Input
+                id="note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="e.g. Weekend restock (optional)"
+              />
+            </div>
+
+            <div className="rounded-md bg-gray-50 p-3 text-sm space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Products</span>
+                <span>{lines.length}</span>
+              </div>
+              <div className="flex justify-between font-medium">
+                <span>Units</span>
+                <span>{totalUnits}</span>
+              </div>
+            </div>
+
+            <p className="text-sm text-gray-600">
+              The stock leaves the sending location straight away and stays
+              in transit until the transfer is received.
+            </p>
+
+            <Button className="w-full" onClick={handleSend} disabled={!canSend}>
+              {createMutation.isPending ? "Sending..." : "Send Transfer"}
+            </Button>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// /src/components/features/stock-transfers/stock-transfer-status.jsx
+import { cn } from "@/lib/utils";
+import { STOCK_TRANSFER_STATUSES } from "@/lib/schemas/location-schemas";
+
+const STATUS_STYLES = {
+  IN_TRANSIT: "bg-blue-100 text-blue-700",
+  RECEIVED: "bg-green-100 text-green-700",
+  CANCELLED: "bg-gray-100 text-gray-700",
+};
+
+/**
+ * Colored label for a stock transfer status
+ * @param {{ status: string, className?: string }} props
+ * @returns {JSX.Element} Status label
+ */
+export default function StockTransferStatus({ status, className }) {
+  const label =
+    STOCK_TRANSFER_STATUSES.find((s) => s.value === status)?.label ?? status;
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium",
+        STATUS_STYLES[status],
+        className
+      )}
+    >
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,111 @@
+// /src/components/features/stocktakes/stocktake-columns.jsx
+"use client";
+
+import Link from "next/link";
+import StocktakeStatus from "@/components/features/stocktakes/stocktake-status";
+import {
+  STOCKTAKE_SCOPES,
+  formatStocktakeNumber,
+} from "@/lib/schemas/stocktake-schemas";
+
+/**
+ * Describes what a stocktake counts (e.g. Category: Drinks)
+ * @param {Object} stocktake - Stocktake with its category and supplier
+ * @returns {string} Scope label
+ */
+export function formatStocktakeScope(stocktake) {
+  if (stocktake.scope === "CATEGORY") {
+    return `Category: ${stocktake.category?.name ?? "deleted"}`;
+  }
+  if (stocktake.scope === "SUPPLIER") {
+    return `Supplier: ${stocktake.supplier?.name ?? "deleted"}`;
+  }
+  return STOCKTAKE_SCOPES.find((s) => s.value === stocktake.scope).label;
+}
+
+/**
+ * Text color for a variance: red for missing stock, green for surplus
+ * @param {number} variance - Variance in units or value
+ * @returns {string} Tailwind class name
+ */
+export function getVarianceClassName(variance) {
+  if (variance < 0) return "text-red-600";
+  if (variance > 0) return "text-green-600";
+  return "";
+}
+
+/**
+ * Stocktake table columns configuration for TanStack Table
+ * @returns {Array} Column definitions array
+ */
+export function createStocktakeColumns() {
+  return [
+    {
+      accessorKey: "number",
+      header: "Stocktake",
+      cell: ({ row }) => (
+        <Link
+          href={`/dashboard/inventory/stocktakes/${row.original.id}`}
+          className="font-medium text-primary hover:underline"
+        >
+          {formatStocktakeNumber(row.original.number)}
+        </Link>
+      ),
+    },
+    {
+      id: "location",
+      accessorFn: (stocktake) => stocktake.location.name,
+      header: "Location",
+      cell: ({ row }) => <div>{row.original.location.name}</div>,
+    },
+    {
+      id: "scope",
+      accessorFn: formatStocktakeScope,
+      header: "Scope",
+      cell: ({ row }) => <div>{formatStocktakeScope(row.original)}</div>,
+    },
+    {
+      accessorKey: "status",
+      header: "Status",
+      cell: ({ row }) => <StocktakeStatus status={row.original.status} />,
+    },
+    {
+      id: "counted",
+      header: "Counted",
+      cell: ({ row }) => {
+        const { countedCount, itemCount } = row.original;
+        return (
+          <div className="text-sm">
+            {countedCount} / {itemCount} products
+          </div>
+        );
+      },
+      enableSorting: false,
+    },
+    {
+      accessorKey: "varianceValue",
+      header: "Variance",
+      cell: ({ row }) => {
+        const { varianceUnits, varianceValue } = row.original;
+        return (
+          <div className={getVarianceClassName(varianceUnits)}>
+            {varianceUnits > 0 ? "+" : ""}
+            {varianceUnits} units · ${varianceValue.toFixed(2)}
+          </div>
+        );
+      },
+    },
+    {
+      accessorKey: "createdAt",
+      header: "Started",
+      cell: ({ row }) => {
+        const date = new Date(row.getValue("createdAt"));
+        return (
+          <div className="text-sm text-muted-foreground">
+            {date.toLocaleDateString()}
+          </div>
+        );
+      },
+    },
+  ];
+}
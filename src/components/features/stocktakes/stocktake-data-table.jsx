@@ -0,0 +1,96 @@
+// /src/components/features/stocktakes/stocktake-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { ClipboardCheck } from "lucide-react";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { createStocktakeColumns } from "@/components/features/stocktakes/stocktake-columns";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchStocktakes } from "@/lib/api/stocktakes-api";
+import { STOCKTAKE_STATUSES } from "@/lib/schemas/stocktake-schemas";
+
+const ALL_STATUSES = "all";
+
+/**
+ * Client component to render the stocktakes data table.
+ * It uses TanStack Query to manage and update the stocktake list.
+ * @param {{ initialStocktakesData: Array }} props
+ * @returns {JSX.Element}
+ */
+export default function StocktakeDataTable({ initialStocktakesData }) {
+  const [statusFilter, setStatusFilter] = useState(ALL_STATUSES);
+
+  const {
+    data: stocktakes = [],
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("stocktakes"),
+    queryFn: () => fetchStocktakes(),
+    initialData: initialStocktakesData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const visibleStocktakes =
+    statusFilter === ALL_STATUSES
+      ? stocktakes
+      : stocktakes.filter((stocktake) => stocktake.status === statusFilter);
+  const columns = createStocktakeColumns();
+
+  if (isLoading && !initialStocktakesData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading stocktakes. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (stocktakes.length === 0) {
+    return (
+      <EmptyState
+        icon={ClipboardCheck}
+        title="No stocktakes yet"
+        description="Count the whole shop, one category or one supplier's products, review the variances and approve them as stock adjustments."
+        actionLabel="Start Stocktake"
+        actionHref="/dashboard/inventory/stocktakes/new"
+      />
+    );
+  }
+
+  return (
+    <DataTable
+      columns={columns}
+      data={visibleStocktakes}
+      filterKey="scope"
+      filterPlaceholder="Filter by scope..."
+      toolbar={
+        <Select onValueChange={setStatusFilter} value={statusFilter}>
+          <SelectTrigger className="w-48" aria-label="Stocktake status">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_STATUSES}>All statuses</SelectItem>
+            {STOCKTAKE_STATUSES.map((status) => (
+              <SelectItem key={status.value} value={status.value}>
+                {status.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      }
+    />
+  );
+}
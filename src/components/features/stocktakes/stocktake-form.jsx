@@ -0,0 +1,158 @@
+// /src/components/features/stocktakes/stocktake-form.jsx
+"use client";
+
+import { useState } from "react";
+import { useRouter } from "next/navigation";
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useStocktakeMutations } from "@/hooks/use-stocktake-mutations";
+import { fetchCategories } from "@/lib/api/categories-api";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { STOCKTAKE_SCOPES } from "@/lib/schemas/stocktake-schemas";
+
+/**
+ * New stocktake client component
+ * Chooses what to count: the whole shop, one category or one supplier's
+ * products, at the location selected in the topbar. Starting the stocktake
+ * snapshots the expected quantities and opens its count sheet.
+ * @returns {JSX.Element} Stocktake scope form
+ */
+export default function StocktakeForm() {
+  const router = useRouter();
+  const [scope, setScope] = useState("ALL");
+  const [categoryId, setCategoryId] = useState("");
+  const [supplierId, setSupplierId] = useState("");
+  const [note, setNote] = useState("");
+
+  const { data: categories = [] } = useQuery({
+    queryKey: queryKeys.list("categories"),
+    queryFn: fetchCategories,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { data: suppliers = [] } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
+  const { createMutation } = useStocktakeMutations(undefined, {
+    onCreated: (stocktake) =>
+      router.push(`/dashboard/inventory/stocktakes/${stocktake.id}`),
+  });
+
+  const canSubmit =
+    !createMutation.isPending &&
+    (scope !== "CATEGORY" || categoryId) &&
+    (scope !== "SUPPLIER" || supplierId);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+
+    createMutation.mutate({
+      scope,
+      categoryId: scope === "CATEGORY" ? categoryId : undefined,
+      supplierId: scope === "SUPPLIER" ? supplierId : undefined,
+      note: note.trim() || undefined,
+    });
+  };
+
+  return (
+    <Card className="max-w-xl">
+      <CardHeader>
+        <CardTitle>What are you counting?</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {/* Scope */}
+          <div className="space-y-2">
+            <Label htmlFor="scope">Scope</Label>
+            <Select onValueChange={setScope} value={scope}>
+              <SelectTrigger id="scope">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {STOCKTAKE_SCOPES.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {scope === "CATEGORY" && (
+            <div className="space-y-2">
+              <Label htmlFor="categoryId">Category</Label>
+              <Select onValueChange={setCategoryId} value={categoryId}>
+                <SelectTrigger id="categoryId">
+                  <SelectValue placeholder="Select a category" />
+                </SelectTrigger>
+                <SelectContent>
+                  {categories.map((category) => (
+                    <SelectItem key={category.id} value={category.id}>
+                      {category.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {scope === "SUPPLIER" && (
+            <div className="space-y-2">
+              <Label htmlFor="supplierId">Supplier</Label>
+              <Select onValueChange={setSupplierId} value={supplierId}>
+                <SelectTrigger id="supplierId">
+                  <SelectValue placeholder="Select a supplier" />
+                </SelectTrigger>
+                <SelectContent>
+                  {suppliers.map((supplier) => (
+                    <SelectItem key={supplier.id} value={supplier.id}>
+                      {supplier.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {/* Note */}
+          <div className="space-y-2">
+            <Label htmlFor="note">Note</Label>
+            <Input
+              id="note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Q4 full count (optional)"
+            />
+          </div>
+
+          <p className="text-sm text-gray-600">
+            The current stock of every active product in scope at the
+            location selected in the top bar is recorded as its expected
+            quantity. Sales and deliveries can carry on while you count.
+            Serialized products are not counted here; correct them with a
+            stock adjustment, serial number by serial number.
+          </p>
+
+          <Button type="submit" className="w-full" disabled={!canSubmit}>
+            {createMutation.isPending ? "Starting..." : "Start Stocktake"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,441 @@
+// /src/components/features/stocktakes/stocktake-sheet.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from "@/components/ui/alert-dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import {
+  formatStocktakeScope,
+  getVarianceClassName,
+} from "@/components/features/stocktakes/stocktake-columns";
+import StocktakeStatus from "@/components/features/stocktakes/stocktake-status";
+import { useStocktakeMutations } from "@/hooks/use-stocktake-mutations";
+import { fetchStocktake } from "@/lib/api/stocktakes-api";
+import { queryKeys } from "@/lib/queryKeys";
+import { ADJUSTMENT_REASONS } from "@/lib/schemas/product-schemas";
+import {
+  getStocktakeTotals,
+  getStocktakeVariance,
+} from "@/lib/schemas/stocktake-schemas";
+import { formatDateTime } from "@/lib/utils";
+
+const DEFAULT_REASON = "COUNT_CORRECTION";
+
+/**
+ * Formats a signed number with an explicit plus for surpluses
+ * @param {number} value - Signed value
+ * @param {string} [text] - Formatted magnitude (defaults to the value itself)
+ * @returns {string} Signed label (e.g. +3, -$4.50)
+ */
+function formatSigned(value, text = String(Math.abs(value))) {
+  if (value > 0) return `+${text}`;
+  if (value < 0) return `-${text}`;
+  return text;
+}
+
+/**
+ * Stocktake count and variance sheet client component
+ * While counting, every line takes a counted quantity and, for lines that
+ * differ from the expected quantity, a reason; the variance in units and
+ * value updates as counts are typed. Saved counts can be approved, which
+ * posts one stock adjustment per variance. Approved and cancelled
+ * stocktakes are read-only. Hydrated from the server-rendered stocktake.
+ * @param {{ initialStocktake: Object }} props
+ * @returns {JSX.Element} Stocktake sheet view
+ */
+export default function StocktakeSheet({ initialStocktake }) {
+  const stocktakeId = initialStocktake.id;
+
+  const { data: stocktake } = useQuery({
+    queryKey: queryKeys.detail("stocktakes", stocktakeId),
+    queryFn: () => fetchStocktake(stocktakeId),
+    initialData: initialStocktake,
+  });
+
+  // Unsaved counts and reasons typed per stocktake line
+  const [edits, setEdits] = useState({});
+  const [onlyVariances, setOnlyVariances] = useState(false);
+
+  const { saveMutation, statusMutation } = useStocktakeMutations(stocktakeId);
+
+  const isCounting = stocktake.status === "COUNTING";
+  const isDirty = Object.keys(edits).length > 0;
+
+  const lines = stocktake.items.map((item) => {
+    const edit = edits[item.id];
+    const input =
+      edit?.input ??
+      (item.countedQuantity === null ? "" : String(item.countedQuantity));
+    const countedQuantity = input === "" ? null : Number(input);
+    const isInvalid =
+      countedQuantity !== null &&
+      (!Number.isInteger(countedQuantity) || countedQuantity < 0);
+    const reason = edit?.reason ?? item.reason ?? DEFAULT_REASON;
+    const variance = isInvalid
+      ? null
+      : getStocktakeVariance({ ...item, countedQuantity });
+    return { item, input, countedQuantity, isInvalid, reason, variance };
+  });
+  const hasInvalidLine = lines.some((line) => line.isInvalid);
+  const totals = getStocktakeTotals(
+    lines.map((line) => ({
+      ...line.item,
+      countedQuantity: line.isInvalid ? null : line.countedQuantity,
+    }))
+  );
+  const uncountedCount = totals.itemCount - totals.countedCount;
+  const visibleLines = onlyVariances
+    ? lines.filter((line) => line.variance && line.variance.units !== 0)
+    : lines;
+
+  /**
+   * Records an unsaved change to a line's count or reason
+   * @param {string} itemId - Stocktake line ID
+   * @param {Object} change - Changed input and/or reason
+   */
+  const updateLine = (itemId, change) => {
+    setEdits((current) => ({
+      ...current,
+      [itemId]: { ...current[itemId], ...change },
+    }));
+  };
+
+  const handleSave = () => {
+    if (!isDirty || hasInvalidLine) return;
+
+    saveMutation.mutate(
+      {
+        items: lines
+          .filter((line) => edits[line.item.id])
+          .map((line) => ({
+            itemId: line.item.id,
+            countedQuantity: line.countedQuantity,
+            reason: line.reason,
+          })),
+      },
+      { onSuccess: () => setEdits({}) }
+    );
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Count and variance sheet */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <div className="flex items-center justify-between gap-4">
+              <CardTitle>{isCounting ? "Count Sheet" : "Variances"}</CardTitle>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={onlyVariances}
+                  onChange={(e) => setOnlyVariances(e.target.checked)}
+                />
+                <span>Only show variances</span>
+              </label>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Product</TableHead>
+                    <TableHead className="text-right">Expected</TableHead>
+                    <TableHead className="w-28">Counted</TableHead>
+                    <TableHead className="text-right">Variance</TableHead>
+                    <TableHead className="text-right">Value</TableHead>
+                    <TableHead className="w-44">Reason</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {visibleLines.length ? (
+                    visibleLines.map((line) => (
+                      <TableRow key={line.item.id}>
+                        <TableCell>
+                          <div className="font-medium">
+                            {line.item.product.name}
+                          </div>
+                          <div className="text-xs text-muted-foreground">
+                            {line.item.product.sku
+                              ? `SKU: ${line.item.product.sku} · `
+                              : ""}
+                            In stock now: {line.item.product.stock}{" "}
+                            {line.item.product.unit}
+                          </div>
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {line.item.expectedQuantity}
+                        </TableCell>
+                        <TableCell>
+                          {isCounting ? (
+                            <Input
+                              type="number"
+                              min="0"
+                              step="1"
+                              value={line.input}
+                              onChange={(e) =>
+                                updateLine(line.item.id, {
+                                  input: e.target.value,
+                                })
+                              }
+                              aria-label={`Counted ${line.item.product.name}`}
+                              className={line.isInvalid ? "border-red-500" : ""}
+                            />
+                          ) : (
+                            (line.countedQuantity ?? "—")
+                          )}
+                        </TableCell>
+                        <TableCell
+                          className={`text-right ${getVarianceClassName(
+                            line.variance?.units
+                          )}`}
+                        >
+                          {line.variance
+                            ? formatSigned(line.variance.units)
+                            : "—"}
+                        </TableCell>
+                        <TableCell
+                          className={`text-right ${getVarianceClassName(
+                            line.variance?.value
+                          )}`}
+                        >
+                          {line.variance
+                            ? formatSigned(
+                                line.variance.value,
+                                `$${Math.abs(line.variance.value).toFixed(2)}`
+                              )
+                            : "—"}
+                        </TableCell>
+                        <TableCell>
+                          {line.variance?.units ? (
+                            isCounting ? (
+                              <Select
+                                value={line.reason}
+                                onValueChange={(reason) =>
+                                  updateLine(line.item.id, { reason })
+                                }
+                              >
+                                <SelectTrigger
+                                  aria-label={`Reason for ${line.item.product.name}`}
+                                >
+                                  <SelectValue />
+                                </SelectTrigger>
+                                <SelectContent>
+                                  {ADJUSTMENT_REASONS.map((reason) => (
+                                    <SelectItem
+                                      key={reason.value}
+                                      value={reason.value}
+                                    >
+                                      {reason.label}
+                                    </SelectItem>
+                                  ))}
+                                </SelectContent>
+                              </Select>
+                            ) : (
+                              <span className="text-sm">
+                                {ADJUSTMENT_REASONS.find(
+                                  (r) => r.value === line.reason
+                                )?.label ?? line.reason}
+                              </span>
+                            )
+                          ) : null}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={6} className="h-24 text-center">
+                        No variances counted yet.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Summary and approval */}
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Stocktake Summary</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            <div className="flex justify-between">
+              <span className="text-gray-600">Status</span>
+              <StocktakeStatus status={stocktake.status} />
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Location</span>
+              <span className="font-medium">{stocktake.location.name}</span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Scope</span>
+              <span className="font-medium">
+                {formatStocktakeScope(stocktake)}
+              </span>
+            </div>
+            <div className="flex justify-between">
+              <span className="text-gray-600">Started</span>
+              <span>{formatDateTime(stocktake.createdAt)}</span>
+            </div>
+            {stocktake.approvedAt && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Approved</span>
+                <span>{formatDateTime(stocktake.approvedAt)}</span>
+              </div>
+            )}
+            {stocktake.note && (
+              <p className="text-gray-600">{stocktake.note}</p>
+            )}
+            <div className="rounded-md bg-gray-50 p-3 space-y-1">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Products counted</span>
+                <span>
+                  {totals.countedCount} / {totals.itemCount}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Lines with a variance</span>
+                <span>{totals.varianceCount}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Units</span>
+                <span className={getVarianceClassName(totals.varianceUnits)}>
+                  {formatSigned(totals.varianceUnits)}
+                </span>
+              </div>
+              <div className="flex justify-between font-medium text-base pt-1">
+                <span>Variance Value</span>
+                <span className={getVarianceClassName(totals.varianceValue)}>
+                  {formatSigned(
+                    totals.varianceValue,
+                    `$${Math.abs(totals.varianceValue).toFixed(2)}`
+                  )}
+                </span>
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {isCounting && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Review and Approve</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <Button
+                className="w-full"
+                variant="outline"
+                onClick={handleSave}
+                disabled={!isDirty || hasInvalidLine || saveMutation.isPending}
+              >
+                {saveMutation.isPending ? "Saving..." : "Save Counts"}
+              </Button>
+
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    className="w-full"
+                    disabled={
+                      isDirty ||
+                      totals.countedCount === 0 ||
+                      statusMutation.isPending
+                    }
+                  >
+                    Approve Stocktake
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Approve Stocktake</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      {`${totals.varianceCount} stock adjustment(s) will be posted for a net ${formatSigned(totals.varianceUnits)} units. `}
+                      {uncountedCount > 0
+                        ? `${uncountedCount} product(s) were not counted and keep their stock. `
+                        : ""}
+                      Approved stocktakes cannot be changed.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Cancel</AlertDialogCancel>
+                    <AlertDialogAction
+                      onClick={() => statusMutation.mutate("approve")}
+                    >
+                      Approve
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+              {isDirty && (
+                <p className="text-xs text-gray-500">
+                  Save your counts before approving.
+                </p>
+              )}
+
+              <AlertDialog>
+                <AlertDialogTrigger asChild>
+                  <Button
+                    className="w-full"
+                    variant="ghost"
+                    disabled={statusMutation.isPending}
+                  >
+                    Cancel Stocktake
+                  </Button>
+                </AlertDialogTrigger>
+                <AlertDialogContent>
+                  <AlertDialogHeader>
+                    <AlertDialogTitle>Cancel Stocktake</AlertDialogTitle>
+                    <AlertDialogDescription>
+                      The counts are kept for reference but no stock is
+                      adjusted, and the stocktake can no longer be changed.
+                    </AlertDialogDescription>
+                  </AlertDialogHeader>
+                  <AlertDialogFooter>
+                    <AlertDialogCancel>Keep Counting</AlertDialogCancel>
+                    <AlertDialogAction
+                      onClick={() => statusMutation.mutate("cancel")}
+                    >
+                      Cancel Stocktake
+                    </AlertDialogAction>
+                  </AlertDialogFooter>
+                </AlertDialogContent>
+              </AlertDialog>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// /src/components/features/stocktakes/stocktake-status.jsx
+import { cn } from "@/lib/utils";
+import { STOCKTAKE_STATUSES } from "@/lib/schemas/stocktake-schemas";
+
+const STATUS_STYLES = {
+  COUNTING: "bg-blue-100 text-blue-700",
+  APPROVED: "bg-green-100 text-green-700",
+  CANCELLED: "bg-gray-100 text-gray-700",
+};
+
+/**
+ * Colored label for a stocktake status
+ * @param {{ status: string, className?: string }} props
+ * @returns {JSX.Element} Status label
+ */
+export default function StocktakeStatus({ status, className }) {
+  const label =
+    STOCKTAKE_STATUSES.find((s) => s.value === status)?.label ?? status;
+
+  return (
+    <span
+      className={cn(
+        "inline-flex items-center rounded-full px-2 py-0.5 text-xs font-medium",
+        STATUS_STYLES[status],
+        className
+      )}
+    >
+      {label}
+    </span>
+  );
+}
@@ -0,0 +1,144 @@
+// /src/components/features/suppliers/supplier-columns.jsx
+"use client";
+
+import Link from "next/link";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { MoreHorizontal, Edit, Trash2, FileText } from "lucide-react";
+
+/**
+ * Supplier table columns configuration for TanStack Table
+ * Defines column structure, sorting, and actions for supplier data display
+ * @param {Function} onEdit - Callback function to trigger editing a supplier
+ * @param {Function} onDelete - Callback function to trigger deleting a supplier
+ * @returns {Array} Column definitions array
+ */
+export function createSupplierColumns(onEdit, onDelete) {
+  return [
+    {
+      accessorKey: "name",
+      header: "Name",
+      cell: ({ row }) => {
+        const supplier = row.original;
+        return <div className="font-medium">{supplier.name}</div>;
+      },
+    },
+    {
+      id: "contact",
+      header: "Contact",
+      cell: ({ row }) => {
+        const { contactPhone, contactEmail } = row.original;
+        if (!contactPhone && !contactEmail) {
+          return <div className="text-sm text-muted-foreground">—</div>;
+        }
+        return (
+          <div className="text-sm">
+            {contactPhone && <div>{contactPhone}</div>}
+            {contactEmail && (
+              <div className="text-muted-foreground">{contactEmail}</div>
+            )}
+          </div>
+        );
+      },
+      enableSorting: false,
+    },
+    {
+      accessorKey: "_count.products",
+      header: "Products",
+      cell: ({ row }) => {
+        const count = row.original._count?.products || 0;
+        return (
+          <div className="text-sm">
+            {count} {count === 1 ? "product" : "products"}
+          </div>
+        );
+      },
+    },
+    {
+      accessorKey: "_count.purchases",
+      header: "Purchases",
+      cell: ({ row }) => {
+        const count = row.original._count?.purchases || 0;
+        return <div className="text-sm">{count}</div>;
+      },
+    },
+    {
+      accessorKey: "balance",
+      header: "Balance",
+      cell: ({ row }) => {
+        const balance = row.getValue("balance") || 0;
+        return (
+          <div
+            className={`text-sm font-medium ${balance > 0 ? "text-amber-600" : ""}`}
+          >
+            ${balance.toFixed(2)}
+          </div>
+        );
+      },
+    },
+    {
+      accessorKey: "createdAt",
+      header: "Created",
+      cell: ({ row }) => {
+        const date = new Date(row.getValue("createdAt"));
+        const day = String(date.getDate()).padStart(2, "0");
+        const month = String(date.getMonth() + 1).padStart(2, "0"); // Month is 0-indexed
+        const year = date.getFullYear();
+        const formattedDate = `${day}/${month}/${year}`;
+
+        return (
+          <div className="text-sm text-muted-foreground">{formattedDate}</div>
+        );
+      },
+    },
+    {
+      id: "actions",
+      enableHiding: false,
+      cell: ({ row }) => {
+        const supplier = row.original;
+
+        return (
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button variant="ghost" className="h-8 w-8 p-0">
+                <span className="sr-only">Open menu</span>
+                <MoreHorizontal className="h-4 w-4" />
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end">
+              <DropdownMenuLabel>Actions</DropdownMenuLabel>
+              <DropdownMenuItem asChild className="cursor-pointer">
+                <Link href={`/dashboard/suppliers/${supplier.id}`}>
+                  <FileText className="mr-2 h-4 w-4" />
+                  View Ledger
+                </Link>
+              </DropdownMenuItem>
+              <DropdownMenuItem
+                onClick={() => onEdit(supplier.id)}
+                className="flex items-center cursor-pointer"
+              >
+                <Edit className="mr-2 h-4 w-4" />
+                Edit
+              </DropdownMenuItem>
+              <DropdownMenuSeparator />
+              <DropdownMenuItem
+                onClick={() => onDelete(supplier.id)}
+                className="flex items-center cursor-pointer text-red-600 focus:text-red-600"
+              >
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete
+              </DropdownMenuItem>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        );
+      },
+    },
+  ];
+}
@@ -0,0 +1,54 @@
+// /src/components/features/suppliers/supplier-creation-cockpit.jsx
+"use client";
+
+import { useState } from "react";
+import SupplierCreationForm from "@/components/features/suppliers/supplier-creation-form";
+import SupplierSessionCreationList from "@/components/features/suppliers/supplier-session-creation-list";
+import SupplierEditModal from "@/components/features/suppliers/supplier-edit-modal";
+
+/**
+ * Supplier creation cockpit client component
+ * Manages state for creating and editing suppliers within a session.
+ * @returns {JSX.Element} Supplier creation cockpit with two-column layout
+ */
+export default function SupplierCreationCockpit() {
+  const [editingSupplier, setEditingSupplier] = useState(null);
+
+  /**
+   * Handles supplier edit request
+   * Opens the standard edit modal
+   * @param {Object} supplier - Supplier to edit
+   */
+  const handleEditSupplier = (supplier) => {
+    setEditingSupplier(supplier);
+  };
+
+  const handleCloseModal = () => {
+    setEditingSupplier(null);
+  };
+
+  return (
+    <>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Left Column: Creation Form */}
+        <div>
+          <SupplierCreationForm />
+        </div>
+
+        {/* Right Column: Session Creation List */}
+        <div>
+          <SupplierSessionCreationList onEditSupplier={handleEditSupplier} />
+        </div>
+      </div>
+
+      {/* Edit Modal */}
+      {editingSupplier && (
+        <SupplierEditModal
+          supplierId={editingSupplier.id}
+          isOpen={!!editingSupplier}
+          onClose={handleCloseModal}
+        />
+      )}
+    </>
+  );
+}
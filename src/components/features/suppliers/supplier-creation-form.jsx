@@ -0,0 +1,100 @@
+// /src/components/features/suppliers/supplier-creation-form.jsx
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { useSupplierCreateMutation } from "@/hooks/use-supplier-create-mutation";
+import { useDebouncedSupplierNameValidation } from "@/hooks/use-debounced-supplier-name-validation";
+import { SupplierFormSchema } from "@/lib/schemas/supplier-schemas";
+import SupplierFormFields from "./supplier-form-fields";
+
+/**
+ * Supplier creation form component with optimistic updates
+ * Handles form submission and validation for creating new suppliers
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSupplierCreated] - Optional callback when supplier is successfully created
+ * @returns {JSX.Element} Supplier creation form
+ */
+export default function SupplierCreationForm({ onSupplierCreated }) {
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(SupplierFormSchema),
+    defaultValues: {
+      name: "",
+      contactEmail: "",
+      contactPhone: "",
+      address: "",
+    },
+  });
+
+  const watchedName = watch("name");
+  const nameValidation = useDebouncedSupplierNameValidation(watchedName);
+  const { createSupplierMutation } =
+    useSupplierCreateMutation(onSupplierCreated);
+
+  const isNameTaken =
+    !nameValidation.isUnique &&
+    nameValidation.hasChecked &&
+    watchedName.trim().length > 0;
+
+  /**
+   * Handles form submission
+   * @param {Object} data - Form data (already trimmed by Zod schema)
+   */
+  const onSubmit = (data) => {
+    // Check name uniqueness before submitting
+    if (isNameTaken) {
+      toast.error("Please use a unique supplier name");
+      return;
+    }
+
+    createSupplierMutation.mutate(data);
+
+    // Clear form and focus first input for quick continuation
+    reset();
+    setTimeout(() => {
+      const firstInput = document.querySelector('input[name="name"]');
+      if (firstInput) firstInput.focus();
+    }, 100);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Add New Supplier</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <SupplierFormFields
+            register={register}
+            errors={errors}
+            watch={watch}
+            nameValidation={nameValidation}
+          />
+
+          <Button
+            type="submit"
+            disabled={
+              createSupplierMutation.isPending ||
+              nameValidation.isChecking ||
+              isNameTaken
+            }
+            className="w-full"
+          >
+            {createSupplierMutation.isPending
+              ? "Saving..."
+              : "Save and Add Another"}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,146 @@
+// /src/components/features/suppliers/supplier-data-table.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import DataTable from "@/components/ui/data-table";
+import EmptyState from "@/components/ui/empty-state";
+import { createSupplierColumns } from "@/components/features/suppliers/supplier-columns";
+import { Truck } from "lucide-react";
+import { queryKeys } from "@/lib/queryKeys";
+import SupplierEditModal from "./supplier-edit-modal";
+import SupplierDeleteDialog from "./supplier-delete-dialog";
+import { fetchSuppliers, deleteSupplier } from "@/lib/api/suppliers-api";
+
+/**
+ * Client component to render the suppliers data table.
+ * It uses TanStack Query to manage and update the supplier list.
+ * @param {{ initialSuppliersData: Array }} props
+ * @returns {JSX.Element}
+ */
+export default function SupplierDataTable({ initialSuppliersData }) {
+  const queryClient = useQueryClient();
+  const [editingSupplierId, setEditingSupplierId] = useState(null);
+  const [deletingSupplier, setDeletingSupplier] = useState(null);
+
+  const {
+    data: suppliers = [],
+    isLoading,
+    isError,
+  } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    initialData: initialSuppliersData,
+    staleTime: 1000 * 60 * 5,
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: ({ supplierId, reassignToId }) =>
+      deleteSupplier(supplierId, reassignToId),
+    onMutate: async ({ supplierId }) => {
+      await queryClient.cancelQueries({
+        queryKey: queryKeys.list("suppliers"),
+      });
+      const previousSuppliersData = queryClient.getQueryData(
+        queryKeys.list("suppliers")
+      );
+
+      queryClient.setQueryData(queryKeys.list("suppliers"), (oldData) => {
+        if (!oldData) return [];
+        return oldData.filter((s) => s.id !== supplierId);
+      });
+
+      return { previousSuppliersData };
+    },
+    onError: (err, variables, context) => {
+      toast.error(err.message || "Failed to delete supplier");
+      if (context?.previousSuppliersData) {
+        queryClient.setQueryData(
+          queryKeys.list("suppliers"),
+          context.previousSuppliersData
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("suppliers") });
+      // Products may have been moved to another supplier
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
+      setDeletingSupplier(null);
+    },
+    onSuccess: () => {
+      toast.success("Supplier deleted successfully!");
+    },
+  });
+
+  const columns = createSupplierColumns(setEditingSupplierId, (supplierId) => {
+    const supplier = suppliers.find((s) => s.id === supplierId);
+    setDeletingSupplier(supplier);
+  });
+
+  /**
+   * Confirms deletion, optionally moving products to another supplier
+   * @param {string} [reassignToId] - Replacement supplier ID
+   */
+  const handleDelete = (reassignToId) => {
+    if (deletingSupplier) {
+      deleteMutation.mutate({
+        supplierId: deletingSupplier.id,
+        reassignToId,
+      });
+    }
+  };
+
+  if (isLoading && !initialSuppliersData) {
+    return <div>Loading table...</div>;
+  }
+
+  if (isError) {
+    return (
+      <div className="text-red-500">
+        Error loading suppliers. Please try refreshing.
+      </div>
+    );
+  }
+
+  if (!suppliers || suppliers.length === 0) {
+    return (
+      <EmptyState
+        icon={Truck}
+        title="No suppliers yet"
+        description="Add the suppliers you buy from to track their contact details, assign them to products and record stock receipts against them."
+        actionLabel="Add First Supplier"
+        actionHref="/dashboard/suppliers/new"
+      />
+    );
+  }
+
+  return (
+    <>
+      <DataTable
+        columns={columns}
+        data={suppliers}
+        filterKey="name"
+        filterPlaceholder="Search suppliers..."
+      />
+      {editingSupplierId && (
+        <SupplierEditModal
+          supplierId={editingSupplierId}
+          isOpen={!!editingSupplierId}
+          onClose={() => setEditingSupplierId(null)}
+        />
+      )}
+      <SupplierDeleteDialog
+        isOpen={!!deletingSupplier}
+        onClose={() => setDeletingSupplier(null)}
+        onConfirm={handleDelete}
+        supplierId={deletingSupplier?.id}
+        supplierName={deletingSupplier?.name || ""}
+        productCount={deletingSupplier?._count?.products || 0}
+        purchaseCount={deletingSupplier?._count?.purchases || 0}
+        purchaseOrderCount={deletingSupplier?._count?.purchaseOrders || 0}
+        isPending={deleteMutation.isPending}
+      />
+    </>
+  );
+}
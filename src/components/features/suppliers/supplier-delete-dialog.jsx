@@ -0,0 +1,156 @@
+// /src/components/features/suppliers/supplier-delete-dialog.jsx
+"use client";
+
+import { useEffect, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { Label } from "@/components/ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { AlertTriangle } from "lucide-react";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
+
+/**
+ * Supplier delete confirmation dialog
+ * Purchases and purchase orders always block deletion. Assigned products can
+ * be moved to another supplier as part of the deletion.
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is open
+ * @param {Function} props.onClose - Function to close the dialog
+ * @param {Function} props.onConfirm - Called with the replacement supplier ID (if any)
+ * @param {string} [props.supplierId] - ID of the supplier to delete
+ * @param {string} props.supplierName - Name of the supplier to delete
+ * @param {number} props.productCount - Number of products assigned to this supplier
+ * @param {number} props.purchaseCount - Number of purchases received from this supplier
+ * @param {number} props.purchaseOrderCount - Number of purchase orders raised with this supplier
+ * @param {boolean} props.isPending - Whether the deletion is in progress
+ * @returns {JSX.Element} Delete confirmation dialog
+ */
+export default function SupplierDeleteDialog({
+  isOpen,
+  onClose,
+  onConfirm,
+  supplierId,
+  supplierName,
+  productCount = 0,
+  purchaseCount = 0,
+  purchaseOrderCount = 0,
+  isPending,
+}) {
+  const [reassignToId, setReassignToId] = useState("");
+  const hasProducts = productCount > 0;
+  const hasPurchases = purchaseCount > 0 || purchaseOrderCount > 0;
+
+  const { data: suppliers = [] } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    enabled: isOpen && hasProducts && !hasPurchases,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+  const replacementOptions = suppliers.filter((s) => s.id !== supplierId);
+
+  useEffect(() => {
+    if (isOpen) {
+      setReassignToId("");
+    }
+  }, [isOpen]);
+
+  const isBlocked = hasPurchases || (hasProducts && !reassignToId);
+
+  return (
+    <Dialog open={isOpen} onOpenChange={onClose}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <AlertTriangle className="w-5 h-5 text-red-500" />
+            Delete Supplier
+          </DialogTitle>
+          <DialogDescription asChild>
+            <div className="space-y-2">
+              <p>
+                Are you sure you want to delete the supplier{" "}
+                <span className="font-medium">"{supplierName}"</span>?
+              </p>
+              {hasPurchases && (
+                <p className="text-red-600 font-medium">
+                  This supplier has {purchaseCount}{" "}
+                  {purchaseCount === 1 ? "purchase" : "purchases"} and{" "}
+                  {purchaseOrderCount}{" "}
+                  {purchaseOrderCount === 1
+                    ? "purchase order"
+                    : "purchase orders"}{" "}
+                  on record and cannot be deleted.
+                </p>
+              )}
+              {!hasPurchases && hasProducts && (
+                <p className="text-red-600 font-medium">
+                  {productCount} {productCount === 1 ? "product is" : "products are"}{" "}
+                  assigned to this supplier. Choose another supplier to move
+                  them to before deleting.
+                </p>
+              )}
+              {!hasPurchases && !hasProducts && (
+                <p>This action cannot be undone.</p>
+              )}
+            </div>
+          </DialogDescription>
+        </DialogHeader>
+
+        {!hasPurchases && hasProducts && (
+          <div className="space-y-2">
+            <Label htmlFor="reassignToId">Move products to</Label>
+            <Select onValueChange={setReassignToId} value={reassignToId}>
+              <SelectTrigger id="reassignToId">
+                <SelectValue placeholder="Select a supplier" />
+              </SelectTrigger>
+              <SelectContent>
+                {replacementOptions.length ? (
+                  replacementOptions.map((supplier) => (
+                    <SelectItem key={supplier.id} value={supplier.id}>
+                      {supplier.name}
+                    </SelectItem>
+                  ))
+                ) : (
+                  <SelectItem disabled value="none">
+                    No other suppliers available
+                  </SelectItem>
+                )}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+
+        <DialogFooter className="flex gap-2">
+          <Button variant="outline" onClick={onClose} disabled={isPending}>
+            Cancel
+          </Button>
+          <Button
+            variant="destructive"
+            onClick={() => onConfirm(reassignToId || undefined)}
+            disabled={isPending || isBlocked}
+          >
+            {isPending
+              ? "Deleting..."
+              : hasProducts
+                ? "Move Products and Delete"
+                : "Delete Supplier"}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
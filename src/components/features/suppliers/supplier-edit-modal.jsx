@@ -0,0 +1,205 @@
+// /src/components/features/suppliers/supplier-edit-modal.jsx
+"use client";
+
+import { useState, useEffect } from "react";
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { toast } from "sonner";
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+} from "@/components/ui/dialog";
+import { Button } from "@/components/ui/button";
+import { VisuallyHidden } from "@radix-ui/react-visually-hidden";
+import { useSupplierEdit } from "@/hooks/use-supplier-edit";
+import { useDebouncedSupplierNameValidation } from "@/hooks/use-debounced-supplier-name-validation";
+import { SupplierFormSchema } from "@/lib/schemas/supplier-schemas";
+import { normalizeName } from "@/lib/utils";
+import SupplierFormFields from "./supplier-form-fields";
+import SupplierDeleteDialog from "./supplier-delete-dialog";
+
+/**
+ * Builds the form values for a supplier
+ * @param {Object} supplier - Supplier data
+ * @returns {Object} Form default values
+ */
+function toFormValues(supplier) {
+  return {
+    name: supplier.name || "",
+    contactEmail: supplier.contactEmail || "",
+    contactPhone: supplier.contactPhone || "",
+    address: supplier.address || "",
+  };
+}
+
+/**
+ * Reusable modal for editing a supplier.
+ * @param {Object} props
+ * @param {string} props.supplierId - The ID of the supplier to edit
+ * @param {boolean} props.isOpen - Controls if the modal is open
+ * @param {Function} props.onClose - Callback to close the modal
+ */
+export default function SupplierEditModal({ supplierId, isOpen, onClose }) {
+  const [showDeleteDialog, setShowDeleteDialog] = useState(false);
+  // Custom dirty state for meaningful changes
+  const [isFormActuallyDirty, setIsFormActuallyDirty] = useState(false);
+
+  const {
+    supplier,
+    isLoading,
+    updateMutation,
+    deleteMutation,
+    handleUpdate,
+    handleDelete,
+  } = useSupplierEdit(supplierId, isOpen, onClose);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(SupplierFormSchema),
+  });
+
+  // Watch the name field for validation
+  const watchedName = watch("name");
+  // Watch all form values for custom dirty check
+  const watchedValues = watch();
+
+  // Pass the original supplier name to the hook for initial-state-aware validation
+  const nameValidation = useDebouncedSupplierNameValidation(
+    watchedName,
+    supplier?.name,
+    supplierId
+  );
+
+  useEffect(() => {
+    if (supplier) {
+      reset(toFormValues(supplier));
+      setIsFormActuallyDirty(false);
+    }
+  }, [supplier, reset]);
+
+  // Custom dirty check: only mark dirty if a meaningful (normalized) value changed
+  useEffect(() => {
+    if (!supplier) return;
+
+    const defaultValues = toFormValues(supplier);
+
+    let dirty = false;
+    for (const key in defaultValues) {
+      if (
+        normalizeName(watchedValues[key]) !== normalizeName(defaultValues[key])
+      ) {
+        dirty = true;
+        break;
+      }
+    }
+    setIsFormActuallyDirty(dirty);
+  }, [watchedValues, supplier]);
+
+  const onSubmit = (data) => {
+    // Check name uniqueness if name has changed
+    // Note: data.name is already normalized by Zod schema's .transform()
+    if (
+      supplier &&
+      data.name !== supplier.name &&
+      !nameValidation.isUnique &&
+      nameValidation.hasChecked
+    ) {
+      toast.error("Please use a unique supplier name");
+      return;
+    }
+    handleUpdate(data);
+  };
+
+  // Derived state logic uses normalization for comparison
+  const hasNameChanged =
+    supplier && normalizeName(watchedName) !== normalizeName(supplier.name);
+  const isNameInvalid =
+    hasNameChanged && !nameValidation.isUnique && nameValidation.hasChecked;
+  const isNameBeingChecked = hasNameChanged && nameValidation.isChecking;
+
+  if (isLoading && isOpen) {
+    return (
+      <Dialog open={isOpen} onOpenChange={onClose}>
+        <DialogContent>
+          <VisuallyHidden asChild>
+            <DialogTitle>Loading</DialogTitle>
+          </VisuallyHidden>
+          <div className="p-8 text-center">Loading...</div>
+        </DialogContent>
+      </Dialog>
+    );
+  }
+
+  return (
+    <>
+      <Dialog open={isOpen} onOpenChange={onClose}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Edit Supplier</DialogTitle>
+            <DialogDescription>
+              Update the details for this supplier.
+            </DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+            <SupplierFormFields
+              register={register}
+              errors={errors}
+              watch={watch}
+              nameValidation={nameValidation}
+              supplier={supplier}
+            />
+
+            {/* Action Buttons */}
+            <div className="flex justify-between pt-4">
+              <Button
+                type="button"
+                variant="destructive"
+                onClick={() => setShowDeleteDialog(true)}
+                disabled={updateMutation.isPending || deleteMutation.isPending}
+              >
+                Delete
+              </Button>
+              <div className="flex space-x-2">
+                <Button type="button" variant="outline" onClick={onClose}>
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  disabled={
+                    !isFormActuallyDirty ||
+                    updateMutation.isPending ||
+                    deleteMutation.isPending ||
+                    isNameBeingChecked ||
+                    isNameInvalid
+                  }
+                >
+                  {updateMutation.isPending ? "Saving..." : "Save Changes"}
+                </Button>
+              </div>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <SupplierDeleteDialog
+        isOpen={showDeleteDialog}
+        onClose={() => setShowDeleteDialog(false)}
+        onConfirm={handleDelete}
+        supplierId={supplierId}
+        supplierName={supplier?.name || ""}
+        productCount={supplier?._count?.products || 0}
+        purchaseCount={supplier?._count?.purchases || 0}
+        purchaseOrderCount={supplier?._count?.purchaseOrders || 0}
+        isPending={deleteMutation.isPending}
+      />
+    </>
+  );
+}
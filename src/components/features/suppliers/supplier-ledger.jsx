@@ -0,0 +1,117 @@
+// /src/components/features/suppliers/supplier-ledger.jsx
+"use client";
+
+import { useQuery } from "@tanstack/react-query";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import SupplierPaymentForm from "@/components/features/suppliers/supplier-payment-form";
+import { queryKeys } from "@/lib/queryKeys";
+import { fetchSupplierLedger } from "@/lib/api/suppliers-api";
+import { formatDateTime } from "@/lib/utils";
+
+/**
+ * Supplier ledger client component
+ * Lists every purchase on credit and payment with a running balance, next to
+ * the payment form. Hydrated from the server-rendered ledger.
+ * @param {{ initialLedger: { supplier: Object, entries: Array } }} props
+ * @returns {JSX.Element} Supplier ledger view
+ */
+export default function SupplierLedger({ initialLedger }) {
+  const supplierId = initialLedger.supplier.id;
+
+  const { data: ledger } = useQuery({
+    queryKey: queryKeys.detail("supplierLedgers", supplierId),
+    queryFn: () => fetchSupplierLedger(supplierId),
+    initialData: initialLedger,
+  });
+
+  const { supplier, entries } = ledger;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+      {/* Left Column: Ledger */}
+      <div className="lg:col-span-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Ledger</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="rounded-md border">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Date</TableHead>
+                    <TableHead>Description</TableHead>
+                    <TableHead className="text-right">Purchase</TableHead>
+                    <TableHead className="text-right">Payment</TableHead>
+                    <TableHead className="text-right">Balance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {entries.length ? (
+                    entries.map((entry) => (
+                      <TableRow key={`${entry.type}-${entry.id}`}>
+                        <TableCell className="text-sm text-muted-foreground whitespace-nowrap">
+                          {formatDateTime(entry.date)}
+                        </TableCell>
+                        <TableCell>{entry.description}</TableCell>
+                        <TableCell className="text-right">
+                          {entry.charge ? `$${entry.charge.toFixed(2)}` : ""}
+                        </TableCell>
+                        <TableCell className="text-right text-green-600">
+                          {entry.payment ? `$${entry.payment.toFixed(2)}` : ""}
+                        </TableCell>
+                        <TableCell className="text-right font-medium">
+                          ${entry.balance.toFixed(2)}
+                        </TableCell>
+                      </TableRow>
+                    ))
+                  ) : (
+                    <TableRow>
+                      <TableCell colSpan={5} className="h-24 text-center">
+                        No purchases on credit or payments yet.
+                      </TableCell>
+                    </TableRow>
+                  )}
+                </TableBody>
+              </Table>
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Right Column: Balance and payment */}
+      <div className="space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Outstanding Balance</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p
+              className={`text-3xl font-bold ${
+                supplier.balance > 0 ? "text-red-600" : "text-gray-900"
+              }`}
+            >
+              ${supplier.balance.toFixed(2)}
+            </p>
+            {(supplier.contactPhone || supplier.contactEmail) && (
+              <div className="mt-3 text-sm text-gray-600 space-y-1">
+                {supplier.contactPhone && <p>{supplier.contactPhone}</p>}
+                {supplier.contactEmail && <p>{supplier.contactEmail}</p>}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <SupplierPaymentForm supplier={supplier} />
+      </div>
+    </div>
+  );
+}
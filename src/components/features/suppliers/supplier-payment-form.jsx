@@ -0,0 +1,110 @@
+// /src/components/features/suppliers/supplier-payment-form.jsx
+"use client";
+
+import { useForm } from "react-hook-form";
+import { zodResolver } from "@hookform/resolvers/zod";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useSupplierPaymentMutation } from "@/hooks/use-supplier-payment-mutation";
+import { SupplierPaymentFormSchema } from "@/lib/schemas/supplier-schemas";
+
+const DEFAULT_VALUES = { amount: "", note: "" };
+
+/**
+ * Form for recording a payment made to a supplier
+ * @param {Object} props
+ * @param {Object} props.supplier - Supplier being paid
+ * @returns {JSX.Element} Supplier payment form card
+ */
+export default function SupplierPaymentForm({ supplier }) {
+  const {
+    register,
+    handleSubmit,
+    reset,
+    setValue,
+    formState: { errors },
+  } = useForm({
+    resolver: zodResolver(SupplierPaymentFormSchema),
+    defaultValues: DEFAULT_VALUES,
+  });
+
+  const { paymentMutation } = useSupplierPaymentMutation(supplier.id, () =>
+    reset(DEFAULT_VALUES)
+  );
+
+  const onSubmit = (data) => {
+    paymentMutation.mutate({
+      amount: parseFloat(data.amount),
+      note: data.note || undefined,
+    });
+  };
+
+  const hasBalance = supplier.balance > 0;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Record Payment</CardTitle>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="amount">Amount *</Label>
+            <div className="flex space-x-2">
+              <Input
+                id="amount"
+                type="number"
+                min="0"
+                step="0.01"
+                {...register("amount")}
+                placeholder="0.00"
+                disabled={!hasBalance}
+                className={errors.amount ? "border-red-500" : ""}
+              />
+              <Button
+                type="button"
+                variant="outline"
+                disabled={!hasBalance}
+                onClick={() =>
+                  setValue("amount", supplier.balance.toFixed(2), {
+                    shouldValidate: true,
+                  })
+                }
+              >
+                Full
+              </Button>
+            </div>
+            {errors.amount && (
+              <p className="text-sm text-red-500">{errors.amount.message}</p>
+            )}
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="note">Note</Label>
+            <Input
+              id="note"
+              {...register("note")}
+              placeholder="Cash, bank transfer, invoice no. (optional)"
+              disabled={!hasBalance}
+            />
+          </div>
+
+          <Button
+            type="submit"
+            className="w-full"
+            disabled={!hasBalance || paymentMutation.isPending}
+          >
+            {paymentMutation.isPending ? "Saving..." : "Record Payment"}
+          </Button>
+          {!hasBalance && (
+            <p className="text-sm text-center text-gray-500">
+              Nothing is owed to this supplier.
+            </p>
+          )}
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
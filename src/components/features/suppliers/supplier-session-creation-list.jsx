@@ -0,0 +1,223 @@
+// /src/components/features/suppliers/supplier-session-creation-list.jsx
+"use client";
+
+import { useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Edit, Trash2, Truck } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { queryKeys } from "@/lib/queryKeys";
+import { deleteSupplier } from "@/lib/api/suppliers-api";
+import SupplierDeleteDialog from "./supplier-delete-dialog";
+
+/**
+ * Supplier list item component for session creation list
+ * @param {Object} props - Component props
+ * @param {Object} props.supplier - Supplier data
+ * @param {Function} props.onEdit - Edit callback function
+ * @param {Function} props.onDelete - Delete callback function
+ * @returns {JSX.Element} Supplier list item
+ */
+function SupplierListItem({ supplier, onEdit, onDelete }) {
+  const isOptimistic = supplier.id.toString().startsWith("optimistic-");
+  const isUpdating = !!supplier.isUpdating;
+
+  return (
+    <div
+      className={`flex items-center justify-between p-3 border rounded-lg transition-colors ${
+        isOptimistic || isUpdating
+          ? "bg-blue-50 border-blue-200 animate-pulse"
+          : "bg-gray-50 hover:bg-gray-100"
+      }`}
+    >
+      <div className="flex-1">
+        <h4
+          className={`font-medium ${
+            isOptimistic || isUpdating ? "text-blue-900" : "text-gray-900"
+          }`}
+        >
+          {supplier.name}
+          {(isOptimistic || isUpdating) && (
+            <span className="text-xs ml-2 text-blue-600">(saving...)</span>
+          )}
+        </h4>
+        {(supplier.contactPhone || supplier.contactEmail) && (
+          <div className="flex items-center space-x-4 text-sm text-gray-600 mt-1">
+            {supplier.contactPhone && <span>{supplier.contactPhone}</span>}
+            {supplier.contactEmail && <span>{supplier.contactEmail}</span>}
+          </div>
+        )}
+        {supplier.address && (
+          <p className="text-sm text-gray-500 mt-1 truncate">
+            {supplier.address}
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-2 ml-3">
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onEdit(supplier)}
+          disabled={isOptimistic || isUpdating}
+        >
+          <Edit className="w-4 h-4" />
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={() => onDelete(supplier)}
+          disabled={isOptimistic || isUpdating}
+          className="text-red-600 hover:text-red-700 hover:bg-red-50"
+        >
+          <Trash2 className="w-4 h-4" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Session creation list component using TanStack Query
+ * Displays suppliers created in the current session from the query cache
+ * @param {Object} props - Component props
+ * @param {Function} props.onEditSupplier - Edit supplier callback
+ * @returns {JSX.Element} Session creation list
+ */
+export default function SupplierSessionCreationList({ onEditSupplier }) {
+  const queryClient = useQueryClient();
+  const [deletingSupplier, setDeletingSupplier] = useState(null);
+
+  const { data: suppliers = [] } = useQuery({
+    queryKey: queryKeys.session("suppliers"),
+    queryFn: () => {
+      return [];
+    },
+    staleTime: Infinity,
+    initialData: [],
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteSupplier,
+    onMutate: async (supplierId) => {
+      await queryClient.cancelQueries();
+      const previousSessionSuppliers = queryClient.getQueryData(
+        queryKeys.session("suppliers")
+      );
+      const previousSuppliersData = queryClient.getQueryData(
+        queryKeys.list("suppliers")
+      );
+
+      // Remove from session list
+      queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+        if (!old) return [];
+        return old.filter((s) => s.id !== supplierId);
+      });
+
+      // Remove from main suppliers list
+      queryClient.setQueryData(queryKeys.list("suppliers"), (oldData) => {
+        if (!oldData) return oldData;
+        return oldData.filter((s) => s.id !== supplierId);
+      });
+
+      return { previousSessionSuppliers, previousSuppliersData };
+    },
+    onError: (err, supplierId, context) => {
+      toast.error(err.message || "Failed to delete supplier");
+      if (context?.previousSessionSuppliers) {
+        queryClient.setQueryData(
+          queryKeys.session("suppliers"),
+          context.previousSessionSuppliers
+        );
+      }
+      if (context?.previousSuppliersData) {
+        queryClient.setQueryData(
+          queryKeys.list("suppliers"),
+          context.previousSuppliersData
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("suppliers") });
+      setDeletingSupplier(null);
+    },
+    onSuccess: () => {
+      toast.success("Supplier deleted successfully!");
+    },
+  });
+
+  const handleDelete = () => {
+    if (deletingSupplier) {
+      // Check if it's an optimistic supplier (not yet saved to server)
+      if (deletingSupplier.id.toString().startsWith("optimistic-")) {
+        // Just remove from session cache for optimistic suppliers
+        queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+          if (!old) return [];
+          return old.filter((s) => s.id !== deletingSupplier.id);
+        });
+        toast.success("Supplier removed from session!");
+        setDeletingSupplier(null);
+      } else {
+        // Delete from server for real suppliers
+        deleteMutation.mutate(deletingSupplier.id);
+      }
+    }
+  };
+
+  return (
+    <>
+      <Card className="h-full">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Truck className="w-5 h-5 mr-2" />
+            Suppliers Added This Session
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              ({suppliers.length})
+            </span>
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {suppliers.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <Truck className="w-12 h-12 mx-auto mb-3 text-gray-300" />
+              <p className="text-sm">No suppliers added yet</p>
+              <p className="text-xs mt-1">
+                Suppliers you create will appear here instantly
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-3 max-h-96 overflow-y-auto">
+              {suppliers.map((supplier) => (
+                <SupplierListItem
+                  key={supplier.id}
+                  supplier={supplier}
+                  onEdit={onEditSupplier}
+                  onDelete={setDeletingSupplier}
+                />
+              ))}
+            </div>
+          )}
+
+          {suppliers.length > 0 && (
+            <div className="mt-4 pt-4 border-t">
+              <Button className="w-full" asChild>
+                <a href="/dashboard/suppliers">
+                  Save and Finish ({suppliers.length} suppliers)
+                </a>
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <SupplierDeleteDialog
+        isOpen={!!deletingSupplier}
+        onClose={() => setDeletingSupplier(null)}
+        onConfirm={handleDelete}
+        supplierName={deletingSupplier?.name || ""}
+        isPending={deleteMutation.isPending}
+      />
+    </>
+  );
+}
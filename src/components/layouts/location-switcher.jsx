@@ -0,0 +1,64 @@
+// /src/components/layouts/location-switcher.jsx
+"use client";
+
+import { useTransition } from "react";
+import { useRouter } from "next/navigation";
+import { useQueryClient } from "@tanstack/react-query";
+import { MapPin } from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { CURRENT_LOCATION_COOKIE } from "@/lib/schemas/location-schemas";
+
+const ONE_YEAR_SECONDS = 60 * 60 * 24 * 365;
+
+/**
+ * Topbar location switcher
+ * Chooses the location sales, deliveries, adjustments and stocktakes happen
+ * at. The choice is kept in a cookie so server-rendered pages and API
+ * routes use it too; switching re-renders the page and refetches every
+ * query. Hidden while the account has a single location.
+ * @param {Object} props
+ * @param {Array<{ id: string, name: string }>} props.locations - The user's locations
+ * @param {string} props.currentLocationId - Location currently selected
+ * @returns {JSX.Element|null} Location select
+ */
+export default function LocationSwitcher({ locations, currentLocationId }) {
+  const router = useRouter();
+  const queryClient = useQueryClient();
+  const [isPending, startTransition] = useTransition();
+
+  if (locations.length < 2) return null;
+
+  const handleChange = (locationId) => {
+    document.cookie = `${CURRENT_LOCATION_COOKIE}=${locationId}; path=/; max-age=${ONE_YEAR_SECONDS}; samesite=lax`;
+    startTransition(() => {
+      router.refresh();
+      queryClient.invalidateQueries();
+    });
+  };
+
+  return (
+    <Select
+      value={currentLocationId}
+      onValueChange={handleChange}
+      disabled={isPending}
+    >
+      <SelectTrigger className="w-48" aria-label="Current location">
+        <MapPin className="h-4 w-4 text-gray-500" />
+        <SelectValue />
+      </SelectTrigger>
+      <SelectContent>
+        {locations.map((location) => (
+          <SelectItem key={location.id} value={location.id}>
+            {location.name}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
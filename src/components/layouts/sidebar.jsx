@@ -7,6 +7,7 @@ import { usePathname } from "next/navigation";
 import {
   LayoutDashboard,
   Package,
+  PackagePlus,
   ShoppingCart,
   Users,
   Truck,
@@ -15,7 +16,19 @@ import {
   Settings,
   Menu,
   X,
+  AlertTriangle,
+  ClipboardList,
+  ClipboardCheck,
+  History,
+  Banknote,
+  Percent,
+  Receipt,
+  Coins,
+  TrendingUp,
   ChevronRight,
+  ArrowLeftRight,
+  CalendarClock,
+  ScanBarcode,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { cn } from "@/lib/utils";
@@ -51,12 +64,49 @@ const navigationItems = [
         href: "/dashboard/inventory/categories",
         icon: Tags,
       },
+      {
+        title: "Receive Stock",
+        href: "/dashboard/inventory/receive",
+        icon: PackagePlus,
+      },
+      {
+        title: "Stocktakes",
+        href: "/dashboard/inventory/stocktakes",
+        icon: ClipboardCheck,
+      },
+      {
+        title: "Transfers",
+        href: "/dashboard/inventory/transfers",
+        icon: ArrowLeftRight,
+      },
+      {
+        title: "Serial Lookup",
+        href: "/dashboard/inventory/serials",
+        icon: ScanBarcode,
+      },
     ],
   },
   {
     title: "Sales",
     href: "/dashboard/sales",
     icon: ShoppingCart,
+    children: [
+      {
+        title: "New Sale",
+        href: "/dashboard/sales",
+        icon: ShoppingCart,
+      },
+      {
+        title: "Sales History",
+        href: "/dashboard/sales/history",
+        icon: History,
+      },
+      {
+        title: "Register Shifts",
+        href: "/dashboard/sales/shifts",
+        icon: Banknote,
+      },
+    ],
   },
   {
     title: "Customers",
@@ -67,11 +117,55 @@ const navigationItems = [
     title: "Suppliers",
     href: "/dashboard/suppliers",
     icon: Truck,
+    children: [
+      {
+        title: "All Suppliers",
+        href: "/dashboard/suppliers",
+        icon: Truck,
+      },
+      {
+        title: "Purchase Orders",
+        href: "/dashboard/suppliers/purchase-orders",
+        icon: ClipboardList,
+      },
+    ],
   },
   {
     title: "Reports",
     href: "/dashboard/reports",
     icon: BarChart3,
+    children: [
+      {
+        title: "Low Stock",
+        href: "/dashboard/reports/low-stock",
+        icon: AlertTriangle,
+      },
+      {
+        title: "Expiring Soon",
+        href: "/dashboard/reports/expiring",
+        icon: CalendarClock,
+      },
+      {
+        title: "Valuation",
+        href: "/dashboard/reports/valuation",
+        icon: Coins,
+      },
+      {
+        title: "Profit",
+        href: "/dashboard/reports/profit",
+        icon: TrendingUp,
+      },
+      {
+        title: "Discounts",
+        href: "/dashboard/reports/discounts",
+        icon: Percent,
+      },
+      {
+        title: "Tax",
+        href: "/dashboard/reports/tax",
+        icon: Receipt,
+      },
+    ],
   },
   {
     title: "Settings",
@@ -218,7 +312,7 @@ export default function Sidebar() {
       <Button
         variant="ghost"
         size="sm"
-        className="fixed top-4 left-4 z-50 md:hidden"
+        className="fixed top-4 left-4 z-50 md:hidden print:hidden"
         onClick={toggleMobileMenu}
       >
         {isMobileOpen ? (
@@ -239,7 +333,7 @@ export default function Sidebar() {
       {/* Sidebar */}
       <aside
         className={cn(
-          "bg-white border-r border-gray-200 min-h-screen transition-all duration-300 flex flex-col z-50",
+          "bg-white border-r border-gray-200 min-h-screen transition-all duration-300 flex flex-col z-50 print:hidden",
           // Desktop responsive width
           isCollapsed ? "w-16" : "w-64",
           // Mobile positioning
@@ -10,6 +10,7 @@ import {
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import { LogOut, Settings, User } from "lucide-react";
+import LocationSwitcher from "./location-switcher";
 
 /**
  * User data from session
@@ -22,12 +23,14 @@ import { LogOut, Settings, User } from "lucide-react";
 
 /**
  * Top navigation bar with user profile and actions
- * Displays breadcrumbs and user account menu
+ * Displays breadcrumbs, the location switcher and user account menu
  * @param {Object} props - Component props
  * @param {SessionUser} props.user - Authenticated user data
+ * @param {Array<{ id: string, name: string }>} props.locations - The user's locations
+ * @param {string} props.currentLocationId - Location currently selected
  * @returns {JSX.Element} Top bar component
  */
-export default function TopBar({ user }) {
+export default function TopBar({ user, locations, currentLocationId }) {
   /**
    * Handle user sign out
    */
@@ -37,15 +40,19 @@ export default function TopBar({ user }) {
   }
 
   return (
-    <header className="bg-white border-b border-gray-200 px-6 py-4">
+    <header className="bg-white border-b border-gray-200 px-6 py-4 print:hidden">
       <div className="flex items-center justify-between">
         {/* Breadcrumbs / Page Title Area */}
         <div className="flex items-center space-x-4">
           <h2 className="text-lg font-semibold text-gray-900">Dashboard</h2>
         </div>
 
-        {/* User Profile Menu */}
+        {/* Location Switcher and User Profile Menu */}
         <div className="flex items-center space-x-4">
+          <LocationSwitcher
+            locations={locations}
+            currentLocationId={currentLocationId}
+          />
           <DropdownMenu>
             <DropdownMenuTrigger className="flex items-center space-x-3 hover:bg-gray-50 rounded-md p-2 transition-colors">
               <Avatar className="h-8 w-8">
@@ -8,9 +8,10 @@ import {
   getPaginationRowModel,
   getSortedRowModel,
   getFilteredRowModel,
+  getExpandedRowModel,
 } from "@tanstack/react-table";
 import { useState, useEffect } from "react";
-import { useRouter, usePathname, useSearchParams } from "next/navigation";
+import { useDebounce } from "use-debounce";
 import {
   Table,
   TableBody,
@@ -21,7 +22,14 @@ import {
 } from "@/components/ui/table";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
-import { ChevronLeft, ChevronRight } from "lucide-react";
+import {
+  ArrowDown,
+  ArrowUp,
+  ArrowUpDown,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+import { useUrlSearchParams } from "@/hooks/use-url-search-params";
 
 /**
  * Column definition for TanStack Table
@@ -33,14 +41,53 @@ import { ChevronLeft, ChevronRight } from "lucide-react";
  * @property {boolean} [enableHiding] - Whether column can be hidden
  */
 
+/**
+ * Column header button that cycles the column's sort direction
+ * @param {Object} props - Component props
+ * @param {Object} props.column - TanStack column
+ * @param {React.ReactNode} props.children - Header content
+ * @returns {JSX.Element} Sortable header button
+ */
+function SortableHeader({ column, children }) {
+  const direction = column.getIsSorted();
+  const Icon =
+    direction === "asc"
+      ? ArrowUp
+      : direction === "desc"
+        ? ArrowDown
+        : ArrowUpDown;
+
+  return (
+    <Button
+      variant="ghost"
+      size="sm"
+      className="-ml-3 h-8"
+      onClick={column.getToggleSortingHandler()}
+    >
+      {children}
+      <Icon className="ml-2 h-4 w-4" />
+    </Button>
+  );
+}
+
 /**
  * Reusable data table component with sorting, filtering, and pagination
- * Built on TanStack Table v8 for headless table functionality
+ * Built on TanStack Table v8 for headless table functionality.
+ * In manual mode the data is one server-side page: pagination (`page`,
+ * `per_page`), sorting (`sort`, `order`) and the filter input (`q`) are read
+ * from and written to the URL, and the caller fetches the matching page.
+ * Rows with sub-rows (from `getSubRows`) can be expanded; sub-rows are shown
+ * under their row and do not count towards the page size.
  * @param {Object} props - Component props
  * @param {Array} props.columns - Table column definitions
  * @param {Array} props.data - Table data
  * @param {string} [props.filterKey] - Key for global filter (defaults to first column)
  * @param {string} [props.filterPlaceholder] - Placeholder text for filter input
+ * @param {React.ReactNode} [props.toolbar] - Extra controls shown beside the filter input
+ * @param {boolean} [props.manual=false] - Whether paging, sorting and filtering happen server-side
+ * @param {number} [props.pageCount] - Total number of pages (manual mode)
+ * @param {number} [props.rowCount] - Total number of rows (manual mode)
+ * @param {(row: Object) => Array|undefined} [props.getSubRows] - Returns a row's sub-rows
  * @returns {JSX.Element} Data table component
  */
 export default function DataTable({
@@ -48,32 +95,80 @@ export default function DataTable({
   data,
   filterKey = null,
   filterPlaceholder = "Filter...",
+  toolbar = null,
+  manual = false,
+  pageCount,
+  rowCount,
+  getSubRows,
 }) {
-  const router = useRouter();
-  const pathname = usePathname();
-  const searchParams = useSearchParams();
+  const { searchParams, setSearchParams } = useUrlSearchParams();
 
   // Get pagination from URL or set defaults
   const page = searchParams.get("page") ?? "1";
   const perPage = searchParams.get("per_page") ?? "10";
+  const sortParam = searchParams.get("sort");
+  const orderParam = searchParams.get("order");
+  const queryParam = searchParams.get("q") ?? "";
 
   const [sorting, setSorting] = useState([]);
   const [columnFilters, setColumnFilters] = useState([]);
   const [globalFilter, setGlobalFilter] = useState("");
+  const [expanded, setExpanded] = useState({});
+  const [searchInput, setSearchInput] = useState(queryParam);
+  const [debouncedSearch] = useDebounce(searchInput, 300);
 
   const [pagination, setPagination] = useState({
     pageIndex: Number(page) - 1,
     pageSize: Number(perPage),
   });
 
-  // Update URL when pagination changes
+  // Update URL when pagination changes (manual mode writes the URL directly)
   useEffect(() => {
-    const params = new URLSearchParams(searchParams);
-    params.set("page", (pagination.pageIndex + 1).toString());
-    params.set("per_page", pagination.pageSize.toString());
-    // Use replace to avoid adding to browser history and preserve scroll position
-    router.replace(`${pathname}?${params.toString()}`, { scroll: false });
-  }, [pagination, router, pathname, searchParams]);
+    if (manual) return;
+    setSearchParams({
+      page: pagination.pageIndex + 1,
+      per_page: pagination.pageSize,
+    });
+  }, [manual, pagination, setSearchParams]);
+
+  // Push the debounced filter text to the URL, starting again from page 1
+  useEffect(() => {
+    if (!manual || debouncedSearch === queryParam) return;
+    setSearchParams({ q: debouncedSearch, page: 1 });
+  }, [manual, debouncedSearch, queryParam, setSearchParams]);
+
+  // In manual mode the URL is the source of truth for paging and sorting
+  const manualPagination = {
+    pageIndex: Math.max(Number(page) - 1, 0),
+    pageSize: Number(perPage),
+  };
+  const manualSorting = sortParam
+    ? [{ id: sortParam, desc: orderParam === "desc" }]
+    : [];
+
+  /**
+   * Writes a pagination change to the URL (manual mode)
+   * @param {Function|Object} updater - TanStack pagination updater
+   */
+  const handleManualPaginationChange = (updater) => {
+    const next =
+      typeof updater === "function" ? updater(manualPagination) : updater;
+    setSearchParams({ page: next.pageIndex + 1, per_page: next.pageSize });
+  };
+
+  /**
+   * Writes a sorting change to the URL (manual mode)
+   * @param {Function|Array} updater - TanStack sorting updater
+   */
+  const handleManualSortingChange = (updater) => {
+    const next =
+      typeof updater === "function" ? updater(manualSorting) : updater;
+    setSearchParams({
+      sort: next[0]?.id,
+      order: next[0] ? (next[0].desc ? "desc" : "asc") : undefined,
+      page: 1,
+    });
+  };
 
   // Determine the filter key (first column's accessorKey if not provided)
   const actualFilterKey = filterKey || columns[0]?.accessorKey;
@@ -85,35 +180,56 @@ export default function DataTable({
     getPaginationRowModel: getPaginationRowModel(),
     getSortedRowModel: getSortedRowModel(),
     getFilteredRowModel: getFilteredRowModel(),
-    onSortingChange: setSorting,
+    getExpandedRowModel: getExpandedRowModel(),
+    getSubRows,
+    paginateExpandedRows: false,
+    manualPagination: manual,
+    manualSorting: manual,
+    manualFiltering: manual,
+    pageCount: manual ? pageCount : undefined,
+    rowCount: manual ? rowCount : undefined,
+    onSortingChange: manual ? handleManualSortingChange : setSorting,
     onColumnFiltersChange: setColumnFilters,
     onGlobalFilterChange: setGlobalFilter,
-    onPaginationChange: setPagination,
+    onExpandedChange: setExpanded,
+    onPaginationChange: manual ? handleManualPaginationChange : setPagination,
     autoResetPageIndex: false, // Prevents pagination reset on data change
     state: {
-      sorting,
+      sorting: manual ? manualSorting : sorting,
       columnFilters,
       globalFilter,
-      pagination,
+      expanded,
+      pagination: manual ? manualPagination : pagination,
     },
   });
 
   return (
     <div className="space-y-4">
       {/* Filter Input */}
-      {actualFilterKey && (
-        <div className="flex items-center">
-          <Input
-            placeholder={filterPlaceholder}
-            value={table.getColumn(actualFilterKey)?.getFilterValue() ?? ""}
-            onChange={(event) => {
-              table
-                .getColumn(actualFilterKey)
-                ?.setFilterValue(event.target.value);
-              table.setPageIndex(0); // Reset to first page on filter change
-            }}
-            className="max-w-sm"
-          />
+      {(actualFilterKey || toolbar) && (
+        <div className="flex flex-wrap items-center gap-4">
+          {actualFilterKey &&
+            (manual ? (
+              <Input
+                placeholder={filterPlaceholder}
+                value={searchInput}
+                onChange={(event) => setSearchInput(event.target.value)}
+                className="max-w-sm"
+              />
+            ) : (
+              <Input
+                placeholder={filterPlaceholder}
+                value={table.getColumn(actualFilterKey)?.getFilterValue() ?? ""}
+                onChange={(event) => {
+                  table
+                    .getColumn(actualFilterKey)
+                    ?.setFilterValue(event.target.value);
+                  table.setPageIndex(0); // Reset to first page on filter change
+                }}
+                className="max-w-sm"
+              />
+            ))}
+          {toolbar}
         </div>
       )}
 
@@ -125,12 +241,20 @@ export default function DataTable({
               <TableRow key={headerGroup.id}>
                 {headerGroup.headers.map((header) => (
                   <TableHead key={header.id}>
-                    {header.isPlaceholder
-                      ? null
-                      : flexRender(
+                    {header.isPlaceholder ? null : manual &&
+                      header.column.getCanSort() ? (
+                      <SortableHeader column={header.column}>
+                        {flexRender(
                           header.column.columnDef.header,
                           header.getContext()
                         )}
+                      </SortableHeader>
+                    ) : (
+                      flexRender(
+                        header.column.columnDef.header,
+                        header.getContext()
+                      )
+                    )}
                   </TableHead>
                 ))}
               </TableRow>
@@ -142,6 +266,7 @@ export default function DataTable({
                 <TableRow
                   key={row.id}
                   data-state={row.getIsSelected() && "selected"}
+                  className={row.depth > 0 ? "bg-muted/30" : undefined}
                 >
                   {row.getVisibleCells().map((cell) => (
                     <TableCell key={cell.id}>
@@ -170,7 +295,8 @@ export default function DataTable({
       {/* Pagination */}
       <div className="flex items-center justify-between px-2">
         <div className="flex-1 text-sm text-muted-foreground">
-          {table.getFilteredRowModel().rows.length} row(s) total.
+          {manual ? rowCount : table.getFilteredRowModel().rows.length} row(s)
+          total.
         </div>
         <div className="flex items-center space-x-6 lg:space-x-8">
           <div className="flex items-center space-x-2">
@@ -0,0 +1,91 @@
+// /src/hooks/use-customer-create-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createCustomer } from "@/lib/api/customers-api";
+
+/**
+ * Custom hook for customer creation with optimistic updates
+ * @param {Function} [onCustomerCreated] - Optional callback when customer is created
+ * @returns {Object} Customer creation utilities and state
+ */
+export function useCustomerCreateMutation(onCustomerCreated) {
+  const queryClient = useQueryClient();
+
+  const createCustomerMutation = useMutation({
+    mutationFn: createCustomer,
+    onMutate: async (newCustomerData) => {
+      // Cancel ongoing queries to prevent overwriting optimistic update
+      await queryClient.cancelQueries({
+        queryKey: queryKeys.session("customers"),
+      });
+      await queryClient.cancelQueries({
+        queryKey: queryKeys.list("customers"),
+      });
+
+      // Snapshot the previous session data
+      const previousSessionCustomers = queryClient.getQueryData(
+        queryKeys.session("customers")
+      );
+
+      // Create optimistic customer with temporary data
+      const optimisticTimestamp = Date.now();
+
+      const optimisticCustomer = {
+        id: `optimistic-${optimisticTimestamp}`,
+        name: newCustomerData.name,
+        contactEmail: newCustomerData.contactEmail || null,
+        contactPhone: newCustomerData.contactPhone || null,
+        address: newCustomerData.address || null,
+        balance: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        _count: { sales: 0, payments: 0 },
+        _optimisticTimestamp: optimisticTimestamp,
+      };
+
+      // Optimistically update the session cache
+      queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+        const currentCustomers = old || [];
+        return [optimisticCustomer, ...currentCustomers];
+      });
+
+      return { previousSessionCustomers, optimisticTimestamp };
+    },
+    onError: (error, newCustomerData, context) => {
+      toast.error(`Failed to create customer: ${error.message}`);
+      if (context?.previousSessionCustomers !== undefined) {
+        queryClient.setQueryData(
+          queryKeys.session("customers"),
+          context.previousSessionCustomers
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("customers") });
+    },
+    onSuccess: (response, formData, context) => {
+      toast.success("Customer created successfully!");
+
+      // Replace optimistic customer with real server data
+      queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+        const currentCustomers = old || [];
+        const updatedCustomers = currentCustomers.map((customer) => {
+          if (customer._optimisticTimestamp === context.optimisticTimestamp) {
+            return response.data;
+          }
+          return customer;
+        });
+        return updatedCustomers;
+      });
+
+      if (onCustomerCreated) {
+        onCustomerCreated(response.data);
+      }
+    },
+  });
+
+  return {
+    createCustomerMutation,
+  };
+}
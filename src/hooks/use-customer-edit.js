@@ -0,0 +1,193 @@
+// /src/hooks/use-customer-edit.js
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  fetchCustomer,
+  updateCustomer,
+  deleteCustomer,
+} from "@/lib/api/customers-api";
+
+/**
+ * Custom hook for customer editing functionality
+ * @param {string} customerId - Customer ID to edit
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Callback to close the modal
+ * @returns {Object} Customer edit utilities and state
+ */
+export function useCustomerEdit(customerId, isOpen, onClose) {
+  const queryClient = useQueryClient();
+
+  const { data: customer, isLoading } = useQuery({
+    queryKey: queryKeys.detail("customers", customerId),
+    queryFn: () => fetchCustomer(customerId),
+    enabled: !!customerId && isOpen,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => updateCustomer(customerId, data),
+    onMutate: async (newData) => {
+      await queryClient.cancelQueries();
+      const previousCustomersData = queryClient.getQueryData(
+        queryKeys.list("customers")
+      );
+      const previousSessionCustomers = queryClient.getQueryData(
+        queryKeys.session("customers")
+      );
+
+      // Optimistically update the main customers list
+      queryClient.setQueryData(queryKeys.list("customers"), (oldData) => {
+        if (!oldData) return [];
+        return oldData.map((c) =>
+          c.id === customerId
+            ? {
+                ...c,
+                ...newData,
+              }
+            : c
+        );
+      });
+
+      // Optimistically update the session customers list with an 'isUpdating' flag
+      queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+        if (!old) return [];
+        return old.map((c) =>
+          c.id === customerId
+            ? {
+                ...c,
+                ...newData,
+                isUpdating: true,
+              }
+            : c
+        );
+      });
+
+      return { previousCustomersData, previousSessionCustomers };
+    },
+    onError: (err, newData, context) => {
+      toast.error("Failed to update customer. Restoring previous state.");
+      if (context?.previousCustomersData) {
+        queryClient.setQueryData(
+          queryKeys.list("customers"),
+          context.previousCustomersData
+        );
+      }
+      if (context?.previousSessionCustomers) {
+        queryClient.setQueryData(
+          queryKeys.session("customers"),
+          context.previousSessionCustomers
+        );
+      }
+    },
+    onSettled: (data, error, variables, context) => {
+      // Invalidate server-facing queries to refetch for eventual consistency
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("customers") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("customers", customerId),
+      });
+
+      // On success, update the session item with final data from the server response
+      // and remove the 'isUpdating' flag.
+      if (data?.data) {
+        const finalCustomer = data.data;
+
+        // Update the session list cache
+        queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+          if (!old) return [];
+          return old.map((c) => (c.id === customerId ? finalCustomer : c));
+        });
+
+        // Proactively update the detail query's cache with the fresh data
+        queryClient.setQueryData(
+          queryKeys.detail("customers", customerId),
+          finalCustomer
+        );
+      } else if (error) {
+        // On error, just remove the flag from the rolled-back item
+        queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+          if (!old) return [];
+          return old.map((c) => {
+            if (c.id === customerId) {
+              const { isUpdating, ...rest } = c;
+              return rest;
+            }
+            return c;
+          });
+        });
+      }
+    },
+    onSuccess: () => {
+      toast.success("Customer updated successfully!");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => deleteCustomer(customerId),
+    onMutate: async () => {
+      await queryClient.cancelQueries();
+      const previousCustomersData = queryClient.getQueryData(
+        queryKeys.list("customers")
+      );
+      const previousSessionCustomers = queryClient.getQueryData(
+        queryKeys.session("customers")
+      );
+
+      // Optimistically remove from main customers list
+      queryClient.setQueryData(queryKeys.list("customers"), (oldData) => {
+        if (!oldData) return [];
+        return oldData.filter((c) => c.id !== customerId);
+      });
+
+      // Optimistically remove from session list
+      queryClient.setQueryData(queryKeys.session("customers"), (old) => {
+        if (!old) return [];
+        return old.filter((c) => c.id !== customerId);
+      });
+
+      return { previousCustomersData, previousSessionCustomers };
+    },
+    onError: (err, variables, context) => {
+      toast.error(err.message || "Failed to delete customer");
+      if (context?.previousCustomersData) {
+        queryClient.setQueryData(
+          queryKeys.list("customers"),
+          context.previousCustomersData
+        );
+      }
+      if (context?.previousSessionCustomers) {
+        queryClient.setQueryData(
+          queryKeys.session("customers"),
+          context.previousSessionCustomers
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("customers") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("customers", customerId),
+      });
+    },
+    onSuccess: () => {
+      toast.success("Customer deleted successfully!");
+      onClose();
+    },
+  });
+
+  const handleUpdate = (data) => {
+    onClose(); // Optimistically close the modal immediately
+    updateMutation.mutate(data);
+  };
+
+  const handleDelete = () => {
+    deleteMutation.mutate();
+  };
+
+  return {
+    customer,
+    isLoading,
+    updateMutation,
+    deleteMutation,
+    handleUpdate,
+    handleDelete,
+  };
+}
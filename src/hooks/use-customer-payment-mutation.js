@@ -0,0 +1,39 @@
+// /src/hooks/use-customer-payment-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createCustomerPayment } from "@/lib/api/customers-api";
+
+/**
+ * Custom hook for recording customer payments against their balance
+ * @param {string} customerId - Customer ID receiving the payment
+ * @param {Function} [onPaymentRecorded] - Optional callback when the payment is saved
+ * @returns {Object} Customer payment mutation
+ */
+export function useCustomerPaymentMutation(customerId, onPaymentRecorded) {
+  const queryClient = useQueryClient();
+
+  const paymentMutation = useMutation({
+    mutationFn: (data) => createCustomerPayment(customerId, data),
+    onSuccess: (response) => {
+      toast.success("Payment recorded successfully!");
+
+      if (onPaymentRecorded) {
+        onPaymentRecorded(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to record payment");
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("customerStatements", customerId),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("customers") });
+    },
+  });
+
+  return {
+    paymentMutation,
+  };
+}
@@ -0,0 +1,74 @@
+// /src/hooks/use-location-mutations.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useRouter } from "next/navigation";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createLocation,
+  updateLocation,
+  deleteLocation,
+} from "@/lib/api/locations-api";
+
+/**
+ * Custom hook for managing locations from the settings page
+ * @param {Function} [onSaved] - Optional callback after a create or update
+ * @returns {Object} Create, update and delete mutations
+ */
+export function useLocationMutations(onSaved) {
+  const queryClient = useQueryClient();
+  const router = useRouter();
+
+  /**
+   * Refreshes locations and the server-rendered topbar switcher
+   */
+  const handleChanged = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.list("locations") });
+    router.refresh();
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createLocation,
+    onSuccess: (response) => {
+      toast.success("Location created successfully!");
+      handleChanged();
+      if (onSaved) {
+        onSaved(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to create location");
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ locationId, ...locationData }) =>
+      updateLocation(locationId, locationData),
+    onSuccess: (response) => {
+      toast.success("Location updated successfully!");
+      handleChanged();
+      if (onSaved) {
+        onSaved(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update location");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteLocation,
+    onSuccess: () => {
+      toast.success("Location deleted successfully!");
+      handleChanged();
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to delete location");
+    },
+  });
+
+  return {
+    createMutation,
+    updateMutation,
+    deleteMutation,
+  };
+}
@@ -0,0 +1,42 @@
+// /src/hooks/use-lot-write-off-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { writeOffStockLot } from "@/lib/api/products-api";
+
+/**
+ * Custom hook for writing off expired lots
+ * @param {Function} [onWrittenOff] - Optional callback when a lot is written off
+ * @returns {Object} Lot write-off mutation
+ */
+export function useLotWriteOffMutation(onWrittenOff) {
+  const queryClient = useQueryClient();
+
+  const writeOffMutation = useMutation({
+    mutationFn: ({ lotId, ...data }) => writeOffStockLot(lotId, data),
+    onSuccess: (response) => {
+      toast.success(`Lot ${response.data.lotNumber} written off`);
+      if (onWrittenOff) {
+        onWrittenOff(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to write off lot");
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("expiringReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: ["productStockLevels"] });
+    },
+  });
+
+  return { writeOffMutation };
+}
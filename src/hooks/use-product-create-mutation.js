@@ -3,6 +3,7 @@ import { toast } from "sonner";
 import { queryKeys } from "@/lib/queryKeys";
 import { createProduct } from "@/lib/api/products-api";
 import { fetchCategories } from "@/lib/api/categories-api";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
 
 /**
  * Custom hook for product creation with optimistic updates
@@ -19,6 +20,13 @@ export function useProductCreateMutation(onProductCreated) {
     staleTime: 1000 * 60 * 5, // 5 minutes
   });
 
+  // Fetch suppliers
+  const { data: suppliers = [], isLoading: isLoadingSuppliers } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
   const createProductMutation = useMutation({
     mutationFn: createProduct,
     onMutate: async (newProductData) => {
@@ -38,6 +46,9 @@ export function useProductCreateMutation(onProductCreated) {
       const selectedCategory = categories.find(
         (cat) => cat.id === newProductData.categoryId
       );
+      const selectedSupplier = suppliers.find(
+        (s) => s.id === newProductData.supplierId
+      );
 
       const optimisticProduct = {
         id: `optimistic-${optimisticTimestamp}`,
@@ -53,10 +64,13 @@ export function useProductCreateMutation(onProductCreated) {
           ? parseInt(newProductData.reorderPoint)
           : 0,
         unit: newProductData.unit,
+        hasVariants: newProductData.hasVariants,
+        variants: newProductData.hasVariants ? newProductData.variants : [],
+        isActive: true,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
         category: selectedCategory || null,
-        supplier: null,
+        supplier: selectedSupplier || null,
         _count: {},
         _optimisticTimestamp: optimisticTimestamp,
       };
@@ -80,6 +94,10 @@ export function useProductCreateMutation(onProductCreated) {
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
+      // Initial stock is valued at the purchase price
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
     },
     onSuccess: (response, formData, context) => {
       toast.success("Product created successfully!");
@@ -105,6 +123,8 @@ export function useProductCreateMutation(onProductCreated) {
   return {
     categories,
     isLoadingCategories,
+    suppliers,
+    isLoadingSuppliers,
     createProductMutation,
   };
 }
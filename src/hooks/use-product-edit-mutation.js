@@ -2,12 +2,18 @@
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { toast } from "sonner";
 import { queryKeys } from "@/lib/queryKeys";
+import {
+  snapshotProductLists,
+  updateProductLists,
+  restoreProductLists,
+} from "@/lib/product-list-cache";
 import {
   fetchProduct,
   updateProduct,
   deleteProduct,
 } from "@/lib/api/products-api";
 import { fetchCategories } from "@/lib/api/categories-api";
+import { fetchSuppliers } from "@/lib/api/suppliers-api";
 
 /**
  * Custom hook for product editing functionality
@@ -31,13 +37,17 @@ export function useProductEdit(productId, isOpen, onClose) {
     staleTime: 1000 * 60 * 5, // 5 minutes
   });
 
+  const { data: suppliers = [], isLoading: isLoadingSuppliers } = useQuery({
+    queryKey: queryKeys.list("suppliers"),
+    queryFn: fetchSuppliers,
+    staleTime: 1000 * 60 * 5, // 5 minutes
+  });
+
   const updateMutation = useMutation({
     mutationFn: (data) => updateProduct(productId, data),
     onMutate: async (newData) => {
       await queryClient.cancelQueries();
-      const previousProductsData = queryClient.getQueryData(
-        queryKeys.list("products")
-      );
+      const previousProductsData = snapshotProductLists(queryClient);
       const previousSessionProducts = queryClient.getQueryData(
         queryKeys.session("products")
       );
@@ -47,32 +57,33 @@ export function useProductEdit(productId, isOpen, onClose) {
         purchasePrice: newData.purchasePrice
           ? parseFloat(newData.purchasePrice)
           : undefined,
-        stock: newData.stock ? parseInt(newData.stock) : undefined,
         reorderPoint: newData.reorderPoint
           ? parseInt(newData.reorderPoint)
           : undefined,
       };
 
-      // Get category data for optimistic update
+      // Get category and supplier data for optimistic update
       const selectedCategory = categories.find(
         (cat) => cat.id === newData.categoryId
       );
+      const selectedSupplier = suppliers.find(
+        (s) => s.id === newData.supplierId
+      );
 
       // Optimistically update the main products list
-      queryClient.setQueryData(queryKeys.list("products"), (oldData) => {
-        if (!oldData || !oldData.products) return oldData;
-        const updatedProducts = oldData.products.map((p) =>
+      updateProductLists(queryClient, (products) =>
+        products.map((p) =>
           p.id === productId
             ? {
                 ...p,
                 ...newData,
                 ...numericData,
                 category: selectedCategory || null,
+                supplier: selectedSupplier || null,
               }
             : p
-        );
-        return { ...oldData, products: updatedProducts };
-      });
+        )
+      );
 
       // Optimistically update the session products list with an 'isUpdating' flag
       queryClient.setQueryData(queryKeys.session("products"), (old) => {
@@ -84,6 +95,7 @@ export function useProductEdit(productId, isOpen, onClose) {
                 ...newData,
                 ...numericData,
                 category: selectedCategory || null,
+                supplier: selectedSupplier || null,
                 isUpdating: true,
               }
             : p
@@ -94,12 +106,7 @@ export function useProductEdit(productId, isOpen, onClose) {
     },
     onError: (err, newData, context) => {
       toast.error("Failed to update product. Restoring previous state.");
-      if (context?.previousProductsData) {
-        queryClient.setQueryData(
-          queryKeys.list("products"),
-          context.previousProductsData
-        );
-      }
+      restoreProductLists(queryClient, context?.previousProductsData);
       if (context?.previousSessionProducts) {
         queryClient.setQueryData(
           queryKeys.session("products"),
@@ -153,21 +160,15 @@ export function useProductEdit(productId, isOpen, onClose) {
     mutationFn: () => deleteProduct(productId),
     onMutate: async () => {
       await queryClient.cancelQueries();
-      const previousProductsData = queryClient.getQueryData(
-        queryKeys.list("products")
-      );
+      const previousProductsData = snapshotProductLists(queryClient);
       const previousSessionProducts = queryClient.getQueryData(
         queryKeys.session("products")
       );
 
       // Optimistically remove from main products list
-      queryClient.setQueryData(queryKeys.list("products"), (oldData) => {
-        if (!oldData || !oldData.products) return oldData;
-        const filteredProducts = oldData.products.filter(
-          (p) => p.id !== productId
-        );
-        return { ...oldData, products: filteredProducts };
-      });
+      updateProductLists(queryClient, (products) =>
+        products.filter((p) => p.id !== productId)
+      );
 
       // Optimistically remove from session list
       queryClient.setQueryData(queryKeys.session("products"), (old) => {
@@ -178,13 +179,11 @@ export function useProductEdit(productId, isOpen, onClose) {
       return { previousProductsData, previousSessionProducts };
     },
     onError: (err, variables, context) => {
-      toast.error(err.message || "Failed to delete product");
-      if (context?.previousProductsData) {
-        queryClient.setQueryData(
-          queryKeys.list("products"),
-          context.previousProductsData
-        );
+      // History blockers are shown in the delete dialog instead
+      if (!err.blockers) {
+        toast.error(err.message || "Failed to delete product");
       }
+      restoreProductLists(queryClient, context?.previousProductsData);
       if (context?.previousSessionProducts) {
         queryClient.setQueryData(
           queryKeys.session("products"),
@@ -218,6 +217,8 @@ export function useProductEdit(productId, isOpen, onClose) {
     categories,
     isLoading,
     isLoadingCategories,
+    suppliers,
+    isLoadingSuppliers,
     updateMutation,
     deleteMutation,
     handleUpdate,
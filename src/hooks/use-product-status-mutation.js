@@ -0,0 +1,52 @@
+// /src/hooks/use-product-status-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  snapshotProductLists,
+  updateProductLists,
+  restoreProductLists,
+} from "@/lib/product-list-cache";
+import { setProductActive } from "@/lib/api/products-api";
+
+/**
+ * Custom hook for deactivating and reactivating products with optimistic updates
+ * @returns {Object} Status mutation (variables: { productId, isActive })
+ */
+export function useProductStatusMutation() {
+  const queryClient = useQueryClient();
+
+  const statusMutation = useMutation({
+    mutationFn: ({ productId, isActive }) =>
+      setProductActive(productId, isActive),
+    onMutate: async ({ productId, isActive }) => {
+      await queryClient.cancelQueries({ queryKey: queryKeys.list("products") });
+      const previousProductsData = snapshotProductLists(queryClient);
+
+      updateProductLists(queryClient, (products) =>
+        products.map((p) => (p.id === productId ? { ...p, isActive } : p))
+      );
+
+      return { previousProductsData };
+    },
+    onError: (err, variables, context) => {
+      toast.error(err.message || "Failed to update product status");
+      restoreProductLists(queryClient, context?.previousProductsData);
+    },
+    onSettled: (data, error, { productId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("products", productId),
+      });
+    },
+    onSuccess: (data, { isActive }) => {
+      toast.success(
+        isActive
+          ? "Product reactivated and available for sale again"
+          : "Product deactivated and hidden from sales and receiving"
+      );
+    },
+  });
+
+  return { statusMutation };
+}
@@ -0,0 +1,53 @@
+// /src/hooks/use-purchase-create-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createPurchase } from "@/lib/api/purchases-api";
+
+/**
+ * Custom hook for finalizing stock receipts
+ * @param {Function} [onPurchaseCreated] - Optional callback when the receipt is saved
+ * @returns {Object} Purchase creation mutation
+ */
+export function usePurchaseCreateMutation(onPurchaseCreated) {
+  const queryClient = useQueryClient();
+
+  const createPurchaseMutation = useMutation({
+    mutationFn: createPurchase,
+    onSuccess: (response) => {
+      const purchase = response.data;
+      toast.success(
+        `Received ${purchase.items.length} product${
+          purchase.items.length === 1 ? "" : "s"
+        } into stock`
+      );
+
+      if (onPurchaseCreated) {
+        onPurchaseCreated(purchase);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to receive stock");
+    },
+    onSettled: () => {
+      // Stock levels and purchase prices changed for every received product
+      queryClient.invalidateQueries({ queryKey: ["products"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({ queryKey: ["serialNumbers"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("purchases") });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("taxReport") });
+      // Receipts on credit change the supplier's balance
+      queryClient.invalidateQueries({ queryKey: ["suppliers"] });
+      queryClient.invalidateQueries({ queryKey: ["supplierLedgers"] });
+    },
+  });
+
+  return {
+    createPurchaseMutation,
+  };
+}
@@ -0,0 +1,131 @@
+// /src/hooks/use-purchase-order-mutations.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  deletePurchaseOrder,
+  updatePurchaseOrderStatus,
+  receivePurchaseOrder,
+} from "@/lib/api/purchase-orders-api";
+
+/**
+ * Custom hook for the purchase order lifecycle: saving drafts, marking them
+ * sent, receiving deliveries, closing and deleting
+ * @param {string} [purchaseOrderId] - Purchase order ID (omit when creating)
+ * @param {Object} [callbacks] - Optional callbacks
+ * @param {Function} [callbacks.onSaved] - Called with the saved purchase order
+ * @param {Function} [callbacks.onDeleted] - Called after the draft was deleted
+ * @returns {Object} Save, status, receive and delete mutations
+ */
+export function usePurchaseOrderMutations(purchaseOrderId, callbacks = {}) {
+  const { onSaved, onDeleted } = callbacks;
+  const queryClient = useQueryClient();
+
+  /**
+   * Stores the returned purchase order and refreshes the order lists
+   * @param {Object} order - Purchase order returned by the API
+   */
+  const handleOrderChanged = (order) => {
+    queryClient.setQueryData(
+      queryKeys.detail("purchaseOrders", order.id),
+      order
+    );
+    queryClient.invalidateQueries({
+      queryKey: queryKeys.list("purchaseOrders"),
+    });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (orderData) =>
+      purchaseOrderId
+        ? updatePurchaseOrder(purchaseOrderId, orderData)
+        : createPurchaseOrder(orderData),
+    onSuccess: (response) => {
+      const order = response.data;
+      toast.success(
+        purchaseOrderId ? "Purchase order saved" : "Purchase order created"
+      );
+      handleOrderChanged(order);
+      if (onSaved) {
+        onSaved(order);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save purchase order");
+    },
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: (action) => updatePurchaseOrderStatus(purchaseOrderId, action),
+    onSuccess: (response, action) => {
+      toast.success(
+        action === "send"
+          ? "Purchase order marked as sent"
+          : "Purchase order closed"
+      );
+      handleOrderChanged(response.data);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update purchase order");
+    },
+  });
+
+  const receiveMutation = useMutation({
+    mutationFn: (deliveryData) =>
+      receivePurchaseOrder(purchaseOrderId, deliveryData),
+    onSuccess: (response) => {
+      const order = response.data;
+      toast.success(
+        order.status === "CLOSED"
+          ? "Delivery received, purchase order complete"
+          : "Delivery received into stock"
+      );
+      handleOrderChanged(order);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to receive delivery");
+    },
+    onSettled: () => {
+      // Stock levels and purchase prices changed for every delivered product
+      queryClient.invalidateQueries({ queryKey: ["products"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({ queryKey: ["serialNumbers"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("purchases") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("lowStockReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("taxReport") });
+      // Deliveries on credit change the supplier's balance
+      queryClient.invalidateQueries({ queryKey: ["suppliers"] });
+      queryClient.invalidateQueries({ queryKey: ["supplierLedgers"] });
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: () => deletePurchaseOrder(purchaseOrderId),
+    onSuccess: () => {
+      toast.success("Purchase order deleted");
+      queryClient.removeQueries({
+        queryKey: queryKeys.detail("purchaseOrders", purchaseOrderId),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("purchaseOrders"),
+      });
+      if (onDeleted) {
+        onDeleted();
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to delete purchase order");
+    },
+  });
+
+  return { saveMutation, statusMutation, receiveMutation, deleteMutation };
+}
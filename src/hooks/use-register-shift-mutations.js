@@ -0,0 +1,77 @@
+// /src/hooks/use-register-shift-mutations.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  openShift,
+  createCashMovement,
+  closeShift,
+} from "@/lib/api/shifts-api";
+
+/**
+ * Custom hook for the register shift lifecycle: opening the till with a
+ * float, recording cash in and payouts, and closing with the counted cash
+ * @param {string} [shiftId] - Open shift ID (omit when opening)
+ * @param {Object} [callbacks] - Optional callbacks
+ * @param {Function} [callbacks.onCashMoved] - Called after a cash movement was saved
+ * @param {Function} [callbacks.onClosed] - Called with the closed shift
+ * @returns {Object} Open, cash movement and close mutations
+ */
+export function useRegisterShiftMutations(shiftId, callbacks = {}) {
+  const { onCashMoved, onClosed } = callbacks;
+  const queryClient = useQueryClient();
+
+  /**
+   * Stores the open shift returned by the API and refreshes the shift list
+   * @param {Object|null} shift - Open shift, or null once closed
+   */
+  const handleShiftChanged = (shift) => {
+    queryClient.setQueryData(queryKeys.detail("shifts", "current"), shift);
+    queryClient.invalidateQueries({ queryKey: queryKeys.list("shifts") });
+  };
+
+  const openMutation = useMutation({
+    mutationFn: openShift,
+    onSuccess: (response) => {
+      toast.success("Shift opened");
+      handleShiftChanged(response.data);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to open shift");
+    },
+  });
+
+  const cashMovementMutation = useMutation({
+    mutationFn: (movementData) => createCashMovement(shiftId, movementData),
+    onSuccess: (response, movementData) => {
+      toast.success(
+        movementData.type === "PAY_IN" ? "Cash in recorded" : "Payout recorded"
+      );
+      handleShiftChanged(response.data);
+      if (onCashMoved) {
+        onCashMoved();
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to record cash movement");
+    },
+  });
+
+  const closeMutation = useMutation({
+    mutationFn: (closeData) => closeShift(shiftId, closeData),
+    onSuccess: (response) => {
+      const shift = response.data;
+      toast.success("Shift closed");
+      handleShiftChanged(null);
+      queryClient.setQueryData(queryKeys.detail("shifts", shift.id), shift);
+      if (onClosed) {
+        onClosed(shift);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to close shift");
+    },
+  });
+
+  return { openMutation, cashMovementMutation, closeMutation };
+}
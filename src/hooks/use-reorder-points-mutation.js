@@ -0,0 +1,38 @@
+// /src/hooks/use-reorder-points-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { updateProductReorderPoints } from "@/lib/api/products-api";
+
+/**
+ * Custom hook for saving a product's reorder point per location
+ * @param {string} productId - Product ID
+ * @param {Function} [onSaved] - Optional callback with the updated stock levels
+ * @returns {Object} Reorder points mutation
+ */
+export function useReorderPointsMutation(productId, onSaved) {
+  const queryClient = useQueryClient();
+
+  const reorderPointsMutation = useMutation({
+    mutationFn: (reorderData) =>
+      updateProductReorderPoints(productId, reorderData),
+    onSuccess: (response) => {
+      toast.success("Reorder points saved");
+      queryClient.setQueryData(
+        queryKeys.detail("productStockLevels", productId),
+        response.data
+      );
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("lowStockReport"),
+      });
+      if (onSaved) {
+        onSaved(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save reorder points");
+    },
+  });
+
+  return { reorderPointsMutation };
+}
@@ -0,0 +1,76 @@
+// /src/hooks/use-sale-create-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createSale } from "@/lib/api/sales-api";
+
+/**
+ * Custom hook for completing sales at the point of sale
+ * @param {Function} [onSaleCreated] - Optional callback when the sale is saved
+ * @returns {Object} Sale creation mutation
+ */
+export function useSaleCreateMutation(onSaleCreated) {
+  const queryClient = useQueryClient();
+
+  const createSaleMutation = useMutation({
+    mutationFn: createSale,
+    onSuccess: (response) => {
+      const sale = response.data;
+      toast.success(`Sale completed: $${sale.totalAmount.toFixed(2)}`);
+
+      // Reflect the new stock levels in every cached product list, including
+      // the search results the cashier is about to use for the next sale
+      const stockById = new Map(
+        sale.items.map((item) => [item.product.id, item.product.stock])
+      );
+      const withNewStock = (p) =>
+        stockById.has(p.id) ? { ...p, stock: stockById.get(p.id) } : p;
+
+      queryClient.setQueriesData(
+        { queryKey: queryKeys.list("products") },
+        (oldData) => {
+          if (!oldData) return oldData;
+          if (Array.isArray(oldData)) return oldData.map(withNewStock);
+          if (!oldData.products) return oldData;
+          return { ...oldData, products: oldData.products.map(withNewStock) };
+        }
+      );
+      queryClient.setQueryData(queryKeys.session("products"), (old) =>
+        old ? old.map(withNewStock) : old
+      );
+
+      if (onSaleCreated) {
+        onSaleCreated(sale);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to complete sale");
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({ queryKey: ["serialNumbers"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("sales") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("discountReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("taxReport") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("profitReport"),
+      });
+      // Cash sales count towards the open register shift
+      queryClient.invalidateQueries({ queryKey: ["shifts"] });
+      // Sales on account change the customer's balance
+      queryClient.invalidateQueries({ queryKey: ["customers"] });
+      queryClient.invalidateQueries({ queryKey: ["customerStatements"] });
+    },
+  });
+
+  return {
+    createSaleMutation,
+  };
+}
@@ -0,0 +1,63 @@
+// /src/hooks/use-sale-return-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createSaleReturn } from "@/lib/api/sales-api";
+
+/**
+ * Custom hook for returning items from a sale
+ * @param {string} saleId - Sale the goods were bought on
+ * @param {Function} [onReturnProcessed] - Optional callback with the updated sale
+ * @returns {Object} Sale return mutation
+ */
+export function useSaleReturnMutation(saleId, onReturnProcessed) {
+  const queryClient = useQueryClient();
+
+  const returnMutation = useMutation({
+    mutationFn: (data) => createSaleReturn(saleId, data),
+    onSuccess: (response) => {
+      const sale = response.data;
+      queryClient.setQueryData(queryKeys.detail("sales", saleId), sale);
+
+      const latestReturn = sale.returns[sale.returns.length - 1];
+      toast.success(
+        `Return processed: $${latestReturn.totalAmount.toFixed(2)} refunded`
+      );
+
+      if (onReturnProcessed) {
+        onReturnProcessed(sale);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to process return");
+    },
+    onSettled: () => {
+      // Restocked goods change stock levels
+      queryClient.invalidateQueries({ queryKey: ["products"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({ queryKey: ["serialNumbers"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("sales") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("lowStockReport"),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("taxReport") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("profitReport"),
+      });
+      // Refunds to account change the customer's balance
+      queryClient.invalidateQueries({ queryKey: ["customers"] });
+      queryClient.invalidateQueries({ queryKey: ["customerStatements"] });
+      // Cash refunds come out of the open register shift
+      queryClient.invalidateQueries({ queryKey: ["shifts"] });
+    },
+  });
+
+  return {
+    returnMutation,
+  };
+}
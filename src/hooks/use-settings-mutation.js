@@ -0,0 +1,33 @@
+// /src/hooks/use-settings-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { updateSettings } from "@/lib/api/settings-api";
+
+/**
+ * Custom hook for saving the account settings
+ * @param {Function} [onSettingsSaved] - Optional callback with the saved settings
+ * @returns {Object} Settings mutation
+ */
+export function useSettingsMutation(onSettingsSaved) {
+  const queryClient = useQueryClient();
+
+  const settingsMutation = useMutation({
+    mutationFn: updateSettings,
+    onSuccess: (response) => {
+      queryClient.setQueryData(queryKeys.list("settings"), response.data);
+      toast.success("Settings saved successfully!");
+
+      if (onSettingsSaved) {
+        onSettingsSaved(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save settings");
+    },
+  });
+
+  return {
+    settingsMutation,
+  };
+}
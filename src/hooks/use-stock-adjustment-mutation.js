@@ -0,0 +1,65 @@
+// /src/hooks/use-stock-adjustment-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { updateProductLists } from "@/lib/product-list-cache";
+import { createStockAdjustment } from "@/lib/api/products-api";
+
+/**
+ * Custom hook for recording manual stock adjustments
+ * @param {string} productId - Product ID to adjust
+ * @param {Function} [onAdjusted] - Optional callback when the adjustment is saved
+ * @returns {Object} Stock adjustment mutation
+ */
+export function useStockAdjustmentMutation(productId, onAdjusted) {
+  const queryClient = useQueryClient();
+
+  const adjustmentMutation = useMutation({
+    mutationFn: (data) => createStockAdjustment(productId, data),
+    onSuccess: (response) => {
+      toast.success("Stock adjusted successfully!");
+      const updatedProduct = response.data;
+
+      // Reflect the new stock level in every cached copy of the product
+      updateProductLists(queryClient, (products) =>
+        products.map((p) =>
+          p.id === productId ? { ...p, stock: updatedProduct.stock } : p
+        )
+      );
+      queryClient.setQueryData(queryKeys.session("products"), (old) => {
+        if (!old) return old;
+        return old.map((p) =>
+          p.id === productId ? { ...p, stock: updatedProduct.stock } : p
+        );
+      });
+      queryClient.setQueryData(
+        queryKeys.detail("products", productId),
+        updatedProduct
+      );
+
+      if (onAdjusted) {
+        onAdjusted(updatedProduct);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to adjust stock");
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({ queryKey: ["serialNumbers"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("productStockLevels", productId),
+      });
+    },
+  });
+
+  return {
+    adjustmentMutation,
+  };
+}
@@ -0,0 +1,80 @@
+// /src/hooks/use-stock-transfer-mutations.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createStockTransfer,
+  updateStockTransferStatus,
+} from "@/lib/api/stock-transfers-api";
+
+/**
+ * Custom hook for the stock transfer lifecycle: sending stock, then
+ * receiving or cancelling the transfer
+ * @param {string} [transferId] - Stock transfer ID (omit when sending one)
+ * @param {Object} [callbacks] - Optional callbacks
+ * @param {Function} [callbacks.onCreated] - Called with the sent transfer
+ * @returns {Object} Create and status mutations
+ */
+export function useStockTransferMutations(transferId, callbacks = {}) {
+  const { onCreated } = callbacks;
+  const queryClient = useQueryClient();
+
+  /**
+   * Stores the returned transfer and refreshes everything showing stock
+   * per location
+   * @param {Object} transfer - Stock transfer returned by the API
+   */
+  const handleTransferChanged = (transfer) => {
+    queryClient.setQueryData(
+      queryKeys.detail("stockTransfers", transfer.id),
+      transfer
+    );
+    queryClient.invalidateQueries({
+      queryKey: queryKeys.list("stockTransfers"),
+    });
+    queryClient.invalidateQueries({ queryKey: ["productStockLevels"] });
+    queryClient.invalidateQueries({
+      queryKey: queryKeys.list("stockMovements"),
+    });
+    queryClient.invalidateQueries({ queryKey: ["serialNumbers"] });
+    queryClient.invalidateQueries({
+      queryKey: queryKeys.list("lowStockReport"),
+    });
+    queryClient.invalidateQueries({ queryKey: queryKeys.list("locations") });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createStockTransfer,
+    onSuccess: (response) => {
+      const transfer = response.data;
+      toast.success(
+        `Sent ${transfer.totalQuantity} units to ${transfer.toLocation.name}`
+      );
+      handleTransferChanged(transfer);
+      if (onCreated) {
+        onCreated(transfer);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to send transfer");
+    },
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: (action) => updateStockTransferStatus(transferId, action),
+    onSuccess: (response, action) => {
+      const transfer = response.data;
+      toast.success(
+        action === "receive"
+          ? `Transfer received at ${transfer.toLocation.name}`
+          : `Transfer cancelled, stock returned to ${transfer.fromLocation.name}`
+      );
+      handleTransferChanged(transfer);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update transfer");
+    },
+  });
+
+  return { createMutation, statusMutation };
+}
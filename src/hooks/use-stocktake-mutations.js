@@ -0,0 +1,93 @@
+// /src/hooks/use-stocktake-mutations.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createStocktake,
+  saveStocktakeCounts,
+  updateStocktakeStatus,
+} from "@/lib/api/stocktakes-api";
+
+/**
+ * Custom hook for the stocktake lifecycle: starting a count, saving counted
+ * quantities, and approving or cancelling it
+ * @param {string} [stocktakeId] - Stocktake ID (omit when starting one)
+ * @param {Object} [callbacks] - Optional callbacks
+ * @param {Function} [callbacks.onCreated] - Called with the started stocktake
+ * @returns {Object} Create, save and status mutations
+ */
+export function useStocktakeMutations(stocktakeId, callbacks = {}) {
+  const { onCreated } = callbacks;
+  const queryClient = useQueryClient();
+
+  /**
+   * Stores the returned stocktake and refreshes the stocktake list
+   * @param {Object} stocktake - Stocktake returned by the API
+   */
+  const handleStocktakeChanged = (stocktake) => {
+    queryClient.setQueryData(
+      queryKeys.detail("stocktakes", stocktake.id),
+      stocktake
+    );
+    queryClient.invalidateQueries({ queryKey: queryKeys.list("stocktakes") });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createStocktake,
+    onSuccess: (response) => {
+      const stocktake = response.data;
+      toast.success(`Stocktake started with ${stocktake.itemCount} products`);
+      handleStocktakeChanged(stocktake);
+      if (onCreated) {
+        onCreated(stocktake);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to start stocktake");
+    },
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (countsData) => saveStocktakeCounts(stocktakeId, countsData),
+    onSuccess: (response) => {
+      toast.success("Counts saved");
+      handleStocktakeChanged(response.data);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to save counts");
+    },
+  });
+
+  const statusMutation = useMutation({
+    mutationFn: (action) => updateStocktakeStatus(stocktakeId, action),
+    onSuccess: (response, action) => {
+      const stocktake = response.data;
+      toast.success(
+        action === "approve"
+          ? `Stocktake approved, ${stocktake.varianceCount} adjustments posted`
+          : "Stocktake cancelled"
+      );
+      handleStocktakeChanged(stocktake);
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update stocktake");
+    },
+    onSettled: (response, error, action) => {
+      if (action !== "approve") return;
+
+      // Approval adjusted stock for every product with a variance
+      queryClient.invalidateQueries({ queryKey: ["products"] });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("stockMovements"),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("valuationReport"),
+      });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.list("lowStockReport"),
+      });
+    },
+  });
+
+  return { createMutation, saveMutation, statusMutation };
+}
@@ -0,0 +1,90 @@
+// /src/hooks/use-supplier-create-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createSupplier } from "@/lib/api/suppliers-api";
+
+/**
+ * Custom hook for supplier creation with optimistic updates
+ * @param {Function} [onSupplierCreated] - Optional callback when supplier is created
+ * @returns {Object} Supplier creation utilities and state
+ */
+export function useSupplierCreateMutation(onSupplierCreated) {
+  const queryClient = useQueryClient();
+
+  const createSupplierMutation = useMutation({
+    mutationFn: createSupplier,
+    onMutate: async (newSupplierData) => {
+      // Cancel ongoing queries to prevent overwriting optimistic update
+      await queryClient.cancelQueries({
+        queryKey: queryKeys.session("suppliers"),
+      });
+      await queryClient.cancelQueries({
+        queryKey: queryKeys.list("suppliers"),
+      });
+
+      // Snapshot the previous session data
+      const previousSessionSuppliers = queryClient.getQueryData(
+        queryKeys.session("suppliers")
+      );
+
+      // Create optimistic supplier with temporary data
+      const optimisticTimestamp = Date.now();
+
+      const optimisticSupplier = {
+        id: `optimistic-${optimisticTimestamp}`,
+        name: newSupplierData.name,
+        contactEmail: newSupplierData.contactEmail || null,
+        contactPhone: newSupplierData.contactPhone || null,
+        address: newSupplierData.address || null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        _count: { products: 0, purchases: 0 },
+        _optimisticTimestamp: optimisticTimestamp,
+      };
+
+      // Optimistically update the session cache
+      queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+        const currentSuppliers = old || [];
+        return [optimisticSupplier, ...currentSuppliers];
+      });
+
+      return { previousSessionSuppliers, optimisticTimestamp };
+    },
+    onError: (error, newSupplierData, context) => {
+      toast.error(`Failed to create supplier: ${error.message}`);
+      if (context?.previousSessionSuppliers !== undefined) {
+        queryClient.setQueryData(
+          queryKeys.session("suppliers"),
+          context.previousSessionSuppliers
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("suppliers") });
+    },
+    onSuccess: (response, formData, context) => {
+      toast.success("Supplier created successfully!");
+
+      // Replace optimistic supplier with real server data
+      queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+        const currentSuppliers = old || [];
+        const updatedSuppliers = currentSuppliers.map((supplier) => {
+          if (supplier._optimisticTimestamp === context.optimisticTimestamp) {
+            return response.data;
+          }
+          return supplier;
+        });
+        return updatedSuppliers;
+      });
+
+      if (onSupplierCreated) {
+        onSupplierCreated(response.data);
+      }
+    },
+  });
+
+  return {
+    createSupplierMutation,
+  };
+}
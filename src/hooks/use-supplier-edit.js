@@ -0,0 +1,199 @@
+// /src/hooks/use-supplier-edit.js
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  fetchSupplier,
+  updateSupplier,
+  deleteSupplier,
+} from "@/lib/api/suppliers-api";
+
+/**
+ * Custom hook for supplier editing functionality
+ * @param {string} supplierId - Supplier ID to edit
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Function} onClose - Callback to close the modal
+ * @returns {Object} Supplier edit utilities and state
+ */
+export function useSupplierEdit(supplierId, isOpen, onClose) {
+  const queryClient = useQueryClient();
+
+  const { data: supplier, isLoading } = useQuery({
+    queryKey: queryKeys.detail("suppliers", supplierId),
+    queryFn: () => fetchSupplier(supplierId),
+    enabled: !!supplierId && isOpen,
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (data) => updateSupplier(supplierId, data),
+    onMutate: async (newData) => {
+      await queryClient.cancelQueries();
+      const previousSuppliersData = queryClient.getQueryData(
+        queryKeys.list("suppliers")
+      );
+      const previousSessionSuppliers = queryClient.getQueryData(
+        queryKeys.session("suppliers")
+      );
+
+      // Optimistically update the main suppliers list
+      queryClient.setQueryData(queryKeys.list("suppliers"), (oldData) => {
+        if (!oldData) return [];
+        return oldData.map((s) =>
+          s.id === supplierId
+            ? {
+                ...s,
+                ...newData,
+              }
+            : s
+        );
+      });
+
+      // Optimistically update the session suppliers list with an 'isUpdating' flag
+      queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+        if (!old) return [];
+        return old.map((s) =>
+          s.id === supplierId
+            ? {
+                ...s,
+                ...newData,
+                isUpdating: true,
+              }
+            : s
+        );
+      });
+
+      return { previousSuppliersData, previousSessionSuppliers };
+    },
+    onError: (err, newData, context) => {
+      toast.error("Failed to update supplier. Restoring previous state.");
+      if (context?.previousSuppliersData) {
+        queryClient.setQueryData(
+          queryKeys.list("suppliers"),
+          context.previousSuppliersData
+        );
+      }
+      if (context?.previousSessionSuppliers) {
+        queryClient.setQueryData(
+          queryKeys.session("suppliers"),
+          context.previousSessionSuppliers
+        );
+      }
+    },
+    onSettled: (data, error, variables, context) => {
+      // Invalidate server-facing queries to refetch for eventual consistency
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("suppliers") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("suppliers", supplierId),
+      });
+
+      // On success, update the session item with final data from the server response
+      // and remove the 'isUpdating' flag.
+      if (data?.data) {
+        const finalSupplier = data.data;
+
+        // Update the session list cache
+        queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+          if (!old) return [];
+          return old.map((s) => (s.id === supplierId ? finalSupplier : s));
+        });
+
+        // Proactively update the detail query's cache with the fresh data
+        queryClient.setQueryData(
+          queryKeys.detail("suppliers", supplierId),
+          finalSupplier
+        );
+      } else if (error) {
+        // On error, just remove the flag from the rolled-back item
+        queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+          if (!old) return [];
+          return old.map((s) => {
+            if (s.id === supplierId) {
+              const { isUpdating, ...rest } = s;
+              return rest;
+            }
+            return s;
+          });
+        });
+      }
+    },
+    onSuccess: () => {
+      toast.success("Supplier updated successfully!");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (reassignToId) => deleteSupplier(supplierId, reassignToId),
+    onMutate: async () => {
+      await queryClient.cancelQueries();
+      const previousSuppliersData = queryClient.getQueryData(
+        queryKeys.list("suppliers")
+      );
+      const previousSessionSuppliers = queryClient.getQueryData(
+        queryKeys.session("suppliers")
+      );
+
+      // Optimistically remove from main suppliers list
+      queryClient.setQueryData(queryKeys.list("suppliers"), (oldData) => {
+        if (!oldData) return [];
+        return oldData.filter((s) => s.id !== supplierId);
+      });
+
+      // Optimistically remove from session list
+      queryClient.setQueryData(queryKeys.session("suppliers"), (old) => {
+        if (!old) return [];
+        return old.filter((s) => s.id !== supplierId);
+      });
+
+      return { previousSuppliersData, previousSessionSuppliers };
+    },
+    onError: (err, variables, context) => {
+      toast.error(err.message || "Failed to delete supplier");
+      if (context?.previousSuppliersData) {
+        queryClient.setQueryData(
+          queryKeys.list("suppliers"),
+          context.previousSuppliersData
+        );
+      }
+      if (context?.previousSessionSuppliers) {
+        queryClient.setQueryData(
+          queryKeys.session("suppliers"),
+          context.previousSessionSuppliers
+        );
+      }
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("suppliers") });
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("suppliers", supplierId),
+      });
+      // Products may have been moved to another supplier
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("products") });
+    },
+    onSuccess: () => {
+      toast.success("Supplier deleted successfully!");
+      onClose();
+    },
+  });
+
+  const handleUpdate = (data) => {
+    onClose(); // Optimistically close the modal immediately
+    updateMutation.mutate(data);
+  };
+
+  /**
+   * Deletes the supplier, optionally moving its products to another supplier
+   * @param {string} [reassignToId] - Replacement supplier ID
+   */
+  const handleDelete = (reassignToId) => {
+    deleteMutation.mutate(reassignToId);
+  };
+
+  return {
+    supplier,
+    isLoading,
+    updateMutation,
+    deleteMutation,
+    handleUpdate,
+    handleDelete,
+  };
+}
@@ -0,0 +1,39 @@
+// /src/hooks/use-supplier-payment-mutation.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import { createSupplierPayment } from "@/lib/api/suppliers-api";
+
+/**
+ * Custom hook for recording payments made against a supplier's balance
+ * @param {string} supplierId - Supplier ID being paid
+ * @param {Function} [onPaymentRecorded] - Optional callback when the payment is saved
+ * @returns {Object} Supplier payment mutation
+ */
+export function useSupplierPaymentMutation(supplierId, onPaymentRecorded) {
+  const queryClient = useQueryClient();
+
+  const paymentMutation = useMutation({
+    mutationFn: (data) => createSupplierPayment(supplierId, data),
+    onSuccess: (response) => {
+      toast.success("Payment recorded successfully!");
+
+      if (onPaymentRecorded) {
+        onPaymentRecorded(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to record payment");
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: queryKeys.detail("supplierLedgers", supplierId),
+      });
+      queryClient.invalidateQueries({ queryKey: queryKeys.list("suppliers") });
+    },
+  });
+
+  return {
+    paymentMutation,
+  };
+}
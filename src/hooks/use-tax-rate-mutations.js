@@ -0,0 +1,74 @@
+// /src/hooks/use-tax-rate-mutations.js
+import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { toast } from "sonner";
+import { queryKeys } from "@/lib/queryKeys";
+import {
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+} from "@/lib/api/tax-rates-api";
+
+/**
+ * Custom hook for managing tax rates from the settings page
+ * @param {Function} [onSaved] - Optional callback after a create or update
+ * @returns {Object} Create, update and delete mutations
+ */
+export function useTaxRateMutations(onSaved) {
+  const queryClient = useQueryClient();
+
+  /**
+   * Refreshes tax rates and everything showing them (category and product
+   * lists include their tax rate)
+   */
+  const handleChanged = () => {
+    queryClient.invalidateQueries({ queryKey: queryKeys.list("taxRates") });
+    queryClient.invalidateQueries({ queryKey: ["categories"] });
+    queryClient.invalidateQueries({ queryKey: ["products"] });
+  };
+
+  const createMutation = useMutation({
+    mutationFn: createTaxRate,
+    onSuccess: (response) => {
+      toast.success("Tax rate created successfully!");
+      handleChanged();
+      if (onSaved) {
+        onSaved(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to create tax rate");
+    },
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: ({ taxRateId, ...taxRateData }) =>
+      updateTaxRate(taxRateId, taxRateData),
+    onSuccess: (response) => {
+      toast.success("Tax rate updated successfully!");
+      handleChanged();
+      if (onSaved) {
+        onSaved(response.data);
+      }
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to update tax rate");
+    },
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: deleteTaxRate,
+    onSuccess: () => {
+      toast.success("Tax rate deleted successfully!");
+      handleChanged();
+    },
+    onError: (error) => {
+      toast.error(error.message || "Failed to delete tax rate");
+    },
+  });
+
+  return {
+    createMutation,
+    updateMutation,
+    deleteMutation,
+  };
+}
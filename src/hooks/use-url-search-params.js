@@ -0,0 +1,33 @@
+// /src/hooks/use-url-search-params.js
+import { useCallback } from "react";
+import { useRouter, usePathname, useSearchParams } from "next/navigation";
+
+/**
+ * Custom hook for reading and updating the current URL search params
+ * @returns {{ searchParams: URLSearchParams, setSearchParams: Function }}
+ * `setSearchParams(updates)` merges the updates into the URL; empty values
+ * (undefined, null or "") remove the param.
+ */
+export function useUrlSearchParams() {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+
+  const setSearchParams = useCallback(
+    (updates) => {
+      const params = new URLSearchParams(searchParams);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === "") {
+          params.delete(key);
+        } else {
+          params.set(key, String(value));
+        }
+      });
+      // Use replace to avoid adding to browser history and preserve scroll position
+      router.replace(`${pathname}?${params.toString()}`, { scroll: false });
+    },
+    [router, pathname, searchParams]
+  );
+
+  return { searchParams, setSearchParams };
+}
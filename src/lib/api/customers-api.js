@@ -0,0 +1,144 @@
+// /src/lib/api/customers-api.js
+/**
+ * Fetches customers from API
+ * @returns {Promise<Array>} Array of customers
+ */
+export async function fetchCustomers() {
+  const response = await fetch("/api/customers");
+  if (!response.ok) {
+    throw new Error("Failed to fetch customers");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a single customer by ID
+ * @param {string} customerId - Customer ID to fetch
+ * @returns {Promise<Object>} Customer data
+ */
+export async function fetchCustomer(customerId) {
+  const response = await fetch(`/api/customers/${customerId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch customer");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Creates a new customer via API
+ * @param {Object} customerData - Customer data to create
+ * @returns {Promise<Object>} API response
+ */
+export async function createCustomer(customerData) {
+  const response = await fetch("/api/customers", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(toApiData(customerData)),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to create customer");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Updates a customer via API
+ * @param {string} customerId - Customer ID to update
+ * @param {Object} customerData - Customer data to update
+ * @returns {Promise<Object>} API response with the updated customer
+ */
+export async function updateCustomer(customerId, customerData) {
+  const response = await fetch(`/api/customers/${customerId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    // Empty contact fields are sent as null so they get cleared
+    body: JSON.stringify(toApiData(customerData, null)),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update customer");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Deletes a customer via API
+ * @param {string} customerId - Customer ID to delete
+ * @returns {Promise<Object>} Delete response
+ */
+export async function deleteCustomer(customerId) {
+  const response = await fetch(`/api/customers/${customerId}`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to delete customer");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Fetches a customer's account statement from API
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object>} Customer and statement entries
+ */
+export async function fetchCustomerStatement(customerId) {
+  const response = await fetch(`/api/customers/${customerId}/statement`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch customer statement");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Records a payment against a customer's balance via API
+ * @param {string} customerId - Customer ID
+ * @param {Object} paymentData - Payment data (amount, note)
+ * @returns {Promise<Object>} API response with the recorded payment
+ */
+export async function createCustomerPayment(customerId, paymentData) {
+  const response = await fetch(`/api/customers/${customerId}/payments`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(paymentData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to record payment");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Converts customer form values to an API payload
+ * @param {Object} customerData - Form values
+ * @param {null|undefined} [emptyValue] - Value to send for blank contact fields
+ * @returns {Object} API payload
+ */
+function toApiData(customerData, emptyValue = undefined) {
+  return {
+    name: customerData.name,
+    contactEmail: customerData.contactEmail || emptyValue,
+    contactPhone: customerData.contactPhone || emptyValue,
+    address: customerData.address || emptyValue,
+  };
+}
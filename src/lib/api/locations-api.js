@@ -0,0 +1,77 @@
+// /src/lib/api/locations-api.js
+/**
+ * Fetches locations from API
+ * @returns {Promise<Array>} Array of locations
+ */
+export async function fetchLocations() {
+  const response = await fetch("/api/locations");
+  if (!response.ok) {
+    throw new Error("Failed to fetch locations");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Creates a new location via API
+ * @param {{ name: string }} locationData - Location to create
+ * @returns {Promise<Object>} API response with the created location
+ */
+export async function createLocation(locationData) {
+  const response = await fetch("/api/locations", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(locationData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to create location");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Updates a location via API
+ * @param {string} locationId - Location ID to update
+ * @param {{ name?: string, isDefault?: true }} locationData - Fields to save
+ * @returns {Promise<Object>} API response with the updated location
+ */
+export async function updateLocation(locationId, locationData) {
+  const response = await fetch(`/api/locations/${locationId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(locationData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update location");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Deletes a location via API
+ * @param {string} locationId - Location ID to delete
+ * @returns {Promise<Object>} Delete response
+ */
+export async function deleteLocation(locationId) {
+  const response = await fetch(`/api/locations/${locationId}`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to delete location");
+  }
+
+  return await response.json();
+}
@@ -1,10 +1,17 @@
 // /src/lib/api/products-api.js
 /**
- * Fetches the list of products from the API.
+ * Fetches a page of products from the API.
+ * @param {Object} [params] - List params (page, limit, q, categoryId, supplierId, lowStock, status, sort, order)
  * @returns {Promise<Object>} The full paginated data object
  */
-export async function fetchProducts() {
-  const response = await fetch("/api/products?limit=100");
+export async function fetchProducts(params = {}) {
+  // Leave out empty params so the API falls back to its defaults
+  const query = new URLSearchParams(
+    Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+  const response = await fetch(`/api/products?${query}`);
   if (!response.ok) {
     throw new Error("Failed to fetch products");
   }
@@ -12,6 +19,25 @@ export async function fetchProducts() {
   return data.data;
 }
 
+/**
+ * Looks up products by name or SKU
+ * @param {string} query - Search text
+ * @param {string} [locationId] - Location to report stock at; defaults to the current one
+ * @returns {Promise<Array>} Matching products
+ */
+export async function searchProducts(query, locationId) {
+  const params = new URLSearchParams({
+    q: query,
+    ...(locationId && { locationId }),
+  });
+  const response = await fetch(`/api/products/search?${params}`);
+  if (!response.ok) {
+    throw new Error("Failed to search products");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
 /**
  * Fetches a single product by ID
  * @param {string} productId - Product ID to fetch
@@ -26,6 +52,76 @@ export async function fetchProduct(productId) {
   return data.data;
 }
 
+/**
+ * Fetches the stock movement history of a product
+ * @param {string} productId - Product ID
+ * @param {number} [page=1] - Page number
+ * @returns {Promise<Object>} Paginated movements data
+ */
+export async function fetchProductStockMovements(productId, page = 1) {
+  const response = await fetch(
+    `/api/products/${productId}/movements?page=${page}`
+  );
+  if (!response.ok) {
+    throw new Error("Failed to fetch stock history");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a product's stock and reorder point at every location
+ * @param {string} productId - Product ID
+ * @returns {Promise<Array>} Stock levels per location
+ */
+export async function fetchProductStockLevels(productId) {
+  const response = await fetch(`/api/products/${productId}/locations`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch stock levels");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the serial numbers of a product in stock at a location
+ * @param {string} productId - Product ID
+ * @param {string} [locationId] - Location to list; defaults to the current location
+ * @returns {Promise<Array<{ id: string, serial: string }>>} Serials in stock
+ */
+export async function fetchProductSerials(productId, locationId) {
+  const query = locationId ? `?locationId=${locationId}` : "";
+  const response = await fetch(`/api/products/${productId}/serials${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch serial numbers");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Saves a product's reorder point per location via API
+ * @param {string} productId - Product ID
+ * @param {{ levels: { locationId: string, reorderPoint: number }[] }} reorderData - Reorder point per location
+ * @returns {Promise<Object>} API response with the updated stock levels
+ */
+export async function updateProductReorderPoints(productId, reorderData) {
+  const response = await fetch(`/api/products/${productId}/locations`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(reorderData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update reorder points");
+  }
+
+  return await response.json();
+}
+
 /**
  * Updates a product via API
  * @param {string} productId - Product ID to update
@@ -39,7 +135,6 @@ export async function updateProduct(productId, productData) {
     purchasePrice: productData.purchasePrice
       ? parseFloat(productData.purchasePrice)
       : undefined,
-    stock: productData.stock ? parseInt(productData.stock) : undefined,
     reorderPoint: productData.reorderPoint
       ? parseInt(productData.reorderPoint)
       : undefined,
@@ -48,6 +143,11 @@ export async function updateProduct(productId, productData) {
       productData.categoryId === "uncategorized"
         ? undefined
         : productData.categoryId,
+    // "none" clears the supplier
+    supplierId:
+      productData.supplierId === "none" ? null : productData.supplierId,
+    // "none" falls back to the category's tax rate
+    taxRateId: productData.taxRateId === "none" ? null : productData.taxRateId,
   };
 
   const response = await fetch(`/api/products/${productId}`, {
@@ -64,8 +164,76 @@ export async function updateProduct(productId, productData) {
   return await response.json();
 }
 
+/**
+ * Deactivates or reactivates a product via API
+ * @param {string} productId - Product ID to update
+ * @param {boolean} isActive - Whether the product should be active
+ * @returns {Promise<Object>} Updated product data
+ */
+export async function setProductActive(productId, isActive) {
+  const response = await fetch(`/api/products/${productId}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ isActive }),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(
+      error.error ||
+        `Failed to ${isActive ? "reactivate" : "deactivate"} product`
+    );
+  }
+
+  return await response.json();
+}
+
+/**
+ * Records a manual stock adjustment via API
+ * @param {string} productId - Product ID to adjust
+ * @param {Object} adjustmentData - Adjustment data (signed quantity, reason, note)
+ * @returns {Promise<Object>} API response with the updated product
+ */
+export async function createStockAdjustment(productId, adjustmentData) {
+  const response = await fetch(`/api/products/${productId}/adjustments`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(adjustmentData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to adjust stock");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Writes off what is left of a stock lot via API
+ * @param {string} lotId - Stock lot ID
+ * @param {{ note?: string }} writeOffData - Write-off details
+ * @returns {Promise<Object>} API response with the written-off lot
+ */
+export async function writeOffStockLot(lotId, writeOffData) {
+  const response = await fetch(`/api/stock-lots/${lotId}/write-off`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(writeOffData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to write off lot");
+  }
+
+  return await response.json();
+}
+
 /**
  * Deletes a product via API
+ * When the product has transaction history the thrown error carries the
+ * blocking record counts in `error.blockers`.
  * @param {string} productId - Product ID to delete
  * @returns {Promise<Object>} Delete response
  */
@@ -77,7 +245,9 @@ export async function deleteProduct(productId) {
 
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || "Failed to delete product");
+    const deleteError = new Error(error.error || "Failed to delete product");
+    deleteError.blockers = error.blockers;
+    throw deleteError;
   }
 
   return await response.json();
@@ -100,11 +270,37 @@ export async function createProduct(productData) {
     reorderPoint: productData.reorderPoint
       ? parseInt(productData.reorderPoint)
       : undefined,
-    // Don't send empty categoryId
+    // Don't send empty categoryId or supplierId
     categoryId:
       productData.categoryId === "uncategorized"
         ? undefined
         : productData.categoryId,
+    supplierId:
+      productData.supplierId === "none" ? undefined : productData.supplierId,
+    taxRateId:
+      productData.taxRateId === "none" ? undefined : productData.taxRateId,
+    // Variants hold the stock and reorder points of a product that has them
+    hasVariants: undefined,
+    optionAxes: undefined,
+    variants: undefined,
+    ...(productData.hasVariants && {
+      stock: undefined,
+      reorderPoint: undefined,
+      optionAxes: productData.optionAxes.filter(
+        (axis) => axis.name && axis.values.length > 0
+      ),
+      variants: productData.variants.map((variant) => ({
+        optionValues: variant.optionValues,
+        sku: variant.sku?.trim() || undefined,
+        sellingPrice: parseFloat(
+          variant.sellingPrice || productData.sellingPrice
+        ),
+        stock: variant.stock ? parseInt(variant.stock) : undefined,
+        reorderPoint: variant.reorderPoint
+          ? parseInt(variant.reorderPoint)
+          : undefined,
+      })),
+    }),
   };
 
   const response = await fetch("/api/products", {
@@ -0,0 +1,138 @@
+// /src/lib/api/purchase-orders-api.js
+/**
+ * Fetches purchase orders from API
+ * @param {string} [status] - Only orders with this status
+ * @returns {Promise<Array>} Array of purchase orders
+ */
+export async function fetchPurchaseOrders(status) {
+  const query = status ? `?status=${status}` : "";
+  const response = await fetch(`/api/purchase-orders${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch purchase orders");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a single purchase order by ID
+ * @param {string} purchaseOrderId - Purchase order ID to fetch
+ * @returns {Promise<Object>} Purchase order with items and receipts
+ */
+export async function fetchPurchaseOrder(purchaseOrderId) {
+  const response = await fetch(`/api/purchase-orders/${purchaseOrderId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch purchase order");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Creates a draft purchase order via API
+ * @param {Object} orderData - Supplier, note, expected date and lines
+ * @returns {Promise<Object>} API response with the created purchase order
+ */
+export async function createPurchaseOrder(orderData) {
+  const response = await fetch("/api/purchase-orders", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(orderData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to create purchase order");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Replaces a draft purchase order via API
+ * @param {string} purchaseOrderId - Purchase order ID to update
+ * @param {Object} orderData - Supplier, note, expected date and lines
+ * @returns {Promise<Object>} API response with the updated purchase order
+ */
+export async function updatePurchaseOrder(purchaseOrderId, orderData) {
+  const response = await fetch(`/api/purchase-orders/${purchaseOrderId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(orderData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update purchase order");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Deletes a draft purchase order via API
+ * @param {string} purchaseOrderId - Purchase order ID to delete
+ * @returns {Promise<Object>} Delete response
+ */
+export async function deletePurchaseOrder(purchaseOrderId) {
+  const response = await fetch(`/api/purchase-orders/${purchaseOrderId}`, {
+    method: "DELETE",
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to delete purchase order");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Runs a status action on a purchase order via API
+ * @param {string} purchaseOrderId - Purchase order ID
+ * @param {"send" | "close"} action - Action to run
+ * @returns {Promise<Object>} API response with the updated purchase order
+ */
+export async function updatePurchaseOrderStatus(purchaseOrderId, action) {
+  const response = await fetch(
+    `/api/purchase-orders/${purchaseOrderId}/${action}`,
+    { method: "POST" }
+  );
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update purchase order");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Records a delivery against a purchase order via API
+ * @param {string} purchaseOrderId - Purchase order ID
+ * @param {Object} deliveryData - Payment status, note and quantity per line
+ * @returns {Promise<Object>} API response with the updated purchase order
+ */
+export async function receivePurchaseOrder(purchaseOrderId, deliveryData) {
+  const response = await fetch(
+    `/api/purchase-orders/${purchaseOrderId}/receive`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(deliveryData),
+    }
+  );
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to receive delivery");
+  }
+
+  return await response.json();
+}
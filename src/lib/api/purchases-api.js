@@ -0,0 +1,23 @@
+// /src/lib/api/purchases-api.js
+
+/**
+ * Finalizes a stock receipt via API
+ * @param {Object} purchaseData - Purchase data with supplier, payment status and items
+ * @returns {Promise<Object>} API response with the created purchase
+ */
+export async function createPurchase(purchaseData) {
+  const response = await fetch("/api/purchases", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(purchaseData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to receive stock");
+  }
+
+  return await response.json();
+}
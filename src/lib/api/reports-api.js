@@ -0,0 +1,100 @@
+// /src/lib/api/reports-api.js
+/**
+ * Fetches the low-stock report
+ * @param {{ days?: number, coverDays?: number, locationId?: string }} [params] - Report options
+ * @returns {Promise<Object>} Low-stock report grouped by supplier
+ */
+export async function fetchLowStockReport(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/reports/low-stock?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch low-stock report");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the discount report
+ * @param {{ days?: number, period?: string }} [params] - Report options
+ * @returns {Promise<Object>} Discount totals per period and staff member
+ */
+export async function fetchDiscountReport(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/reports/discounts?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch discount report");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the inventory valuation report
+ * @param {{ asOf?: string }} [params] - Date to value stock at (YYYY-MM-DD)
+ * @returns {Promise<Object>} Stock value per category and product
+ */
+export async function fetchValuationReport(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/reports/valuation?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch inventory valuation");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the profit report
+ * @param {{ days?: number, period?: string }} [params] - Report options
+ * @returns {Promise<Object>} Revenue, cost and profit per period
+ */
+export async function fetchProfitReport(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/reports/profit?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch profit report");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the tax report
+ * @param {{ days?: number, period?: string }} [params] - Report options
+ * @returns {Promise<Object>} Tax collected, refunded and paid per period
+ */
+export async function fetchTaxReport(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/reports/tax?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch tax report");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the expiring-soon report
+ * @param {{ days?: number, locationId?: string }} [params] - Report options
+ * @returns {Promise<Object>} Lots expiring within the window, earliest first
+ */
+export async function fetchExpiringLotsReport(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/reports/expiring?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch expiring-soon report");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Builds the download URL for the low-stock report as CSV
+ * @param {{ days?: number, coverDays?: number, locationId?: string }} [params] - Report options
+ * @returns {string} CSV download URL
+ */
+export function getLowStockReportCsvUrl(params = {}) {
+  const query = new URLSearchParams({ ...params, format: "csv" });
+  return `/api/reports/low-stock?${query}`;
+}
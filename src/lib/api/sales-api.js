@@ -0,0 +1,90 @@
+// /src/lib/api/sales-api.js
+
+/**
+ * Completes a sale via API
+ * @param {Object} saleData - Sale data with payment method and cart items
+ * @returns {Promise<Object>} API response with the created sale
+ */
+export async function createSale(saleData) {
+  const response = await fetch("/api/sales", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(saleData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to complete sale");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Fetches sales from API with search, sorting and pagination
+ * @param {Object} [params] - Query params (page, limit, q, sort, order)
+ * @returns {Promise<Object>} Sales list with pagination info
+ */
+export async function fetchSales(params = {}) {
+  // Leave out empty params so the API falls back to its defaults
+  const query = new URLSearchParams(
+    Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+  const response = await fetch(`/api/sales?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch sales");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a single sale by ID
+ * @param {string} saleId - Sale ID to fetch
+ * @returns {Promise<Object>} Sale with items and returns
+ */
+export async function fetchSale(saleId) {
+  const response = await fetch(`/api/sales/${saleId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch sale");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Returns items from a sale via API
+ * @param {string} saleId - Sale ID the goods were bought on
+ * @param {Object} returnData - Refund method, note and returned quantities
+ * @returns {Promise<Object>} API response with the updated sale
+ */
+export async function createSaleReturn(saleId, returnData) {
+  const response = await fetch(`/api/sales/${saleId}/returns`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(returnData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to process return");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Builds the URL of a sale's printable receipt or invoice
+ * @param {string} saleId - Sale ID
+ * @param {"html" | "pdf"} [format="html"] - 80mm receipt page or A4 PDF invoice
+ * @returns {string} Receipt URL
+ */
+export function getSaleReceiptUrl(saleId, format = "html") {
+  return `/api/sales/${saleId}/receipt?format=${format}`;
+}
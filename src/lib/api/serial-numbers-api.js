@@ -0,0 +1,16 @@
+// /src/lib/api/serial-numbers-api.js
+/**
+ * Looks up a serial number with its supplier, customer and history
+ * @param {string} serial - Serial number or IMEI
+ * @returns {Promise<Object|null>} Serial number, or null if unknown
+ */
+export async function fetchSerialNumber(serial) {
+  const response = await fetch(
+    `/api/serial-numbers?serial=${encodeURIComponent(serial)}`
+  );
+  if (!response.ok) {
+    throw new Error("Failed to look up serial number");
+  }
+  const data = await response.json();
+  return data.data;
+}
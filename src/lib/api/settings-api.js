@@ -0,0 +1,35 @@
+// /src/lib/api/settings-api.js
+/**
+ * Fetches the account settings from API
+ * @returns {Promise<Object>} Account settings
+ */
+export async function fetchSettings() {
+  const response = await fetch("/api/settings");
+  if (!response.ok) {
+    throw new Error("Failed to fetch settings");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Updates the account settings via API
+ * @param {Object} settingsData - Settings fields to save
+ * @returns {Promise<Object>} API response with the updated settings
+ */
+export async function updateSettings(settingsData) {
+  const response = await fetch("/api/settings", {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(settingsData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to save settings");
+  }
+
+  return await response.json();
+}
@@ -0,0 +1,110 @@
+// /src/lib/api/shifts-api.js
+/**
+ * Fetches register shifts from API with pagination
+ * @param {{ page?: number, limit?: number }} [params] - Query params
+ * @returns {Promise<Object>} Shifts list with pagination info
+ */
+export async function fetchShifts(params = {}) {
+  const query = new URLSearchParams(params);
+  const response = await fetch(`/api/shifts?${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch shifts");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches the open register shift with its running totals
+ * @returns {Promise<Object|null>} Open shift, or null when the till is closed
+ */
+export async function fetchCurrentShift() {
+  const response = await fetch("/api/shifts/current");
+  if (!response.ok) {
+    throw new Error("Failed to fetch current shift");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a register shift with its cash movements and totals
+ * @param {string} shiftId - Shift ID to fetch
+ * @returns {Promise<Object>} Shift report
+ */
+export async function fetchShift(shiftId) {
+  const response = await fetch(`/api/shifts/${shiftId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch shift");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Opens a register shift via API
+ * @param {{ openingFloat: number }} shiftData - Opening float
+ * @returns {Promise<Object>} API response with the open shift
+ */
+export async function openShift(shiftData) {
+  const response = await fetch("/api/shifts", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(shiftData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to open shift");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Records cash put into or paid out of the till via API
+ * @param {string} shiftId - Open shift ID
+ * @param {Object} movementData - Type, amount and reason
+ * @returns {Promise<Object>} API response with the updated shift
+ */
+export async function createCashMovement(shiftId, movementData) {
+  const response = await fetch(`/api/shifts/${shiftId}/cash-movements`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(movementData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to record cash movement");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Closes a register shift with the counted cash via API
+ * @param {string} shiftId - Open shift ID
+ * @param {Object} closeData - Counted cash and optional note
+ * @returns {Promise<Object>} API response with the closed shift
+ */
+export async function closeShift(shiftId, closeData) {
+  const response = await fetch(`/api/shifts/${shiftId}/close`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(closeData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to close shift");
+  }
+
+  return await response.json();
+}
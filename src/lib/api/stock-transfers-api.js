@@ -0,0 +1,71 @@
+// /src/lib/api/stock-transfers-api.js
+/**
+ * Fetches stock transfers from API
+ * @param {string} [status] - Only transfers with this status
+ * @returns {Promise<Array>} Array of stock transfers
+ */
+export async function fetchStockTransfers(status) {
+  const query = status ? `?status=${status}` : "";
+  const response = await fetch(`/api/stock-transfers${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch stock transfers");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a single stock transfer by ID
+ * @param {string} transferId - Stock transfer ID to fetch
+ * @returns {Promise<Object>} Stock transfer with its lines
+ */
+export async function fetchStockTransfer(transferId) {
+  const response = await fetch(`/api/stock-transfers/${transferId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch stock transfer");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Sends stock between locations via API
+ * @param {Object} transferData - Locations, note and quantity per product
+ * @returns {Promise<Object>} API response with the created transfer
+ */
+export async function createStockTransfer(transferData) {
+  const response = await fetch("/api/stock-transfers", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(transferData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to send transfer");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Runs a status action on a stock transfer via API
+ * @param {string} transferId - Stock transfer ID
+ * @param {"receive" | "cancel"} action - Action to run
+ * @returns {Promise<Object>} API response with the updated transfer
+ */
+export async function updateStockTransferStatus(transferId, action) {
+  const response = await fetch(
+    `/api/stock-transfers/${transferId}/${action}`,
+    { method: "POST" }
+  );
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update transfer");
+  }
+
+  return await response.json();
+}
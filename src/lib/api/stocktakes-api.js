@@ -0,0 +1,93 @@
+// /src/lib/api/stocktakes-api.js
+/**
+ * Fetches stocktakes from API
+ * @param {string} [status] - Only stocktakes with this status
+ * @returns {Promise<Array>} Array of stocktakes
+ */
+export async function fetchStocktakes(status) {
+  const query = status ? `?status=${status}` : "";
+  const response = await fetch(`/api/stocktakes${query}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch stocktakes");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a single stocktake by ID
+ * @param {string} stocktakeId - Stocktake ID to fetch
+ * @returns {Promise<Object>} Stocktake with its lines
+ */
+export async function fetchStocktake(stocktakeId) {
+  const response = await fetch(`/api/stocktakes/${stocktakeId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch stocktake");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Starts a stocktake via API
+ * @param {Object} stocktakeData - Scope, category or supplier, and note
+ * @returns {Promise<Object>} API response with the created stocktake
+ */
+export async function createStocktake(stocktakeData) {
+  const response = await fetch("/api/stocktakes", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(stocktakeData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to start stocktake");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Saves counted quantities on a stocktake via API
+ * @param {string} stocktakeId - Stocktake ID
+ * @param {Object} countsData - Count and variance reason per line
+ * @returns {Promise<Object>} API response with the updated stocktake
+ */
+export async function saveStocktakeCounts(stocktakeId, countsData) {
+  const response = await fetch(`/api/stocktakes/${stocktakeId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(countsData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to save counts");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Runs a status action on a stocktake via API
+ * @param {string} stocktakeId - Stocktake ID
+ * @param {"approve" | "cancel"} action - Action to run
+ * @returns {Promise<Object>} API response with the updated stocktake
+ */
+export async function updateStocktakeStatus(stocktakeId, action) {
+  const response = await fetch(`/api/stocktakes/${stocktakeId}/${action}`, {
+    method: "POST",
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update stocktake");
+  }
+
+  return await response.json();
+}
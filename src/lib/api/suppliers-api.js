@@ -0,0 +1,148 @@
+// /src/lib/api/suppliers-api.js
+/**
+ * Fetches suppliers from API
+ * @returns {Promise<Array>} Array of suppliers
+ */
+export async function fetchSuppliers() {
+  const response = await fetch("/api/suppliers");
+  if (!response.ok) {
+    throw new Error("Failed to fetch suppliers");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Fetches a single supplier by ID
+ * @param {string} supplierId - Supplier ID to fetch
+ * @returns {Promise<Object>} Supplier data
+ */
+export async function fetchSupplier(supplierId) {
+  const response = await fetch(`/api/suppliers/${supplierId}`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch supplier");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Creates a new supplier via API
+ * @param {Object} supplierData - Supplier data to create
+ * @returns {Promise<Object>} API response
+ */
+export async function createSupplier(supplierData) {
+  const response = await fetch("/api/suppliers", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(toApiData(supplierData)),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to create supplier");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Updates a supplier via API
+ * @param {string} supplierId - Supplier ID to update
+ * @param {Object} supplierData - Supplier data to update
+ * @returns {Promise<Object>} API response with the updated supplier
+ */
+export async function updateSupplier(supplierId, supplierData) {
+  const response = await fetch(`/api/suppliers/${supplierId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    // Empty contact fields are sent as null so they get cleared
+    body: JSON.stringify(toApiData(supplierData, null)),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update supplier");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Deletes a supplier via API
+ * @param {string} supplierId - Supplier ID to delete
+ * @param {string} [reassignToId] - Supplier ID to move assigned products to
+ * @returns {Promise<Object>} Delete response
+ */
+export async function deleteSupplier(supplierId, reassignToId) {
+  const query = reassignToId
+    ? `?${new URLSearchParams({ reassignTo: reassignToId })}`
+    : "";
+  const response = await fetch(`/api/suppliers/${supplierId}${query}`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to delete supplier");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Fetches a supplier's ledger of credit purchases and payments from API
+ * @param {string} supplierId - Supplier ID
+ * @returns {Promise<Object>} Supplier and ledger entries
+ */
+export async function fetchSupplierLedger(supplierId) {
+  const response = await fetch(`/api/suppliers/${supplierId}/ledger`);
+  if (!response.ok) {
+    throw new Error("Failed to fetch supplier ledger");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Records a payment made against a supplier's balance via API
+ * @param {string} supplierId - Supplier ID
+ * @param {Object} paymentData - Payment data (amount, note)
+ * @returns {Promise<Object>} API response with the recorded payment
+ */
+export async function createSupplierPayment(supplierId, paymentData) {
+  const response = await fetch(`/api/suppliers/${supplierId}/payments`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(paymentData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to record payment");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Converts supplier form values to an API payload
+ * @param {Object} supplierData - Form values
+ * @param {null|undefined} [emptyValue] - Value to send for blank contact fields
+ * @returns {Object} API payload
+ */
+function toApiData(supplierData, emptyValue = undefined) {
+  return {
+    name: supplierData.name,
+    contactEmail: supplierData.contactEmail || emptyValue,
+    contactPhone: supplierData.contactPhone || emptyValue,
+    address: supplierData.address || emptyValue,
+  };
+}
@@ -0,0 +1,77 @@
+// /src/lib/api/tax-rates-api.js
+/**
+ * Fetches tax rates from API
+ * @returns {Promise<Array>} Array of tax rates
+ */
+export async function fetchTaxRates() {
+  const response = await fetch("/api/tax-rates");
+  if (!response.ok) {
+    throw new Error("Failed to fetch tax rates");
+  }
+  const data = await response.json();
+  return data.data;
+}
+
+/**
+ * Creates a new tax rate via API
+ * @param {{ name: string, rate: number }} taxRateData - Tax rate to create
+ * @returns {Promise<Object>} API response with the created tax rate
+ */
+export async function createTaxRate(taxRateData) {
+  const response = await fetch("/api/tax-rates", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(taxRateData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to create tax rate");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Updates a tax rate via API
+ * @param {string} taxRateId - Tax rate ID to update
+ * @param {{ name?: string, rate?: number }} taxRateData - Fields to save
+ * @returns {Promise<Object>} API response with the updated tax rate
+ */
+export async function updateTaxRate(taxRateId, taxRateData) {
+  const response = await fetch(`/api/tax-rates/${taxRateId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(taxRateData),
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to update tax rate");
+  }
+
+  return await response.json();
+}
+
+/**
+ * Deletes a tax rate via API
+ * @param {string} taxRateId - Tax rate ID to delete
+ * @returns {Promise<Object>} Delete response
+ */
+export async function deleteTaxRate(taxRateId) {
+  const response = await fetch(`/api/tax-rates/${taxRateId}`, {
+    method: "DELETE",
+    headers: { "Content-Type": "application/json" },
+  });
+
+  if (!response.ok) {
+    const error = await response.json();
+    throw new Error(error.error || "Failed to delete tax rate");
+  }
+
+  return await response.json();
+}
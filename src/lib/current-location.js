@@ -0,0 +1,14 @@
+// /src/lib/current-location.js
+import { cookies } from "next/headers";
+import { CURRENT_LOCATION_COOKIE } from "@/lib/schemas/location-schemas";
+
+/**
+ * Reads the location chosen in the topbar switcher (server only).
+ * The ID is not trusted: services resolve it against the user's locations
+ * and fall back to the default location when it is missing or stale.
+ * @returns {Promise<string|undefined>} Location ID from the cookie
+ */
+export async function getCurrentLocationId() {
+  const cookieStore = await cookies();
+  return cookieStore.get(CURRENT_LOCATION_COOKIE)?.value || undefined;
+}
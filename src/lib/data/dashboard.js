@@ -8,7 +8,14 @@ import prisma from "@/lib/prisma";
  * @property {number} categories - Number of user's categories
  * @property {number} suppliers - Number of user's suppliers
  * @property {number} customers - Number of user's customers
- * @property {number} products - Number of user's products
+ * @property {number} products - Number of user's products (variants count with their parent)
+ */
+
+/**
+ * Dashboard balances response data
+ * @typedef {Object} DashboardBalances
+ * @property {number} receivables - Total amount owed by customers on account
+ * @property {number} payables - Total amount owed to suppliers for credit purchases
  */
 
 /**
@@ -22,7 +29,7 @@ export async function getDashboardCounts(userId) {
       prisma.category.count({ where: { userId } }),
       prisma.supplier.count({ where: { userId } }),
       prisma.customer.count({ where: { userId } }),
-      prisma.product.count({ where: { userId } }),
+      prisma.product.count({ where: { userId, parentId: null } }),
     ]);
 
     return { categories, suppliers, customers, products };
@@ -31,3 +38,31 @@ export async function getDashboardCounts(userId) {
     throw new Error("Failed to fetch dashboard counts");
   }
 }
+
+/**
+ * Fetches outstanding account balances for the dashboard
+ * @param {string} userId - The authenticated user's ID
+ * @returns {Promise<DashboardBalances>} Outstanding balances
+ */
+export async function getDashboardBalances(userId) {
+  try {
+    const [receivables, payables] = await Promise.all([
+      prisma.customer.aggregate({
+        where: { userId, balance: { gt: 0 } },
+        _sum: { balance: true },
+      }),
+      prisma.supplier.aggregate({
+        where: { userId, balance: { gt: 0 } },
+        _sum: { balance: true },
+      }),
+    ]);
+
+    return {
+      receivables: receivables._sum.balance || 0,
+      payables: payables._sum.balance || 0,
+    };
+  } catch (error) {
+    console.error("Error fetching dashboard balances:", error);
+    throw new Error("Failed to fetch dashboard balances");
+  }
+}
@@ -0,0 +1,168 @@
+// /src/lib/pdf.js
+
+/**
+ * Text drawn on a PDF page
+ * @typedef {Object} PdfText
+ * @property {"text"} type - Item type
+ * @property {string} text - Text to draw
+ * @property {number} x - Left edge, or right edge when right-aligned (points)
+ * @property {number} y - Baseline, measured from the top of the page (points)
+ * @property {number} [size=10] - Font size in points
+ * @property {boolean} [bold=false] - Use the bold font
+ * @property {"left" | "right"} [align="left"] - Horizontal alignment
+ */
+
+/**
+ * Straight line drawn on a PDF page
+ * @typedef {Object} PdfLine
+ * @property {"line"} type - Item type
+ * @property {number} x1 - Start x (points)
+ * @property {number} y1 - Start y, measured from the top of the page (points)
+ * @property {number} x2 - End x (points)
+ * @property {number} y2 - End y, measured from the top of the page (points)
+ */
+
+/**
+ * A4 page size in points
+ */
+export const A4 = { width: 595, height: 842 };
+
+// Helvetica glyph widths (1/1000 em) for printable ASCII, from the standard
+// font metrics. Bold text is measured with these too, which is close enough
+// for right-aligning labels and exact for digits.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+
+// WinAnsi codes for the common characters outside Latin-1
+const WIN_ANSI_CODES = {
+  "–": 0x96, // en dash
+  "—": 0x97, // em dash
+  "•": 0x95, // bullet
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "€": 0x80, // euro sign
+  "…": 0x85, // ellipsis
+};
+
+/**
+ * Measures text set in Helvetica
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+export function measureText(text, size) {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0);
+    width += HELVETICA_WIDTHS[code - 32] ?? 556;
+  }
+  return (width * size) / 1000;
+}
+
+/**
+ * Encodes text as a PDF string literal in WinAnsi encoding. Characters the
+ * standard fonts cannot show are replaced with "?".
+ * @param {string} text - Text to encode
+ * @returns {string} PDF string literal, parentheses included
+ */
+function toPdfString(text) {
+  let encoded = "";
+  for (const char of String(text)) {
+    const code = WIN_ANSI_CODES[char] ?? char.charCodeAt(0);
+    if (char === "\\" || char === "(" || char === ")") {
+      encoded += `\\${char}`;
+    } else if (code >= 32 && code <= 126) {
+      encoded += char;
+    } else if (code <= 255 && char.length === 1) {
+      encoded += `\\${code.toString(8).padStart(3, "0")}`;
+    } else {
+      encoded += "?";
+    }
+  }
+  return `(${encoded})`;
+}
+
+/**
+ * Builds the content stream operators for one page
+ * @param {Array<PdfText|PdfLine>} items - Items to draw
+ * @param {number} height - Page height in points
+ * @returns {string} Content stream
+ */
+function toContentStream(items, height) {
+  return items
+    .map((item) => {
+      if (item.type === "line") {
+        return `0.5 w ${item.x1} ${height - item.y1} m ${item.x2} ${
+          height - item.y2
+        } l S`;
+      }
+      const size = item.size ?? 10;
+      const x =
+        item.align === "right" ? item.x - measureText(item.text, size) : item.x;
+      const font = item.bold ? "F2" : "F1";
+      return `BT /${font} ${size} Tf ${x.toFixed(2)} ${
+        height - item.y
+      } Td ${toPdfString(item.text)} Tj ET`;
+    })
+    .join("\n");
+}
+
+/**
+ * Writes a PDF document using the built-in Helvetica fonts, so no font files
+ * or external services are needed.
+ * @param {Array<Array<PdfText|PdfLine>>} pages - Items to draw, one array per page
+ * @param {{ width: number, height: number }} [pageSize=A4] - Page size in points
+ * @returns {Buffer} PDF file contents
+ */
+export function createPdf(pages, pageSize = A4) {
+  const { width, height } = pageSize;
+  const fontObjects = [
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+
+  // Objects 1-4 are the catalog, page tree and fonts; each page then adds
+  // its page object followed by its content stream
+  const pageObjects = pages.flatMap((items, index) => {
+    const content = toContentStream(items, height);
+    const contentId = 6 + index * 2;
+    return [
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    ];
+  });
+  const kids = pages.map((_, index) => `${5 + index * 2} 0 R`).join(" ");
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`,
+    ...fontObjects,
+    ...pageObjects,
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  // Content is plain ASCII (other characters are escaped), so string
+  // lengths are byte offsets
+  return Buffer.from(pdf, "latin1");
+}
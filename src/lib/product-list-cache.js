@@ -0,0 +1,51 @@
+// /src/lib/product-list-cache.js
+import { queryKeys } from "@/lib/queryKeys";
+
+/**
+ * Helpers for optimistic updates of the cached products list pages.
+ * The products table caches one query per page/filter combination, so
+ * updates are applied to every cached page rather than a single key.
+ */
+
+/**
+ * Takes a snapshot of every cached products list page
+ * @param {import("@tanstack/react-query").QueryClient} queryClient - Query client
+ * @returns {Array<[Array, Object]>} Query key and data pairs
+ */
+export function snapshotProductLists(queryClient) {
+  return queryClient.getQueriesData({ queryKey: queryKeys.list("products") });
+}
+
+/**
+ * Applies an update to the products of every cached products list page,
+ * and to the variants listed under each parent product
+ * @param {import("@tanstack/react-query").QueryClient} queryClient - Query client
+ * @param {(products: Array) => Array} updateProducts - Returns the updated products
+ */
+export function updateProductLists(queryClient, updateProducts) {
+  queryClient.setQueriesData(
+    { queryKey: queryKeys.list("products") },
+    (oldData) => {
+      if (!oldData || !oldData.products) return oldData;
+      return {
+        ...oldData,
+        products: updateProducts(oldData.products).map((product) =>
+          product.variants?.length
+            ? { ...product, variants: updateProducts(product.variants) }
+            : product
+        ),
+      };
+    }
+  );
+}
+
+/**
+ * Restores products list pages from a snapshot
+ * @param {import("@tanstack/react-query").QueryClient} queryClient - Query client
+ * @param {Array<[Array, Object]>} [snapshot] - Snapshot from snapshotProductLists
+ */
+export function restoreProductLists(queryClient, snapshot) {
+  snapshot?.forEach(([queryKey, data]) => {
+    queryClient.setQueryData(queryKey, data);
+  });
+}
@@ -1,6 +1,6 @@
 // /src/lib/queryKeys.js
 /**
- * @typedef {'products' | 'categories' | 'suppliers' | 'customers'} QueryKeyResource
+ * @typedef {'products' | 'categories' | 'taxRates' | 'suppliers' | 'supplierLedgers' | 'customers' | 'customerStatements' | 'stockMovements' | 'purchases' | 'purchaseOrders' | 'stocktakes' | 'locations' | 'stockTransfers' | 'productStockLevels' | 'serialNumbers' | 'sales' | 'lowStockReport' | 'expiringReport' | 'valuationReport' | 'profitReport' | 'discountReport' | 'taxReport' | 'settings' | 'shifts'} QueryKeyResource
  */
 
 export const queryKeys = {
@@ -13,4 +13,5 @@ export const CategoryFormSchema = z.object({
     .max(255, "Category name must be less than 255 characters")
     .transform(normalizeName),
   description: z.string().trim().optional(),
+  taxRateId: z.string().optional(),
 });
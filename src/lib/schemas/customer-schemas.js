@@ -0,0 +1,65 @@
+// /src/lib/schemas/customer-schemas.js
+import { z } from "zod";
+import { normalizeName } from "@/lib/utils";
+
+/**
+ * Customer form validation schema for creation and editing
+ */
+export const CustomerFormSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Customer name is required")
+    .max(255, "Customer name must be less than 255 characters")
+    .transform(normalizeName),
+  contactEmail: z
+    .string()
+    .trim()
+    .email("Enter a valid email address")
+    .or(z.literal(""))
+    .optional(),
+  contactPhone: z.string().trim().max(50).optional(),
+  address: z.string().trim().max(500).optional(),
+});
+
+/**
+ * Customer creation API validation schema
+ */
+export const CreateCustomerSchema = z.object({
+  name: z.string().min(1, "Customer name is required").max(255),
+  contactEmail: z.string().email().optional(),
+  contactPhone: z.string().max(50).optional(),
+  address: z.string().max(500).optional(),
+});
+
+/**
+ * Customer update API validation schema
+ */
+export const UpdateCustomerSchema = z.object({
+  name: z.string().min(1).max(255).optional(),
+  contactEmail: z.string().email().nullable().optional(),
+  contactPhone: z.string().max(50).nullable().optional(),
+  address: z.string().max(500).nullable().optional(),
+});
+
+/**
+ * Customer payment form validation schema (string form values)
+ */
+export const CustomerPaymentFormSchema = z.object({
+  amount: z
+    .string()
+    .min(1, "Amount is required")
+    .refine(
+      (value) => !isNaN(parseFloat(value)) && parseFloat(value) > 0,
+      "Amount must be greater than zero"
+    ),
+  note: z.string().trim().max(500).optional(),
+});
+
+/**
+ * Customer payment API validation schema
+ */
+export const CreateCustomerPaymentSchema = z.object({
+  amount: z.number().positive("Amount must be greater than zero"),
+  note: z.string().trim().max(500).optional(),
+});
@@ -0,0 +1,104 @@
+// /src/lib/schemas/location-schemas.js
+import { z } from "zod";
+import { SerialNumbersSchema } from "@/lib/schemas/serial-schemas";
+
+/**
+ * Cookie holding the location the user is working at. Sales, deliveries,
+ * adjustments and stocktakes happen at this location.
+ */
+export const CURRENT_LOCATION_COOKIE = "locationId";
+
+/**
+ * Stock transfer statuses, in lifecycle order
+ */
+export const STOCK_TRANSFER_STATUSES = [
+  { value: "IN_TRANSIT", label: "In transit" },
+  { value: "RECEIVED", label: "Received" },
+  { value: "CANCELLED", label: "Cancelled" },
+];
+
+/**
+ * Formats a stock transfer number for display (e.g. TR-0007)
+ * @param {number} number - Sequential transfer number
+ * @returns {string} Display number
+ */
+export function formatTransferNumber(number) {
+  return `TR-${String(number).padStart(4, "0")}`;
+}
+
+/**
+ * Location form validation schema for creation and renaming
+ */
+export const LocationFormSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters"),
+});
+
+/**
+ * Location creation API validation schema
+ */
+export const CreateLocationSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+});
+
+/**
+ * Location update API validation schema
+ * Setting isDefault moves the default flag to this location.
+ */
+export const UpdateLocationSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  isDefault: z.literal(true).optional(),
+});
+
+/**
+ * Per-location reorder points API validation schema
+ */
+export const UpdateReorderPointsSchema = z.object({
+  levels: z
+    .array(
+      z.object({
+        locationId: z.string().min(1, "Location is required"),
+        reorderPoint: z
+          .number()
+          .int("Reorder point must be a whole number")
+          .min(0, "Reorder point cannot be negative"),
+      })
+    )
+    .min(1, "Nothing to save"),
+});
+
+/**
+ * Stock transfer creation API validation schema
+ */
+export const CreateStockTransferSchema = z
+  .object({
+    fromLocationId: z.string().min(1, "Sending location is required"),
+    toLocationId: z.string().min(1, "Receiving location is required"),
+    note: z.string().max(500).optional(),
+    items: z
+      .array(
+        z
+          .object({
+            productId: z.string().min(1, "Product is required"),
+            quantity: z
+              .number()
+              .int("Quantity must be a whole number")
+              .positive("Quantity must be at least 1"),
+          })
+          .merge(SerialNumbersSchema)
+      )
+      .min(1, "Add at least one product"),
+  })
+  .refine((data) => data.fromLocationId !== data.toLocationId, {
+    message: "Choose two different locations",
+    path: ["toLocationId"],
+  })
+  .refine(
+    (data) =>
+      new Set(data.items.map((item) => item.productId)).size ===
+      data.items.length,
+    { message: "Each product can only be listed once", path: ["items"] }
+  );
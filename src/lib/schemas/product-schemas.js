@@ -1,11 +1,195 @@
 // /src/lib/schemas/product-schemas.js
 import { z } from "zod";
+import { SerialNumbersSchema } from "@/lib/schemas/serial-schemas";
 import { normalizeName } from "@/lib/utils";
 
 /**
- * Product creation form validation schema
+ * Most option axes (e.g. Size, Colour) a product can vary by
  */
-export const ProductFormSchema = z.object({
+export const MAX_OPTION_AXES = 3;
+
+/**
+ * Most variants a product can have
+ */
+export const MAX_VARIANTS = 100;
+
+/**
+ * Splits a comma-separated list of option values, dropping blanks and
+ * repeats (case-insensitive)
+ * @param {string} text - Option values, e.g. "S, M, L"
+ * @returns {string[]} Option values in the order given
+ */
+export function parseOptionValues(text) {
+  const seen = new Set();
+  return (text ?? "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter((value) => {
+      const key = value.toLowerCase();
+      if (!value || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Lists every combination of option values, one per variant. The first
+ * axis changes slowest (S / Red, S / Blue, M / Red, ...).
+ * @param {{ name: string, values: string[] }[]} axes - Option axes
+ * @returns {string[][]} Value on each axis, per variant
+ */
+export function getVariantCombinations(axes) {
+  if (axes.length === 0) return [];
+  return axes.reduce(
+    (combinations, axis) =>
+      combinations.flatMap((combination) =>
+        axis.values.map((value) => [...combination, value])
+      ),
+    [[]]
+  );
+}
+
+/**
+ * Formats a variant's option values for display
+ * @param {string[]} optionValues - Value on each axis, in axis order
+ * @returns {string} Variant label (e.g. M / Red)
+ */
+export function formatVariantLabel(optionValues) {
+  return optionValues.join(" / ");
+}
+
+/**
+ * Builds a variant's product name from its parent's
+ * @param {string} parentName - Parent product name
+ * @param {string[]} optionValues - Value on each axis, in axis order
+ * @returns {string} Variant name (e.g. T-Shirt - M / Red)
+ */
+export function formatVariantName(parentName, optionValues) {
+  return `${parentName} - ${formatVariantLabel(optionValues)}`;
+}
+
+/**
+ * Suggests a variant SKU from its parent's SKU and option values
+ * @param {string} parentSku - Parent product SKU
+ * @param {string[]} optionValues - Value on each axis, in axis order
+ * @returns {string} Variant SKU (e.g. TEE-M-RED)
+ */
+export function suggestVariantSku(parentSku, optionValues) {
+  const codes = optionValues.map(
+    (value) =>
+      value
+        .toUpperCase()
+        .replace(/[^A-Z0-9]+/g, "")
+        .slice(0, 10) || "X"
+  );
+  return [parentSku, ...codes].join("-");
+}
+
+/**
+ * Product creation form validation schema. With variants, every variant
+ * needs a price; stock and reorder points are then set per variant.
+ */
+export const ProductFormSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(1, "Product name is required")
+      .max(255)
+      .transform(normalizeName),
+    description: z.string().trim().optional(),
+    sku: z.string().trim().optional(),
+    sellingPrice: z.string().min(1, "Selling price is required"),
+    purchasePrice: z.string().optional(),
+    stock: z.string().optional(),
+    reorderPoint: z.string().optional(),
+    unit: z.string().min(1, "Selling unit is required"),
+    categoryId: z.string().optional(),
+    supplierId: z.string().optional(),
+    taxRateId: z.string().optional(),
+    trackLots: z.boolean().optional(),
+    serialized: z.boolean().optional(),
+    hasVariants: z.boolean().optional(),
+    optionAxes: z
+      .array(
+        z.object({
+          name: z.string().trim().max(50, "Option name is too long"),
+          values: z.string().transform(parseOptionValues),
+        })
+      )
+      .optional(),
+    variants: z
+      .array(
+        z.object({
+          optionValues: z.array(z.string()),
+          sku: z.string().trim().optional(),
+          sellingPrice: z.string(),
+          stock: z.string().optional(),
+          reorderPoint: z.string().optional(),
+        })
+      )
+      .optional(),
+  })
+  .superRefine((data, ctx) => {
+    if (!data.hasVariants) return;
+
+    const axes = data.optionAxes ?? [];
+    const names = new Set();
+    axes.forEach((axis, index) => {
+      if (!axis.name && axis.values.length === 0) return;
+      if (!axis.name) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Option name is required",
+          path: ["optionAxes", index, "name"],
+        });
+      } else if (names.has(axis.name.toLowerCase())) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Option names must be different",
+          path: ["optionAxes", index, "name"],
+        });
+      }
+      names.add(axis.name.toLowerCase());
+      if (axis.values.length === 0) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Add at least one value",
+          path: ["optionAxes", index, "values"],
+        });
+      }
+    });
+
+    const variants = data.variants ?? [];
+    if (variants.length === 0) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Add an option with its values to create variants",
+        path: ["variants"],
+      });
+    } else if (variants.length > MAX_VARIANTS) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: `A product can have at most ${MAX_VARIANTS} variants`,
+        path: ["variants"],
+      });
+    }
+    // A blank variant price falls back to the product's selling price
+    variants.forEach((variant, index) => {
+      if (variant.sellingPrice && !(Number(variant.sellingPrice) > 0)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: "Price must be a positive number",
+          path: ["variants", index, "sellingPrice"],
+        });
+      }
+    });
+  });
+
+/**
+ * Product edit form validation schema
+ */
+export const EditProductSchema = z.object({
   name: z
     .string()
     .trim()
@@ -16,51 +200,164 @@ export const ProductFormSchema = z.object({
   sku: z.string().trim().optional(),
   sellingPrice: z.string().min(1, "Selling price is required"),
   purchasePrice: z.string().optional(),
-  stock: z.string().optional(),
   reorderPoint: z.string().optional(),
   unit: z.string().min(1, "Selling unit is required"),
   categoryId: z.string().optional(),
   supplierId: z.string().optional(),
+  taxRateId: z.string().optional(),
+  trackLots: z.boolean().optional(),
+  serialized: z.boolean().optional(),
 });
 
 /**
- * Product edit form validation schema
+ * Product creation API validation schema. Option axes with their variants
+ * create a parent product with one product per variant.
  */
-export const EditProductSchema = z.object({
-  name: z
+export const CreateProductSchema = z
+  .object({
+    name: z.string().min(1, "Product name is required").max(255),
+    description: z.string().optional(),
+    sku: z.string().optional(),
+    sellingPrice: z.number().positive("Selling price must be positive"),
+    purchasePrice: z.number().positive().optional(),
+    stock: z.number().int().min(0, "Stock cannot be negative").optional(),
+    reorderPoint: z
+      .number()
+      .int()
+      .min(0, "Reorder point cannot be negative")
+      .optional(),
+    unit: z.string().optional(),
+    categoryId: z.string().optional(),
+    supplierId: z.string().optional(),
+    taxRateId: z.string().optional(),
+    trackLots: z.boolean().optional(),
+    serialized: z.boolean().optional(),
+    optionAxes: z
+      .array(
+        z.object({
+          name: z.string().trim().min(1, "Option name is required").max(50),
+          values: z
+            .array(z.string().trim().min(1).max(50))
+            .min(1, "Add at least one value"),
+        })
+      )
+      .min(1)
+      .max(MAX_OPTION_AXES)
+      .optional(),
+    variants: z
+      .array(
+        z.object({
+          optionValues: z.array(z.string().trim().min(1)).min(1),
+          sku: z.string().optional(),
+          sellingPrice: z.number().positive("Selling price must be positive"),
+          stock: z.number().int().min(0, "Stock cannot be negative").optional(),
+          reorderPoint: z
+            .number()
+            .int()
+            .min(0, "Reorder point cannot be negative")
+            .optional(),
+        })
+      )
+      .min(1)
+      .max(MAX_VARIANTS)
+      .optional(),
+  })
+  .refine((data) => !data.optionAxes === !data.variants, {
+    message: "Option axes and variants must be sent together",
+    path: ["variants"],
+  });
+
+/**
+ * Fields the products list can be sorted by
+ */
+export const PRODUCT_SORT_FIELDS = ["name", "sellingPrice", "stock", "createdAt"];
+
+/**
+ * Products list query validation schema (search params of GET /api/products
+ * and the products page). Inactive products are hidden unless asked for.
+ */
+export const ProductListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).catch(1),
+  limit: z.coerce.number().int().min(1).max(100).catch(10),
+  q: z.string().trim().max(255).optional().catch(undefined),
+  categoryId: z.string().optional().catch(undefined),
+  supplierId: z.string().optional().catch(undefined),
+  lowStock: z
+    .enum(["true", "false"])
+    .transform((value) => value === "true")
+    .catch(false),
+  status: z.enum(["active", "inactive", "all"]).catch("active"),
+  sort: z.enum(PRODUCT_SORT_FIELDS).catch("createdAt"),
+  order: z.enum(["asc", "desc"]).catch("desc"),
+});
+
+/**
+ * Display labels for stock movement types
+ * @type {Record<string, string>}
+ */
+export const MOVEMENT_TYPE_LABELS = {
+  INITIAL: "Initial stock",
+  ADJUSTMENT: "Adjustment",
+  PURCHASE: "Stock receipt",
+  SALE: "Sale",
+  RETURN: "Sale return",
+  TRANSFER_OUT: "Transfer out",
+  TRANSFER_IN: "Transfer in",
+};
+
+/**
+ * Reason codes for manual stock adjustments
+ */
+export const ADJUSTMENT_REASONS = [
+  { value: "DAMAGE", label: "Damage" },
+  { value: "COUNT_CORRECTION", label: "Count Correction" },
+  { value: "THEFT", label: "Theft" },
+  { value: "EXPIRED", label: "Expired" },
+  { value: "OTHER", label: "Other" },
+];
+
+const ADJUSTMENT_REASON_VALUES = ADJUSTMENT_REASONS.map((r) => r.value);
+
+/**
+ * Stock adjustment form validation schema
+ */
+export const StockAdjustmentFormSchema = z.object({
+  direction: z.enum(["increase", "decrease"]),
+  quantity: z
     .string()
-    .trim()
-    .min(1, "Product name is required")
-    .max(255)
-    .transform(normalizeName),
-  description: z.string().trim().optional(),
-  sku: z.string().trim().optional(),
-  sellingPrice: z.string().min(1, "Selling price is required"),
-  purchasePrice: z.string().optional(),
-  stock: z.string().optional(),
-  reorderPoint: z.string().optional(),
-  unit: z.string().min(1, "Selling unit is required"),
-  categoryId: z.string().optional(),
+    .min(1, "Quantity is required")
+    .refine(
+      (value) => Number.isInteger(Number(value)) && Number(value) > 0,
+      "Quantity must be a whole number greater than zero"
+    ),
+  reason: z.enum(ADJUSTMENT_REASON_VALUES, {
+    errorMap: () => ({ message: "Reason is required" }),
+  }),
+  note: z.string().trim().max(500).optional(),
+  allowNegative: z.boolean().optional(),
+  serials: z.array(z.string()).optional(),
 });
 
 /**
- * Product creation API validation schema
- */
-export const CreateProductSchema = z.object({
-  name: z.string().min(1, "Product name is required").max(255),
-  description: z.string().optional(),
-  sku: z.string().optional(),
-  sellingPrice: z.number().positive("Selling price must be positive"),
-  purchasePrice: z.number().positive().optional(),
-  stock: z.number().int().min(0, "Stock cannot be negative").optional(),
-  reorderPoint: z
-    .number()
-    .int()
-    .min(0, "Reorder point cannot be negative")
-    .optional(),
-  unit: z.string().optional(),
-  categoryId: z.string().optional(),
-  supplierId: z.string().optional(),
+ * Stock adjustment API validation schema
+ */
+export const CreateStockAdjustmentSchema = z
+  .object({
+    quantity: z
+      .number()
+      .int("Quantity must be a whole number")
+      .refine((value) => value !== 0, "Quantity cannot be zero"),
+    reason: z.enum(ADJUSTMENT_REASON_VALUES),
+    note: z.string().max(500).optional(),
+    allowNegative: z.boolean().optional(),
+  })
+  .merge(SerialNumbersSchema);
+
+/**
+ * Lot write-off API validation schema
+ */
+export const WriteOffLotSchema = z.object({
+  note: z.string().max(500).optional(),
 });
 
 /**
@@ -0,0 +1,77 @@
+// /src/lib/schemas/purchase-order-schemas.js
+import { z } from "zod";
+import { ReceivedLotSchema } from "@/lib/schemas/purchase-schemas";
+import { SerialNumbersSchema } from "@/lib/schemas/serial-schemas";
+
+/**
+ * Purchase order statuses, in lifecycle order
+ */
+export const PURCHASE_ORDER_STATUSES = [
+  { value: "DRAFT", label: "Draft" },
+  { value: "SENT", label: "Sent" },
+  { value: "PARTIALLY_RECEIVED", label: "Partially Received" },
+  { value: "CLOSED", label: "Closed" },
+];
+
+/**
+ * Formats a purchase order number for display (e.g. PO-0007)
+ * @param {number} number - Sequential purchase order number
+ * @returns {string} Display number
+ */
+export function formatPurchaseOrderNumber(number) {
+  return `PO-${String(number).padStart(4, "0")}`;
+}
+
+/**
+ * Purchase order line API validation schema
+ */
+export const PurchaseOrderItemSchema = z.object({
+  productId: z.string().min(1, "Product is required"),
+  quantity: z
+    .number()
+    .int("Quantity must be a whole number")
+    .positive("Quantity must be greater than zero"),
+  unitCost: z.number().min(0, "Unit cost cannot be negative"),
+});
+
+/**
+ * Purchase order creation and draft update API validation schema
+ * Updates replace the whole order, lines included.
+ */
+export const PurchaseOrderSchema = z
+  .object({
+    supplierId: z.string().min(1, "Supplier is required"),
+    note: z.string().max(500).optional(),
+    expectedAt: z.coerce.date().optional(),
+    items: z.array(PurchaseOrderItemSchema).min(1, "Add at least one product"),
+  })
+  .refine(
+    (data) =>
+      new Set(data.items.map((item) => item.productId)).size ===
+      data.items.length,
+    { message: "Each product can only appear once", path: ["items"] }
+  );
+
+/**
+ * Purchase order delivery API validation schema
+ */
+export const ReceivePurchaseOrderSchema = z.object({
+  paymentStatus: z.enum(["PAID", "CREDIT"]),
+  note: z.string().max(500).optional(),
+  items: z
+    .array(
+      z
+        .object({
+          itemId: z.string().min(1, "Order line is required"),
+          quantity: z
+            .number()
+            .int("Quantity must be a whole number")
+            .min(0, "Quantity cannot be negative"),
+        })
+        .merge(ReceivedLotSchema)
+        .merge(SerialNumbersSchema)
+    )
+    .refine((items) => items.some((item) => item.quantity > 0), {
+      message: "Enter a received quantity for at least one line",
+    }),
+});
@@ -0,0 +1,49 @@
+// /src/lib/schemas/purchase-schemas.js
+import { z } from "zod";
+import { SerialNumbersSchema } from "@/lib/schemas/serial-schemas";
+
+/**
+ * Payment status options when finalizing a stock receipt
+ */
+export const PURCHASE_PAYMENT_STATUSES = [
+  { value: "PAID", label: "Paid in Full" },
+  { value: "CREDIT", label: "On Credit" },
+];
+
+/**
+ * Lot details captured when receiving a lot-tracked product
+ */
+export const ReceivedLotSchema = z.object({
+  lotNumber: z.string().trim().max(50, "Lot number is too long").optional(),
+  expiryDate: z.coerce.date().optional(),
+});
+
+/**
+ * Purchase line item API validation schema
+ */
+export const PurchaseItemSchema = z
+  .object({
+    productId: z.string().min(1, "Product is required"),
+    quantity: z
+      .number()
+      .int("Quantity must be a whole number")
+      .positive("Quantity must be greater than zero"),
+    unitCost: z.number().min(0, "Unit cost cannot be negative"),
+  })
+  .merge(ReceivedLotSchema)
+  .merge(SerialNumbersSchema);
+
+/**
+ * Purchase (stock receipt) creation API validation schema
+ */
+export const CreatePurchaseSchema = z
+  .object({
+    supplierId: z.string().optional(),
+    paymentStatus: z.enum(["PAID", "CREDIT"]),
+    note: z.string().max(500).optional(),
+    items: z.array(PurchaseItemSchema).min(1, "Add at least one product"),
+  })
+  .refine((data) => data.paymentStatus !== "CREDIT" || !!data.supplierId, {
+    message: "A supplier is required for purchases on credit",
+    path: ["supplierId"],
+  });
@@ -0,0 +1,87 @@
+// /src/lib/schemas/register-shift-schemas.js
+import { z } from "zod";
+
+/**
+ * Cash taken into or out of the till during a shift
+ */
+export const CASH_MOVEMENT_TYPES = [
+  { value: "PAY_IN", label: "Cash in" },
+  { value: "PAYOUT", label: "Payout" },
+];
+
+/**
+ * Form field for a cash amount that may be zero (e.g. an empty float)
+ * @param {string} label - Field name used in the error messages
+ * @returns {z.ZodString} String schema for a non-negative amount
+ */
+const cashAmountField = (label) =>
+  z
+    .string()
+    .min(1, `${label} is required`)
+    .refine(
+      (value) => !isNaN(parseFloat(value)) && parseFloat(value) >= 0,
+      `${label} cannot be negative`
+    );
+
+/**
+ * Open shift form validation schema
+ */
+export const OpenShiftFormSchema = z.object({
+  openingFloat: cashAmountField("Opening float"),
+});
+
+/**
+ * Open shift API validation schema
+ */
+export const OpenShiftSchema = z.object({
+  openingFloat: z.number().min(0, "Opening float cannot be negative"),
+});
+
+/**
+ * Cash movement form validation schema
+ */
+export const CashMovementFormSchema = z.object({
+  type: z.enum(["PAY_IN", "PAYOUT"]),
+  amount: z
+    .string()
+    .min(1, "Amount is required")
+    .refine(
+      (value) => !isNaN(parseFloat(value)) && parseFloat(value) > 0,
+      "Amount must be greater than zero"
+    ),
+  reason: z.string().trim().min(1, "Reason is required").max(200),
+});
+
+/**
+ * Cash movement API validation schema
+ */
+export const CreateCashMovementSchema = z.object({
+  type: z.enum(["PAY_IN", "PAYOUT"]),
+  amount: z.number().positive("Amount must be greater than zero"),
+  reason: z.string().trim().min(1, "Reason is required").max(200),
+});
+
+/**
+ * Close shift form validation schema
+ */
+export const CloseShiftFormSchema = z.object({
+  countedCash: cashAmountField("Counted cash"),
+  closingNote: z.string().trim().max(500).optional(),
+});
+
+/**
+ * Close shift API validation schema
+ */
+export const CloseShiftSchema = z.object({
+  countedCash: z.number().min(0, "Counted cash cannot be negative"),
+  closingNote: z.string().trim().max(500).optional(),
+});
+
+/**
+ * Shift list query validation schema (search params of GET /api/shifts and
+ * the shifts page)
+ */
+export const ShiftListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).catch(1),
+  limit: z.coerce.number().int().min(1).max(100).catch(10),
+});
@@ -0,0 +1,120 @@
+// /src/lib/schemas/report-schemas.js
+import { z } from "zod";
+
+/**
+ * Sales history windows (in days) used to measure sales velocity
+ */
+export const VELOCITY_WINDOWS = [7, 30, 90];
+
+/**
+ * Low-stock report query parameters
+ * Invalid or missing values fall back to their defaults.
+ */
+export const LowStockReportQuerySchema = z.object({
+  days: z.coerce
+    .number()
+    .refine((days) => VELOCITY_WINDOWS.includes(days))
+    .catch(30),
+  coverDays: z.coerce.number().int().min(1).max(365).catch(30),
+  locationId: z.string().min(1).optional().catch(undefined),
+  format: z.enum(["json", "csv"]).catch("json"),
+});
+
+/**
+ * How far ahead (in days) the expiring-soon report can look
+ */
+export const EXPIRY_WINDOWS = [7, 30, 90];
+
+/**
+ * Expiring-soon report query parameters
+ * Invalid or missing values fall back to their defaults.
+ */
+export const ExpiringLotsReportQuerySchema = z.object({
+  days: z.coerce
+    .number()
+    .refine((days) => EXPIRY_WINDOWS.includes(days))
+    .catch(30),
+  locationId: z.string().min(1).optional().catch(undefined),
+});
+
+/**
+ * Date ranges (in days) the discount, profit and tax reports can cover
+ */
+export const REPORT_WINDOWS = [7, 30, 90, 365];
+
+/**
+ * Periods the discount, profit and tax reports can group totals by
+ */
+export const REPORT_PERIODS = ["day", "week", "month"];
+
+/**
+ * Display labels for report periods
+ */
+export const PERIOD_LABELS = {
+  day: "Day",
+  week: "Week",
+  month: "Month",
+};
+
+/**
+ * Formats the first day of a report period for display
+ * @param {string} start - First day of the period (YYYY-MM-DD)
+ * @param {"day"|"week"|"month"} period - Period length
+ * @returns {string} Period label (e.g. 31/10/2025, Week of 27/10/2025, 10/2025)
+ */
+export function formatReportPeriod(start, period) {
+  const [year, month, day] = start.split("-");
+  if (period === "month") {
+    return `${month}/${year}`;
+  }
+  const date = `${day}/${month}/${year}`;
+  return period === "week" ? `Week of ${date}` : date;
+}
+
+/**
+ * Discount report query parameters
+ * Invalid or missing values fall back to their defaults.
+ */
+export const DiscountReportQuerySchema = z.object({
+  days: z.coerce
+    .number()
+    .refine((days) => REPORT_WINDOWS.includes(days))
+    .catch(30),
+  period: z.enum(REPORT_PERIODS).catch("day"),
+});
+
+/**
+ * Inventory valuation report query parameters
+ * `asOf` is a past date (YYYY-MM-DD); without one the report is as of now.
+ */
+export const ValuationReportQuerySchema = z.object({
+  asOf: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/)
+    .optional()
+    .catch(undefined),
+});
+
+/**
+ * Profit report query parameters
+ * Invalid or missing values fall back to their defaults.
+ */
+export const ProfitReportQuerySchema = z.object({
+  days: z.coerce
+    .number()
+    .refine((days) => REPORT_WINDOWS.includes(days))
+    .catch(30),
+  period: z.enum(REPORT_PERIODS).catch("day"),
+});
+
+/**
+ * Tax report query parameters
+ * Invalid or missing values fall back to their defaults.
+ */
+export const TaxReportQuerySchema = z.object({
+  days: z.coerce
+    .number()
+    .refine((days) => REPORT_WINDOWS.includes(days))
+    .catch(30),
+  period: z.enum(REPORT_PERIODS).catch("month"),
+});
@@ -0,0 +1,199 @@
+// /src/lib/schemas/sale-schemas.js
+import { z } from "zod";
+import { SerialNumbersSchema } from "@/lib/schemas/serial-schemas";
+import { getUnitCost } from "@/lib/schemas/settings-schemas";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Formats a short sale reference for receipts and invoices (e.g. S-1A2B3C4D)
+ * @param {string} saleId - Sale ID
+ * @returns {string} Display reference
+ */
+export function formatSaleReference(saleId) {
+  return `S-${saleId.slice(-8).toUpperCase()}`;
+}
+
+/**
+ * Kinds of discount that can be given on a sale line or the whole cart
+ */
+export const DISCOUNT_TYPES = [
+  { value: "PERCENT", label: "Percentage (%)" },
+  { value: "FIXED", label: "Fixed amount ($)" },
+];
+
+/**
+ * Works out the money a discount takes off an amount
+ * @param {{ type: "PERCENT" | "FIXED", value: number }} discount - Discount as entered
+ * @param {number} amount - Amount the discount applies to
+ * @returns {number} Discount in money, rounded to cents
+ */
+export function calculateDiscountAmount(discount, amount) {
+  return roundMoney(
+    discount.type === "PERCENT"
+      ? (amount * discount.value) / 100
+      : discount.value
+  );
+}
+
+/**
+ * Works out the refund for returning part of a sale line: the line total
+ * after its own discount, less its share of any cart discount, plus the
+ * line's tax when it was added on top of the price
+ * @param {Object} sale - Sale with items
+ * @param {Object} item - Sale line being returned
+ * @param {number} quantity - Quantity returned
+ * @returns {number} Refund amount
+ */
+export function calculateRefundAmount(sale, item, quantity) {
+  const subtotal = sale.items.reduce((sum, line) => sum + line.lineTotal, 0);
+  const netAmount = sale.grossAmount - sale.discountAmount;
+  const cartShare = subtotal > 0 ? netAmount / subtotal : 1;
+  const lineAmount =
+    item.lineTotal * cartShare + (sale.pricesIncludeTax ? 0 : item.taxAmount);
+  return roundMoney((lineAmount * quantity) / item.quantity);
+}
+
+/**
+ * Works out a sale's gross profit: what it sold for, tax excluded, less the
+ * cost of goods sold snapshotted on each line
+ * @param {Object} sale - Sale with items
+ * @param {"AVERAGE"|"FIFO"} costingMethod - The account's costing method
+ * @returns {{ costAmount: number, grossProfit: number }} Cost and profit
+ */
+export function calculateSaleProfit(sale, costingMethod) {
+  const costAmount = roundMoney(
+    sale.items.reduce(
+      (sum, item) => sum + item.quantity * getUnitCost(item, costingMethod),
+      0
+    )
+  );
+  // The total always carries the tax, whether included in prices or not
+  const revenue = sale.totalAmount - sale.taxAmount;
+  return { costAmount, grossProfit: roundMoney(revenue - costAmount) };
+}
+
+/**
+ * Discount API validation schema (a sale line or the whole cart)
+ */
+export const DiscountSchema = z
+  .object({
+    type: z.enum(["PERCENT", "FIXED"]),
+    value: z.number().positive("Discount must be greater than zero"),
+    reason: z.string().trim().min(1, "A reason is required").max(200),
+  })
+  .refine((data) => data.type !== "PERCENT" || data.value <= 100, {
+    message: "A percentage discount cannot be more than 100%",
+    path: ["value"],
+  });
+
+/**
+ * Discount form validation schema
+ */
+export const DiscountFormSchema = z
+  .object({
+    type: z.enum(["PERCENT", "FIXED"]),
+    value: z
+      .string()
+      .min(1, "Discount is required")
+      .refine(
+        (value) => !isNaN(parseFloat(value)) && parseFloat(value) > 0,
+        "Discount must be greater than zero"
+      ),
+    reason: z.string().trim().min(1, "A reason is required").max(200),
+  })
+  .refine((data) => data.type !== "PERCENT" || parseFloat(data.value) <= 100, {
+    message: "A percentage discount cannot be more than 100%",
+    path: ["value"],
+  });
+
+/**
+ * Sale line item API validation schema
+ */
+export const SaleItemSchema = z
+  .object({
+    productId: z.string().min(1, "Product is required"),
+    quantity: z
+      .number()
+      .int("Quantity must be a whole number")
+      .positive("Quantity must be greater than zero"),
+    unitPrice: z.number().min(0, "Price cannot be negative"),
+    discount: DiscountSchema.optional(),
+  })
+  .merge(SerialNumbersSchema);
+
+/**
+ * Sale creation API validation schema
+ */
+export const CreateSaleSchema = z
+  .object({
+    paymentMethod: z.enum(["CASH", "ON_ACCOUNT"]),
+    customerId: z.string().optional(),
+    note: z.string().max(500).optional(),
+    items: z.array(SaleItemSchema).min(1, "Add at least one product"),
+    // Cart discount, applied after the line discounts
+    discount: DiscountSchema.optional(),
+  })
+  .refine((data) => data.paymentMethod !== "ON_ACCOUNT" || !!data.customerId, {
+    message: "A customer is required for sales on account",
+    path: ["customerId"],
+  });
+
+/**
+ * Fields the sales list can be sorted by
+ */
+export const SALE_SORT_FIELDS = ["soldAt", "totalAmount"];
+
+/**
+ * Sales list query validation schema (search params of GET /api/sales and
+ * the sales history page). The search text matches customers and products.
+ */
+export const SaleListQuerySchema = z.object({
+  page: z.coerce.number().int().min(1).catch(1),
+  limit: z.coerce.number().int().min(1).max(100).catch(10),
+  q: z.string().trim().max(255).optional().catch(undefined),
+  sort: z.enum(SALE_SORT_FIELDS).catch("soldAt"),
+  order: z.enum(["asc", "desc"]).catch("desc"),
+});
+
+/**
+ * Sale receipt query validation schema (search params of
+ * GET /api/sales/[id]/receipt)
+ */
+export const SaleReceiptQuerySchema = z.object({
+  format: z.enum(["html", "pdf"]).catch("html"),
+});
+
+/**
+ * How a sale return is refunded
+ */
+export const SALE_REFUND_METHODS = [
+  { value: "CASH", label: "Cash" },
+  { value: "ACCOUNT_CREDIT", label: "Credit to customer account" },
+];
+
+/**
+ * Sale return API validation schema
+ * Each line is a sale item with the quantity coming back; damaged goods are
+ * refunded without being restocked. Serialized units going back into stock
+ * name their serial numbers.
+ */
+export const CreateSaleReturnSchema = z.object({
+  refundMethod: z.enum(["CASH", "ACCOUNT_CREDIT"]),
+  note: z.string().max(500).optional(),
+  items: z
+    .array(
+      z
+        .object({
+          saleItemId: z.string().min(1, "Sale line is required"),
+          quantity: z
+            .number()
+            .int("Quantity must be a whole number")
+            .min(0, "Quantity cannot be negative"),
+          restock: z.boolean().default(true),
+        })
+        .merge(SerialNumbersSchema)
+    )
+    .refine((items) => items.some((item) => item.quantity > 0), {
+      message: "Enter a return quantity for at least one line",
+    }),
+});
@@ -0,0 +1,44 @@
+// /src/lib/schemas/serial-schemas.js
+import { z } from "zod";
+
+/**
+ * Serial number statuses, in lifecycle order
+ */
+export const SERIAL_STATUSES = [
+  { value: "IN_STOCK", label: "In stock" },
+  { value: "IN_TRANSIT", label: "In transit" },
+  { value: "SOLD", label: "Sold" },
+  { value: "REMOVED", label: "Removed" },
+];
+
+/**
+ * A single serial number or IMEI
+ */
+export const SerialSchema = z
+  .string()
+  .trim()
+  .min(1, "Serial number is required")
+  .max(100, "Serial number is too long");
+
+/**
+ * Serial numbers of the units on a line, one per unit (serialized products)
+ */
+export const SerialNumbersSchema = z.object({
+  serials: z.array(SerialSchema).optional(),
+});
+
+/**
+ * Serial number lookup query validation schema (search params of
+ * GET /api/serial-numbers and the serial lookup page)
+ */
+export const SerialLookupQuerySchema = z.object({
+  serial: SerialSchema.optional().catch(undefined),
+});
+
+/**
+ * Serials in stock query validation schema (search params of
+ * GET /api/products/[id]/serials)
+ */
+export const ProductSerialsQuerySchema = z.object({
+  locationId: z.string().optional().catch(undefined),
+});
@@ -0,0 +1,72 @@
+// /src/lib/schemas/settings-schemas.js
+import { z } from "zod";
+
+/**
+ * Shop profile form validation schema
+ */
+export const ShopProfileFormSchema = z.object({
+  shopName: z
+    .string()
+    .trim()
+    .max(255, "Shop name must be less than 255 characters")
+    .optional(),
+  address: z.string().trim().max(500).optional(),
+  phone: z.string().trim().max(50).optional(),
+  receiptFooter: z
+    .string()
+    .trim()
+    .max(500, "Footer text must be less than 500 characters")
+    .optional(),
+});
+
+/**
+ * Costing methods for valuing stock and cost of goods sold
+ */
+export const COSTING_METHODS = [
+  {
+    value: "AVERAGE",
+    label: "Weighted average",
+    description: "Each unit costs the moving average of everything received.",
+  },
+  {
+    value: "FIFO",
+    label: "FIFO (first in, first out)",
+    description: "Sales use up the oldest stock received, at its own cost.",
+  },
+];
+
+/**
+ * Reads the cost per unit of a stock movement or sale line under a costing
+ * method
+ * @param {{ unitCost: number, fifoUnitCost: number }} record - Movement or sale line
+ * @param {"AVERAGE"|"FIFO"} costingMethod - The account's costing method
+ * @returns {number} Cost per unit
+ */
+export function getUnitCost(record, costingMethod) {
+  return costingMethod === "FIFO" ? record.fifoUnitCost : record.unitCost;
+}
+
+/**
+ * Reads the product's stock value after a stock movement under a costing
+ * method
+ * @param {{ valueAfter: number, fifoValueAfter: number }} movement - Stock movement
+ * @param {"AVERAGE"|"FIFO"} costingMethod - The account's costing method
+ * @returns {number} Stock value
+ */
+export function getValueAfter(movement, costingMethod) {
+  return costingMethod === "FIFO"
+    ? movement.fifoValueAfter
+    : movement.valueAfter;
+}
+
+/**
+ * Settings update API validation schema (null clears a field)
+ */
+export const UpdateSettingsSchema = z.object({
+  shopName: z.string().max(255).nullable().optional(),
+  address: z.string().max(500).nullable().optional(),
+  phone: z.string().max(50).nullable().optional(),
+  receiptFooter: z.string().max(500).nullable().optional(),
+  pricesIncludeTax: z.boolean().optional(),
+  costingMethod: z.enum(["AVERAGE", "FIFO"]).optional(),
+});
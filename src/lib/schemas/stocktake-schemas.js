@@ -0,0 +1,104 @@
+// /src/lib/schemas/stocktake-schemas.js
+import { z } from "zod";
+import { roundMoney } from "@/lib/utils";
+import { ADJUSTMENT_REASONS } from "@/lib/schemas/product-schemas";
+
+/**
+ * Stocktake statuses, in lifecycle order
+ */
+export const STOCKTAKE_STATUSES = [
+  { value: "COUNTING", label: "Counting" },
+  { value: "APPROVED", label: "Approved" },
+  { value: "CANCELLED", label: "Cancelled" },
+];
+
+/**
+ * Which products a stocktake counts
+ */
+export const STOCKTAKE_SCOPES = [
+  { value: "ALL", label: "Whole shop" },
+  { value: "CATEGORY", label: "One category" },
+  { value: "SUPPLIER", label: "One supplier" },
+];
+
+/**
+ * Formats a stocktake number for display (e.g. ST-0007)
+ * @param {number} number - Sequential stocktake number
+ * @returns {string} Display number
+ */
+export function formatStocktakeNumber(number) {
+  return `ST-${String(number).padStart(4, "0")}`;
+}
+
+/**
+ * Works out the difference between the counted and expected quantity of a
+ * stocktake line
+ * @param {{ expectedQuantity: number, countedQuantity: number|null, unitCost: number }} item - Stocktake line
+ * @returns {{ units: number, value: number }|null} Variance in units and value, or null if not counted yet
+ */
+export function getStocktakeVariance(item) {
+  if (item.countedQuantity === null || item.countedQuantity === undefined) {
+    return null;
+  }
+  const units = item.countedQuantity - item.expectedQuantity;
+  return { units, value: roundMoney(units * item.unitCost) };
+}
+
+/**
+ * Totals the lines of a stocktake
+ * @param {Array<Object>} items - Stocktake lines
+ * @returns {{ itemCount: number, countedCount: number, varianceCount: number, varianceUnits: number, varianceValue: number }} Stocktake totals
+ */
+export function getStocktakeTotals(items) {
+  const variances = items.map(getStocktakeVariance).filter(Boolean);
+  const nonZero = variances.filter((variance) => variance.units !== 0);
+
+  return {
+    itemCount: items.length,
+    countedCount: variances.length,
+    varianceCount: nonZero.length,
+    varianceUnits: nonZero.reduce((sum, variance) => sum + variance.units, 0),
+    varianceValue: roundMoney(
+      nonZero.reduce((sum, variance) => sum + variance.value, 0)
+    ),
+  };
+}
+
+/**
+ * Stocktake creation API validation schema
+ */
+export const CreateStocktakeSchema = z
+  .object({
+    scope: z.enum(["ALL", "CATEGORY", "SUPPLIER"]),
+    categoryId: z.string().optional(),
+    supplierId: z.string().optional(),
+    note: z.string().max(500).optional(),
+  })
+  .refine((data) => data.scope !== "CATEGORY" || data.categoryId, {
+    message: "Category is required",
+    path: ["categoryId"],
+  })
+  .refine((data) => data.scope !== "SUPPLIER" || data.supplierId, {
+    message: "Supplier is required",
+    path: ["supplierId"],
+  });
+
+/**
+ * Stocktake count sheet API validation schema
+ * Only the lines sent are updated; a null count clears the line.
+ */
+export const SaveStocktakeCountsSchema = z.object({
+  items: z
+    .array(
+      z.object({
+        itemId: z.string().min(1, "Stocktake line is required"),
+        countedQuantity: z
+          .number()
+          .int("Counted quantity must be a whole number")
+          .min(0, "Counted quantity cannot be negative")
+          .nullable(),
+        reason: z.enum(ADJUSTMENT_REASONS.map((r) => r.value)).nullable(),
+      })
+    )
+    .min(1, "Nothing to save"),
+});
@@ -0,0 +1,96 @@
+// /src/lib/schemas/tax-schemas.js
+import { z } from "zod";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Works out the tax on an amount
+ * @param {number} amount - Amount the tax applies to
+ * @param {number} rate - Tax rate as a percentage (e.g. 20 for 20%)
+ * @param {boolean} pricesIncludeTax - Whether the amount already includes tax
+ * @returns {number} Tax amount
+ */
+export function calculateTax(amount, rate, pricesIncludeTax) {
+  if (!rate) return 0;
+  return roundMoney(
+    pricesIncludeTax ? (amount * rate) / (100 + rate) : (amount * rate) / 100
+  );
+}
+
+/**
+ * Works out the tax on each line of a sale or purchase. Tax is charged on
+ * what a line actually sells for: its total after its own discount, less
+ * its share of any cart discount.
+ * @param {Array<{ lineTotal: number, taxRate: number }>} lines - Sale or purchase lines
+ * @param {number} cartDiscountAmount - Cart discount taken off the subtotal (0 for purchases)
+ * @param {boolean} pricesIncludeTax - Whether unit prices and costs already include tax
+ * @returns {Array<Object>} The lines, each with its taxAmount
+ */
+export function addLineTaxes(lines, cartDiscountAmount, pricesIncludeTax) {
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const cartShare =
+    subtotal > 0 ? (subtotal - cartDiscountAmount) / subtotal : 0;
+  return lines.map((line) => ({
+    ...line,
+    taxAmount: calculateTax(
+      line.lineTotal * cartShare,
+      line.taxRate,
+      pricesIncludeTax
+    ),
+  }));
+}
+
+/**
+ * Finds the tax rate that applies to a product: its own rate, else its
+ * category's rate, else no tax
+ * @param {Object} product - Product with taxRate and category.taxRate
+ * @returns {number} Tax rate as a percentage
+ */
+export function getProductTaxRate(product) {
+  return product.taxRate?.rate ?? product.category?.taxRate?.rate ?? 0;
+}
+
+/**
+ * Formats a tax rate for display
+ * @param {{ name: string, rate: number }} taxRate - Tax rate
+ * @returns {string} Label (e.g. Standard (20%))
+ */
+export function formatTaxRate(taxRate) {
+  return `${taxRate.name} (${taxRate.rate}%)`;
+}
+
+/**
+ * Tax rate form validation schema for creation and editing
+ */
+export const TaxRateFormSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, "Name is required")
+    .max(100, "Name must be less than 100 characters"),
+  rate: z
+    .string()
+    .min(1, "Rate is required")
+    .refine(
+      (value) =>
+        !isNaN(parseFloat(value)) &&
+        parseFloat(value) >= 0 &&
+        parseFloat(value) <= 100,
+      "Rate must be between 0 and 100"
+    ),
+});
+
+/**
+ * Tax rate creation API validation schema
+ */
+export const CreateTaxRateSchema = z.object({
+  name: z.string().trim().min(1, "Name is required").max(100),
+  rate: z.number().min(0).max(100, "Rate cannot be more than 100%"),
+});
+
+/**
+ * Tax rate update API validation schema
+ */
+export const UpdateTaxRateSchema = z.object({
+  name: z.string().trim().min(1).max(100).optional(),
+  rate: z.number().min(0).max(100).optional(),
+});
@@ -1,11 +1,13 @@
 // /src/lib/services/category-service.js
 import prisma from "@/lib/prisma";
+import { assertTaxRateOwned } from "@/lib/services/tax-rate-service";
 
 /**
  * Category creation data
  * @typedef {Object} CreateCategoryData
  * @property {string} name - Category name
  * @property {string} [description] - Category description
+ * @property {string|null} [taxRateId] - Default tax rate for the category's products
  */
 
 /**
@@ -13,6 +15,7 @@ import prisma from "@/lib/prisma";
  * @typedef {Object} UpdateCategoryData
  * @property {string} [name] - Category name
  * @property {string} [description] - Category description
+ * @property {string|null} [taxRateId] - Default tax rate (null clears it)
  */
 
 /**
@@ -25,7 +28,10 @@ export async function getCategoriesByUser(userId) {
     const categories = await prisma.category.findMany({
       where: { userId },
       orderBy: { name: "asc" },
-      include: { _count: { select: { products: true } } },
+      include: {
+        taxRate: { select: { id: true, name: true, rate: true } },
+        _count: { select: { products: true } },
+      },
     });
 
     return categories;
@@ -65,6 +71,8 @@ export async function getCategoryById(userId, categoryId) {
  */
 export async function createCategory(userId, categoryData) {
   try {
+    await assertTaxRateOwned(userId, categoryData.taxRateId);
+
     const category = await prisma.category.create({
       data: {
         ...categoryData,
@@ -79,7 +87,7 @@ export async function createCategory(userId, categoryData) {
       throw new Error("A category with this name already exists");
     }
     console.error("Error creating category:", error);
-    throw new Error("Failed to create category");
+    throw new Error(error.message || "Failed to create category");
   }
 }
 
@@ -104,6 +112,8 @@ export async function updateCategory(userId, categoryId, categoryData) {
       throw new Error("Category not found");
     }
 
+    await assertTaxRateOwned(userId, categoryData.taxRateId);
+
     const category = await prisma.category.update({
       where: { id: categoryId },
       data: categoryData,
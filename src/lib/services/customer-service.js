@@ -0,0 +1,381 @@
+// /src/lib/services/customer-service.js
+import prisma from "@/lib/prisma";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Customer creation data
+ * @typedef {Object} CreateCustomerData
+ * @property {string} name - Customer name
+ * @property {string} [contactEmail] - Contact email
+ * @property {string} [contactPhone] - Contact phone number
+ * @property {string} [address] - Postal address
+ */
+
+/**
+ * Customer update data
+ * @typedef {Object} UpdateCustomerData
+ * @property {string} [name] - Customer name
+ * @property {string|null} [contactEmail] - Contact email
+ * @property {string|null} [contactPhone] - Contact phone number
+ * @property {string|null} [address] - Postal address
+ */
+
+/**
+ * Customer payment data
+ * @typedef {Object} CustomerPaymentData
+ * @property {number} amount - Amount received
+ * @property {string} [note] - Optional note (e.g. payment method or receipt number)
+ */
+
+/**
+ * Customer statement entry
+ * @typedef {Object} StatementEntry
+ * @property {string} id - Source record ID
+ * @property {"SALE" | "RETURN" | "PAYMENT"} type - Entry type
+ * @property {Date} date - When the entry happened
+ * @property {string} description - Human-readable description
+ * @property {number} charge - Amount added to the balance
+ * @property {number} payment - Amount taken off the balance
+ * @property {number} balance - Running balance after this entry
+ */
+
+const customerCounts = {
+  _count: { select: { sales: true, payments: true } },
+};
+
+/**
+ * Fetches customers for a specific user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Array of customer objects
+ */
+export async function getCustomersByUser(userId) {
+  try {
+    const customers = await prisma.customer.findMany({
+      where: { userId },
+      orderBy: { name: "asc" },
+      include: customerCounts,
+    });
+
+    return customers;
+  } catch (error) {
+    console.error("Error fetching customers:", error);
+    throw new Error("Failed to fetch customers");
+  }
+}
+
+/**
+ * Fetches a single customer by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} customerId - The customer ID
+ * @returns {Promise<Object|null>} Customer object or null if not found
+ */
+export async function getCustomerById(userId, customerId) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: customerId,
+        userId,
+      },
+      include: customerCounts,
+    });
+
+    return customer;
+  } catch (error) {
+    console.error("Error fetching customer:", error);
+    throw new Error("Failed to fetch customer");
+  }
+}
+
+/**
+ * Checks if a customer name is unique for a user (case-insensitive)
+ * @param {string} userId - The user ID
+ * @param {string} name - The normalized customer name
+ * @param {string|null} [excludeCustomerId] - Customer ID to ignore (for updates)
+ * @returns {Promise<boolean>} True if no other customer uses the name
+ */
+export async function isCustomerNameUnique(
+  userId,
+  name,
+  excludeCustomerId = null
+) {
+  try {
+    const existingCustomer = await prisma.customer.findFirst({
+      where: {
+        userId,
+        name: {
+          equals: name,
+          mode: "insensitive",
+        },
+        ...(excludeCustomerId && { id: { not: excludeCustomerId } }),
+      },
+      select: { id: true },
+    });
+
+    return !existingCustomer;
+  } catch (error) {
+    console.error("Error checking customer name uniqueness:", error);
+    throw new Error("Failed to check customer name uniqueness");
+  }
+}
+
+/**
+ * Creates a new customer for the specified user
+ * @param {string} userId - The user ID who owns the customer
+ * @param {CreateCustomerData} customerData - Customer data to create
+ * @returns {Promise<Object>} Created customer object
+ */
+export async function createCustomer(userId, customerData) {
+  try {
+    const isNameUnique = await isCustomerNameUnique(userId, customerData.name);
+    if (!isNameUnique) {
+      throw new Error("A customer with this name already exists");
+    }
+
+    const customer = await prisma.customer.create({
+      data: {
+        ...customerData,
+        userId,
+      },
+      include: customerCounts,
+    });
+
+    return customer;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002" && error.meta?.target?.includes("name")) {
+      throw new Error("A customer with this name already exists");
+    }
+    console.error("Error creating customer:", error);
+    throw new Error(error.message || "Failed to create customer");
+  }
+}
+
+/**
+ * Updates an existing customer for the specified user
+ * The balance is not editable here; it only moves through sales and payments.
+ * @param {string} userId - The user ID who owns the customer
+ * @param {string} customerId - The customer ID to update
+ * @param {UpdateCustomerData} customerData - Customer data to update
+ * @returns {Promise<Object>} Updated customer object
+ */
+export async function updateCustomer(userId, customerId, customerData) {
+  try {
+    // First check if customer exists and belongs to user
+    const existingCustomer = await prisma.customer.findFirst({
+      where: {
+        id: customerId,
+        userId,
+      },
+    });
+
+    if (!existingCustomer) {
+      throw new Error("Customer not found");
+    }
+
+    if (customerData.name && customerData.name !== existingCustomer.name) {
+      const isNameUnique = await isCustomerNameUnique(
+        userId,
+        customerData.name,
+        customerId
+      );
+      if (!isNameUnique) {
+        throw new Error("A customer with this name already exists");
+      }
+    }
+
+    const customer = await prisma.customer.update({
+      where: { id: customerId },
+      data: customerData,
+      include: customerCounts,
+    });
+
+    return customer;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002" && error.meta?.target?.includes("name")) {
+      throw new Error("A customer with this name already exists");
+    }
+    console.error("Error updating customer:", error);
+    throw new Error(error.message || "Failed to update customer");
+  }
+}
+
+/**
+ * Deletes a customer by ID for the specified user
+ * Blocked once the customer has sales or payments on record, so their
+ * account history is never lost.
+ * @param {string} userId - The user ID who owns the customer
+ * @param {string} customerId - The customer ID to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteCustomerById(userId, customerId) {
+  try {
+    // First check if customer exists and belongs to user
+    const existingCustomer = await prisma.customer.findFirst({
+      where: {
+        id: customerId,
+        userId,
+      },
+      include: customerCounts,
+    });
+
+    if (!existingCustomer) {
+      throw new Error("Customer not found");
+    }
+
+    const { sales, payments } = existingCustomer._count;
+
+    if (sales > 0 || payments > 0) {
+      throw new Error(
+        `Cannot delete customer. ${sales} sale(s) and ${payments} payment(s) are on record for this customer and must be kept for your records.`
+      );
+    }
+
+    await prisma.customer.delete({
+      where: { id: customerId },
+    });
+  } catch (error) {
+    console.error("Error deleting customer:", error);
+    throw new Error(error.message || "Failed to delete customer");
+  }
+}
+
+/**
+ * Records a payment received from a customer against their balance
+ * @param {string} userId - The user ID recording the payment
+ * @param {string} customerId - The customer paying
+ * @param {CustomerPaymentData} paymentData - Payment details
+ * @returns {Promise<Object>} Created payment with the updated customer
+ */
+export async function recordCustomerPayment(userId, customerId, paymentData) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: { id: customerId, userId },
+      select: { id: true },
+    });
+
+    if (!customer) {
+      throw new Error("Customer not found or access denied");
+    }
+
+    const amount = roundMoney(paymentData.amount);
+    const payment = await prisma.$transaction(async (tx) => {
+      // Decrement first so concurrent payments cannot both pass the check
+      const { balance } = await tx.customer.update({
+        where: { id: customerId },
+        data: { balance: { decrement: amount } },
+        select: { balance: true },
+      });
+      if (roundMoney(balance) < 0) {
+        throw new Error(
+          `Payment exceeds the outstanding balance of ${(balance + amount).toFixed(2)}`
+        );
+      }
+
+      const created = await tx.customerPayment.create({
+        data: {
+          amount,
+          note: paymentData.note || null,
+          customerId,
+          userId,
+        },
+      });
+
+      return tx.customerPayment.findUnique({
+        where: { id: created.id },
+        include: { customer: true },
+      });
+    });
+
+    return payment;
+  } catch (error) {
+    console.error("Error recording customer payment:", error);
+    throw new Error(error.message || "Failed to record payment");
+  }
+}
+
+/**
+ * Builds a customer statement: every on-account sale, return refunded to the
+ * account and payment in date order with a running balance.
+ * @param {string} userId - The user ID
+ * @param {string} customerId - The customer ID
+ * @returns {Promise<{customer: Object, entries: StatementEntry[]}|null>} Statement, or null if the customer is not found
+ */
+export async function getCustomerStatement(userId, customerId) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: { id: customerId, userId },
+    });
+
+    if (!customer) {
+      return null;
+    }
+
+    const [sales, returns, payments] = await Promise.all([
+      prisma.sale.findMany({
+        where: { userId, customerId, paymentMethod: "ON_ACCOUNT" },
+        select: {
+          id: true,
+          soldAt: true,
+          totalAmount: true,
+          _count: { select: { items: true } },
+        },
+      }),
+      prisma.saleReturn.findMany({
+        where: { userId, refundMethod: "ACCOUNT_CREDIT", sale: { customerId } },
+        select: {
+          id: true,
+          returnedAt: true,
+          totalAmount: true,
+          _count: { select: { items: true } },
+        },
+      }),
+      prisma.customerPayment.findMany({
+        where: { userId, customerId },
+        select: { id: true, paidAt: true, amount: true, note: true },
+      }),
+    ]);
+
+    const rows = [
+      ...sales.map((sale) => ({
+        id: sale.id,
+        type: "SALE",
+        date: sale.soldAt,
+        description: `Sale on account (${sale._count.items} item${
+          sale._count.items === 1 ? "" : "s"
+        })`,
+        charge: sale.totalAmount,
+        payment: 0,
+      })),
+      ...returns.map((saleReturn) => ({
+        id: saleReturn.id,
+        type: "RETURN",
+        date: saleReturn.returnedAt,
+        description: `Return credited (${saleReturn._count.items} item${
+          saleReturn._count.items === 1 ? "" : "s"
+        })`,
+        charge: 0,
+        payment: saleReturn.totalAmount,
+      })),
+      ...payments.map((payment) => ({
+        id: payment.id,
+        type: "PAYMENT",
+        date: payment.paidAt,
+        description: payment.note ? `Payment – ${payment.note}` : "Payment",
+        charge: 0,
+        payment: payment.amount,
+      })),
+    ].sort((a, b) => a.date - b.date);
+
+    let running = 0;
+    const entries = rows.map((row) => {
+      running = roundMoney(running + row.charge - row.payment);
+      return { ...row, balance: running };
+    });
+
+    return { customer, entries };
+  } catch (error) {
+    console.error("Error fetching customer statement:", error);
+    throw new Error("Failed to fetch customer statement");
+  }
+}
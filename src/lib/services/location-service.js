@@ -0,0 +1,327 @@
+// /src/lib/services/location-service.js
+import prisma from "@/lib/prisma";
+
+/**
+ * Location creation data
+ * @typedef {Object} CreateLocationData
+ * @property {string} name - Location name (e.g. Shop floor, Back store)
+ */
+
+/**
+ * Location update data
+ * @typedef {Object} UpdateLocationData
+ * @property {string} [name] - Location name
+ * @property {true} [isDefault] - Make this the default location
+ */
+
+/**
+ * Per-location reorder points data
+ * @typedef {Object} ReorderPointsData
+ * @property {{ locationId: string, reorderPoint: number }[]} levels - Reorder point per location
+ */
+
+/**
+ * Finds the user's default location, creating a "Main" one for accounts
+ * that have none yet
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @returns {Promise<{ id: string, name: string }>} Default location
+ */
+async function ensureDefaultLocation(tx, userId) {
+  const select = { id: true, name: true };
+  const location = await tx.location.findFirst({
+    where: { userId, isDefault: true },
+    select,
+  });
+  if (location) return location;
+
+  // Upsert rather than create, so a request that created it first raises no
+  // unique violation (which would abort the caller's transaction)
+  return tx.location.upsert({
+    where: { userId_name: { userId, name: "Main" } },
+    create: { userId, name: "Main", isDefault: true },
+    update: { isDefault: true },
+    select,
+  });
+}
+
+/**
+ * Works out which location stock moves at. The requested location must
+ * belong to the user; a missing or stale one (e.g. an old cookie after the
+ * location was deleted) falls back to the default location.
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string} [locationId] - Requested location ID
+ * @returns {Promise<{ id: string, name: string }>} Location to use
+ */
+export async function resolveLocation(tx, userId, locationId) {
+  if (locationId) {
+    const location = await tx.location.findFirst({
+      where: { id: locationId, userId },
+      select: { id: true, name: true },
+    });
+    if (location) return location;
+  }
+
+  return ensureDefaultLocation(tx, userId);
+}
+
+/**
+ * Finds a location owned by the user or throws
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string} locationId - The location ID
+ * @returns {Promise<Object>} Location
+ */
+export async function findOwnedLocation(tx, userId, locationId) {
+  const location = await tx.location.findFirst({
+    where: { id: locationId, userId },
+  });
+
+  if (!location) {
+    throw new Error("Location not found or access denied");
+  }
+
+  return location;
+}
+
+/**
+ * Fetches locations for a specific user, default first, with how many
+ * products each one holds
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Locations with productCount
+ */
+export async function getLocationsByUser(userId) {
+  try {
+    await ensureDefaultLocation(prisma, userId);
+
+    const locations = await prisma.location.findMany({
+      where: { userId },
+      orderBy: [{ isDefault: "desc" }, { name: "asc" }],
+      include: {
+        _count: {
+          select: { stockLevels: { where: { quantity: { not: 0 } } } },
+        },
+      },
+    });
+
+    return locations.map(({ _count, ...location }) => ({
+      ...location,
+      productCount: _count.stockLevels,
+    }));
+  } catch (error) {
+    console.error("Error fetching locations:", error);
+    throw new Error("Failed to fetch locations");
+  }
+}
+
+/**
+ * Creates a new location for the specified user
+ * @param {string} userId - The user ID who owns the location
+ * @param {CreateLocationData} locationData - Location data to create
+ * @returns {Promise<Object>} Created location
+ */
+export async function createLocation(userId, locationData) {
+  try {
+    // Make sure the existing stock keeps its default home
+    await ensureDefaultLocation(prisma, userId);
+
+    const location = await prisma.location.create({
+      data: { name: locationData.name, userId },
+    });
+
+    return location;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002") {
+      throw new Error("A location with this name already exists");
+    }
+    console.error("Error creating location:", error);
+    throw new Error("Failed to create location");
+  }
+}
+
+/**
+ * Renames a location or makes it the default. Only one location is the
+ * default; it is where stock goes when no location is chosen.
+ * @param {string} userId - The user ID who owns the location
+ * @param {string} locationId - The location ID to update
+ * @param {UpdateLocationData} locationData - Location data to update
+ * @returns {Promise<Object>} Updated location
+ */
+export async function updateLocation(userId, locationId, locationData) {
+  try {
+    const location = await prisma.$transaction(async (tx) => {
+      await findOwnedLocation(tx, userId, locationId);
+
+      if (locationData.isDefault) {
+        await tx.location.updateMany({
+          where: { userId, isDefault: true, id: { not: locationId } },
+          data: { isDefault: false },
+        });
+      }
+
+      return tx.location.update({
+        where: { id: locationId },
+        data: locationData,
+      });
+    });
+
+    return location;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002") {
+      throw new Error("A location with this name already exists");
+    }
+    console.error("Error updating location:", error);
+    throw new Error(error.message || "Failed to update location");
+  }
+}
+
+/**
+ * Deletes a location by ID for the specified user
+ * Only allows deletion of a location that is not the default and has never
+ * held stock, been sold from, counted or transferred to or from
+ * @param {string} userId - The user ID who owns the location
+ * @param {string} locationId - The location ID to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteLocationById(userId, locationId) {
+  try {
+    const location = await findOwnedLocation(prisma, userId, locationId);
+    if (location.isDefault) {
+      throw new Error(
+        "Cannot delete the default location. Make another location the default first."
+      );
+    }
+
+    const [movements, transfersOut, transfersIn] = await Promise.all([
+      prisma.stockMovement.count({ where: { locationId } }),
+      prisma.stockTransfer.count({ where: { fromLocationId: locationId } }),
+      prisma.stockTransfer.count({ where: { toLocationId: locationId } }),
+    ]);
+    if (movements > 0 || transfersOut + transfersIn > 0) {
+      throw new Error(
+        "Cannot delete location. It has stock history. Locations that have held stock are kept for the record."
+      );
+    }
+
+    const [sales, stocktakes] = await Promise.all([
+      prisma.sale.count({ where: { locationId } }),
+      prisma.stocktake.count({ where: { locationId } }),
+    ]);
+    if (sales > 0 || stocktakes > 0) {
+      throw new Error(
+        `Cannot delete location. ${sales} sale(s) and ${stocktakes} stocktake(s) were recorded here.`
+      );
+    }
+
+    // Only empty stock levels (reorder points) can be left at this point
+    await prisma.$transaction([
+      prisma.productStock.deleteMany({ where: { locationId } }),
+      prisma.location.delete({ where: { id: locationId } }),
+    ]);
+  } catch (error) {
+    console.error("Error deleting location:", error);
+    throw new Error(error.message || "Failed to delete location");
+  }
+}
+
+/**
+ * Fetches a product's stock level and reorder point at every location of
+ * the user; locations that never held the product show zero
+ * @param {string} userId - The user ID
+ * @param {string} productId - The product ID
+ * @param {string} [currentLocationId] - Location selected in the topbar, flagged as isCurrent
+ * @returns {Promise<Array<{ locationId: string, locationName: string, isDefault: boolean, isCurrent: boolean, quantity: number, reorderPoint: number }>>} Stock levels, default location first
+ */
+export async function getProductStockLevels(
+  userId,
+  productId,
+  currentLocationId
+) {
+  try {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, userId },
+      select: { id: true },
+    });
+    if (!product) {
+      throw new Error("Product not found or access denied");
+    }
+
+    const current = await resolveLocation(prisma, userId, currentLocationId);
+
+    const locations = await prisma.location.findMany({
+      where: { userId },
+      orderBy: [{ isDefault: "desc" }, { name: "asc" }],
+      include: {
+        stockLevels: {
+          where: { productId },
+          select: { quantity: true, reorderPoint: true },
+        },
+      },
+    });
+
+    return locations.map((location) => ({
+      locationId: location.id,
+      locationName: location.name,
+      isDefault: location.isDefault,
+      isCurrent: location.id === current.id,
+      quantity: location.stockLevels[0]?.quantity ?? 0,
+      reorderPoint: location.stockLevels[0]?.reorderPoint ?? 0,
+    }));
+  } catch (error) {
+    console.error("Error fetching product stock levels:", error);
+    throw new Error(error.message || "Failed to fetch stock levels");
+  }
+}
+
+/**
+ * Saves a product's reorder point at each of the given locations
+ * @param {string} userId - The user ID who owns the product
+ * @param {string} productId - The product ID
+ * @param {ReorderPointsData} reorderData - Reorder point per location
+ * @param {string} [currentLocationId] - Location selected in the topbar
+ * @returns {Promise<Array>} Updated stock levels
+ */
+export async function updateProductReorderPoints(
+  userId,
+  productId,
+  reorderData,
+  currentLocationId
+) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const product = await tx.product.findFirst({
+        where: { id: productId, userId },
+        select: { id: true },
+      });
+      if (!product) {
+        throw new Error("Product not found or access denied");
+      }
+
+      for (const level of reorderData.levels) {
+        await findOwnedLocation(tx, userId, level.locationId);
+        await tx.productStock.upsert({
+          where: {
+            productId_locationId: {
+              productId,
+              locationId: level.locationId,
+            },
+          },
+          create: {
+            productId,
+            locationId: level.locationId,
+            reorderPoint: level.reorderPoint,
+          },
+          update: { reorderPoint: level.reorderPoint },
+        });
+      }
+    });
+
+    return getProductStockLevels(userId, productId, currentLocationId);
+  } catch (error) {
+    console.error("Error updating reorder points:", error);
+    throw new Error(error.message || "Failed to update reorder points");
+  }
+}
@@ -1,6 +1,13 @@
 // /src/lib/services/product-service.js
 import prisma from "@/lib/prisma";
 import { nanoid } from "nanoid";
+import { recordStockMovement } from "@/lib/services/stock-movement-service";
+import { assertTaxRateOwned } from "@/lib/services/tax-rate-service";
+import { resolveLocation } from "@/lib/services/location-service";
+import {
+  formatVariantName,
+  suggestVariantSku,
+} from "@/lib/schemas/product-schemas";
 
 /**
  * Checks if a product name is unique for a user
@@ -47,6 +54,22 @@ export async function isProductNameUnique(
  * @property {string} [unit] - Product selling unit
  * @property {string} [categoryId] - Category ID (optional)
  * @property {string} [supplierId] - Supplier ID (optional)
+ * @property {string|null} [taxRateId] - Tax rate overriding the category's (optional)
+ * @property {boolean} [trackLots] - Receive in lots with expiry dates
+ * @property {boolean} [serialized] - Record a serial number for every unit (starts with no stock)
+ * @property {{ name: string, values: string[] }[]} [optionAxes] - Option axes the product varies by (with variants)
+ * @property {VariantData[]} [variants] - One entry per combination of option values; the product becomes their parent
+ * @property {string} [locationId] - Location the initial stock is at
+ */
+
+/**
+ * Variant creation data
+ * @typedef {Object} VariantData
+ * @property {string[]} optionValues - Value on each option axis, in axis order
+ * @property {string} [sku] - Variant SKU; defaults to the parent's SKU with the option values
+ * @property {number} sellingPrice - Variant selling price
+ * @property {number} [stock] - Initial stock quantity
+ * @property {number} [reorderPoint] - Reorder point threshold
  */
 
 /**
@@ -57,12 +80,180 @@ export async function isProductNameUnique(
  * @property {string} [sku] - Product SKU
  * @property {number} [sellingPrice] - Product selling price
  * @property {number} [purchasePrice] - Product purchase price
- * @property {number} [stock] - Stock quantity
  * @property {number} [reorderPoint] - Reorder point threshold
  * @property {string} [unit] - Product selling unit
  * @property {string} [categoryId] - Category ID (optional)
  * @property {string} [supplierId] - Supplier ID (optional)
+ * @property {string|null} [taxRateId] - Tax rate overriding the category's (optional)
+ * @property {boolean} [trackLots] - Receive in lots with expiry dates
+ * @property {boolean} [serialized] - Record a serial number for every unit (only while out of stock)
+ * @property {boolean} [isActive] - Whether the product can be sold and received
+ */
+
+/**
+ * Fields a parent product passes on to its variants. Changing one on the
+ * parent changes it on every variant; price, SKU, stock and reorder point
+ * are each variant's own.
+ */
+const VARIANT_SHARED_FIELDS = [
+  "description",
+  "unit",
+  "categoryId",
+  "supplierId",
+  "taxRateId",
+  "isActive",
+  "trackLots",
+  "serialized",
+];
+
+const productInclude = {
+  category: true,
+  supplier: true,
+  variants: { include: { category: true, supplier: true } },
+};
+
+/**
+ * Picks the fields a parent product passes on to its variants
+ * @param {Object} data - Product data
+ * @returns {Object} Shared fields present in the data
+ */
+function pickSharedFields(data) {
+  return Object.fromEntries(
+    VARIANT_SHARED_FIELDS.filter((field) => data[field] !== undefined).map(
+      (field) => [field, data[field]]
+    )
+  );
+}
+
+/**
+ * Orders a parent product's variants like its option axes (S, M, L rather
+ * than alphabetically) and totals their stock as the parent's
+ * @param {Object} product - Product including variants
+ * @returns {Object} Product with sorted variants and, for a parent, its variants' stock
+ */
+function withVariants(product) {
+  if (!product.hasVariants) return product;
+
+  const axes = product.optionAxes ?? [];
+  const rank = (variant) =>
+    axes.reduce(
+      (sum, axis, index) =>
+        sum * (axis.values.length + 1) +
+        axis.values.indexOf(variant.optionValues?.[index]) +
+        1,
+      0
+    );
+  const variants = [...product.variants].sort((a, b) => rank(a) - rank(b));
+
+  return {
+    ...product,
+    stock: variants.reduce((sum, variant) => sum + variant.stock, 0),
+    variants,
+  };
+}
+
+/**
+ * Checks that every variant matches one distinct combination of the option
+ * axes' values
+ * @param {{ name: string, values: string[] }[]} optionAxes - Option axes
+ * @param {VariantData[]} variants - Variants to create
+ * @returns {void}
+ */
+function checkVariants(optionAxes, variants) {
+  const names = new Set();
+  for (const axis of optionAxes) {
+    if (names.has(axis.name.toLowerCase())) {
+      throw new Error("Option names must be different");
+    }
+    names.add(axis.name.toLowerCase());
+    const values = new Set(axis.values.map((value) => value.toLowerCase()));
+    if (values.size !== axis.values.length) {
+      throw new Error(`Option "${axis.name}" lists a value more than once`);
+    }
+  }
+
+  const combinations = new Set();
+  for (const { optionValues } of variants) {
+    const label = optionValues.join(" / ");
+    if (
+      optionValues.length !== optionAxes.length ||
+      optionValues.some(
+        (value, index) => !optionAxes[index].values.includes(value)
+      )
+    ) {
+      throw new Error(`Variant ${label} does not match the product's options`);
+    }
+    if (combinations.has(label.toLowerCase())) {
+      throw new Error(`Variant ${label} is listed more than once`);
+    }
+    combinations.add(label.toLowerCase());
+  }
+}
+
+/**
+ * Creates a parent product's variants, each with its own SKU, price,
+ * reorder point and initial stock, and the parent's other details
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} userId - The user ID who owns the product
+ * @param {Object} parent - Created parent product
+ * @param {VariantData[]} variants - Variants to create
+ * @param {string} [locationId] - Location the initial stock is at
+ * @returns {Promise<void>}
  */
+async function createVariants(tx, userId, parent, variants, locationId) {
+  const skus = new Set();
+  for (const variant of variants) {
+    // Variants of a product without a SKU get one only if it is typed
+    const sku =
+      variant.sku?.trim() ||
+      (parent.sku ? suggestVariantSku(parent.sku, variant.optionValues) : null);
+    if (sku && skus.has(sku)) {
+      throw new Error(`SKU ${sku} is given to more than one variant`);
+    }
+    skus.add(sku);
+
+    const created = await tx.product.create({
+      data: {
+        ...pickSharedFields(parent),
+        userId,
+        parentId: parent.id,
+        optionValues: variant.optionValues,
+        name: formatVariantName(parent.name, variant.optionValues),
+        sku,
+        sellingPrice: variant.sellingPrice,
+        purchasePrice: parent.purchasePrice,
+        // Stock starts at zero and is set through the ledger below
+        stock: 0,
+        reorderPoint: variant.reorderPoint ?? 0,
+      },
+    });
+
+    if (variant.stock) {
+      await recordStockMovement(tx, {
+        userId,
+        productId: created.id,
+        type: "INITIAL",
+        quantity: variant.stock,
+        locationId,
+        unitCost: created.purchasePrice ?? undefined,
+        reference: "Initial stock",
+      });
+    }
+  }
+}
+
+/**
+ * Checks that a product is tracked by lot or by serial number, not both
+ * @param {{ trackLots?: boolean, serialized?: boolean }} product - Tracking flags
+ * @returns {void}
+ */
+function assertSingleTracking(product) {
+  if (product.trackLots && product.serialized) {
+    throw new Error(
+      "A product can be tracked by lot or by serial number, not both"
+    );
+  }
+}
 
 /**
  * Generates a unique SKU for a user.
@@ -87,10 +278,13 @@ async function generateUniqueSku(userId) {
 }
 
 /**
- * Creates a new product for the specified user
+ * Creates a new product for the specified user. With option axes and
+ * variants, the product becomes a parent that holds no stock itself and a
+ * product is created for each variant, named after the parent and its
+ * option values (e.g. T-Shirt - M / Red).
  * @param {string} userId - The user ID who owns the product
  * @param {CreateProductData} productData - Product data to create
- * @returns {Promise<Object>} Created product object
+ * @returns {Promise<Object>} Created product object, with its variants
  */
 export async function createProduct(userId, productData) {
   try {
@@ -100,34 +294,89 @@ export async function createProduct(userId, productData) {
       throw new Error("A product with this name already exists");
     }
 
+    await assertTaxRateOwned(userId, productData.taxRateId);
+
     let sku = productData.sku?.trim();
     if (!sku) {
       sku = await generateUniqueSku(userId);
     }
 
-    const product = await prisma.product.create({
-      data: {
-        ...productData,
-        sku,
-        userId,
-        // Ensure numeric fields are properly typed
-        sellingPrice: Number(productData.sellingPrice),
-        purchasePrice: productData.purchasePrice
-          ? Number(productData.purchasePrice)
-          : null,
-        stock: productData.stock ? Number(productData.stock) : 0,
-        reorderPoint: productData.reorderPoint
-          ? Number(productData.reorderPoint)
-          : 0,
-        unit: productData.unit || "piece",
-      },
-      include: {
-        category: true,
-        supplier: true,
-      },
+    const { stock, locationId, optionAxes, variants, ...data } = productData;
+    const initialStock = stock && !variants ? Number(stock) : 0;
+    if (productData.serialized) {
+      assertSingleTracking(productData);
+      if (initialStock !== 0 || variants?.some((variant) => variant.stock)) {
+        throw new Error(
+          "Serialized products start with no stock. Receive them to record their serial numbers."
+        );
+      }
+    }
+
+    if (variants) {
+      checkVariants(optionAxes, variants);
+
+      const taken = await prisma.product.findFirst({
+        where: {
+          userId,
+          OR: variants.map((variant) => ({
+            name: {
+              equals: formatVariantName(productData.name, variant.optionValues),
+              mode: "insensitive",
+            },
+          })),
+        },
+        select: { name: true },
+      });
+      if (taken) {
+        throw new Error(`A product named "${taken.name}" already exists`);
+      }
+    }
+
+    const product = await prisma.$transaction(async (tx) => {
+      const created = await tx.product.create({
+        data: {
+          ...data,
+          sku,
+          userId,
+          // Ensure numeric fields are properly typed
+          sellingPrice: Number(productData.sellingPrice),
+          purchasePrice: productData.purchasePrice
+            ? Number(productData.purchasePrice)
+            : null,
+          // Stock starts at zero and is set through the ledger below
+          stock: 0,
+          reorderPoint:
+            productData.reorderPoint && !variants
+              ? Number(productData.reorderPoint)
+              : 0,
+          unit: productData.unit || "piece",
+          ...(variants && { hasVariants: true, optionAxes }),
+        },
+      });
+
+      if (variants) {
+        await createVariants(tx, userId, created, variants, locationId);
+      }
+
+      if (initialStock !== 0) {
+        await recordStockMovement(tx, {
+          userId,
+          productId: created.id,
+          type: "INITIAL",
+          quantity: initialStock,
+          locationId,
+          unitCost: created.purchasePrice ?? undefined,
+          reference: "Initial stock",
+        });
+      }
+
+      return tx.product.findUnique({
+        where: { id: created.id },
+        include: productInclude,
+      });
     });
 
-    return product;
+    return withVariants(product);
   } catch (error) {
     // Prisma unique constraint error
     if (error.code === "P2002") {
@@ -144,34 +393,130 @@ export async function createProduct(userId, productData) {
 }
 
 /**
- * Fetches products for a specific user with pagination
+ * Fetches one page of the products matching a list query, sorted by stock.
+ * A parent's own stock stays at zero, so it is sorted by the total of its
+ * variants, as the list shows it; the matching products are ranked first
+ * and only the requested page is loaded in full.
+ * @param {Object} where - Product list filter
+ * @param {"asc" | "desc"} order - Sort direction
+ * @param {number} skip - Products to skip
+ * @param {number} limit - Products per page
+ * @returns {Promise<{ products: Array, totalCount: number }>} Page of products and the number matching
+ */
+async function getProductPageByStock(where, order, skip, limit) {
+  const ranked = await prisma.product.findMany({
+    where,
+    select: { id: true, stock: true, variants: { select: { stock: true } } },
+  });
+  const direction = order === "asc" ? 1 : -1;
+  const pageIds = ranked
+    .map((product) => ({
+      id: product.id,
+      stock: product.variants.reduce(
+        (sum, variant) => sum + variant.stock,
+        product.stock
+      ),
+    }))
+    // Tie-break on id so pages stay stable when stock repeats
+    .sort((a, b) => direction * (a.stock - b.stock) || (a.id < b.id ? -1 : 1))
+    .slice(skip, skip + limit)
+    .map((product) => product.id);
+
+  const products = await prisma.product.findMany({
+    where: { id: { in: pageIds } },
+    include: productInclude,
+  });
+  const productsById = new Map(products.map((p) => [p.id, p]));
+
+  return {
+    products: pageIds.map((id) => productsById.get(id)),
+    totalCount: ranked.length,
+  };
+}
+
+/**
+ * Fetches products for a specific user with search, filters, sorting and pagination.
+ * Variants are listed under their parent product rather than on their own;
+ * a parent matches the search or the low-stock filter when a variant does,
+ * and sorts by stock with its variants' total.
  * @param {string} userId - The user ID
  * @param {Object} options - Query options
  * @param {number} [options.page=1] - Page number
  * @param {number} [options.limit=10] - Items per page
+ * @param {string} [options.q] - Case-insensitive search on name and SKU
+ * @param {string} [options.categoryId] - Only products in this category
+ * @param {string} [options.supplierId] - Only products from this supplier
+ * @param {boolean} [options.lowStock=false] - Only products at or below their reorder point
+ * @param {"active" | "inactive" | "all"} [options.status="all"] - Filter by active flag
+ * @param {"name" | "sellingPrice" | "stock" | "createdAt"} [options.sort="createdAt"] - Sort field
+ * @param {"asc" | "desc"} [options.order="desc"] - Sort direction
  * @returns {Promise<Object>} Products list with pagination info
  */
 export async function getProductsByUser(userId, options = {}) {
-  const { page = 1, limit = 10 } = options;
+  const {
+    page = 1,
+    limit = 10,
+    q,
+    categoryId,
+    supplierId,
+    lowStock = false,
+    status = "all",
+    sort = "createdAt",
+    order = "desc",
+  } = options;
   const skip = (page - 1) * limit;
+  const term = q?.trim();
 
-  try {
-    const [products, totalCount] = await Promise.all([
-      prisma.product.findMany({
-        where: { userId },
-        include: {
-          category: true,
-          supplier: true,
+  const termFilter = term && {
+    OR: [
+      { name: { contains: term, mode: "insensitive" } },
+      { sku: { contains: term, mode: "insensitive" } },
+    ],
+  };
+  const lowStockFilter = {
+    stock: { lte: prisma.product.fields.reorderPoint },
+  };
+
+  const where = {
+    userId,
+    parentId: null,
+    ...(term && {
+      OR: [...termFilter.OR, { variants: { some: termFilter } }],
+    }),
+    ...(categoryId && { categoryId }),
+    ...(supplierId && { supplierId }),
+    // Nested so it does not clash with the search's OR
+    ...(lowStock && {
+      AND: [
+        {
+          OR: [
+            { hasVariants: false, ...lowStockFilter },
+            { variants: { some: lowStockFilter } },
+          ],
         },
-        orderBy: { createdAt: "desc" },
-        skip,
-        take: limit,
-      }),
-      prisma.product.count({ where: { userId } }),
-    ]);
+      ],
+    }),
+    ...(status !== "all" && { isActive: status === "active" }),
+  };
+
+  try {
+    const { products, totalCount } =
+      sort === "stock"
+        ? await getProductPageByStock(where, order, skip, limit)
+        : await Promise.all([
+            prisma.product.findMany({
+              where,
+              include: productInclude,
+              // Tie-break on id so pages stay stable when sort values repeat
+              orderBy: [{ [sort]: order }, { id: "asc" }],
+              skip,
+              take: limit,
+            }),
+            prisma.product.count({ where }),
+          ]).then(([page, count]) => ({ products: page, totalCount: count }));
 
     return {
-      products,
+      products: products.map(withVariants),
       totalCount,
       totalPages: Math.ceil(totalCount / limit),
       currentPage: page,
@@ -182,11 +527,75 @@ export async function getProductsByUser(userId, options = {}) {
   }
 }
 
+/**
+ * Searches a user's active products by name or SKU for quick-lookup inputs
+ * (receiving, point of sale, transfers). Returns a slim product shape whose
+ * stock is the level at the given location, with the total alongside.
+ * Parent products are left out: stock moves through their variants.
+ * @param {string} userId - The user ID
+ * @param {string} query - Search text matched against name and SKU
+ * @param {Object} options - Query options
+ * @param {number} [options.limit=10] - Maximum number of results
+ * @param {string} [options.locationId] - Location to report stock at; defaults to the default location
+ * @returns {Promise<Array>} Matching products ordered by name
+ */
+export async function searchProducts(userId, query, options = {}) {
+  const { limit = 10, locationId } = options;
+  const term = query?.trim();
+
+  if (!term) return [];
+
+  try {
+    const location = await resolveLocation(prisma, userId, locationId);
+
+    const products = await prisma.product.findMany({
+      where: {
+        userId,
+        isActive: true,
+        hasVariants: false,
+        OR: [
+          { name: { contains: term, mode: "insensitive" } },
+          { sku: { contains: term, mode: "insensitive" } },
+        ],
+      },
+      select: {
+        id: true,
+        name: true,
+        sku: true,
+        stock: true,
+        unit: true,
+        sellingPrice: true,
+        purchasePrice: true,
+        trackLots: true,
+        serialized: true,
+        // Tax rates, so the till can show tax before the sale is saved
+        taxRate: { select: { rate: true } },
+        category: { select: { taxRate: { select: { rate: true } } } },
+        stockLevels: {
+          where: { locationId: location.id },
+          select: { quantity: true },
+        },
+      },
+      orderBy: { name: "asc" },
+      take: limit,
+    });
+
+    return products.map(({ stockLevels, stock, ...product }) => ({
+      ...product,
+      stock: stockLevels[0]?.quantity ?? 0,
+      totalStock: stock,
+    }));
+  } catch (error) {
+    console.error("Error searching products:", error);
+    throw new Error("Failed to search products");
+  }
+}
+
 /**
  * Fetches a single product by ID for a specific user
  * @param {string} userId - The user ID
  * @param {string} productId - The product ID
- * @returns {Promise<Object|null>} Product object or null if not found
+ * @returns {Promise<Object|null>} Product object (with its variants) or null if not found
  */
 export async function getProductById(userId, productId) {
   try {
@@ -195,13 +604,10 @@ export async function getProductById(userId, productId) {
         id: productId,
         userId,
       },
-      include: {
-        category: true,
-        supplier: true,
-      },
+      include: productInclude,
     });
 
-    return product;
+    return product ? withVariants(product) : null;
   } catch (error) {
     console.error("Error fetching product:", error);
     throw new Error("Failed to fetch product");
@@ -209,7 +615,9 @@ export async function getProductById(userId, productId) {
 }
 
 /**
- * Updates a product for the specified user
+ * Updates a product for the specified user. Changes to a parent product's
+ * shared details are passed on to its variants, and renaming it renames
+ * them.
  * @param {string} userId - The user ID who owns the product
  * @param {string} productId - The product ID to update
  * @param {UpdateProductData} productData - Product data to update
@@ -241,33 +649,74 @@ export async function updateProduct(userId, productId, productData) {
       }
     }
 
-    const product = await prisma.product.update({
-      where: { id: productId },
-      data: {
-        ...productData,
-        // Ensure numeric fields are properly typed
-        sellingPrice: productData.sellingPrice
-          ? Number(productData.sellingPrice)
-          : undefined,
-        purchasePrice: productData.purchasePrice
-          ? Number(productData.purchasePrice)
-          : undefined,
-        stock:
-          productData.stock !== undefined
-            ? Number(productData.stock)
+    await assertTaxRateOwned(userId, productData.taxRateId);
+
+    assertSingleTracking({ ...existingProduct, ...productData });
+    if (
+      productData.serialized !== undefined &&
+      productData.serialized !== existingProduct.serialized
+    ) {
+      // A parent's stock is its variants'
+      const { _sum } = await prisma.product.aggregate({
+        where: { OR: [{ id: productId }, { parentId: productId }] },
+        _sum: { stock: true },
+      });
+      if (_sum.stock !== 0) {
+        throw new Error(
+          "Serial numbers can only be switched on or off while the product has no stock"
+        );
+      }
+    }
+
+    // Stock is changed only through stock movements (see createStockAdjustment)
+    const product = await prisma.$transaction(async (tx) => {
+      const updated = await tx.product.update({
+        where: { id: productId },
+        data: {
+          ...productData,
+          // Ensure numeric fields are properly typed
+          sellingPrice: productData.sellingPrice
+            ? Number(productData.sellingPrice)
             : undefined,
-        reorderPoint:
-          productData.reorderPoint !== undefined
-            ? Number(productData.reorderPoint)
+          purchasePrice: productData.purchasePrice
+            ? Number(productData.purchasePrice)
             : undefined,
-      },
-      include: {
-        category: true,
-        supplier: true,
-      },
+          reorderPoint:
+            productData.reorderPoint !== undefined
+              ? Number(productData.reorderPoint)
+              : undefined,
+        },
+      });
+
+      if (existingProduct.hasVariants) {
+        await tx.product.updateMany({
+          where: { parentId: productId },
+          data: pickSharedFields(productData),
+        });
+
+        if (updated.name !== existingProduct.name) {
+          const variants = await tx.product.findMany({
+            where: { parentId: productId },
+            select: { id: true, optionValues: true },
+          });
+          for (const variant of variants) {
+            await tx.product.update({
+              where: { id: variant.id },
+              data: {
+                name: formatVariantName(updated.name, variant.optionValues),
+              },
+            });
+          }
+        }
+      }
+
+      return tx.product.findUnique({
+        where: { id: productId },
+        include: productInclude,
+      });
     });
 
-    return product;
+    return withVariants(product);
   } catch (error) {
     if (error.code === "P2002") {
       if (error.meta?.target?.includes("name")) {
@@ -283,10 +732,112 @@ export async function updateProduct(userId, productId, productData) {
 }
 
 /**
- * Deletes a product for the specified user (with transaction history check)
+ * A record count that blocks a product from being deleted
+ * @typedef {Object} ProductHistoryBlocker
+ * @property {string} type - Stable identifier of the history kind
+ * @property {string} label - Human-readable name of the history kind
+ * @property {number} [count] - Number of records found, when counted
+ */
+
+/**
+ * Registry of history checks run before a product is deleted.
+ * Every table that records transactions against a product registers a check
+ * here; the opening stock movement alone does not count as history. Checks
+ * count across several products at once (a parent and its variants).
+ * @type {Array<{type: string, label: string, count: (tx: Object, productIds: string[]) => Promise<number>}>}
+ */
+const productHistoryChecks = [
+  {
+    type: "sales",
+    label: "Sale lines",
+    count: (tx, productIds) =>
+      tx.saleItem.count({ where: { productId: { in: productIds } } }),
+  },
+  {
+    type: "saleReturns",
+    label: "Sale return lines",
+    count: (tx, productIds) =>
+      tx.saleReturnItem.count({ where: { productId: { in: productIds } } }),
+  },
+  {
+    type: "purchases",
+    label: "Purchase lines",
+    count: (tx, productIds) =>
+      tx.purchaseItem.count({ where: { productId: { in: productIds } } }),
+  },
+  {
+    type: "purchaseOrders",
+    label: "Purchase order lines",
+    count: (tx, productIds) =>
+      tx.purchaseOrderItem.count({ where: { productId: { in: productIds } } }),
+  },
+  {
+    type: "adjustments",
+    label: "Stock adjustments",
+    count: (tx, productIds) =>
+      tx.stockMovement.count({
+        where: { productId: { in: productIds }, type: "ADJUSTMENT" },
+      }),
+  },
+  {
+    type: "stocktakes",
+    label: "Stocktake lines",
+    count: (tx, productIds) =>
+      tx.stocktakeItem.count({ where: { productId: { in: productIds } } }),
+  },
+  {
+    type: "transfers",
+    label: "Transfer lines",
+    count: (tx, productIds) =>
+      tx.stockTransferItem.count({ where: { productId: { in: productIds } } }),
+  },
+];
+
+/**
+ * Thrown when a product cannot be deleted because it has transaction history
+ */
+export class ProductHistoryError extends Error {
+  /**
+   * @param {ProductHistoryBlocker[]} blockers - History found for the product
+   */
+  constructor(blockers) {
+    super(
+      "Cannot delete product: it has transaction history. Deactivate it instead to hide it from sales and receiving."
+    );
+    this.name = "ProductHistoryError";
+    this.blockers = blockers;
+  }
+}
+
+/**
+ * Runs every registered history check for a product and its variants
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string[]} productIds - The product ID and its variants' IDs
+ * @returns {Promise<ProductHistoryBlocker[]>} History kinds with at least one record
+ */
+async function getProductHistoryBlockers(tx, productIds) {
+  const counts = await Promise.all(
+    productHistoryChecks.map((check) => check.count(tx, productIds))
+  );
+
+  return productHistoryChecks
+    .map((check, index) => ({
+      type: check.type,
+      label: check.label,
+      count: counts[index],
+    }))
+    .filter((blocker) => blocker.count > 0);
+}
+
+/**
+ * Deletes a product for the specified user (with transaction history check).
+ * A parent product is deleted with its variants, so the check covers them
+ * all. A variant cannot be deleted on its own: its combination would stay
+ * in the parent's options with no way to add it back.
  * @param {string} userId - The user ID who owns the product
  * @param {string} productId - The product ID to delete
  * @returns {Promise<void>}
+ * @throws {ProductHistoryError} When the product has transaction history
  */
 export async function deleteProductById(userId, productId) {
   try {
@@ -301,23 +852,38 @@ export async function deleteProductById(userId, productId) {
     if (!existingProduct) {
       throw new Error("Product not found or access denied");
     }
+    if (existingProduct.parentId) {
+      throw new Error(
+        "Cannot delete a variant on its own. Deactivate it instead to hide it from sales and receiving, or delete the whole product."
+      );
+    }
 
-    // Check for transaction history (sales, purchases, adjustments)
-    // For MVP, we'll implement a basic check - this can be expanded later
-    // when we have sales and purchase transaction tables
-
-    // For now, just delete the product
-    // TODO: Add transaction history checks when sales/purchase tables are implemented
+    await prisma.$transaction(async (tx) => {
+      const variants = await tx.product.findMany({
+        where: { parentId: productId },
+        select: { id: true },
+      });
+      const blockers = await getProductHistoryBlockers(tx, [
+        productId,
+        ...variants.map((variant) => variant.id),
+      ]);
+      if (blockers.length > 0) {
+        throw new ProductHistoryError(blockers);
+      }
 
-    await prisma.product.delete({
-      where: { id: productId },
+      await tx.product.delete({
+        where: { id: productId },
+      });
     });
   } catch (error) {
+    if (error instanceof ProductHistoryError) {
+      throw error;
+    }
     if (error.code === "P2003") {
-      // Foreign key constraint error - has related records
-      throw new Error(
-        "Cannot delete product: it has associated transaction history. Consider deactivating it instead."
-      );
+      // Foreign key constraint error - history not covered by a registered check
+      throw new ProductHistoryError([
+        { type: "other", label: "Other linked records" },
+      ]);
     }
     console.error("Error deleting product:", error);
     throw new Error(error.message || "Failed to delete product");
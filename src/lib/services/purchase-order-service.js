@@ -0,0 +1,547 @@
+// /src/lib/services/purchase-order-service.js
+import prisma from "@/lib/prisma";
+import {
+  getPurchaseTotals,
+  getReceivedLot,
+  getStockUnitCost,
+} from "@/lib/services/purchase-service";
+import { recordStockMovement } from "@/lib/services/stock-movement-service";
+import { getTaxContext } from "@/lib/services/tax-rate-service";
+import { formatPurchaseOrderNumber } from "@/lib/schemas/purchase-order-schemas";
+import { addLineTaxes } from "@/lib/schemas/tax-schemas";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Purchase order line data
+ * @typedef {Object} PurchaseOrderItemData
+ * @property {string} productId - Product ordered
+ * @property {number} quantity - Quantity ordered
+ * @property {number} unitCost - Agreed cost per unit
+ */
+
+/**
+ * Purchase order creation (or draft replacement) data
+ * @typedef {Object} PurchaseOrderData
+ * @property {string} supplierId - Supplier the order is placed with
+ * @property {string} [note] - Optional note
+ * @property {Date} [expectedAt] - Expected delivery date
+ * @property {PurchaseOrderItemData[]} items - Ordered lines
+ */
+
+/**
+ * Purchase order delivery data
+ * @typedef {Object} ReceivePurchaseOrderData
+ * @property {"PAID" | "CREDIT"} paymentStatus - How the delivery was settled
+ * @property {string} [note] - Optional note (e.g. delivery note number)
+ * @property {{ itemId: string, quantity: number, lotNumber?: string, expiryDate?: Date, serials?: string[] }[]} items - Quantity (and lot or serial numbers, for tracked products) delivered per order line
+ * @property {string} [locationId] - Location the delivery arrives at
+ */
+
+const purchaseOrderInclude = {
+  supplier: true,
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true,
+          stock: true,
+          isActive: true,
+          trackLots: true,
+          serialized: true,
+        },
+      },
+    },
+    orderBy: { product: { name: "asc" } },
+  },
+  receipts: {
+    include: { _count: { select: { items: true } } },
+    orderBy: { receivedAt: "desc" },
+  },
+};
+
+/**
+ * Adds ordered and received totals to a purchase order with its items
+ * @param {Object} order - Purchase order including items
+ * @returns {Object} Purchase order with totalAmount, unitsOrdered and unitsReceived
+ */
+function withTotals(order) {
+  return {
+    ...order,
+    totalAmount: roundMoney(
+      order.items.reduce(
+        (sum, item) => sum + item.quantityOrdered * item.unitCost,
+        0
+      )
+    ),
+    unitsOrdered: order.items.reduce(
+      (sum, item) => sum + item.quantityOrdered,
+      0
+    ),
+    unitsReceived: order.items.reduce(
+      (sum, item) => sum + item.quantityReceived,
+      0
+    ),
+  };
+}
+
+/**
+ * Finds a purchase order owned by the user or throws
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string} purchaseOrderId - The purchase order ID
+ * @returns {Promise<Object>} Purchase order with items
+ */
+async function findOwnedPurchaseOrder(tx, userId, purchaseOrderId) {
+  const order = await tx.purchaseOrder.findFirst({
+    where: { id: purchaseOrderId, userId },
+    include: { items: true },
+  });
+
+  if (!order) {
+    throw new Error("Purchase order not found or access denied");
+  }
+
+  return order;
+}
+
+/**
+ * Checks that the supplier and every ordered product belong to the user and
+ * that the products are active
+ * @param {string} userId - The user ID
+ * @param {PurchaseOrderData} orderData - Purchase order data
+ * @returns {Promise<void>}
+ */
+async function validateOrderReferences(userId, orderData) {
+  const supplier = await prisma.supplier.findFirst({
+    where: { id: orderData.supplierId, userId },
+    select: { id: true },
+  });
+  if (!supplier) {
+    throw new Error("Supplier not found or access denied");
+  }
+
+  const productIds = orderData.items.map((item) => item.productId);
+  const products = await prisma.product.findMany({
+    where: { id: { in: productIds }, userId },
+    select: { name: true, isActive: true },
+  });
+  if (products.length !== productIds.length) {
+    throw new Error("One or more products were not found");
+  }
+  const inactiveProduct = products.find((product) => !product.isActive);
+  if (inactiveProduct) {
+    throw new Error(
+      `${inactiveProduct.name} is inactive and cannot be ordered`
+    );
+  }
+}
+
+/**
+ * Maps order line input to PurchaseOrderItem create data
+ * @param {PurchaseOrderItemData[]} items - Ordered lines
+ * @returns {Array<Object>} Item create data
+ */
+function toItemData(items) {
+  return items.map((item) => ({
+    productId: item.productId,
+    quantityOrdered: item.quantity,
+    unitCost: roundMoney(item.unitCost),
+  }));
+}
+
+/**
+ * Fetches purchase orders for a specific user, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.status] - Only orders with this status
+ * @returns {Promise<Array>} Purchase orders with supplier and totals
+ */
+export async function getPurchaseOrdersByUser(userId, options = {}) {
+  const { status } = options;
+
+  try {
+    const orders = await prisma.purchaseOrder.findMany({
+      where: { userId, ...(status && { status }) },
+      include: {
+        supplier: { select: { id: true, name: true } },
+        items: {
+          select: {
+            quantityOrdered: true,
+            quantityReceived: true,
+            unitCost: true,
+          },
+        },
+      },
+      orderBy: { number: "desc" },
+    });
+
+    return orders.map(withTotals);
+  } catch (error) {
+    console.error("Error fetching purchase orders:", error);
+    throw new Error("Failed to fetch purchase orders");
+  }
+}
+
+/**
+ * Fetches a single purchase order by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} purchaseOrderId - The purchase order ID
+ * @returns {Promise<Object|null>} Purchase order with items and receipts, or null if not found
+ */
+export async function getPurchaseOrderById(userId, purchaseOrderId) {
+  try {
+    const order = await prisma.purchaseOrder.findFirst({
+      where: { id: purchaseOrderId, userId },
+      include: purchaseOrderInclude,
+    });
+
+    return order ? withTotals(order) : null;
+  } catch (error) {
+    console.error("Error fetching purchase order:", error);
+    throw new Error("Failed to fetch purchase order");
+  }
+}
+
+/**
+ * Creates a draft purchase order with the next sequential number
+ * @param {string} userId - The user ID who owns the purchase order
+ * @param {PurchaseOrderData} orderData - Purchase order data
+ * @returns {Promise<Object>} Created purchase order
+ */
+export async function createPurchaseOrder(userId, orderData) {
+  try {
+    await validateOrderReferences(userId, orderData);
+
+    const order = await prisma.$transaction(async (tx) => {
+      const { _max } = await tx.purchaseOrder.aggregate({
+        where: { userId },
+        _max: { number: true },
+      });
+
+      return tx.purchaseOrder.create({
+        data: {
+          userId,
+          number: (_max.number || 0) + 1,
+          supplierId: orderData.supplierId,
+          note: orderData.note || null,
+          expectedAt: orderData.expectedAt || null,
+          items: { create: toItemData(orderData.items) },
+        },
+        include: purchaseOrderInclude,
+      });
+    });
+
+    return withTotals(order);
+  } catch (error) {
+    console.error("Error creating purchase order:", error);
+
+    // Two orders created at the same moment drew the same number
+    if (error.code === "P2002") {
+      throw new Error("Could not number the purchase order, please try again");
+    }
+
+    throw new Error(error.message || "Failed to create purchase order");
+  }
+}
+
+/**
+ * Replaces the supplier, note, expected date and lines of a draft purchase order
+ * @param {string} userId - The user ID who owns the purchase order
+ * @param {string} purchaseOrderId - The purchase order ID to update
+ * @param {PurchaseOrderData} orderData - Replacement purchase order data
+ * @returns {Promise<Object>} Updated purchase order
+ */
+export async function updatePurchaseOrder(userId, purchaseOrderId, orderData) {
+  try {
+    const existingOrder = await findOwnedPurchaseOrder(
+      prisma,
+      userId,
+      purchaseOrderId
+    );
+    if (existingOrder.status !== "DRAFT") {
+      throw new Error("Only draft purchase orders can be edited");
+    }
+
+    await validateOrderReferences(userId, orderData);
+
+    const order = await prisma.$transaction(async (tx) => {
+      await tx.purchaseOrderItem.deleteMany({ where: { purchaseOrderId } });
+
+      return tx.purchaseOrder.update({
+        where: { id: purchaseOrderId },
+        data: {
+          supplierId: orderData.supplierId,
+          note: orderData.note || null,
+          expectedAt: orderData.expectedAt || null,
+          items: { create: toItemData(orderData.items) },
+        },
+        include: purchaseOrderInclude,
+      });
+    });
+
+    return withTotals(order);
+  } catch (error) {
+    console.error("Error updating purchase order:", error);
+    throw new Error(error.message || "Failed to update purchase order");
+  }
+}
+
+/**
+ * Marks a draft purchase order as sent to the supplier
+ * @param {string} userId - The user ID who owns the purchase order
+ * @param {string} purchaseOrderId - The purchase order ID
+ * @returns {Promise<Object>} Updated purchase order
+ */
+export async function markPurchaseOrderSent(userId, purchaseOrderId) {
+  try {
+    const existingOrder = await findOwnedPurchaseOrder(
+      prisma,
+      userId,
+      purchaseOrderId
+    );
+    if (existingOrder.status !== "DRAFT") {
+      throw new Error("Only draft purchase orders can be marked as sent");
+    }
+
+    const order = await prisma.purchaseOrder.update({
+      where: { id: purchaseOrderId },
+      data: { status: "SENT", sentAt: new Date() },
+      include: purchaseOrderInclude,
+    });
+
+    return withTotals(order);
+  } catch (error) {
+    console.error("Error sending purchase order:", error);
+    throw new Error(error.message || "Failed to mark purchase order as sent");
+  }
+}
+
+/**
+ * Records a delivery against a sent purchase order: creates a stock receipt
+ * linked to the order, increments stock for every delivered line through the
+ * stock ledger, updates the received quantities and moves the order to
+ * partially received or closed, all in a single transaction.
+ * Each line records the tax paid at its product's rate, and the stock goes
+ * into the location the delivery arrives at (in a lot, for lot-tracked
+ * products, or under its serial numbers, for serialized ones).
+ * Deliveries on credit are also added to the supplier's balance.
+ * @param {string} userId - The user ID who owns the purchase order
+ * @param {string} purchaseOrderId - The purchase order ID
+ * @param {ReceivePurchaseOrderData} deliveryData - Delivered quantities
+ * @returns {Promise<Object>} Updated purchase order
+ */
+export async function receivePurchaseOrder(
+  userId,
+  purchaseOrderId,
+  deliveryData
+) {
+  try {
+    const { paymentStatus, note } = deliveryData;
+    const delivered = deliveryData.items.filter((item) => item.quantity > 0);
+
+    await prisma.$transaction(async (tx) => {
+      const order = await findOwnedPurchaseOrder(tx, userId, purchaseOrderId);
+      if (order.status === "DRAFT") {
+        throw new Error("Mark the purchase order as sent before receiving it");
+      }
+      if (order.status === "CLOSED") {
+        throw new Error("This purchase order is closed");
+      }
+
+      const itemsById = new Map(order.items.map((item) => [item.id, item]));
+      const productIds = order.items.map((item) => item.productId);
+      const products = await tx.product.findMany({
+        where: { id: { in: productIds } },
+        select: { id: true, name: true, isActive: true, trackLots: true },
+      });
+      const productsById = new Map(
+        products.map((product) => [product.id, product])
+      );
+      const { pricesIncludeTax, rates } = await getTaxContext(
+        tx,
+        userId,
+        productIds
+      );
+      const lines = addLineTaxes(
+        delivered.map((delivery) => {
+          const item = itemsById.get(delivery.itemId);
+          if (!item) {
+            throw new Error("Order line not found on this purchase order");
+          }
+          return {
+            item,
+            quantity: delivery.quantity,
+            unitCost: item.unitCost,
+            lineTotal: roundMoney(delivery.quantity * item.unitCost),
+            taxRate: rates.get(item.productId),
+            ...getReceivedLot(productsById.get(item.productId), delivery),
+          };
+        }),
+        0,
+        pricesIncludeTax
+      );
+
+      const inactiveProduct = lines
+        .map((line) => productsById.get(line.item.productId))
+        .find((product) => !product.isActive);
+      if (inactiveProduct) {
+        throw new Error(
+          `${inactiveProduct.name} is inactive and cannot be received`
+        );
+      }
+
+      const receipt = await tx.purchase.create({
+        data: {
+          userId,
+          supplierId: order.supplierId,
+          purchaseOrderId,
+          paymentStatus,
+          note: note || null,
+          ...getPurchaseTotals(lines, pricesIncludeTax),
+          pricesIncludeTax,
+          items: {
+            create: lines.map((line) => ({
+              productId: line.item.productId,
+              quantity: line.quantity,
+              unitCost: line.unitCost,
+              lineTotal: line.lineTotal,
+              taxRate: line.taxRate,
+              taxAmount: line.taxAmount,
+              lotNumber: line.lotNumber,
+              expiryDate: line.expiryDate,
+            })),
+          },
+        },
+      });
+
+      const orderNumber = formatPurchaseOrderNumber(order.number);
+      const reference = `Stock receipt (${orderNumber})`;
+      for (const [index, line] of lines.entries()) {
+        // Increment first so concurrent deliveries cannot both pass the check
+        const { quantityOrdered, quantityReceived } =
+          await tx.purchaseOrderItem.update({
+            where: { id: line.item.id },
+            data: { quantityReceived: { increment: line.quantity } },
+          });
+        if (quantityReceived > quantityOrdered) {
+          const remaining = quantityOrdered - quantityReceived + line.quantity;
+          throw new Error(
+            `Cannot receive ${line.quantity}: only ${remaining} left to receive on this line`
+          );
+        }
+
+        await recordStockMovement(tx, {
+          userId,
+          productId: line.item.productId,
+          type: "PURCHASE",
+          quantity: line.quantity,
+          locationId: deliveryData.locationId,
+          unitCost: getStockUnitCost(line, pricesIncludeTax),
+          lot: line.lotNumber ? line : undefined,
+          serials: delivered[index].serials,
+          reference,
+          referenceId: receipt.id,
+        });
+
+        await tx.product.update({
+          where: { id: line.item.productId },
+          data: { purchasePrice: line.unitCost },
+        });
+      }
+
+      if (paymentStatus === "CREDIT") {
+        await tx.supplier.update({
+          where: { id: order.supplierId },
+          data: { balance: { increment: receipt.totalAmount } },
+        });
+      }
+
+      const outstandingLines = await tx.purchaseOrderItem.count({
+        where: {
+          purchaseOrderId,
+          quantityReceived: {
+            lt: prisma.purchaseOrderItem.fields.quantityOrdered,
+          },
+        },
+      });
+
+      await tx.purchaseOrder.update({
+        where: { id: purchaseOrderId },
+        data:
+          outstandingLines === 0
+            ? { status: "CLOSED", closedAt: new Date() }
+            : { status: "PARTIALLY_RECEIVED" },
+      });
+    });
+
+    return getPurchaseOrderById(userId, purchaseOrderId);
+  } catch (error) {
+    console.error("Error receiving purchase order:", error);
+    throw new Error(error.message || "Failed to receive purchase order");
+  }
+}
+
+/**
+ * Closes a sent or partially received purchase order; anything still
+ * outstanding will not be delivered
+ * @param {string} userId - The user ID who owns the purchase order
+ * @param {string} purchaseOrderId - The purchase order ID
+ * @returns {Promise<Object>} Updated purchase order
+ */
+export async function closePurchaseOrder(userId, purchaseOrderId) {
+  try {
+    const existingOrder = await findOwnedPurchaseOrder(
+      prisma,
+      userId,
+      purchaseOrderId
+    );
+    if (existingOrder.status === "DRAFT") {
+      throw new Error("Draft purchase orders can be deleted instead");
+    }
+    if (existingOrder.status === "CLOSED") {
+      throw new Error("This purchase order is already closed");
+    }
+
+    const order = await prisma.purchaseOrder.update({
+      where: { id: purchaseOrderId },
+      data: { status: "CLOSED", closedAt: new Date() },
+      include: purchaseOrderInclude,
+    });
+
+    return withTotals(order);
+  } catch (error) {
+    console.error("Error closing purchase order:", error);
+    throw new Error(error.message || "Failed to close purchase order");
+  }
+}
+
+/**
+ * Deletes a draft purchase order
+ * @param {string} userId - The user ID who owns the purchase order
+ * @param {string} purchaseOrderId - The purchase order ID to delete
+ * @returns {Promise<void>}
+ */
+export async function deletePurchaseOrderById(userId, purchaseOrderId) {
+  try {
+    const existingOrder = await findOwnedPurchaseOrder(
+      prisma,
+      userId,
+      purchaseOrderId
+    );
+    if (existingOrder.status !== "DRAFT") {
+      throw new Error(
+        "Only draft purchase orders can be deleted. Close the order instead."
+      );
+    }
+
+    await prisma.purchaseOrder.delete({
+      where: { id: purchaseOrderId },
+    });
+  } catch (error) {
+    console.error("Error deleting purchase order:", error);
+    throw new Error(error.message || "Failed to delete purchase order");
+  }
+}
@@ -0,0 +1,263 @@
+// /src/lib/services/purchase-service.js
+import prisma from "@/lib/prisma";
+import { addLineTaxes } from "@/lib/schemas/tax-schemas";
+import { recordStockMovement } from "@/lib/services/stock-movement-service";
+import { getTaxContext } from "@/lib/services/tax-rate-service";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Purchase line item data
+ * @typedef {Object} PurchaseItemData
+ * @property {string} productId - Product received
+ * @property {number} quantity - Quantity received
+ * @property {number} unitCost - Purchase cost per unit
+ * @property {string} [lotNumber] - Lot received (required for lot-tracked products)
+ * @property {Date} [expiryDate] - Expiry date of the lot
+ * @property {string[]} [serials] - Serial numbers received, one per unit (serialized products)
+ */
+
+/**
+ * Purchase (stock receipt) creation data
+ * @typedef {Object} CreatePurchaseData
+ * @property {string} [supplierId] - Supplier the stock was bought from
+ * @property {"PAID" | "CREDIT"} paymentStatus - How the receipt was settled
+ * @property {string} [note] - Optional note
+ * @property {PurchaseItemData[]} items - Received lines
+ * @property {string} [locationId] - Location the stock arrives at
+ */
+
+const purchaseInclude = {
+  supplier: true,
+  items: {
+    include: {
+      product: { select: { id: true, name: true, sku: true, unit: true } },
+    },
+  },
+};
+
+/**
+ * Totals the tax and the amount owed for a stock receipt
+ * @param {Array<{ lineTotal: number, taxAmount: number }>} lines - Taxed receipt lines
+ * @param {boolean} pricesIncludeTax - Whether unit costs already include tax
+ * @returns {{ taxAmount: number, totalAmount: number }} Receipt totals
+ */
+export function getPurchaseTotals(lines, pricesIncludeTax) {
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  const taxAmount = roundMoney(
+    lines.reduce((sum, line) => sum + line.taxAmount, 0)
+  );
+  return {
+    taxAmount,
+    totalAmount: roundMoney(pricesIncludeTax ? subtotal : subtotal + taxAmount),
+  };
+}
+
+/**
+ * Works out what each received unit adds to the stock's value: its cost
+ * before tax, since tax paid on stock is reclaimed rather than held in it
+ * @param {{ quantity: number, unitCost: number, lineTotal: number, taxAmount: number }} line - Taxed receipt line
+ * @param {boolean} pricesIncludeTax - Whether unit costs already include tax
+ * @returns {number} Cost per unit, tax excluded
+ */
+export function getStockUnitCost(line, pricesIncludeTax) {
+  return pricesIncludeTax
+    ? (line.lineTotal - line.taxAmount) / line.quantity
+    : line.unitCost;
+}
+
+/**
+ * Works out the lot a received line goes into. Lot-tracked products must
+ * come with a lot number; lot details sent for other products are dropped.
+ * @param {{ name: string, trackLots: boolean }} product - Product received
+ * @param {{ lotNumber?: string, expiryDate?: Date }} line - Received line
+ * @returns {{ lotNumber: string|null, expiryDate: Date|null }} Lot to record on the line
+ */
+export function getReceivedLot(product, line) {
+  if (!product.trackLots) {
+    return { lotNumber: null, expiryDate: null };
+  }
+  if (!line.lotNumber) {
+    throw new Error(`Enter a lot number for ${product.name}`);
+  }
+  return { lotNumber: line.lotNumber, expiryDate: line.expiryDate ?? null };
+}
+
+/**
+ * Finalizes a stock receipt: creates the purchase, increments stock for
+ * every line through the stock ledger (updating each product's average
+ * cost) and records the latest purchase price on each product, all in a
+ * single transaction.
+ * Each line records the tax paid at its product's rate, and lines of
+ * lot-tracked products open a lot with their lot number and expiry date.
+ * Serialized products record the serial number of every unit received.
+ * Receipts on credit are also added to the supplier's balance.
+ * @param {string} userId - The user ID who owns the purchase
+ * @param {CreatePurchaseData} purchaseData - Purchase data to create
+ * @returns {Promise<Object>} Created purchase with items and supplier
+ */
+export async function createPurchase(userId, purchaseData) {
+  try {
+    const { supplierId, paymentStatus, note, items } = purchaseData;
+
+    if (supplierId) {
+      const supplier = await prisma.supplier.findFirst({
+        where: { id: supplierId, userId },
+        select: { id: true },
+      });
+      if (!supplier) {
+        throw new Error("Supplier not found or access denied");
+      }
+    }
+
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const ownedProducts = await prisma.product.findMany({
+      where: { id: { in: productIds }, userId },
+      select: { id: true, name: true, isActive: true, trackLots: true },
+    });
+    if (ownedProducts.length !== productIds.length) {
+      throw new Error("One or more products were not found");
+    }
+    const inactiveProduct = ownedProducts.find((product) => !product.isActive);
+    if (inactiveProduct) {
+      throw new Error(
+        `${inactiveProduct.name} is inactive and cannot be received`
+      );
+    }
+
+    const { pricesIncludeTax, rates } = await getTaxContext(
+      prisma,
+      userId,
+      productIds
+    );
+    const productsById = new Map(
+      ownedProducts.map((product) => [product.id, product])
+    );
+    const lines = addLineTaxes(
+      items.map((item) => ({
+        productId: item.productId,
+        quantity: item.quantity,
+        unitCost: roundMoney(item.unitCost),
+        lineTotal: roundMoney(item.quantity * item.unitCost),
+        taxRate: rates.get(item.productId),
+        ...getReceivedLot(productsById.get(item.productId), item),
+      })),
+      0,
+      pricesIncludeTax
+    );
+    const { taxAmount, totalAmount } = getPurchaseTotals(
+      lines,
+      pricesIncludeTax
+    );
+
+    const purchase = await prisma.$transaction(async (tx) => {
+      const created = await tx.purchase.create({
+        data: {
+          userId,
+          supplierId: supplierId || null,
+          paymentStatus,
+          note: note || null,
+          taxAmount,
+          totalAmount,
+          pricesIncludeTax,
+          items: { create: lines },
+        },
+      });
+
+      for (const [index, line] of lines.entries()) {
+        await recordStockMovement(tx, {
+          userId,
+          productId: line.productId,
+          type: "PURCHASE",
+          quantity: line.quantity,
+          locationId: purchaseData.locationId,
+          unitCost: getStockUnitCost(line, pricesIncludeTax),
+          lot: line.lotNumber ? line : undefined,
+          serials: items[index].serials,
+          reference: "Stock receipt",
+          referenceId: created.id,
+        });
+
+        await tx.product.update({
+          where: { id: line.productId },
+          data: { purchasePrice: line.unitCost },
+        });
+      }
+
+      if (paymentStatus === "CREDIT") {
+        await tx.supplier.update({
+          where: { id: supplierId },
+          data: { balance: { increment: totalAmount } },
+        });
+      }
+
+      return tx.purchase.findUnique({
+        where: { id: created.id },
+        include: purchaseInclude,
+      });
+    });
+
+    return purchase;
+  } catch (error) {
+    console.error("Error creating purchase:", error);
+    throw new Error(error.message || "Failed to create purchase");
+  }
+}
+
+/**
+ * Fetches purchases for a specific user with pagination, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Items per page
+ * @returns {Promise<Object>} Purchases list with pagination info
+ */
+export async function getPurchasesByUser(userId, options = {}) {
+  const { page = 1, limit = 10 } = options;
+  const skip = (page - 1) * limit;
+
+  try {
+    const [purchases, totalCount] = await Promise.all([
+      prisma.purchase.findMany({
+        where: { userId },
+        include: {
+          supplier: true,
+          _count: { select: { items: true } },
+        },
+        orderBy: { receivedAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.purchase.count({ where: { userId } }),
+    ]);
+
+    return {
+      purchases,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+    };
+  } catch (error) {
+    console.error("Error fetching purchases:", error);
+    throw new Error("Failed to fetch purchases");
+  }
+}
+
+/**
+ * Fetches a single purchase by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} purchaseId - The purchase ID
+ * @returns {Promise<Object|null>} Purchase with items, or null if not found
+ */
+export async function getPurchaseById(userId, purchaseId) {
+  try {
+    const purchase = await prisma.purchase.findFirst({
+      where: { id: purchaseId, userId },
+      include: purchaseInclude,
+    });
+
+    return purchase;
+  } catch (error) {
+    console.error("Error fetching purchase:", error);
+    throw new Error("Failed to fetch purchase");
+  }
+}
@@ -0,0 +1,391 @@
+// /src/lib/services/receipt-service.js
+import { A4, createPdf } from "@/lib/pdf";
+import { formatSaleReference } from "@/lib/schemas/sale-schemas";
+import { formatDateTime, roundMoney } from "@/lib/utils";
+
+const PAYMENT_METHOD_LABELS = {
+  CASH: "Cash",
+  ON_ACCOUNT: "On account",
+};
+
+/**
+ * Escapes text for safe use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats an amount for receipts and invoices
+ * @param {number} amount - Amount to format
+ * @returns {string} Formatted amount (e.g. $12.50)
+ */
+function formatAmount(amount) {
+  return `${amount < 0 ? "-" : ""}$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * Works out the totals printed at the bottom of a receipt or invoice
+ * @param {Object} sale - Sale with items, discounts and returns
+ * @returns {Array<{label: string, amount: number, bold?: boolean}>} Total rows
+ */
+function getTotalRows(sale) {
+  const rows = [];
+
+  // Cart discount, taken off the subtotal of the (line-discounted) lines,
+  // and tax added on top when prices exclude it
+  const cartDiscount = sale.discounts.find((d) => !d.saleItemId);
+  const taxAdded = sale.taxAmount > 0 && !sale.pricesIncludeTax;
+  if (cartDiscount || taxAdded) {
+    const subtotal = roundMoney(
+      sale.items.reduce((sum, item) => sum + item.lineTotal, 0)
+    );
+    rows.push({ label: "Subtotal", amount: subtotal });
+  }
+  if (cartDiscount) {
+    rows.push({ label: "Discount", amount: -cartDiscount.amount });
+  }
+  if (taxAdded) {
+    rows.push({ label: "Tax", amount: sale.taxAmount });
+  }
+
+  // Tax already in the prices is shown under the total
+  const taxIncluded =
+    sale.taxAmount > 0 && sale.pricesIncludeTax
+      ? [{ label: "Includes tax", amount: sale.taxAmount }]
+      : [];
+
+  const refunded = roundMoney(
+    sale.returns.reduce((sum, saleReturn) => sum + saleReturn.totalAmount, 0)
+  );
+  if (refunded === 0) {
+    return [
+      ...rows,
+      { label: "Total", amount: sale.totalAmount, bold: true },
+      ...taxIncluded,
+    ];
+  }
+  return [
+    ...rows,
+    { label: "Total", amount: sale.totalAmount },
+    ...taxIncluded,
+    { label: "Refunded", amount: -refunded },
+    {
+      label: "Net Total",
+      amount: roundMoney(sale.totalAmount - refunded),
+      bold: true,
+    },
+  ];
+}
+
+/**
+ * Renders an 80mm thermal-style receipt for a sale as a standalone HTML page.
+ * Serial numbers sold are listed under their line.
+ * @param {Object} sale - Sale with customer, items (and their serials) and returns
+ * @param {Object} settings - Account settings with the shop profile
+ * @returns {string} HTML document
+ */
+export function renderReceiptHtml(sale, settings) {
+  const reference = formatSaleReference(sale.id);
+  const paymentMethod =
+    PAYMENT_METHOD_LABELS[sale.paymentMethod] ?? sale.paymentMethod;
+  const header = [
+    settings.shopName && `<h1>${escapeHtml(settings.shopName)}</h1>`,
+    settings.address && `<div>${escapeHtml(settings.address)}</div>`,
+    settings.phone && `<div>${escapeHtml(settings.phone)}</div>`,
+  ]
+    .filter(Boolean)
+    .join("");
+  const lines = sale.items
+    .map(
+      (item) => `
+      <tr><td colspan="2">${escapeHtml(item.product.name)}</td></tr>
+      <tr>
+        <td>${item.quantity} × ${formatAmount(item.unitPrice)}</td>
+        <td class="num">${formatAmount(item.quantity * item.unitPrice)}</td>
+      </tr>${
+        item.discountAmount > 0
+          ? `
+      <tr>
+        <td>Discount</td>
+        <td class="num">${formatAmount(-item.discountAmount)}</td>
+      </tr>`
+          : ""
+      }${
+        item.serials?.length
+          ? `
+      <tr><td colspan="2">S/N ${escapeHtml(
+        item.serials.map(({ serial }) => serial).join(", ")
+      )}</td></tr>`
+          : ""
+      }`
+    )
+    .join("");
+  const totals = getTotalRows(sale)
+    .map(
+      (row) => `
+      <tr${row.bold ? ' class="total"' : ""}>
+        <td>${row.label}</td>
+        <td class="num">${formatAmount(row.amount)}</td>
+      </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Receipt ${reference}</title>
+  <style>
+    @page { size: 80mm auto; margin: 0; }
+    body { width: 72mm; margin: 0 auto; padding: 4mm 0; font-family: "Courier New", monospace; font-size: 12px; color: #000; }
+    h1 { font-size: 16px; margin: 0 0 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 1px 0; vertical-align: top; }
+    hr { border: 0; border-top: 1px dashed #000; margin: 6px 0; }
+    .center { text-align: center; }
+    .num { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; font-size: 14px; }
+    .print { display: block; width: 100%; margin-top: 12px; padding: 6px; }
+    @media print { .print { display: none; } }
+  </style>
+</head>
+<body>
+  <div class="center">${header}</div>
+  <hr />
+  <div>Receipt: ${reference}</div>
+  <div>Date: ${formatDateTime(sale.soldAt)}</div>
+  ${sale.customer ? `<div>Customer: ${escapeHtml(sale.customer.name)}</div>` : ""}
+  <hr />
+  <table>${lines}
+  </table>
+  <hr />
+  <table>${totals}
+  </table>
+  <div>Payment: ${paymentMethod}</div>
+  ${settings.receiptFooter ? `<hr /><div class="center">${escapeHtml(settings.receiptFooter)}</div>` : ""}
+  <button class="print" onclick="window.print()">Print</button>
+</body>
+</html>`;
+}
+
+/**
+ * Shortens text to fit a column on the invoice
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} Text, with an ellipsis when shortened
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+const MARGIN = 50;
+const RIGHT = A4.width - MARGIN;
+const ROW_HEIGHT = 18;
+const FIRST_PAGE_ROWS = 28;
+const ROWS_PER_PAGE = 36;
+
+/**
+ * Draws the line items table header at the given position
+ * @param {number} y - Baseline of the header row
+ * @returns {Array<Object>} PDF items
+ */
+function tableHeader(y) {
+  return [
+    { type: "text", text: "Product", x: MARGIN, y, bold: true },
+    { type: "text", text: "Qty", x: 360, y, bold: true, align: "right" },
+    { type: "text", text: "Unit Price", x: 450, y, bold: true, align: "right" },
+    { type: "text", text: "Amount", x: RIGHT, y, bold: true, align: "right" },
+    { type: "line", x1: MARGIN, y1: y + 6, x2: RIGHT, y2: y + 6 },
+  ];
+}
+
+/**
+ * Renders an A4 invoice for a sale as a PDF
+ * @param {Object} sale - Sale with customer, items (and their serials) and returns
+ * @param {Object} settings - Account settings with the shop profile
+ * @returns {Buffer} PDF file contents
+ */
+export function renderInvoicePdf(sale, settings) {
+  const reference = formatSaleReference(sale.id);
+
+  const paymentMethod =
+    PAYMENT_METHOD_LABELS[sale.paymentMethod] ?? sale.paymentMethod;
+
+  // Shop details on the left, invoice details right-aligned on the right
+  const firstPage = [
+    {
+      type: "text",
+      text: settings.shopName || "Invoice",
+      x: MARGIN,
+      y: 70,
+      size: 18,
+      bold: true,
+    },
+    ...[settings.address, settings.phone].filter(Boolean).map((text, i) => ({
+      type: "text",
+      text,
+      x: MARGIN,
+      y: 90 + i * 14,
+    })),
+    {
+      type: "text",
+      text: "INVOICE",
+      x: RIGHT,
+      y: 70,
+      size: 18,
+      bold: true,
+      align: "right",
+    },
+    ...[
+      `No. ${reference}`,
+      `Date: ${formatDateTime(sale.soldAt)}`,
+      `Payment: ${paymentMethod}`,
+    ].map((text, i) => ({
+      type: "text",
+      text,
+      x: RIGHT,
+      y: 90 + i * 14,
+      align: "right",
+    })),
+  ];
+
+  if (sale.customer) {
+    firstPage.push(
+      { type: "text", text: "Bill to", x: MARGIN, y: 150, bold: true },
+      { type: "text", text: sale.customer.name, x: MARGIN, y: 164 }
+    );
+  }
+
+  // Line items (discounts and serial numbers take extra rows), split across
+  // pages
+  const rows = sale.items.flatMap((item) => {
+    const lineRow = (y) => [
+      { type: "text", text: truncate(item.product.name, 50), x: MARGIN, y },
+      { type: "text", text: String(item.quantity), x: 360, y, align: "right" },
+      {
+        type: "text",
+        text: formatAmount(item.unitPrice),
+        x: 450,
+        y,
+        align: "right",
+      },
+      {
+        type: "text",
+        text: formatAmount(item.quantity * item.unitPrice),
+        x: RIGHT,
+        y,
+        align: "right",
+      },
+    ];
+    const serialRow = (y) => [
+      {
+        type: "text",
+        text: truncate(
+          `S/N ${item.serials.map(({ serial }) => serial).join(", ")}`,
+          90
+        ),
+        x: MARGIN + 12,
+        y,
+        size: 9,
+      },
+    ];
+    const serialRows = item.serials?.length ? [serialRow] : [];
+    if (item.discountAmount <= 0) {
+      return [lineRow, ...serialRows];
+    }
+    const discountRow = (y) => [
+      { type: "text", text: "Discount", x: MARGIN + 12, y, size: 9 },
+      {
+        type: "text",
+        text: formatAmount(-item.discountAmount),
+        x: RIGHT,
+        y,
+        size: 9,
+        align: "right",
+      },
+    ];
+    return [lineRow, discountRow, ...serialRows];
+  });
+
+  const pages = [firstPage];
+  let page = firstPage;
+  let y = 200;
+  page.push(...tableHeader(y));
+  let rowsLeft = FIRST_PAGE_ROWS;
+
+  for (const row of rows) {
+    if (rowsLeft === 0) {
+      page = [];
+      pages.push(page);
+      y = 70;
+      page.push(...tableHeader(y));
+      rowsLeft = ROWS_PER_PAGE;
+    }
+    y += ROW_HEIGHT;
+    rowsLeft -= 1;
+    page.push(...row(y));
+  }
+
+  // Totals (kept together, on a new page if they do not fit)
+  const totalRows = getTotalRows(sale);
+  if (rowsLeft < totalRows.length + 1) {
+    page = [];
+    pages.push(page);
+    y = 70;
+  }
+  page.push({ type: "line", x1: 360, y1: y + 8, x2: RIGHT, y2: y + 8 });
+  for (const row of totalRows) {
+    y += ROW_HEIGHT;
+    page.push(
+      {
+        type: "text",
+        text: row.label,
+        x: 450,
+        y,
+        bold: row.bold,
+        align: "right",
+      },
+      {
+        type: "text",
+        text: formatAmount(row.amount),
+        x: RIGHT,
+        y,
+        bold: row.bold,
+        align: "right",
+      }
+    );
+  }
+
+  if (settings.receiptFooter) {
+    page.push({
+      type: "text",
+      text: settings.receiptFooter,
+      x: MARGIN,
+      y: A4.height - MARGIN,
+      size: 9,
+    });
+  }
+
+  // Page numbers on multi-page invoices
+  if (pages.length > 1) {
+    pages.forEach((items, index) =>
+      items.push({
+        type: "text",
+        text: `${reference} · Page ${index + 1} of ${pages.length}`,
+        x: RIGHT,
+        y: A4.height - MARGIN,
+        size: 9,
+        align: "right",
+      })
+    );
+  }
+
+  return createPdf(pages);
+}
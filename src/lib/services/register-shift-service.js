@@ -0,0 +1,341 @@
+// /src/lib/services/register-shift-service.js
+import prisma from "@/lib/prisma";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Cash movement data
+ * @typedef {Object} CashMovementData
+ * @property {import("@prisma/client").CashMovementType} type - Cash in or payout
+ * @property {number} amount - Amount taken in or paid out
+ * @property {string} reason - Why the cash moved (e.g. "Change from bank")
+ */
+
+/**
+ * Shift closing data
+ * @typedef {Object} CloseShiftData
+ * @property {number} countedCash - Cash counted in the till at the end of the shift
+ * @property {string} [closingNote] - Optional note (e.g. explanation of a variance)
+ */
+
+/**
+ * Shift totals worked out from its sales, returns and cash movements
+ * @typedef {Object} ShiftSummary
+ * @property {number} salesCount - Number of sales completed during the shift
+ * @property {number} cashSales - Total of cash sales
+ * @property {number} accountSales - Total of sales on account
+ * @property {number} returnsCount - Number of returns processed during the shift
+ * @property {number} cashRefunds - Total refunded in cash
+ * @property {number} accountCredits - Total credited to customer accounts
+ * @property {number} payIns - Cash put into the till
+ * @property {number} payouts - Cash paid out of the till
+ * @property {number} expectedCash - Cash that should be in the till
+ */
+
+/**
+ * Finds the ID of the user's open register shift, if there is one
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @returns {Promise<string|null>} Open shift ID, or null
+ */
+export async function findOpenShiftId(tx, userId) {
+  const shift = await tx.registerShift.findFirst({
+    where: { userId, status: "OPEN" },
+    select: { id: true },
+  });
+
+  return shift?.id ?? null;
+}
+
+/**
+ * Finds a register shift owned by the user or throws
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string} shiftId - The shift ID
+ * @returns {Promise<Object>} Register shift
+ */
+async function findOwnedShift(tx, userId, shiftId) {
+  const shift = await tx.registerShift.findFirst({
+    where: { id: shiftId, userId },
+  });
+
+  if (!shift) {
+    throw new Error("Shift not found or access denied");
+  }
+
+  return shift;
+}
+
+/**
+ * Adds up the sales, returns and cash movements recorded against a shift
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} shift - Register shift
+ * @returns {Promise<ShiftSummary>} Shift totals
+ */
+async function summarizeShift(tx, shift) {
+  const [sales, returns, movements] = await Promise.all([
+    tx.sale.groupBy({
+      by: ["paymentMethod"],
+      where: { shiftId: shift.id },
+      _sum: { totalAmount: true },
+      _count: { _all: true },
+    }),
+    tx.saleReturn.groupBy({
+      by: ["refundMethod"],
+      where: { shiftId: shift.id },
+      _sum: { totalAmount: true },
+      _count: { _all: true },
+    }),
+    tx.registerCashMovement.groupBy({
+      by: ["type"],
+      where: { shiftId: shift.id },
+      _sum: { amount: true },
+    }),
+  ]);
+
+  const sumOf = (groups, field, key, value) =>
+    roundMoney(groups.find((group) => group[key] === value)?._sum[field] ?? 0);
+
+  const cashSales = sumOf(sales, "totalAmount", "paymentMethod", "CASH");
+  const cashRefunds = sumOf(returns, "totalAmount", "refundMethod", "CASH");
+  const payIns = sumOf(movements, "amount", "type", "PAY_IN");
+  const payouts = sumOf(movements, "amount", "type", "PAYOUT");
+
+  return {
+    salesCount: sales.reduce((sum, group) => sum + group._count._all, 0),
+    cashSales,
+    accountSales: sumOf(sales, "totalAmount", "paymentMethod", "ON_ACCOUNT"),
+    returnsCount: returns.reduce((sum, group) => sum + group._count._all, 0),
+    cashRefunds,
+    accountCredits: sumOf(
+      returns,
+      "totalAmount",
+      "refundMethod",
+      "ACCOUNT_CREDIT"
+    ),
+    payIns,
+    payouts,
+    expectedCash: roundMoney(
+      shift.openingFloat + cashSales - cashRefunds + payIns - payouts
+    ),
+  };
+}
+
+/**
+ * Combines a shift with its totals. Closed shifts keep the cash-up figures
+ * frozen at closing; open shifts show the running totals.
+ * @param {Object} shift - Register shift
+ * @param {ShiftSummary} summary - Shift totals
+ * @returns {Object} Shift with its totals
+ */
+function withSummary(shift, summary) {
+  return shift.status === "OPEN"
+    ? { ...shift, ...summary }
+    : { ...summary, ...shift };
+}
+
+/**
+ * Fetches the user's open register shift with its running totals
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object|null>} Open shift with totals, or null if the till is closed
+ */
+export async function getCurrentShift(userId) {
+  try {
+    const shift = await prisma.registerShift.findFirst({
+      where: { userId, status: "OPEN" },
+    });
+    if (!shift) {
+      return null;
+    }
+
+    return withSummary(shift, await summarizeShift(prisma, shift));
+  } catch (error) {
+    console.error("Error fetching current shift:", error);
+    throw new Error("Failed to fetch current shift");
+  }
+}
+
+/**
+ * Fetches register shifts for a specific user, newest first, with pagination
+ * @param {string} userId - The user ID
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Items per page
+ * @returns {Promise<Object>} Shifts list with pagination info
+ */
+export async function getShiftsByUser(userId, options = {}) {
+  const { page = 1, limit = 10 } = options;
+  const skip = (page - 1) * limit;
+
+  try {
+    const [shifts, totalCount] = await Promise.all([
+      prisma.registerShift.findMany({
+        where: { userId },
+        include: { _count: { select: { sales: true } } },
+        orderBy: [{ openedAt: "desc" }, { id: "asc" }],
+        skip,
+        take: limit,
+      }),
+      prisma.registerShift.count({ where: { userId } }),
+    ]);
+
+    return {
+      shifts,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+    };
+  } catch (error) {
+    console.error("Error fetching shifts:", error);
+    throw new Error("Failed to fetch shifts");
+  }
+}
+
+/**
+ * Fetches a register shift with its cash movements and totals (the Z-report
+ * once the shift is closed)
+ * @param {string} userId - The user ID
+ * @param {string} shiftId - The shift ID
+ * @returns {Promise<Object|null>} Shift report, or null if not found
+ */
+export async function getShiftReport(userId, shiftId) {
+  try {
+    const shift = await prisma.registerShift.findFirst({
+      where: { id: shiftId, userId },
+      include: { cashMovements: { orderBy: { createdAt: "asc" } } },
+    });
+    if (!shift) {
+      return null;
+    }
+
+    return withSummary(shift, await summarizeShift(prisma, shift));
+  } catch (error) {
+    console.error("Error fetching shift report:", error);
+    throw new Error("Failed to fetch shift report");
+  }
+}
+
+/**
+ * Opens a register shift with the cash float put in the till.
+ * Only one shift can be open at a time; a unique index on the open shift
+ * enforces this when two are opened at the same moment.
+ * @param {string} userId - The user ID opening the shift
+ * @param {{ openingFloat: number }} shiftData - Opening float
+ * @returns {Promise<Object>} Open shift with totals
+ */
+export async function openShift(userId, shiftData) {
+  try {
+    if (await findOpenShiftId(prisma, userId)) {
+      throw new Error(
+        "A shift is already open; close it before opening another"
+      );
+    }
+
+    const shift = await prisma.registerShift.create({
+      data: { userId, openingFloat: roundMoney(shiftData.openingFloat) },
+    });
+
+    return withSummary(shift, await summarizeShift(prisma, shift));
+  } catch (error) {
+    console.error("Error opening shift:", error);
+
+    // Another request opened a shift first
+    if (error.code === "P2002") {
+      throw new Error(
+        "A shift is already open; close it before opening another"
+      );
+    }
+
+    throw new Error(error.message || "Failed to open shift");
+  }
+}
+
+/**
+ * Records cash put into or paid out of the till during an open shift. The
+ * shift row is locked first, so the movement cannot land after a close has
+ * frozen the totals.
+ * @param {string} userId - The user ID who owns the shift
+ * @param {string} shiftId - The shift ID
+ * @param {CashMovementData} movementData - Cash movement data
+ * @returns {Promise<Object>} Open shift with updated totals
+ */
+export async function recordCashMovement(userId, shiftId, movementData) {
+  try {
+    const shift = await prisma.$transaction(async (tx) => {
+      const owned = await findOwnedShift(tx, userId, shiftId);
+
+      // Touch the open shift to lock it until the movement is saved
+      const { count } = await tx.registerShift.updateMany({
+        where: { id: shiftId, status: "OPEN" },
+        data: { updatedAt: new Date() },
+      });
+      if (count === 0) {
+        throw new Error("Cash can only be moved during an open shift");
+      }
+
+      await tx.registerCashMovement.create({
+        data: {
+          shiftId,
+          type: movementData.type,
+          amount: roundMoney(movementData.amount),
+          reason: movementData.reason,
+        },
+      });
+
+      return owned;
+    });
+
+    return withSummary(shift, await summarizeShift(prisma, shift));
+  } catch (error) {
+    console.error("Error recording cash movement:", error);
+    throw new Error(error.message || "Failed to record cash movement");
+  }
+}
+
+/**
+ * Closes a register shift: freezes the cash sales, refunds and cash
+ * movements, the expected cash and the variance against the counted cash.
+ * @param {string} userId - The user ID who owns the shift
+ * @param {string} shiftId - The shift ID
+ * @param {CloseShiftData} closeData - Counted cash and optional note
+ * @returns {Promise<Object>} Closed shift with totals (the Z-report)
+ */
+export async function closeShift(userId, shiftId, closeData) {
+  try {
+    const countedCash = roundMoney(closeData.countedCash);
+
+    await prisma.$transaction(async (tx) => {
+      const shift = await findOwnedShift(tx, userId, shiftId);
+
+      // Only flip an open shift so two closes cannot both succeed. This
+      // locks the shift, so cash movements being saved are waited for and
+      // counted below, and later ones are refused.
+      const { count } = await tx.registerShift.updateMany({
+        where: { id: shiftId, status: "OPEN" },
+        data: { status: "CLOSED", closedAt: new Date() },
+      });
+      if (count === 0) {
+        throw new Error("This shift is already closed");
+      }
+
+      const summary = await summarizeShift(tx, shift);
+      await tx.registerShift.update({
+        where: { id: shiftId },
+        data: {
+          cashSales: summary.cashSales,
+          cashRefunds: summary.cashRefunds,
+          payIns: summary.payIns,
+          payouts: summary.payouts,
+          expectedCash: summary.expectedCash,
+          countedCash,
+          variance: roundMoney(countedCash - summary.expectedCash),
+          closingNote: closeData.closingNote || null,
+        },
+      });
+    });
+
+    return getShiftReport(userId, shiftId);
+  } catch (error) {
+    console.error("Error closing shift:", error);
+    throw new Error(error.message || "Failed to close shift");
+  }
+}
@@ -0,0 +1,847 @@
+// /src/lib/services/report-service.js
+import { Prisma } from "@prisma/client";
+import prisma from "@/lib/prisma";
+import { getUnitCost, getValueAfter } from "@/lib/schemas/settings-schemas";
+import { getSettings } from "@/lib/services/settings-service";
+import { roundMoney } from "@/lib/utils";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Low-stock report line
+ * @typedef {Object} LowStockItem
+ * @property {string} id - Product ID
+ * @property {string} name - Product name
+ * @property {string|null} sku - Product SKU
+ * @property {string} unit - Selling unit
+ * @property {string|null} category - Category name
+ * @property {number} stock - Current stock (at the report's location, if any)
+ * @property {number} reorderPoint - Reorder point (at the report's location, if any)
+ * @property {number} soldInWindow - Units sold during the velocity window
+ * @property {number} dailyVelocity - Average units sold per day
+ * @property {number} suggestedQuantity - Suggested order quantity
+ * @property {number|null} unitCost - Last known purchase price
+ * @property {number|null} estimatedCost - suggestedQuantity × unitCost
+ */
+
+/**
+ * Low-stock products for one supplier
+ * @typedef {Object} LowStockGroup
+ * @property {{ id: string, name: string, contactEmail: string|null, contactPhone: string|null }|null} supplier - Supplier, or null for products without one
+ * @property {LowStockItem[]} items - Products at or below their reorder point
+ * @property {number} estimatedCost - Sum of the known line costs
+ */
+
+/**
+ * Low-stock report
+ * @typedef {Object} LowStockReport
+ * @property {{ id: string, name: string }|null} location - Location reported on, or null for the totals
+ * @property {number} days - Sales history window used for velocity
+ * @property {number} coverDays - Days of sales each suggestion should cover
+ * @property {number} totalProducts - Number of low-stock products
+ * @property {LowStockGroup[]} groups - Products grouped by supplier
+ */
+
+/**
+ * Suggests how many units to order so that stock covers `coverDays` of sales
+ * at the current velocity on top of the reorder point
+ * @param {number} stock - Current stock
+ * @param {number} reorderPoint - Reorder point
+ * @param {number} dailyVelocity - Average units sold per day
+ * @param {number} coverDays - Days of sales to cover
+ * @returns {number} Suggested order quantity (never negative)
+ */
+function suggestOrderQuantity(stock, reorderPoint, dailyVelocity, coverDays) {
+  const target = reorderPoint + Math.ceil(dailyVelocity * coverDays);
+  return Math.max(target - stock, 0);
+}
+
+/**
+ * Builds the low-stock report: every active product at or below its reorder
+ * point, grouped by supplier, with an order suggestion based on how fast it
+ * sold over the last `days` days.
+ * For one location, stock, reorder points and sales are those of that
+ * location; products it has never stocked or set a reorder point for are
+ * left out. Otherwise the product totals are used.
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} [options] - Report options
+ * @param {number} [options.days=30] - Sales history window for velocity
+ * @param {number} [options.coverDays=30] - Days of sales each suggestion should cover
+ * @param {string} [options.locationId] - Location to report on; unknown locations are ignored
+ * @returns {Promise<LowStockReport>} Low-stock report
+ */
+export async function getLowStockReport(userId, options = {}) {
+  const { days = 30, coverDays = 30, locationId } = options;
+
+  try {
+    const location = locationId
+      ? await prisma.location.findFirst({
+          where: { id: locationId, userId },
+          select: { id: true, name: true },
+        })
+      : null;
+
+    const productSelect = {
+      id: true,
+      name: true,
+      sku: true,
+      unit: true,
+      stock: true,
+      reorderPoint: true,
+      purchasePrice: true,
+      category: { select: { name: true } },
+      supplier: {
+        select: {
+          id: true,
+          name: true,
+          contactEmail: true,
+          contactPhone: true,
+        },
+      },
+    };
+
+    const products = location
+      ? (
+          await prisma.productStock.findMany({
+            where: {
+              locationId: location.id,
+              quantity: { lte: prisma.productStock.fields.reorderPoint },
+              product: { userId, isActive: true },
+            },
+            select: {
+              quantity: true,
+              reorderPoint: true,
+              product: { select: productSelect },
+            },
+            orderBy: { product: { name: "asc" } },
+          })
+        ).map((level) => ({
+          ...level.product,
+          stock: level.quantity,
+          reorderPoint: level.reorderPoint,
+        }))
+      : await prisma.product.findMany({
+          where: {
+            userId,
+            isActive: true,
+            // A parent's stock and reorder point are its variants'
+            hasVariants: false,
+            stock: { lte: prisma.product.fields.reorderPoint },
+          },
+          select: productSelect,
+          orderBy: { name: "asc" },
+        });
+
+    const since = new Date(Date.now() - days * DAY_MS);
+    const salesByProduct = await prisma.saleItem.groupBy({
+      by: ["productId"],
+      where: {
+        productId: { in: products.map((p) => p.id) },
+        sale: {
+          userId,
+          soldAt: { gte: since },
+          ...(location && { locationId: location.id }),
+        },
+      },
+      _sum: { quantity: true },
+    });
+    const soldById = new Map(
+      salesByProduct.map((row) => [row.productId, row._sum.quantity || 0])
+    );
+
+    const groupsBySupplier = new Map();
+    for (const product of products) {
+      const soldInWindow = soldById.get(product.id) || 0;
+      const dailyVelocity = soldInWindow / days;
+      const suggestedQuantity = suggestOrderQuantity(
+        product.stock,
+        product.reorderPoint,
+        dailyVelocity,
+        coverDays
+      );
+      const unitCost = product.purchasePrice ?? null;
+
+      const key = product.supplier?.id ?? null;
+      if (!groupsBySupplier.has(key)) {
+        groupsBySupplier.set(key, {
+          supplier: product.supplier,
+          items: [],
+          estimatedCost: 0,
+        });
+      }
+      const group = groupsBySupplier.get(key);
+      const estimatedCost =
+        unitCost === null ? null : roundMoney(suggestedQuantity * unitCost);
+
+      group.items.push({
+        id: product.id,
+        name: product.name,
+        sku: product.sku,
+        unit: product.unit,
+        category: product.category?.name ?? null,
+        stock: product.stock,
+        reorderPoint: product.reorderPoint,
+        soldInWindow,
+        dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+        suggestedQuantity,
+        unitCost,
+        estimatedCost,
+      });
+      group.estimatedCost = roundMoney(
+        group.estimatedCost + (estimatedCost || 0)
+      );
+    }
+
+    // Suppliers alphabetically, products without a supplier last
+    const groups = [...groupsBySupplier.values()].sort((a, b) => {
+      if (!a.supplier) return 1;
+      if (!b.supplier) return -1;
+      return a.supplier.name.localeCompare(b.supplier.name);
+    });
+
+    return {
+      location,
+      days,
+      coverDays,
+      totalProducts: products.length,
+      groups,
+    };
+  } catch (error) {
+    console.error("Error building low-stock report:", error);
+    throw new Error(error.message || "Failed to build low-stock report");
+  }
+}
+
+/**
+ * Discount totals for one period or staff member
+ * @typedef {Object} DiscountTotal
+ * @property {number} count - Number of discounts given
+ * @property {number} amount - Total amount taken off
+ */
+
+/**
+ * Discount report
+ * @typedef {Object} DiscountReport
+ * @property {number} days - Number of days covered, ending now
+ * @property {"day"|"week"|"month"} period - How discounts are grouped over time
+ * @property {DiscountTotal} totals - Totals over the whole range
+ * @property {Array<DiscountTotal & { period: string }>} periods - Totals per period, oldest first; `period` is the period's first day (YYYY-MM-DD)
+ * @property {Array<DiscountTotal & { user: { id: string, name: string|null, email: string } }>} staff - Totals per staff member, largest amount first
+ */
+
+/**
+ * Tax totals for one period
+ * @typedef {Object} TaxTotal
+ * @property {number} collected - Tax charged on sales
+ * @property {number} refunded - Tax given back on sales returns
+ * @property {number} paid - Tax paid on stock purchases
+ * @property {number} net - Tax owed: collected, less refunded and paid
+ */
+
+/**
+ * Tax report
+ * @typedef {Object} TaxReport
+ * @property {number} days - Number of days covered, ending now
+ * @property {"day"|"week"|"month"} period - How tax is grouped over time
+ * @property {TaxTotal} totals - Totals over the whole range
+ * @property {Array<TaxTotal & { period: string }>} periods - Totals per period, oldest first; `period` is the period's first day (YYYY-MM-DD)
+ */
+
+/**
+ * Inventory valuation report line
+ * @typedef {Object} ValuationItem
+ * @property {string} id - Product ID
+ * @property {string} name - Product name
+ * @property {string|null} sku - Product SKU
+ * @property {string} unit - Selling unit
+ * @property {number} quantity - Stock on hand
+ * @property {number} averageCost - Average cost per unit of the stock held
+ * @property {number} value - Stock value
+ */
+
+/**
+ * Inventory valuation for one category
+ * @typedef {Object} ValuationGroup
+ * @property {{ id: string, name: string }|null} category - Category, or null for uncategorized products
+ * @property {number} quantity - Units in stock
+ * @property {number} value - Stock value
+ * @property {ValuationItem[]} items - Products in stock, by name
+ */
+
+/**
+ * Inventory valuation report
+ * @typedef {Object} ValuationReport
+ * @property {string|null} asOf - Date valued (YYYY-MM-DD), or null for now
+ * @property {"AVERAGE"|"FIFO"} costingMethod - Costing method the stock is valued with
+ * @property {{ quantity: number, value: number }} totals - Totals over all categories
+ * @property {ValuationGroup[]} groups - Totals per category, by name; uncategorized last
+ */
+
+/**
+ * Builds the inventory valuation report: quantity × average cost (or the
+ * remaining FIFO cost layers, per the account's costing method) of every
+ * product in stock, grouped by category. Values are read back from the
+ * stock ledger, so a past date shows stock as it stood at the end of that
+ * day (UTC).
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} [options] - Report options
+ * @param {string} [options.asOf] - Date to value stock at (YYYY-MM-DD); defaults to now
+ * @returns {Promise<ValuationReport>} Inventory valuation report
+ */
+export async function getInventoryValuation(userId, options = {}) {
+  const { asOf } = options;
+
+  try {
+    const until = asOf
+      ? new Date(new Date(`${asOf}T00:00:00.000Z`).getTime() + DAY_MS)
+      : null;
+
+    const { costingMethod } = await getSettings(userId);
+
+    // Each product's last ledger entry holds its balance and value after it;
+    // DISTINCT ON picks it in the database rather than reading the ledger
+    const movements = await prisma.$queryRaw`
+      SELECT DISTINCT ON ("productId")
+        "productId", "balanceAfter", "valueAfter", "fifoValueAfter"
+      FROM "StockMovement"
+      WHERE "userId" = ${userId}
+        ${until ? Prisma.sql`AND "createdAt" < ${until}` : Prisma.empty}
+      ORDER BY "productId", "createdAt" DESC, "id" DESC
+    `;
+    const inStock = movements.filter((movement) => movement.balanceAfter > 0);
+
+    const products = await prisma.product.findMany({
+      where: { id: { in: inStock.map((movement) => movement.productId) } },
+      select: {
+        id: true,
+        name: true,
+        sku: true,
+        unit: true,
+        category: { select: { id: true, name: true } },
+      },
+    });
+    const productsById = new Map(products.map((p) => [p.id, p]));
+
+    const groups = new Map();
+    for (const movement of inStock) {
+      const { category, ...product } = productsById.get(movement.productId);
+      const value = getValueAfter(movement, costingMethod);
+      const key = category?.id ?? "";
+      if (!groups.has(key)) {
+        groups.set(key, { category, quantity: 0, value: 0, items: [] });
+      }
+      const group = groups.get(key);
+      group.quantity += movement.balanceAfter;
+      group.value = roundMoney(group.value + value);
+      group.items.push({
+        ...product,
+        quantity: movement.balanceAfter,
+        averageCost: roundMoney(value / movement.balanceAfter),
+        value,
+      });
+    }
+
+    const sortedGroups = [...groups.values()]
+      .sort((a, b) => {
+        if (!a.category) return 1;
+        if (!b.category) return -1;
+        return a.category.name.localeCompare(b.category.name);
+      })
+      .map((group) => ({
+        ...group,
+        items: group.items.sort((a, b) => a.name.localeCompare(b.name)),
+      }));
+
+    return {
+      asOf: asOf ?? null,
+      costingMethod,
+      totals: {
+        quantity: sortedGroups.reduce((sum, g) => sum + g.quantity, 0),
+        value: roundMoney(sortedGroups.reduce((sum, g) => sum + g.value, 0)),
+      },
+      groups: sortedGroups,
+    };
+  } catch (error) {
+    console.error("Error building inventory valuation:", error);
+    throw new Error(error.message || "Failed to build inventory valuation");
+  }
+}
+
+/**
+ * Profit totals for one period
+ * @typedef {Object} ProfitTotal
+ * @property {number} sales - Number of sales
+ * @property {number} revenue - Sales less refunds, tax excluded
+ * @property {number} cost - Cost of goods sold, less restocked returns
+ * @property {number} profit - Revenue less cost
+ */
+
+/**
+ * Profit report
+ * @typedef {Object} ProfitReport
+ * @property {number} days - Number of days covered, ending now
+ * @property {"day"|"week"|"month"} period - How profit is grouped over time
+ * @property {"AVERAGE"|"FIFO"} costingMethod - Costing method the cost of goods sold uses
+ * @property {ProfitTotal} totals - Totals over the whole range
+ * @property {Array<ProfitTotal & { period: string }>} periods - Totals per period, oldest first; `period` is the period's first day (YYYY-MM-DD)
+ */
+
+/**
+ * Finds the first day of the period a date falls in (UTC, weeks start on
+ * Monday)
+ * @param {Date} date - Date to place
+ * @param {"day"|"week"|"month"} period - Period length
+ * @returns {string} First day of the period (YYYY-MM-DD)
+ */
+function getPeriodStart(date, period) {
+  const start = new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+  if (period === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === "month") {
+    start.setUTCDate(1);
+  }
+  return start.toISOString().slice(0, 10);
+}
+
+/**
+ * Adds a discount to a running total, creating the total on first use
+ * @param {Map<string, Object>} totals - Totals by key
+ * @param {string} key - Total to add to
+ * @param {Object} fields - Fields for a new total
+ * @param {number} amount - Discount amount
+ */
+function addToTotal(totals, key, fields, amount) {
+  if (!totals.has(key)) {
+    totals.set(key, { ...fields, count: 0, amount: 0 });
+  }
+  const total = totals.get(key);
+  total.count += 1;
+  total.amount = roundMoney(total.amount + amount);
+}
+
+/**
+ * Builds the discount report: line and cart discounts given over the last
+ * `days` days, totalled per period and per staff member who applied them
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} [options] - Report options
+ * @param {number} [options.days=30] - Number of days to cover
+ * @param {"day"|"week"|"month"} [options.period="day"] - Period to group by
+ * @returns {Promise<DiscountReport>} Discount report
+ */
+export async function getDiscountReport(userId, options = {}) {
+  const { days = 30, period = "day" } = options;
+
+  try {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const discounts = await prisma.saleDiscount.findMany({
+      where: { sale: { userId }, appliedAt: { gte: since } },
+      select: {
+        amount: true,
+        appliedAt: true,
+        appliedBy: { select: { id: true, name: true, email: true } },
+      },
+      orderBy: { appliedAt: "asc" },
+    });
+
+    const periods = new Map();
+    const staff = new Map();
+    for (const discount of discounts) {
+      const start = getPeriodStart(discount.appliedAt, period);
+      addToTotal(periods, start, { period: start }, discount.amount);
+      addToTotal(
+        staff,
+        discount.appliedBy.id,
+        { user: discount.appliedBy },
+        discount.amount
+      );
+    }
+
+    return {
+      days,
+      period,
+      totals: {
+        count: discounts.length,
+        amount: roundMoney(
+          discounts.reduce((sum, discount) => sum + discount.amount, 0)
+        ),
+      },
+      periods: [...periods.values()],
+      staff: [...staff.values()].sort((a, b) => b.amount - a.amount),
+    };
+  } catch (error) {
+    console.error("Error building discount report:", error);
+    throw new Error(error.message || "Failed to build discount report");
+  }
+}
+
+/**
+ * Adds revenue and cost to a period's profit totals, creating the period on
+ * first use
+ * @param {Map<string, ProfitTotal>} periods - Totals by period start
+ * @param {string} start - Period start (YYYY-MM-DD)
+ * @param {{ sales?: number, revenue: number, cost: number }} amounts - Amounts to add
+ */
+function addProfitToPeriod(periods, start, amounts) {
+  if (!periods.has(start)) {
+    periods.set(start, {
+      period: start,
+      sales: 0,
+      revenue: 0,
+      cost: 0,
+      profit: 0,
+    });
+  }
+  const total = periods.get(start);
+  total.sales += amounts.sales ?? 0;
+  total.revenue = roundMoney(total.revenue + amounts.revenue);
+  total.cost = roundMoney(total.cost + amounts.cost);
+  total.profit = roundMoney(total.revenue - total.cost);
+}
+
+/**
+ * Builds the profit report: revenue, cost of goods sold and gross profit
+ * over the last `days` days, totalled per period. Returns come off in the
+ * period they were taken back; restocked goods also give back their cost.
+ * Cost of goods sold follows the account's costing method.
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} [options] - Report options
+ * @param {number} [options.days=30] - Number of days to cover
+ * @param {"day"|"week"|"month"} [options.period="day"] - Period to group by
+ * @returns {Promise<ProfitReport>} Profit report
+ */
+export async function getProfitReport(userId, options = {}) {
+  const { days = 30, period = "day" } = options;
+
+  try {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const { costingMethod } = await getSettings(userId);
+    const costFields = { quantity: true, unitCost: true, fifoUnitCost: true };
+    const [sales, returnItems] = await Promise.all([
+      prisma.sale.findMany({
+        where: { userId, soldAt: { gte: since } },
+        select: {
+          soldAt: true,
+          totalAmount: true,
+          taxAmount: true,
+          items: { select: costFields },
+        },
+      }),
+      prisma.saleReturnItem.findMany({
+        where: { saleReturn: { userId, returnedAt: { gte: since } } },
+        select: {
+          quantity: true,
+          lineTotal: true,
+          taxAmount: true,
+          restocked: true,
+          saleItem: { select: { unitCost: true, fifoUnitCost: true } },
+          saleReturn: { select: { returnedAt: true } },
+        },
+      }),
+    ]);
+
+    const periods = new Map();
+    for (const sale of sales) {
+      addProfitToPeriod(periods, getPeriodStart(sale.soldAt, period), {
+        sales: 1,
+        revenue: sale.totalAmount - sale.taxAmount,
+        cost: sale.items.reduce(
+          (sum, item) =>
+            sum + item.quantity * getUnitCost(item, costingMethod),
+          0
+        ),
+      });
+    }
+    for (const item of returnItems) {
+      const start = getPeriodStart(item.saleReturn.returnedAt, period);
+      addProfitToPeriod(periods, start, {
+        revenue: -(item.lineTotal - item.taxAmount),
+        cost: item.restocked
+          ? -item.quantity * getUnitCost(item.saleItem, costingMethod)
+          : 0,
+      });
+    }
+
+    const rows = [...periods.values()].sort((a, b) =>
+      a.period.localeCompare(b.period)
+    );
+    const sum = (field) =>
+      roundMoney(rows.reduce((total, row) => total + row[field], 0));
+
+    return {
+      days,
+      period,
+      costingMethod,
+      totals: {
+        sales: rows.reduce((total, row) => total + row.sales, 0),
+        revenue: sum("revenue"),
+        cost: sum("cost"),
+        profit: sum("profit"),
+      },
+      periods: rows,
+    };
+  } catch (error) {
+    console.error("Error building profit report:", error);
+    throw new Error(error.message || "Failed to build profit report");
+  }
+}
+
+/**
+ * Adds tax to one column of a period's totals, creating the period on first
+ * use and keeping its net figure up to date
+ * @param {Map<string, TaxTotal>} periods - Totals by period start
+ * @param {string} start - Period start (YYYY-MM-DD)
+ * @param {"collected"|"refunded"|"paid"} field - Column to add to
+ * @param {number} amount - Tax amount
+ */
+function addTaxToPeriod(periods, start, field, amount) {
+  if (!periods.has(start)) {
+    periods.set(start, {
+      period: start,
+      collected: 0,
+      refunded: 0,
+      paid: 0,
+      net: 0,
+    });
+  }
+  const total = periods.get(start);
+  total[field] = roundMoney(total[field] + amount);
+  total.net = roundMoney(total.collected - total.refunded - total.paid);
+}
+
+/**
+ * Builds the tax report: tax collected on sales, refunded on returns and
+ * paid on purchases over the last `days` days, totalled per period
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} [options] - Report options
+ * @param {number} [options.days=30] - Number of days to cover
+ * @param {"day"|"week"|"month"} [options.period="month"] - Period to group by
+ * @returns {Promise<TaxReport>} Tax report
+ */
+export async function getTaxReport(userId, options = {}) {
+  const { days = 30, period = "month" } = options;
+
+  try {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const [sales, returnItems, purchases] = await Promise.all([
+      prisma.sale.findMany({
+        where: { userId, soldAt: { gte: since }, taxAmount: { gt: 0 } },
+        select: { taxAmount: true, soldAt: true },
+      }),
+      prisma.saleReturnItem.findMany({
+        where: {
+          saleReturn: { userId, returnedAt: { gte: since } },
+          taxAmount: { gt: 0 },
+        },
+        select: {
+          taxAmount: true,
+          saleReturn: { select: { returnedAt: true } },
+        },
+      }),
+      prisma.purchase.findMany({
+        where: { userId, receivedAt: { gte: since }, taxAmount: { gt: 0 } },
+        select: { taxAmount: true, receivedAt: true },
+      }),
+    ]);
+
+    const periods = new Map();
+    for (const sale of sales) {
+      const start = getPeriodStart(sale.soldAt, period);
+      addTaxToPeriod(periods, start, "collected", sale.taxAmount);
+    }
+    for (const item of returnItems) {
+      const start = getPeriodStart(item.saleReturn.returnedAt, period);
+      addTaxToPeriod(periods, start, "refunded", item.taxAmount);
+    }
+    for (const purchase of purchases) {
+      const start = getPeriodStart(purchase.receivedAt, period);
+      addTaxToPeriod(periods, start, "paid", purchase.taxAmount);
+    }
+
+    const rows = [...periods.values()].sort((a, b) =>
+      a.period.localeCompare(b.period)
+    );
+    const sum = (field) =>
+      roundMoney(rows.reduce((total, row) => total + row[field], 0));
+
+    return {
+      days,
+      period,
+      totals: {
+        collected: sum("collected"),
+        refunded: sum("refunded"),
+        paid: sum("paid"),
+        net: sum("net"),
+      },
+      periods: rows,
+    };
+  } catch (error) {
+    console.error("Error building tax report:", error);
+    throw new Error(error.message || "Failed to build tax report");
+  }
+}
+
+/**
+ * Expiring-soon report line
+ * @typedef {Object} ExpiringLot
+ * @property {string} id - Lot ID
+ * @property {string} lotNumber - Lot number
+ * @property {Date} expiryDate - Expiry date
+ * @property {number} daysLeft - Days until expiry (negative once expired)
+ * @property {number} remaining - Units left in the lot
+ * @property {number} value - Remaining units at the product's average cost
+ * @property {{ id: string, name: string, sku: string|null, unit: string }} product - Product
+ * @property {{ id: string, name: string }} location - Location holding the lot
+ */
+
+/**
+ * Expiring-soon report
+ * @typedef {Object} ExpiringLotsReport
+ * @property {{ id: string, name: string }|null} location - Location reported on, or null for all
+ * @property {number} days - How many days ahead the report looks
+ * @property {{ expiredLots: number, expiringLots: number, units: number, value: number }} totals - Totals over all lines
+ * @property {ExpiringLot[]} lots - Lots, earliest expiry first
+ */
+
+/**
+ * Builds the expiring-soon report: every lot of a lot-tracked product that
+ * still holds stock and expires within the next `days` days, including
+ * lots that have already expired and not been written off
+ * @param {string} userId - The authenticated user's ID
+ * @param {Object} [options] - Report options
+ * @param {number} [options.days=30] - How many days ahead to look
+ * @param {string} [options.locationId] - Location to report on; unknown locations are ignored
+ * @returns {Promise<ExpiringLotsReport>} Expiring-soon report
+ */
+export async function getExpiringLotsReport(userId, options = {}) {
+  const { days = 30, locationId } = options;
+
+  try {
+    const location = locationId
+      ? await prisma.location.findFirst({
+          where: { id: locationId, userId },
+          select: { id: true, name: true },
+        })
+      : null;
+
+    // Expiry dates are calendar days stored at midnight UTC
+    const today = new Date(new Date().toISOString().slice(0, 10));
+    const lots = await prisma.stockLot.findMany({
+      where: {
+        remaining: { gt: 0 },
+        expiryDate: { lte: new Date(today.getTime() + days * DAY_MS) },
+        product: { userId, trackLots: true },
+        ...(location && { locationId: location.id }),
+      },
+      include: {
+        product: {
+          select: {
+            id: true,
+            name: true,
+            sku: true,
+            unit: true,
+            averageCost: true,
+          },
+        },
+        location: { select: { id: true, name: true } },
+      },
+      orderBy: [{ expiryDate: "asc" }, { product: { name: "asc" } }],
+    });
+
+    const totals = { expiredLots: 0, expiringLots: 0, units: 0, value: 0 };
+    const rows = lots.map(({ product, ...lot }) => {
+      const daysLeft = Math.round((lot.expiryDate - today) / DAY_MS);
+      const value = roundMoney(lot.remaining * product.averageCost);
+
+      if (daysLeft < 0) {
+        totals.expiredLots += 1;
+      } else {
+        totals.expiringLots += 1;
+      }
+      totals.units += lot.remaining;
+      totals.value = roundMoney(totals.value + value);
+
+      return {
+        id: lot.id,
+        lotNumber: lot.lotNumber,
+        expiryDate: lot.expiryDate,
+        daysLeft,
+        remaining: lot.remaining,
+        value,
+        product: {
+          id: product.id,
+          name: product.name,
+          sku: product.sku,
+          unit: product.unit,
+        },
+        location: lot.location,
+      };
+    });
+
+    return { location, days, totals, lots: rows };
+  } catch (error) {
+    console.error("Error building expiring-soon report:", error);
+    throw new Error(error.message || "Failed to build expiring-soon report");
+  }
+}
+
+/**
+ * Escapes a value for a CSV cell. Text that a spreadsheet would read as a
+ * formula (e.g. a product named "=SUM(...)") is prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "string" && /^[=+\-@\t\r]/.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes the low-stock report as CSV, one row per product
+ * @param {LowStockReport} report - Low-stock report
+ * @returns {string} CSV text
+ */
+export function lowStockReportToCsv(report) {
+  const header = [
+    "Supplier",
+    "Supplier Email",
+    "Product",
+    "SKU",
+    "Category",
+    "Unit",
+    "Stock",
+    "Reorder Point",
+    `Sold (last ${report.days} days)`,
+    "Daily Velocity",
+    "Suggested Quantity",
+    "Unit Cost",
+    "Estimated Cost",
+  ];
+
+  const rows = report.groups.flatMap((group) =>
+    group.items.map((item) => [
+      group.supplier?.name ?? "No supplier",
+      group.supplier?.contactEmail,
+      item.name,
+      item.sku,
+      item.category,
+      item.unit,
+      item.stock,
+      item.reorderPoint,
+      item.soldInWindow,
+      item.dailyVelocity,
+      item.suggestedQuantity,
+      item.unitCost,
+      item.estimatedCost,
+    ])
+  );
+
+  return [header, ...rows]
+    .map((row) => row.map(toCsvCell).join(","))
+    .join("\r\n");
+}
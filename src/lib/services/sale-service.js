@@ -0,0 +1,577 @@
+// /src/lib/services/sale-service.js
+import prisma from "@/lib/prisma";
+import { findOpenShiftId } from "@/lib/services/register-shift-service";
+import {
+  calculateDiscountAmount,
+  calculateRefundAmount,
+} from "@/lib/schemas/sale-schemas";
+import { addLineTaxes } from "@/lib/schemas/tax-schemas";
+import { recordStockMovement } from "@/lib/services/stock-movement-service";
+import { getTaxContext } from "@/lib/services/tax-rate-service";
+import { resolveLocation } from "@/lib/services/location-service";
+import { roundMoney } from "@/lib/utils";
+
+/**
+ * Discount data
+ * @typedef {Object} DiscountData
+ * @property {import("@prisma/client").DiscountType} type - Percentage or fixed amount
+ * @property {number} value - Percentage (0-100) or amount off
+ * @property {string} reason - Why the discount was given
+ */
+
+/**
+ * Sale line item data
+ * @typedef {Object} SaleItemData
+ * @property {string} productId - Product sold
+ * @property {number} quantity - Quantity sold
+ * @property {number} unitPrice - Price charged per unit
+ * @property {DiscountData} [discount] - Optional line discount
+ * @property {string[]} [serials] - Serial numbers sold, one per unit (serialized products)
+ */
+
+/**
+ * Sale creation data
+ * @typedef {Object} CreateSaleData
+ * @property {import("@prisma/client").SalePaymentMethod} paymentMethod - How the sale was paid
+ * @property {string} [customerId] - Customer buying; required for sales on account
+ * @property {string} [note] - Optional note
+ * @property {SaleItemData[]} items - Cart lines
+ * @property {DiscountData} [discount] - Optional cart discount, applied after the line discounts
+ * @property {string} [locationId] - Location the goods leave from
+ */
+
+/**
+ * Sale return line data
+ * @typedef {Object} SaleReturnItemData
+ * @property {string} saleItemId - Sale line being returned
+ * @property {number} quantity - Quantity coming back (0 skips the line)
+ * @property {boolean} restock - Whether the goods go back into stock
+ * @property {string[]} [serials] - Serial numbers of restocked units (serialized products)
+ */
+
+/**
+ * Sale return data
+ * @typedef {Object} CreateSaleReturnData
+ * @property {import("@prisma/client").SaleRefundMethod} refundMethod - How the refund is paid out
+ * @property {string} [note] - Optional note (e.g. reason for the return)
+ * @property {SaleReturnItemData[]} items - Returned quantities per sale line
+ */
+
+const saleInclude = {
+  customer: { select: { id: true, name: true, balance: true } },
+  location: { select: { id: true, name: true } },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true,
+          stock: true,
+          serialized: true,
+        },
+      },
+    },
+  },
+  discounts: {
+    include: { appliedBy: { select: { id: true, name: true, email: true } } },
+    orderBy: { appliedAt: "asc" },
+  },
+  returns: {
+    include: {
+      items: {
+        include: { product: { select: { id: true, name: true } } },
+      },
+    },
+    orderBy: { returnedAt: "asc" },
+  },
+};
+
+/**
+ * Fetches the serial numbers sold on a sale, per product
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} saleId - The sale ID
+ * @returns {Promise<Map<string, Array<{ serial: string, status: import("@prisma/client").SerialStatus }>>>} Serials by product ID
+ */
+async function getSoldSerials(tx, saleId) {
+  const movements = await tx.stockMovement.findMany({
+    where: { referenceId: saleId, type: "SALE" },
+    select: {
+      productId: true,
+      serials: {
+        select: { serial: { select: { serial: true, status: true } } },
+      },
+    },
+  });
+
+  const serialsByProduct = new Map();
+  for (const movement of movements) {
+    serialsByProduct.set(movement.productId, [
+      ...(serialsByProduct.get(movement.productId) ?? []),
+      ...movement.serials.map(({ serial }) => serial),
+    ]);
+  }
+  return serialsByProduct;
+}
+
+/**
+ * Checks that serial numbers being returned against a sale were sold on it
+ * and are still with its customer: the unit must be sold and its latest
+ * sale must be this one (not a later sale after it was returned and resold)
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID who owns the sale
+ * @param {string} saleId - The sale the units are returned against
+ * @param {string[]} serials - Serial numbers being returned
+ * @returns {Promise<void>}
+ */
+async function checkReturnedSerials(tx, userId, saleId, serials) {
+  for (const serial of serials) {
+    const lastSale = await tx.stockMovement.findFirst({
+      where: {
+        type: "SALE",
+        serials: { some: { serial: { userId, serial } } },
+      },
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      select: {
+        referenceId: true,
+        serials: {
+          where: { serial: { serial } },
+          select: { serial: { select: { status: true } } },
+        },
+      },
+    });
+    if (
+      lastSale?.referenceId !== saleId ||
+      lastSale.serials[0]?.serial.status !== "SOLD"
+    ) {
+      throw new Error(`Serial number ${serial} was not sold on this sale`);
+    }
+  }
+}
+
+/**
+ * Adds the serial numbers sold to every line of a sale
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {Object} sale - Sale including items
+ * @returns {Promise<Object>} Sale whose items carry their serials
+ */
+async function withSoldSerials(tx, sale) {
+  const serialsByProduct = await getSoldSerials(tx, sale.id);
+  return {
+    ...sale,
+    items: sale.items.map((item) => ({
+      ...item,
+      serials: serialsByProduct.get(item.productId) ?? [],
+    })),
+  };
+}
+
+/**
+ * Completes a sale: creates the sale with its items and decrements stock
+ * for every line through the stock ledger in a single transaction.
+ * Line discounts come off each line and the cart discount off the
+ * discounted subtotal; every discount is recorded with its reason and the
+ * user who applied it. Each line is then taxed at its product's rate,
+ * either included in the price or added on top (see account settings).
+ * Every line snapshots its cost of goods sold at the time of sale, both at
+ * average cost and from the FIFO cost layers used. Sales on account are
+ * also charged to the customer's balance, and the sale is recorded against
+ * the open register shift, if any, for the cash-up.
+ * Stock leaves the sale's location.
+ * Fails (and saves nothing) if any product would go below zero there.
+ * @param {string} userId - The user ID completing the sale
+ * @param {CreateSaleData} saleData - Sale data to create
+ * @returns {Promise<Object>} Created sale with items
+ */
+export async function createSale(userId, saleData) {
+  try {
+    const { paymentMethod, customerId, note, items, discount } = saleData;
+
+    if (paymentMethod === "ON_ACCOUNT" && !customerId) {
+      throw new Error("A customer is required for sales on account");
+    }
+
+    if (customerId) {
+      const customer = await prisma.customer.findFirst({
+        where: { id: customerId, userId },
+        select: { id: true },
+      });
+      if (!customer) {
+        throw new Error("Customer not found or access denied");
+      }
+    }
+
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const ownedProducts = await prisma.product.findMany({
+      where: { id: { in: productIds }, userId },
+      select: { name: true, isActive: true },
+    });
+    if (ownedProducts.length !== productIds.length) {
+      throw new Error("One or more products were not found");
+    }
+    const inactiveProduct = ownedProducts.find((product) => !product.isActive);
+    if (inactiveProduct) {
+      throw new Error(`${inactiveProduct.name} is inactive and cannot be sold`);
+    }
+
+    const lines = items.map((item) => {
+      const unitPrice = roundMoney(item.unitPrice);
+      const grossAmount = roundMoney(item.quantity * unitPrice);
+      const discountAmount = item.discount
+        ? calculateDiscountAmount(item.discount, grossAmount)
+        : 0;
+      if (discountAmount > grossAmount) {
+        throw new Error("A line discount cannot be more than the line total");
+      }
+      return {
+        productId: item.productId,
+        quantity: item.quantity,
+        unitPrice,
+        grossAmount,
+        discountAmount,
+        lineTotal: roundMoney(grossAmount - discountAmount),
+        discount: item.discount,
+      };
+    });
+    const grossAmount = roundMoney(
+      lines.reduce((sum, line) => sum + line.grossAmount, 0)
+    );
+    const subtotal = roundMoney(
+      lines.reduce((sum, line) => sum + line.lineTotal, 0)
+    );
+    const cartDiscountAmount = discount
+      ? calculateDiscountAmount(discount, subtotal)
+      : 0;
+    if (cartDiscountAmount > subtotal) {
+      throw new Error("The cart discount cannot be more than the subtotal");
+    }
+    const netAmount = roundMoney(subtotal - cartDiscountAmount);
+
+    const { pricesIncludeTax, rates } = await getTaxContext(
+      prisma,
+      userId,
+      productIds
+    );
+    const taxedLines = addLineTaxes(
+      lines.map((line) => ({ ...line, taxRate: rates.get(line.productId) })),
+      cartDiscountAmount,
+      pricesIncludeTax
+    );
+    const taxAmount = roundMoney(
+      taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)
+    );
+    const totalAmount = pricesIncludeTax
+      ? netAmount
+      : roundMoney(netAmount + taxAmount);
+
+    const sale = await prisma.$transaction(async (tx) => {
+      const location = await resolveLocation(tx, userId, saleData.locationId);
+      const created = await tx.sale.create({
+        data: {
+          userId,
+          locationId: location.id,
+          shiftId: await findOpenShiftId(tx, userId),
+          paymentMethod,
+          customerId: customerId || null,
+          note: note || null,
+          grossAmount,
+          discountAmount: roundMoney(grossAmount - netAmount),
+          taxAmount,
+          totalAmount,
+          pricesIncludeTax,
+        },
+      });
+
+      /**
+       * Builds the discount record for a line or the cart
+       * @param {DiscountData} applied - Discount as entered
+       * @param {number} amount - Money taken off
+       * @returns {Object} Sale discount data
+       */
+      const toDiscountData = (applied, amount) => ({
+        saleId: created.id,
+        appliedById: userId,
+        type: applied.type,
+        value: applied.value,
+        amount,
+        reason: applied.reason,
+      });
+
+      for (const [index, line] of taxedLines.entries()) {
+        // The movement values the stock taken out, which is the line's cost
+        const movement = await recordStockMovement(tx, {
+          userId,
+          productId: line.productId,
+          type: "SALE",
+          quantity: -line.quantity,
+          locationId: location.id,
+          serials: items[index].serials,
+          reference: "Sale",
+          referenceId: created.id,
+        });
+
+        await tx.saleItem.create({
+          data: {
+            saleId: created.id,
+            productId: line.productId,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            discountAmount: line.discountAmount,
+            lineTotal: line.lineTotal,
+            taxRate: line.taxRate,
+            taxAmount: line.taxAmount,
+            unitCost: movement.unitCost,
+            fifoUnitCost: movement.fifoUnitCost,
+            ...(line.discount && {
+              discount: {
+                create: toDiscountData(line.discount, line.discountAmount),
+              },
+            }),
+          },
+        });
+      }
+      if (discount) {
+        await tx.saleDiscount.create({
+          data: toDiscountData(discount, cartDiscountAmount),
+        });
+      }
+
+      if (paymentMethod === "ON_ACCOUNT") {
+        await tx.customer.update({
+          where: { id: customerId },
+          data: { balance: { increment: totalAmount } },
+        });
+      }
+
+      return tx.sale.findUnique({
+        where: { id: created.id },
+        include: saleInclude,
+      });
+    });
+
+    return sale;
+  } catch (error) {
+    console.error("Error creating sale:", error);
+    throw new Error(error.message || "Failed to complete sale");
+  }
+}
+
+/**
+ * Fetches sales for a specific user with search, sorting and pagination
+ * @param {string} userId - The user ID
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Items per page
+ * @param {string} [options.q] - Case-insensitive search on customer name and product name or SKU
+ * @param {"soldAt" | "totalAmount"} [options.sort="soldAt"] - Sort field
+ * @param {"asc" | "desc"} [options.order="desc"] - Sort direction
+ * @returns {Promise<Object>} Sales list with pagination info
+ */
+export async function getSalesByUser(userId, options = {}) {
+  const { page = 1, limit = 10, q, sort = "soldAt", order = "desc" } = options;
+  const skip = (page - 1) * limit;
+  const term = q?.trim();
+
+  const where = {
+    userId,
+    ...(term && {
+      OR: [
+        { customer: { name: { contains: term, mode: "insensitive" } } },
+        {
+          items: {
+            some: {
+              product: {
+                OR: [
+                  { name: { contains: term, mode: "insensitive" } },
+                  { sku: { contains: term, mode: "insensitive" } },
+                ],
+              },
+            },
+          },
+        },
+      ],
+    }),
+  };
+
+  try {
+    const [sales, totalCount] = await Promise.all([
+      prisma.sale.findMany({
+        where,
+        include: {
+          customer: { select: { id: true, name: true } },
+          _count: { select: { items: true, returns: true } },
+        },
+        // Tie-break on id so pages stay stable when sort values repeat
+        orderBy: [{ [sort]: order }, { id: "asc" }],
+        skip,
+        take: limit,
+      }),
+      prisma.sale.count({ where }),
+    ]);
+
+    return {
+      sales,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+    };
+  } catch (error) {
+    console.error("Error fetching sales:", error);
+    throw new Error("Failed to fetch sales");
+  }
+}
+
+/**
+ * Fetches a single sale by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} saleId - The sale ID
+ * @returns {Promise<Object|null>} Sale with items and their serial numbers, or null if not found
+ */
+export async function getSaleById(userId, saleId) {
+  try {
+    const sale = await prisma.sale.findFirst({
+      where: { id: saleId, userId },
+      include: saleInclude,
+    });
+
+    return sale ? withSoldSerials(prisma, sale) : null;
+  } catch (error) {
+    console.error("Error fetching sale:", error);
+    throw new Error("Failed to fetch sale");
+  }
+}
+
+/**
+ * Processes a return against a sale: records the returned lines, puts
+ * restocked goods back through the stock ledger at the cost they were sold
+ * at (and into the location they were sold from), and refunds the customer in cash or as a credit on their account, all
+ * in a single transaction.
+ * Each unit is refunded at the price paid, after line and cart discounts.
+ * Restocked serialized units must be ones sold on this sale.
+ * Cash refunds come out of the till of the open register shift, if any.
+ * Fails (and saves nothing) if a line would be returned more than it was sold.
+ * @param {string} userId - The user ID processing the return
+ * @param {string} saleId - The sale the goods were bought on
+ * @param {CreateSaleReturnData} returnData - Returned quantities and refund method
+ * @returns {Promise<Object>} Updated sale with items and returns
+ */
+export async function createSaleReturn(userId, saleId, returnData) {
+  try {
+    const { refundMethod, note } = returnData;
+    const returned = returnData.items.filter((item) => item.quantity > 0);
+
+    await prisma.$transaction(async (tx) => {
+      const sale = await tx.sale.findFirst({
+        where: { id: saleId, userId },
+        include: { items: true },
+      });
+      if (!sale) {
+        throw new Error("Sale not found or access denied");
+      }
+      if (refundMethod === "ACCOUNT_CREDIT" && !sale.customerId) {
+        throw new Error(
+          "Only sales with a customer can be refunded to an account"
+        );
+      }
+
+      const itemsById = new Map(sale.items.map((item) => [item.id, item]));
+      const soldSerials = await getSoldSerials(tx, saleId);
+      await checkReturnedSerials(
+        tx,
+        userId,
+        saleId,
+        returned.flatMap((line) => line.serials ?? [])
+      );
+      const lines = returned.map((line) => {
+        const item = itemsById.get(line.saleItemId);
+        if (!item) {
+          throw new Error("Sale line not found on this sale");
+        }
+        const sold = soldSerials.get(item.productId) ?? [];
+        const unsold = (line.serials ?? []).find(
+          (serial) => !sold.some((unit) => unit.serial === serial)
+        );
+        if (unsold) {
+          throw new Error(`Serial number ${unsold} was not sold on this sale`);
+        }
+        const lineTotal = calculateRefundAmount(sale, item, line.quantity);
+        return {
+          item,
+          quantity: line.quantity,
+          restock: line.restock,
+          serials: line.serials,
+          unitPrice: roundMoney(lineTotal / line.quantity),
+          lineTotal,
+          taxAmount: roundMoney((item.taxAmount * line.quantity) / item.quantity),
+        };
+      });
+      const totalAmount = roundMoney(
+        lines.reduce((sum, line) => sum + line.lineTotal, 0)
+      );
+
+      const saleReturn = await tx.saleReturn.create({
+        data: {
+          userId,
+          saleId,
+          shiftId: await findOpenShiftId(tx, userId),
+          refundMethod,
+          note: note || null,
+          totalAmount,
+          items: {
+            create: lines.map((line) => ({
+              saleItemId: line.item.id,
+              productId: line.item.productId,
+              quantity: line.quantity,
+              unitPrice: line.unitPrice,
+              lineTotal: line.lineTotal,
+              taxAmount: line.taxAmount,
+              restocked: line.restock,
+            })),
+          },
+        },
+      });
+
+      for (const line of lines) {
+        // Increment first so concurrent returns cannot both pass the check
+        const { quantity, quantityReturned } = await tx.saleItem.update({
+          where: { id: line.item.id },
+          data: { quantityReturned: { increment: line.quantity } },
+        });
+        if (quantityReturned > quantity) {
+          const remaining = quantity - quantityReturned + line.quantity;
+          throw new Error(
+            `Cannot return ${line.quantity}: only ${remaining} left to return on this line`
+          );
+        }
+
+        if (line.restock) {
+          await recordStockMovement(tx, {
+            userId,
+            productId: line.item.productId,
+            type: "RETURN",
+            quantity: line.quantity,
+            locationId: sale.locationId,
+            unitCost: line.item.unitCost,
+            fifoUnitCost: line.item.fifoUnitCost,
+            serials: line.serials,
+            reference: "Sale return",
+            referenceId: saleReturn.id,
+          });
+        }
+      }
+
+      if (refundMethod === "ACCOUNT_CREDIT") {
+        await tx.customer.update({
+          where: { id: sale.customerId },
+          data: { balance: { decrement: totalAmount } },
+        });
+      }
+    });
+
+    return getSaleById(userId, saleId);
+  } catch (error) {
+    console.error("Error processing sale return:", error);
+    throw new Error(error.message || "Failed to process return");
+  }
+}
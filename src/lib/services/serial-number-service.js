@@ -0,0 +1,120 @@
+// /src/lib/services/serial-number-service.js
+import prisma from "@/lib/prisma";
+import { resolveLocation } from "@/lib/services/location-service";
+
+/**
+ * Fetches the serial numbers of a product in stock at one location, for
+ * choosing the units that leave (sales, adjustments, transfers)
+ * @param {string} userId - The user ID
+ * @param {string} productId - The product ID
+ * @param {string} [locationId] - Location to list; defaults to the default location
+ * @returns {Promise<Array<{ id: string, serial: string, createdAt: Date }>>} Serials in stock, oldest first
+ */
+export async function getSerialsInStock(userId, productId, locationId) {
+  try {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, userId },
+      select: { id: true },
+    });
+    if (!product) {
+      throw new Error("Product not found or access denied");
+    }
+
+    const location = await resolveLocation(prisma, userId, locationId);
+
+    return prisma.serialNumber.findMany({
+      where: { productId, locationId: location.id, status: "IN_STOCK" },
+      select: { id: true, serial: true, createdAt: true },
+      orderBy: [{ createdAt: "asc" }, { serial: "asc" }],
+    });
+  } catch (error) {
+    console.error("Error fetching serial numbers:", error);
+    throw new Error(error.message || "Failed to fetch serial numbers");
+  }
+}
+
+/**
+ * Looks up a serial number (case-insensitive) with where the unit is now
+ * and every movement it went through. Receipts are resolved to the
+ * supplier it came from and sales to the customer it went to; the latest
+ * of each are returned as receivedFrom and soldTo.
+ * @param {string} userId - The user ID
+ * @param {string} serial - Serial number or IMEI to look up
+ * @returns {Promise<Object|null>} Serial number with its history, or null if not found
+ */
+export async function getSerialNumberHistory(userId, serial) {
+  try {
+    const unit = await prisma.serialNumber.findFirst({
+      where: { userId, serial: { equals: serial, mode: "insensitive" } },
+      include: {
+        product: { select: { id: true, name: true, sku: true } },
+        location: { select: { id: true, name: true } },
+        movements: {
+          select: {
+            movement: {
+              select: {
+                id: true,
+                type: true,
+                quantity: true,
+                reference: true,
+                referenceId: true,
+                reason: true,
+                note: true,
+                createdAt: true,
+                location: { select: { id: true, name: true } },
+              },
+            },
+          },
+        },
+      },
+    });
+    if (!unit) return null;
+
+    const { movements: unitMovements, ...serialNumber } = unit;
+    const movements = unitMovements
+      .map(({ movement }) => movement)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const idsOf = (type) =>
+      movements
+        .filter((movement) => movement.type === type && movement.referenceId)
+        .map((movement) => movement.referenceId);
+
+    const [purchases, sales] = await Promise.all([
+      prisma.purchase.findMany({
+        where: { id: { in: idsOf("PURCHASE") }, userId },
+        select: {
+          id: true,
+          receivedAt: true,
+          supplier: { select: { id: true, name: true } },
+        },
+      }),
+      prisma.sale.findMany({
+        where: { id: { in: idsOf("SALE") }, userId },
+        select: {
+          id: true,
+          soldAt: true,
+          customer: { select: { id: true, name: true } },
+        },
+      }),
+    ]);
+    const purchasesById = new Map(purchases.map((p) => [p.id, p]));
+    const salesById = new Map(sales.map((s) => [s.id, s]));
+
+    const history = movements.map((movement) => ({
+      ...movement,
+      purchase: purchasesById.get(movement.referenceId) ?? null,
+      sale: salesById.get(movement.referenceId) ?? null,
+    }));
+
+    return {
+      ...serialNumber,
+      receivedFrom:
+        history.findLast((entry) => entry.purchase)?.purchase ?? null,
+      soldTo: history.findLast((entry) => entry.sale)?.sale ?? null,
+      history,
+    };
+  } catch (error) {
+    console.error("Error looking up serial number:", error);
+    throw new Error("Failed to look up serial number");
+  }
+}
@@ -0,0 +1,62 @@
+// /src/lib/services/settings-service.js
+import prisma from "@/lib/prisma";
+
+/**
+ * Settings update data
+ * @typedef {Object} UpdateSettingsData
+ * @property {string|null} [shopName] - Shop name printed on receipts and invoices
+ * @property {string|null} [address] - Shop address
+ * @property {string|null} [phone] - Shop phone number
+ * @property {string|null} [receiptFooter] - Text printed at the bottom of receipts
+ * @property {boolean} [pricesIncludeTax] - Whether prices and costs already include tax
+ * @property {"AVERAGE"|"FIFO"} [costingMethod] - How stock and cost of goods sold are valued
+ */
+
+const DEFAULT_SETTINGS = {
+  shopName: null,
+  address: null,
+  phone: null,
+  receiptFooter: null,
+  pricesIncludeTax: false,
+  costingMethod: "AVERAGE",
+};
+
+/**
+ * Fetches the account settings for a user. Accounts that never saved their
+ * settings get the defaults, so callers always receive every field.
+ * @param {string} userId - The user ID
+ * @returns {Promise<Object>} Account settings
+ */
+export async function getSettings(userId) {
+  try {
+    const settings = await prisma.shopSettings.findUnique({
+      where: { userId },
+    });
+
+    return settings ?? { ...DEFAULT_SETTINGS, userId };
+  } catch (error) {
+    console.error("Error fetching settings:", error);
+    throw new Error("Failed to fetch settings");
+  }
+}
+
+/**
+ * Saves account settings for a user, creating the record on first save
+ * @param {string} userId - The user ID who owns the settings
+ * @param {UpdateSettingsData} settingsData - Fields to save
+ * @returns {Promise<Object>} Updated account settings
+ */
+export async function updateSettings(userId, settingsData) {
+  try {
+    const settings = await prisma.shopSettings.upsert({
+      where: { userId },
+      create: { ...settingsData, userId },
+      update: settingsData,
+    });
+
+    return settings;
+  } catch (error) {
+    console.error("Error updating settings:", error);
+    throw new Error(error.message || "Failed to update settings");
+  }
+}
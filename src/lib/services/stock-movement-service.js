@@ -0,0 +1,765 @@
+// /src/lib/services/stock-movement-service.js
+import prisma from "@/lib/prisma";
+import { roundMoney } from "@/lib/utils";
+import { resolveLocation } from "@/lib/services/location-service";
+
+/**
+ * Stock movement input data
+ * @typedef {Object} StockMovementData
+ * @property {string} userId - The user ID who owns the product and makes the change
+ * @property {string} productId - The product whose stock changes
+ * @property {import("@prisma/client").StockMovementType} type - Movement type
+ * @property {number} quantity - Signed quantity delta (positive adds stock)
+ * @property {string} [locationId] - Location whose stock changes; defaults to the default location
+ * @property {number} [unitCost] - Cost per unit of incoming stock; defaults to the product's average cost
+ * @property {number} [fifoUnitCost] - Cost of the FIFO layer incoming stock opens, when it differs from unitCost (e.g. returns)
+ * @property {{ lotNumber: string, expiryDate?: Date }} [lot] - Lot incoming stock arrives in (lot-tracked products)
+ * @property {string} [lotId] - Lot outgoing stock must come from (e.g. an expired lot written off)
+ * @property {string[]} [serials] - Serial numbers of the units moved, one per unit (serialized products)
+ * @property {string} [reference] - Human-readable source of the movement
+ * @property {string} [referenceId] - ID of the source record
+ * @property {import("@prisma/client").AdjustmentReason} [reason] - Reason code for manual adjustments
+ * @property {string} [note] - Optional free-text note
+ * @property {boolean} [allowNegative=false] - Whether the resulting stock may drop below zero
+ */
+
+/**
+ * Uses up FIFO cost layers, oldest first, for stock leaving a product.
+ * Units not covered by a layer (stock going negative) are costed at the
+ * fallback cost.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} productId - The product whose stock leaves
+ * @param {number} quantity - Units leaving (positive)
+ * @param {number} fallbackCost - Cost per unit beyond the layers
+ * @returns {Promise<number>} Cost per unit of the units used
+ */
+async function consumeCostLayers(tx, productId, quantity, fallbackCost) {
+  const layers = await tx.costLayer.findMany({
+    where: { productId, remaining: { gt: 0 } },
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+  });
+
+  let left = quantity;
+  let cost = 0;
+  for (const layer of layers) {
+    if (left === 0) break;
+    const used = Math.min(left, layer.remaining);
+    await tx.costLayer.update({
+      where: { id: layer.id },
+      data: { remaining: { decrement: used } },
+    });
+    cost += used * layer.unitCost;
+    left -= used;
+  }
+
+  return (cost + left * fallbackCost) / quantity;
+}
+
+/**
+ * Takes stock out of a product's lots at one location, earliest expiry first
+ * (lots without an expiry date last), or out of a single lot. Units not
+ * covered by a lot come from stock received before lot tracking was on.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} productId - The product whose stock leaves
+ * @param {string} locationId - Location the stock leaves
+ * @param {number} quantity - Units leaving (positive)
+ * @param {string} [lotId] - Only take from this lot, which must hold enough
+ * @returns {Promise<Array<{ lotId: string, quantity: number }>>} Units taken per lot (negative)
+ */
+async function consumeLots(tx, productId, locationId, quantity, lotId) {
+  const lots = await tx.stockLot.findMany({
+    where: {
+      productId,
+      locationId,
+      remaining: { gt: 0 },
+      ...(lotId && { id: lotId }),
+    },
+    orderBy: [
+      { expiryDate: { sort: "asc", nulls: "last" } },
+      { createdAt: "asc" },
+      { id: "asc" },
+    ],
+  });
+  if (lotId && (lots[0]?.remaining ?? 0) < quantity) {
+    throw new Error(
+      `Only ${lots[0]?.remaining ?? 0} left in this lot at this location`
+    );
+  }
+
+  let left = quantity;
+  const taken = [];
+  for (const lot of lots) {
+    if (left === 0) break;
+    const used = Math.min(left, lot.remaining);
+    await tx.stockLot.update({
+      where: { id: lot.id },
+      data: { remaining: { decrement: used } },
+    });
+    taken.push({ lotId: lot.id, quantity: -used });
+    left -= used;
+  }
+
+  return taken;
+}
+
+/**
+ * Opens a lot for stock arriving at a location
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} productId - The product whose stock arrives
+ * @param {string} locationId - Location the stock arrives at
+ * @param {{ lotNumber: string, expiryDate?: Date|null }} lot - Lot details
+ * @param {number} quantity - Units arriving (positive)
+ * @returns {Promise<{ lotId: string, quantity: number }>} Units added to the lot
+ */
+async function openLot(tx, productId, locationId, lot, quantity) {
+  const created = await tx.stockLot.create({
+    data: {
+      productId,
+      locationId,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate ?? null,
+      quantity,
+      remaining: quantity,
+    },
+  });
+
+  return { lotId: created.id, quantity };
+}
+
+/**
+ * Checks that a product can hold stock: a parent product's stock is kept
+ * by its variants
+ * @param {string} name - Product name, for the error message
+ * @param {boolean} hasVariants - Whether the product is a parent of variants
+ * @returns {void}
+ */
+function checkStockable(name, hasVariants) {
+  if (hasVariants) {
+    throw new Error(`"${name}" has variants: choose the variant instead`);
+  }
+}
+
+/**
+ * Checks that a movement of a serialized product names one distinct serial
+ * number per unit
+ * @param {string} name - Product name, for the error message
+ * @param {number} quantity - Signed quantity delta
+ * @param {string[]} serials - Serial numbers given
+ * @returns {void}
+ */
+function checkSerials(name, quantity, serials) {
+  const units = Math.abs(quantity);
+  if (serials.length !== units) {
+    throw new Error(
+      `${quantity > 0 ? "Enter" : "Choose"} ${units} serial number(s) for "${name}"`
+    );
+  }
+  if (new Set(serials).size !== serials.length) {
+    throw new Error(`The serial numbers for "${name}" must all be different`);
+  }
+}
+
+/**
+ * Puts units of a serialized product into stock at a location. New serial
+ * numbers are recorded; known ones come back into stock when they were in
+ * one of the given statuses (e.g. a sold unit returned by the customer).
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} userId - The user ID who owns the product
+ * @param {string} productId - The product whose units arrive
+ * @param {string} locationId - Location the units arrive at
+ * @param {string[]} serials - Serial numbers of the units
+ * @param {import("@prisma/client").SerialStatus[]} fromStatuses - Statuses a known unit may come back from
+ * @returns {Promise<string[]>} Serial number IDs
+ */
+async function stockSerials(
+  tx,
+  userId,
+  productId,
+  locationId,
+  serials,
+  fromStatuses
+) {
+  const ids = [];
+  for (const serial of serials) {
+    const existing = await tx.serialNumber.findUnique({
+      where: { userId_serial: { userId, serial } },
+    });
+    if (!existing) {
+      const created = await tx.serialNumber.create({
+        data: { serial, productId, locationId, userId },
+      });
+      ids.push(created.id);
+      continue;
+    }
+    if (
+      existing.productId !== productId ||
+      !fromStatuses.includes(existing.status)
+    ) {
+      throw new Error(`Serial number ${serial} is already recorded`);
+    }
+    await tx.serialNumber.update({
+      where: { id: existing.id },
+      data: { status: "IN_STOCK", locationId },
+    });
+    ids.push(existing.id);
+  }
+
+  return ids;
+}
+
+/**
+ * Takes units of a serialized product out of stock at a location
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} userId - The user ID who owns the product
+ * @param {string} productId - The product whose units leave
+ * @param {{ id: string, name: string }} location - Location the units leave
+ * @param {string[]} serials - Serial numbers of the units
+ * @param {import("@prisma/client").SerialStatus} status - Status the units leave with
+ * @returns {Promise<string[]>} Serial number IDs
+ */
+async function releaseSerials(
+  tx,
+  userId,
+  productId,
+  location,
+  serials,
+  status
+) {
+  const ids = [];
+  for (const serial of serials) {
+    const { count } = await tx.serialNumber.updateMany({
+      where: {
+        userId,
+        serial,
+        productId,
+        locationId: location.id,
+        status: "IN_STOCK",
+      },
+      data: { status },
+    });
+    if (count === 0) {
+      throw new Error(
+        `Serial number ${serial} is not in stock at ${location.name}`
+      );
+    }
+    const { id } = await tx.serialNumber.findUnique({
+      where: { userId_serial: { userId, serial } },
+      select: { id: true },
+    });
+    ids.push(id);
+  }
+
+  return ids;
+}
+
+/**
+ * Applies a stock change to a product's level at one location
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} userId - The user ID who owns the product
+ * @param {string} productId - The product whose stock changes
+ * @param {string} [locationId] - Requested location ID
+ * @param {number} quantity - Signed quantity delta
+ * @returns {Promise<{ location: { id: string, name: string }, quantity: number }>} Location used and its stock after the change
+ */
+async function applyLocationStock(tx, userId, productId, locationId, quantity) {
+  const location = await resolveLocation(tx, userId, locationId);
+  const level = await tx.productStock.upsert({
+    where: { productId_locationId: { productId, locationId: location.id } },
+    create: { productId, locationId: location.id, quantity },
+    update: { quantity: { increment: quantity } },
+    select: { quantity: true },
+  });
+
+  return { location, quantity: level.quantity };
+}
+
+/**
+ * Values the remaining FIFO cost layers of a product
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} productId - The product ID
+ * @returns {Promise<number>} Value of the stock still in layers
+ */
+async function getLayerValue(tx, productId) {
+  const layers = await tx.costLayer.findMany({
+    where: { productId, remaining: { gt: 0 } },
+    select: { remaining: true, unitCost: true },
+  });
+
+  return roundMoney(
+    layers.reduce((sum, layer) => sum + layer.remaining * layer.unitCost, 0)
+  );
+}
+
+/**
+ * Applies a stock change to a product and records it in the stock ledger.
+ * Every movement is costed both ways, so the account's costing method can
+ * be switched at any time:
+ * - weighted average: incoming stock with a known cost is blended into the
+ *   product's moving average; everything else moves at that average
+ * - FIFO: incoming stock opens a cost layer; outgoing stock uses up the
+ *   oldest layers first
+ * The change lands on one location's level and on the product's total;
+ * only the location's level has to stay above zero. For lot-tracked
+ * products, incoming stock with a lot opens it and outgoing stock comes
+ * out of the earliest-expiring lots first. Serialized products move one
+ * serial number per unit: incoming units are recorded (or returned to
+ * stock) and outgoing ones must be in stock at the location. A parent
+ * product of variants holds no stock; its variants move instead.
+ * Must be called with a transaction client so the stock update and the
+ * ledger entry are committed (or rolled back) together.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {StockMovementData} movement - Movement to apply
+ * @returns {Promise<Object>} Created stock movement
+ */
+export async function recordStockMovement(tx, movement) {
+  const {
+    userId,
+    productId,
+    type,
+    quantity,
+    locationId,
+    unitCost,
+    fifoUnitCost = unitCost,
+    lot,
+    lotId,
+    serials = [],
+    reference,
+    referenceId,
+    reason,
+    note,
+    allowNegative = false,
+  } = movement;
+
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new Error("Stock movement quantity must be a non-zero integer");
+  }
+
+  // Atomic increment so concurrent movements cannot overwrite each other;
+  // it also locks the product row until the transaction ends
+  const { name, stock, averageCost, trackLots, serialized, hasVariants } =
+    await tx.product.update({
+      where: { id: productId, userId },
+      data: { stock: { increment: quantity } },
+      select: {
+        name: true,
+        stock: true,
+        averageCost: true,
+        trackLots: true,
+        serialized: true,
+        hasVariants: true,
+      },
+    });
+  checkStockable(name, hasVariants);
+  if (serialized) {
+    checkSerials(name, quantity, serials);
+  }
+
+  const level = await applyLocationStock(
+    tx,
+    userId,
+    productId,
+    locationId,
+    quantity
+  );
+
+  // Throwing here rolls back the whole transaction, including the increments
+  if (level.quantity < 0 && !allowNegative) {
+    throw new Error(
+      `Insufficient stock for "${name}" at ${level.location.name}: only ${level.quantity - quantity} available`
+    );
+  }
+
+  // Units filling a negative location level were already sold, so only the
+  // rest go into the lot
+  let lots = [];
+  if (quantity > 0 && lot && trackLots) {
+    const lotQuantity = Math.min(quantity, level.quantity);
+    if (lotQuantity > 0) {
+      lots = [
+        await openLot(tx, productId, level.location.id, lot, lotQuantity),
+      ];
+    }
+  } else if (quantity < 0 && (trackLots || lotId)) {
+    lots = await consumeLots(
+      tx,
+      productId,
+      level.location.id,
+      -quantity,
+      lotId
+    );
+  }
+
+  let serialIds = [];
+  if (serialized && quantity > 0) {
+    serialIds = await stockSerials(
+      tx,
+      userId,
+      productId,
+      level.location.id,
+      serials,
+      ["SOLD", "REMOVED"]
+    );
+  } else if (serialized) {
+    serialIds = await releaseSerials(
+      tx,
+      userId,
+      productId,
+      level.location,
+      serials,
+      type === "SALE" ? "SOLD" : "REMOVED"
+    );
+  }
+
+  const stockBefore = stock - quantity;
+  let movementCost = averageCost;
+  let layerCost = averageCost;
+  let newAverageCost = averageCost;
+  if (quantity > 0) {
+    movementCost = unitCost ?? averageCost;
+    layerCost = fifoUnitCost ?? averageCost;
+    newAverageCost =
+      stockBefore > 0
+        ? (stockBefore * averageCost + quantity * movementCost) / stock
+        : movementCost;
+
+    // Units filling a negative balance were already sold, so only the rest
+    // stay in a layer
+    const layerQuantity = Math.min(quantity, stock);
+    if (layerQuantity > 0) {
+      await tx.costLayer.create({
+        data: {
+          productId,
+          quantity: layerQuantity,
+          remaining: layerQuantity,
+          unitCost: layerCost,
+        },
+      });
+    }
+  } else {
+    layerCost = await consumeCostLayers(
+      tx,
+      productId,
+      -quantity,
+      averageCost
+    );
+  }
+  if (newAverageCost !== averageCost) {
+    await tx.product.update({
+      where: { id: productId },
+      data: { averageCost: newAverageCost },
+    });
+  }
+
+  return tx.stockMovement.create({
+    data: {
+      type,
+      quantity,
+      balanceAfter: stock,
+      unitCost: movementCost,
+      valueAfter: roundMoney(Math.max(stock, 0) * newAverageCost),
+      fifoUnitCost: layerCost,
+      fifoValueAfter: await getLayerValue(tx, productId),
+      reference: reference || null,
+      referenceId: referenceId || null,
+      reason: reason || null,
+      note: note || null,
+      productId,
+      locationId: level.location.id,
+      userId,
+      lots: { create: lots },
+      serials: { create: serialIds.map((serialId) => ({ serialId })) },
+    },
+  });
+}
+
+/**
+ * Stock transfer movement input data
+ * @typedef {Object} TransferMovementData
+ * @property {string} userId - The user ID who owns the product
+ * @property {string} productId - The product being moved
+ * @property {"TRANSFER_OUT" | "TRANSFER_IN"} type - Leaving or arriving at the location
+ * @property {number} quantity - Signed quantity delta at the location
+ * @property {string} locationId - Location the stock leaves or arrives at
+ * @property {{ lotNumber: string, expiryDate: Date|null, quantity: number }[]} [lots] - Lots arriving stock was sent from, reopened at the location
+ * @property {string[]} [serials] - Serial numbers of the units moved (serialized products)
+ * @property {string} [reference] - Human-readable source of the movement
+ * @property {string} [referenceId] - ID of the transfer
+ * @property {string} [note] - Optional free-text note
+ */
+
+/**
+ * Moves stock in or out of a location as part of a transfer and records it
+ * in the stock ledger. The stock stays the business's own while in
+ * transit, so the product's total, average cost and FIFO layers do not
+ * change; the ledger entry carries them forward unchanged.
+ * Stock leaving takes its lots along, earliest expiry first, so they can be
+ * reopened where it arrives. Serial numbers travel in transit and come
+ * back into stock where they arrive.
+ * Must be called with a transaction client.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {TransferMovementData} movement - Movement to apply
+ * @returns {Promise<Object>} Created stock movement
+ */
+export async function recordTransferMovement(tx, movement) {
+  const {
+    userId,
+    productId,
+    type,
+    quantity,
+    locationId,
+    lots: arrivingLots = [],
+    serials = [],
+    reference,
+    referenceId,
+    note,
+  } = movement;
+
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new Error("Stock movement quantity must be a non-zero integer");
+  }
+
+  // A no-op increment locks the product row like recordStockMovement does
+  const { name, stock, averageCost, trackLots, serialized, hasVariants } =
+    await tx.product.update({
+      where: { id: productId, userId },
+      data: { stock: { increment: 0 } },
+      select: {
+        name: true,
+        stock: true,
+        averageCost: true,
+        trackLots: true,
+        serialized: true,
+        hasVariants: true,
+      },
+    });
+  checkStockable(name, hasVariants);
+  if (serialized) {
+    checkSerials(name, quantity, serials);
+  }
+
+  const level = await applyLocationStock(
+    tx,
+    userId,
+    productId,
+    locationId,
+    quantity
+  );
+  if (level.quantity < 0) {
+    throw new Error(
+      `Insufficient stock for "${name}" at ${level.location.name}: only ${level.quantity - quantity} available`
+    );
+  }
+
+  let lots = [];
+  if (quantity < 0 && trackLots) {
+    lots = await consumeLots(tx, productId, level.location.id, -quantity);
+  } else {
+    for (const lot of arrivingLots) {
+      lots.push(
+        await openLot(tx, productId, level.location.id, lot, lot.quantity)
+      );
+    }
+  }
+
+  let serialIds = [];
+  if (serialized && quantity < 0) {
+    serialIds = await releaseSerials(
+      tx,
+      userId,
+      productId,
+      level.location,
+      serials,
+      "IN_TRANSIT"
+    );
+  } else if (serialized) {
+    serialIds = await stockSerials(
+      tx,
+      userId,
+      productId,
+      level.location.id,
+      serials,
+      ["IN_TRANSIT"]
+    );
+  }
+
+  return tx.stockMovement.create({
+    data: {
+      type,
+      quantity,
+      balanceAfter: stock,
+      unitCost: averageCost,
+      valueAfter: roundMoney(Math.max(stock, 0) * averageCost),
+      fifoUnitCost: averageCost,
+      fifoValueAfter: await getLayerValue(tx, productId),
+      reference: reference || null,
+      referenceId: referenceId || null,
+      note: note || null,
+      productId,
+      locationId: level.location.id,
+      userId,
+      lots: { create: lots },
+      serials: { create: serialIds.map((serialId) => ({ serialId })) },
+    },
+  });
+}
+
+/**
+ * Stock adjustment input data
+ * @typedef {Object} StockAdjustmentData
+ * @property {number} quantity - Signed quantity delta (positive adds stock)
+ * @property {import("@prisma/client").AdjustmentReason} reason - Reason code
+ * @property {string} [note] - Optional free-text note
+ * @property {boolean} [allowNegative=false] - Whether stock may drop below zero
+ * @property {string} [locationId] - Location whose stock is adjusted
+ * @property {string[]} [serials] - Serial numbers added or removed (serialized products)
+ */
+
+/**
+ * Records a manual stock adjustment for a product
+ * @param {string} userId - The user ID who owns the product
+ * @param {string} productId - The product ID to adjust
+ * @param {StockAdjustmentData} adjustmentData - Adjustment details
+ * @returns {Promise<Object>} Updated product object
+ */
+export async function createStockAdjustment(userId, productId, adjustmentData) {
+  try {
+    const existingProduct = await prisma.product.findFirst({
+      where: { id: productId, userId },
+      select: { id: true },
+    });
+
+    if (!existingProduct) {
+      throw new Error("Product not found or access denied");
+    }
+
+    const product = await prisma.$transaction(async (tx) => {
+      await recordStockMovement(tx, {
+        userId,
+        productId,
+        type: "ADJUSTMENT",
+        quantity: adjustmentData.quantity,
+        locationId: adjustmentData.locationId,
+        reference: "Stock adjustment",
+        reason: adjustmentData.reason,
+        note: adjustmentData.note,
+        allowNegative: adjustmentData.allowNegative,
+        serials: adjustmentData.serials,
+      });
+
+      return tx.product.findUnique({
+        where: { id: productId },
+        include: {
+          category: true,
+          supplier: true,
+        },
+      });
+    });
+
+    return product;
+  } catch (error) {
+    console.error("Error adjusting stock:", error);
+    throw new Error(error.message || "Failed to adjust stock");
+  }
+}
+
+/**
+ * Lot write-off input data
+ * @typedef {Object} LotWriteOffData
+ * @property {string} [note] - Optional free-text note
+ */
+
+/**
+ * Writes off what is left of a lot (e.g. once it has expired) as an
+ * "Expired" stock adjustment at the lot's location
+ * @param {string} userId - The user ID who owns the product
+ * @param {string} lotId - The stock lot ID
+ * @param {LotWriteOffData} writeOffData - Write-off details
+ * @returns {Promise<Object>} Written-off lot
+ */
+export async function writeOffStockLot(userId, lotId, writeOffData) {
+  try {
+    const lot = await prisma.stockLot.findFirst({
+      where: { id: lotId, product: { userId } },
+    });
+
+    if (!lot) {
+      throw new Error("Lot not found or access denied");
+    }
+    if (lot.remaining === 0) {
+      throw new Error("Nothing is left in this lot to write off");
+    }
+
+    const writtenOff = await prisma.$transaction(async (tx) => {
+      await recordStockMovement(tx, {
+        userId,
+        productId: lot.productId,
+        type: "ADJUSTMENT",
+        quantity: -lot.remaining,
+        locationId: lot.locationId,
+        lotId,
+        reference: `Lot ${lot.lotNumber} written off`,
+        reason: "EXPIRED",
+        note: writeOffData.note,
+      });
+
+      return tx.stockLot.findUnique({ where: { id: lotId } });
+    });
+
+    return writtenOff;
+  } catch (error) {
+    console.error("Error writing off lot:", error);
+    throw new Error(error.message || "Failed to write off lot");
+  }
+}
+
+/**
+ * Fetches the stock movement history of a product, newest first
+ * @param {string} userId - The user ID
+ * @param {string} productId - The product ID
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=20] - Items per page
+ * @returns {Promise<Object>} Movements list with pagination info
+ */
+export async function getStockMovementsByProduct(
+  userId,
+  productId,
+  options = {}
+) {
+  const { page = 1, limit = 20 } = options;
+  const skip = (page - 1) * limit;
+
+  try {
+    const where = { userId, productId };
+
+    const [movements, totalCount] = await Promise.all([
+      prisma.stockMovement.findMany({
+        where,
+        include: {
+          location: { select: { id: true, name: true } },
+          lots: {
+            select: {
+              quantity: true,
+              lot: { select: { lotNumber: true, expiryDate: true } },
+            },
+          },
+          serials: { select: { serial: { select: { serial: true } } } },
+        },
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+      prisma.stockMovement.count({ where }),
+    ]);
+
+    return {
+      movements,
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+      currentPage: page,
+    };
+  } catch (error) {
+    console.error("Error fetching stock movements:", error);
+    throw new Error("Failed to fetch stock movements");
+  }
+}
@@ -0,0 +1,311 @@
+// /src/lib/services/stock-transfer-service.js
+import prisma from "@/lib/prisma";
+import { recordTransferMovement } from "@/lib/services/stock-movement-service";
+import { findOwnedLocation } from "@/lib/services/location-service";
+import { formatTransferNumber } from "@/lib/schemas/location-schemas";
+
+/**
+ * Stock transfer creation data
+ * @typedef {Object} CreateStockTransferData
+ * @property {string} fromLocationId - Location the stock leaves
+ * @property {string} toLocationId - Location the stock goes to
+ * @property {string} [note] - Optional note
+ * @property {{ productId: string, quantity: number, serials?: string[] }[]} items - Quantity (and serial numbers, for serialized products) sent per product
+ */
+
+const stockTransferInclude = {
+  fromLocation: { select: { id: true, name: true } },
+  toLocation: { select: { id: true, name: true } },
+  items: {
+    include: {
+      product: { select: { id: true, name: true, sku: true, unit: true } },
+    },
+    orderBy: { product: { name: "asc" } },
+  },
+};
+
+/**
+ * Adds the number of units sent to a transfer with its items
+ * @param {Object} transfer - Stock transfer including items
+ * @returns {Object} Stock transfer with itemCount and totalQuantity
+ */
+function withTotals(transfer) {
+  return {
+    ...transfer,
+    itemCount: transfer.items.length,
+    totalQuantity: transfer.items.reduce((sum, item) => sum + item.quantity, 0),
+  };
+}
+
+/**
+ * Finds a stock transfer owned by the user or throws
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string} transferId - The stock transfer ID
+ * @returns {Promise<Object>} Stock transfer with items
+ */
+async function findOwnedTransfer(tx, userId, transferId) {
+  const transfer = await tx.stockTransfer.findFirst({
+    where: { id: transferId, userId },
+    include: { items: true },
+  });
+
+  if (!transfer) {
+    throw new Error("Stock transfer not found or access denied");
+  }
+
+  return transfer;
+}
+
+/**
+ * Moves the stock of an in-transit transfer into a location and closes the
+ * transfer with the given status. The transfer is claimed first so it
+ * cannot be received or cancelled twice. Lots the stock was sent from are
+ * reopened where it arrives, and the serial numbers sent come back into
+ * stock there.
+ * @param {import("@prisma/client").Prisma.TransactionClient} tx - Prisma transaction client
+ * @param {string} userId - The user ID who owns the transfer
+ * @param {string} transferId - The stock transfer ID
+ * @param {"RECEIVED" | "CANCELLED"} status - Status to close the transfer with
+ * @returns {Promise<void>}
+ */
+async function closeTransfer(tx, userId, transferId, status) {
+  const transfer = await findOwnedTransfer(tx, userId, transferId);
+  if (transfer.status !== "IN_TRANSIT") {
+    throw new Error("Only transfers in transit can be received or cancelled");
+  }
+
+  const now = new Date();
+  const { count } = await tx.stockTransfer.updateMany({
+    where: { id: transferId, status: "IN_TRANSIT" },
+    data:
+      status === "RECEIVED"
+        ? { status, receivedAt: now }
+        : { status, cancelledAt: now },
+  });
+  if (count === 0) {
+    throw new Error("This transfer has already been closed");
+  }
+
+  // Received stock arrives at the destination; cancelled stock goes back
+  const locationId =
+    status === "RECEIVED" ? transfer.toLocationId : transfer.fromLocationId;
+  const sent = await tx.stockMovement.findMany({
+    where: { referenceId: transferId, type: "TRANSFER_OUT" },
+    select: {
+      productId: true,
+      lots: {
+        select: {
+          quantity: true,
+          lot: { select: { lotNumber: true, expiryDate: true } },
+        },
+      },
+      serials: { select: { serial: { select: { serial: true } } } },
+    },
+  });
+  const lotsByProduct = new Map(
+    sent.map((movement) => [
+      movement.productId,
+      movement.lots.map(({ quantity, lot }) => ({
+        ...lot,
+        quantity: -quantity,
+      })),
+    ])
+  );
+  const serialsByProduct = new Map(
+    sent.map((movement) => [
+      movement.productId,
+      movement.serials.map(({ serial }) => serial.serial),
+    ])
+  );
+
+  const number = formatTransferNumber(transfer.number);
+  for (const item of transfer.items) {
+    await recordTransferMovement(tx, {
+      userId,
+      productId: item.productId,
+      type: "TRANSFER_IN",
+      quantity: item.quantity,
+      locationId,
+      lots: lotsByProduct.get(item.productId),
+      serials: serialsByProduct.get(item.productId),
+      reference:
+        status === "RECEIVED"
+          ? `Transfer ${number} received`
+          : `Transfer ${number} cancelled`,
+      referenceId: transferId,
+    });
+  }
+}
+
+/**
+ * Fetches stock transfers for a specific user, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.status] - Only transfers with this status
+ * @returns {Promise<Array>} Stock transfers with their locations and totals
+ */
+export async function getStockTransfersByUser(userId, options = {}) {
+  const { status } = options;
+
+  try {
+    const transfers = await prisma.stockTransfer.findMany({
+      where: { userId, ...(status && { status }) },
+      include: {
+        fromLocation: { select: { id: true, name: true } },
+        toLocation: { select: { id: true, name: true } },
+        items: { select: { quantity: true } },
+      },
+      orderBy: { number: "desc" },
+    });
+
+    return transfers.map(withTotals);
+  } catch (error) {
+    console.error("Error fetching stock transfers:", error);
+    throw new Error("Failed to fetch stock transfers");
+  }
+}
+
+/**
+ * Fetches a single stock transfer by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} transferId - The stock transfer ID
+ * @returns {Promise<Object|null>} Stock transfer with its lines, or null if not found
+ */
+export async function getStockTransferById(userId, transferId) {
+  try {
+    const transfer = await prisma.stockTransfer.findFirst({
+      where: { id: transferId, userId },
+      include: stockTransferInclude,
+    });
+
+    return transfer ? withTotals(transfer) : null;
+  } catch (error) {
+    console.error("Error fetching stock transfer:", error);
+    throw new Error("Failed to fetch stock transfer");
+  }
+}
+
+/**
+ * Sends stock from one location to another: creates the transfer with the
+ * next sequential number and takes every line out of the sending location
+ * through the stock ledger, in a single transaction. The stock stays in
+ * the product totals while in transit.
+ * Fails (and saves nothing) if the sending location does not have enough.
+ * @param {string} userId - The user ID who owns the transfer
+ * @param {CreateStockTransferData} transferData - Transfer data to create
+ * @returns {Promise<Object>} Created stock transfer
+ */
+export async function createStockTransfer(userId, transferData) {
+  try {
+    const { fromLocationId, toLocationId, note, items } = transferData;
+    if (fromLocationId === toLocationId) {
+      throw new Error("Choose two different locations");
+    }
+
+    const productIds = items.map((item) => item.productId);
+    const ownedProducts = await prisma.product.count({
+      where: { id: { in: productIds }, userId },
+    });
+    if (ownedProducts !== new Set(productIds).size) {
+      throw new Error("One or more products were not found");
+    }
+
+    const transfer = await prisma.$transaction(async (tx) => {
+      await findOwnedLocation(tx, userId, fromLocationId);
+      await findOwnedLocation(tx, userId, toLocationId);
+
+      const { _max } = await tx.stockTransfer.aggregate({
+        where: { userId },
+        _max: { number: true },
+      });
+
+      const created = await tx.stockTransfer.create({
+        data: {
+          userId,
+          number: (_max.number || 0) + 1,
+          fromLocationId,
+          toLocationId,
+          note: note || null,
+          items: {
+            create: items.map(({ productId, quantity }) => ({
+              productId,
+              quantity,
+            })),
+          },
+        },
+      });
+
+      const reference = `Transfer ${formatTransferNumber(created.number)} sent`;
+      for (const item of items) {
+        await recordTransferMovement(tx, {
+          userId,
+          productId: item.productId,
+          type: "TRANSFER_OUT",
+          quantity: -item.quantity,
+          locationId: fromLocationId,
+          serials: item.serials,
+          reference,
+          referenceId: created.id,
+          note,
+        });
+      }
+
+      return tx.stockTransfer.findUnique({
+        where: { id: created.id },
+        include: stockTransferInclude,
+      });
+    });
+
+    return withTotals(transfer);
+  } catch (error) {
+    console.error("Error creating stock transfer:", error);
+
+    // Two transfers sent at the same moment drew the same number
+    if (error.code === "P2002") {
+      throw new Error("Could not number the transfer, please try again");
+    }
+
+    throw new Error(error.message || "Failed to create stock transfer");
+  }
+}
+
+/**
+ * Receives an in-transit transfer: every line arrives at the receiving
+ * location through the stock ledger, in a single transaction
+ * @param {string} userId - The user ID who owns the transfer
+ * @param {string} transferId - The stock transfer ID
+ * @returns {Promise<Object>} Received stock transfer
+ */
+export async function receiveStockTransfer(userId, transferId) {
+  try {
+    await prisma.$transaction((tx) =>
+      closeTransfer(tx, userId, transferId, "RECEIVED")
+    );
+
+    return getStockTransferById(userId, transferId);
+  } catch (error) {
+    console.error("Error receiving stock transfer:", error);
+    throw new Error(error.message || "Failed to receive stock transfer");
+  }
+}
+
+/**
+ * Cancels an in-transit transfer: every line goes back into the sending
+ * location through the stock ledger, in a single transaction
+ * @param {string} userId - The user ID who owns the transfer
+ * @param {string} transferId - The stock transfer ID
+ * @returns {Promise<Object>} Cancelled stock transfer
+ */
+export async function cancelStockTransfer(userId, transferId) {
+  try {
+    await prisma.$transaction((tx) =>
+      closeTransfer(tx, userId, transferId, "CANCELLED")
+    );
+
+    return getStockTransferById(userId, transferId);
+  } catch (error) {
+    console.error("Error cancelling stock transfer:", error);
+    throw new Error(error.message || "Failed to cancel stock transfer");
+  }
+}
@@ -0,0 +1,390 @@
+// /src/lib/services/stocktake-service.js
+import prisma from "@/lib/prisma";
+import { recordStockMovement } from "@/lib/services/stock-movement-service";
+import { resolveLocation } from "@/lib/services/location-service";
+import {
+  formatStocktakeNumber,
+  getStocktakeTotals,
+  getStocktakeVariance,
+} from "@/lib/schemas/stocktake-schemas";
+
+/**
+ * Stocktake creation data
+ * @typedef {Object} CreateStocktakeData
+ * @property {"ALL" | "CATEGORY" | "SUPPLIER"} scope - Which products to count
+ * @property {string} [categoryId] - Category to count (CATEGORY scope)
+ * @property {string} [supplierId] - Supplier whose products to count (SUPPLIER scope)
+ * @property {string} [note] - Optional note
+ * @property {string} [locationId] - Location being counted
+ */
+
+/**
+ * Stocktake count sheet data
+ * @typedef {Object} StocktakeCountsData
+ * @property {{ itemId: string, countedQuantity: number|null, reason: import("@prisma/client").AdjustmentReason|null }[]} items - Count and variance reason per line
+ */
+
+const stocktakeInclude = {
+  location: { select: { id: true, name: true } },
+  category: { select: { id: true, name: true } },
+  supplier: { select: { id: true, name: true } },
+  items: {
+    include: {
+      product: {
+        select: {
+          id: true,
+          name: true,
+          sku: true,
+          unit: true,
+          stockLevels: { select: { locationId: true, quantity: true } },
+        },
+      },
+    },
+    orderBy: { product: { name: "asc" } },
+  },
+};
+
+/**
+ * Adds count and variance totals to a stocktake with its items
+ * @param {Object} stocktake - Stocktake including items
+ * @returns {Object} Stocktake with itemCount, countedCount, varianceCount, varianceUnits and varianceValue
+ */
+function withTotals(stocktake) {
+  return { ...stocktake, ...getStocktakeTotals(stocktake.items) };
+}
+
+/**
+ * Sets each line's product stock to the stock at the counted location
+ * @param {Object} stocktake - Stocktake including items with product stock levels
+ * @returns {Object} Stocktake whose line products carry their stock there
+ */
+function withLocationStock(stocktake) {
+  return {
+    ...stocktake,
+    items: stocktake.items.map((item) => {
+      const { stockLevels, ...product } = item.product;
+      const level = stockLevels.find(
+        (stockLevel) => stockLevel.locationId === stocktake.locationId
+      );
+      return { ...item, product: { ...product, stock: level?.quantity ?? 0 } };
+    }),
+  };
+}
+
+/**
+ * Finds a stocktake owned by the user or throws
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string} stocktakeId - The stocktake ID
+ * @returns {Promise<Object>} Stocktake with items
+ */
+async function findOwnedStocktake(tx, userId, stocktakeId) {
+  const stocktake = await tx.stocktake.findFirst({
+    where: { id: stocktakeId, userId },
+    include: { items: true },
+  });
+
+  if (!stocktake) {
+    throw new Error("Stocktake not found or access denied");
+  }
+
+  return stocktake;
+}
+
+/**
+ * Builds the product filter for a stocktake scope, checking that the
+ * category or supplier belongs to the user
+ * @param {string} userId - The user ID
+ * @param {CreateStocktakeData} stocktakeData - Stocktake data
+ * @returns {Promise<Object>} Prisma where clause for the products to count
+ */
+async function getScopeFilter(userId, stocktakeData) {
+  const { scope, categoryId, supplierId } = stocktakeData;
+
+  if (scope === "CATEGORY") {
+    const category = await prisma.category.findFirst({
+      where: { id: categoryId, userId },
+      select: { id: true },
+    });
+    if (!category) {
+      throw new Error("Category not found or access denied");
+    }
+    return { categoryId };
+  }
+
+  if (scope === "SUPPLIER") {
+    const supplier = await prisma.supplier.findFirst({
+      where: { id: supplierId, userId },
+      select: { id: true },
+    });
+    if (!supplier) {
+      throw new Error("Supplier not found or access denied");
+    }
+    return { supplierId };
+  }
+
+  return {};
+}
+
+/**
+ * Fetches stocktakes for a specific user, newest first
+ * @param {string} userId - The user ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.status] - Only stocktakes with this status
+ * @returns {Promise<Array>} Stocktakes with their scope and totals
+ */
+export async function getStocktakesByUser(userId, options = {}) {
+  const { status } = options;
+
+  try {
+    const stocktakes = await prisma.stocktake.findMany({
+      where: { userId, ...(status && { status }) },
+      include: {
+        location: { select: { id: true, name: true } },
+        category: { select: { id: true, name: true } },
+        supplier: { select: { id: true, name: true } },
+        items: {
+          select: {
+            expectedQuantity: true,
+            countedQuantity: true,
+            unitCost: true,
+          },
+        },
+      },
+      orderBy: { number: "desc" },
+    });
+
+    return stocktakes.map(withTotals);
+  } catch (error) {
+    console.error("Error fetching stocktakes:", error);
+    throw new Error("Failed to fetch stocktakes");
+  }
+}
+
+/**
+ * Fetches a single stocktake by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} stocktakeId - The stocktake ID
+ * @returns {Promise<Object|null>} Stocktake with its lines, or null if not found
+ */
+export async function getStocktakeById(userId, stocktakeId) {
+  try {
+    const stocktake = await prisma.stocktake.findFirst({
+      where: { id: stocktakeId, userId },
+      include: stocktakeInclude,
+    });
+
+    return stocktake ? withTotals(withLocationStock(stocktake)) : null;
+  } catch (error) {
+    console.error("Error fetching stocktake:", error);
+    throw new Error("Failed to fetch stocktake");
+  }
+}
+
+/**
+ * Starts a stocktake of one location with the next sequential number,
+ * snapshotting the stock there and the average cost of every active
+ * product in scope as the expected quantity of its line. Serialized products
+ * are left out: their stock is the serial numbers in stock, corrected unit
+ * by unit through stock adjustments. Parent products are counted through
+ * their variants.
+ * @param {string} userId - The user ID who owns the stocktake
+ * @param {CreateStocktakeData} stocktakeData - Stocktake data
+ * @returns {Promise<Object>} Created stocktake
+ */
+export async function createStocktake(userId, stocktakeData) {
+  try {
+    const productFilter = await getScopeFilter(userId, stocktakeData);
+
+    const stocktake = await prisma.$transaction(async (tx) => {
+      const location = await resolveLocation(
+        tx,
+        userId,
+        stocktakeData.locationId
+      );
+      const products = await tx.product.findMany({
+        where: {
+          userId,
+          isActive: true,
+          serialized: false,
+          hasVariants: false,
+          ...productFilter,
+        },
+        select: {
+          id: true,
+          averageCost: true,
+          stockLevels: {
+            where: { locationId: location.id },
+            select: { quantity: true },
+          },
+        },
+      });
+      if (products.length === 0) {
+        throw new Error(
+          "There are no active products to count in this scope"
+        );
+      }
+
+      const { _max } = await tx.stocktake.aggregate({
+        where: { userId },
+        _max: { number: true },
+      });
+
+      return tx.stocktake.create({
+        data: {
+          userId,
+          number: (_max.number || 0) + 1,
+          locationId: location.id,
+          scope: stocktakeData.scope,
+          categoryId: productFilter.categoryId || null,
+          supplierId: productFilter.supplierId || null,
+          note: stocktakeData.note || null,
+          items: {
+            create: products.map((product) => ({
+              productId: product.id,
+              expectedQuantity: product.stockLevels[0]?.quantity ?? 0,
+              unitCost: product.averageCost,
+            })),
+          },
+        },
+        include: stocktakeInclude,
+      });
+    });
+
+    return withTotals(withLocationStock(stocktake));
+  } catch (error) {
+    console.error("Error creating stocktake:", error);
+
+    // Two stocktakes started at the same moment drew the same number
+    if (error.code === "P2002") {
+      throw new Error("Could not number the stocktake, please try again");
+    }
+
+    throw new Error(error.message || "Failed to create stocktake");
+  }
+}
+
+/**
+ * Saves counted quantities and variance reasons on a stocktake that is
+ * still being counted
+ * @param {string} userId - The user ID who owns the stocktake
+ * @param {string} stocktakeId - The stocktake ID
+ * @param {StocktakeCountsData} countsData - Counts per line
+ * @returns {Promise<Object>} Updated stocktake
+ */
+export async function saveStocktakeCounts(userId, stocktakeId, countsData) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const stocktake = await findOwnedStocktake(tx, userId, stocktakeId);
+      if (stocktake.status !== "COUNTING") {
+        throw new Error("Only stocktakes being counted can be changed");
+      }
+
+      const itemIds = new Set(stocktake.items.map((item) => item.id));
+      for (const line of countsData.items) {
+        if (!itemIds.has(line.itemId)) {
+          throw new Error("Stocktake line not found on this stocktake");
+        }
+
+        await tx.stocktakeItem.update({
+          where: { id: line.itemId },
+          data: {
+            countedQuantity: line.countedQuantity,
+            reason: line.reason,
+          },
+        });
+      }
+    });
+
+    return getStocktakeById(userId, stocktakeId);
+  } catch (error) {
+    console.error("Error saving stocktake counts:", error);
+    throw new Error(error.message || "Failed to save stocktake counts");
+  }
+}
+
+/**
+ * Approves a stocktake: every counted line whose count differs from the
+ * expected quantity posts one stock adjustment for the difference, with the
+ * line's reason (count correction by default), all in a single transaction.
+ * The difference is applied to the current stock at the counted location,
+ * so sales and deliveries recorded while counting are kept. Lines left uncounted keep their stock.
+ * @param {string} userId - The user ID who owns the stocktake
+ * @param {string} stocktakeId - The stocktake ID
+ * @returns {Promise<Object>} Approved stocktake
+ */
+export async function approveStocktake(userId, stocktakeId) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const stocktake = await findOwnedStocktake(tx, userId, stocktakeId);
+      if (stocktake.status !== "COUNTING") {
+        throw new Error("Only stocktakes being counted can be approved");
+      }
+
+      const variances = stocktake.items
+        .map((item) => ({ item, variance: getStocktakeVariance(item) }))
+        .filter(({ variance }) => variance && variance.units !== 0);
+
+      // Claim the stocktake first so it cannot be approved twice
+      const { count } = await tx.stocktake.updateMany({
+        where: { id: stocktakeId, status: "COUNTING" },
+        data: { status: "APPROVED", approvedAt: new Date() },
+      });
+      if (count === 0) {
+        throw new Error("This stocktake has already been approved");
+      }
+
+      const reference = `Stocktake ${formatStocktakeNumber(stocktake.number)}`;
+      for (const { item, variance } of variances) {
+        await recordStockMovement(tx, {
+          userId,
+          productId: item.productId,
+          type: "ADJUSTMENT",
+          quantity: variance.units,
+          locationId: stocktake.locationId,
+          reference,
+          referenceId: stocktakeId,
+          reason: item.reason || "COUNT_CORRECTION",
+          note: stocktake.note,
+          // The count is the truth, even if sales since took stock below it
+          allowNegative: true,
+        });
+      }
+    });
+
+    return getStocktakeById(userId, stocktakeId);
+  } catch (error) {
+    console.error("Error approving stocktake:", error);
+    throw new Error(error.message || "Failed to approve stocktake");
+  }
+}
+
+/**
+ * Cancels a stocktake that is still being counted; no stock changes
+ * @param {string} userId - The user ID who owns the stocktake
+ * @param {string} stocktakeId - The stocktake ID
+ * @returns {Promise<Object>} Cancelled stocktake
+ */
+export async function cancelStocktake(userId, stocktakeId) {
+  try {
+    const existingStocktake = await findOwnedStocktake(
+      prisma,
+      userId,
+      stocktakeId
+    );
+    if (existingStocktake.status !== "COUNTING") {
+      throw new Error("Only stocktakes being counted can be cancelled");
+    }
+
+    const stocktake = await prisma.stocktake.update({
+      where: { id: stocktakeId },
+      data: { status: "CANCELLED" },
+      include: stocktakeInclude,
+    });
+
+    return withTotals(withLocationStock(stocktake));
+  } catch (error) {
+    console.error("Error cancelling stocktake:", error);
+    throw new Error(error.message || "Failed to cancel stocktake");
+  }
+}
@@ -0,0 +1,425 @@
+// /src/lib/services/supplier-service.js
+import prisma from "@/lib/prisma";
+import { roundMoney } from "@/lib/utils";
+import { formatPurchaseOrderNumber } from "@/lib/schemas/purchase-order-schemas";
+
+/**
+ * Supplier creation data
+ * @typedef {Object} CreateSupplierData
+ * @property {string} name - Supplier name
+ * @property {string} [contactEmail] - Contact email
+ * @property {string} [contactPhone] - Contact phone number
+ * @property {string} [address] - Postal address
+ */
+
+/**
+ * Supplier update data
+ * @typedef {Object} UpdateSupplierData
+ * @property {string} [name] - Supplier name
+ * @property {string|null} [contactEmail] - Contact email
+ * @property {string|null} [contactPhone] - Contact phone number
+ * @property {string|null} [address] - Postal address
+ */
+
+/**
+ * Supplier payment data
+ * @typedef {Object} SupplierPaymentData
+ * @property {number} amount - Amount paid to the supplier
+ * @property {string} [note] - Optional note (e.g. payment method or invoice number)
+ */
+
+/**
+ * Supplier ledger entry
+ * @typedef {Object} LedgerEntry
+ * @property {string} id - Source record ID
+ * @property {"PURCHASE" | "PAYMENT"} type - Entry type
+ * @property {Date} date - When the entry happened
+ * @property {string} description - Human-readable description
+ * @property {number} charge - Amount added to the balance
+ * @property {number} payment - Amount taken off the balance
+ * @property {number} balance - Running balance after this entry
+ */
+
+const supplierCounts = {
+  _count: {
+    select: {
+      products: true,
+      purchases: true,
+      purchaseOrders: true,
+      payments: true,
+    },
+  },
+};
+
+/**
+ * Fetches suppliers for a specific user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Array of supplier objects
+ */
+export async function getSuppliersByUser(userId) {
+  try {
+    const suppliers = await prisma.supplier.findMany({
+      where: { userId },
+      orderBy: { name: "asc" },
+      include: supplierCounts,
+    });
+
+    return suppliers;
+  } catch (error) {
+    console.error("Error fetching suppliers:", error);
+    throw new Error("Failed to fetch suppliers");
+  }
+}
+
+/**
+ * Fetches a single supplier by ID for a specific user
+ * @param {string} userId - The user ID
+ * @param {string} supplierId - The supplier ID
+ * @returns {Promise<Object|null>} Supplier object or null if not found
+ */
+export async function getSupplierById(userId, supplierId) {
+  try {
+    const supplier = await prisma.supplier.findFirst({
+      where: {
+        id: supplierId,
+        userId,
+      },
+      include: supplierCounts,
+    });
+
+    return supplier;
+  } catch (error) {
+    console.error("Error fetching supplier:", error);
+    throw new Error("Failed to fetch supplier");
+  }
+}
+
+/**
+ * Checks if a supplier name is unique for a user (case-insensitive)
+ * @param {string} userId - The user ID
+ * @param {string} name - The normalized supplier name
+ * @param {string|null} [excludeSupplierId] - Supplier ID to ignore (for updates)
+ * @returns {Promise<boolean>} True if no other supplier uses the name
+ */
+export async function isSupplierNameUnique(
+  userId,
+  name,
+  excludeSupplierId = null
+) {
+  try {
+    const existingSupplier = await prisma.supplier.findFirst({
+      where: {
+        userId,
+        name: {
+          equals: name,
+          mode: "insensitive",
+        },
+        ...(excludeSupplierId && { id: { not: excludeSupplierId } }),
+      },
+      select: { id: true },
+    });
+
+    return !existingSupplier;
+  } catch (error) {
+    console.error("Error checking supplier name uniqueness:", error);
+    throw new Error("Failed to check supplier name uniqueness");
+  }
+}
+
+/**
+ * Creates a new supplier for the specified user
+ * @param {string} userId - The user ID who owns the supplier
+ * @param {CreateSupplierData} supplierData - Supplier data to create
+ * @returns {Promise<Object>} Created supplier object
+ */
+export async function createSupplier(userId, supplierData) {
+  try {
+    const isNameUnique = await isSupplierNameUnique(userId, supplierData.name);
+    if (!isNameUnique) {
+      throw new Error("A supplier with this name already exists");
+    }
+
+    const supplier = await prisma.supplier.create({
+      data: {
+        ...supplierData,
+        userId,
+      },
+      include: supplierCounts,
+    });
+
+    return supplier;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002" && error.meta?.target?.includes("name")) {
+      throw new Error("A supplier with this name already exists");
+    }
+    console.error("Error creating supplier:", error);
+    throw new Error(error.message || "Failed to create supplier");
+  }
+}
+
+/**
+ * Updates an existing supplier for the specified user
+ * The balance is not editable here; it only moves through purchases and
+ * payments.
+ * @param {string} userId - The user ID who owns the supplier
+ * @param {string} supplierId - The supplier ID to update
+ * @param {UpdateSupplierData} supplierData - Supplier data to update
+ * @returns {Promise<Object>} Updated supplier object
+ */
+export async function updateSupplier(userId, supplierId, supplierData) {
+  try {
+    // First check if supplier exists and belongs to user
+    const existingSupplier = await prisma.supplier.findFirst({
+      where: {
+        id: supplierId,
+        userId,
+      },
+    });
+
+    if (!existingSupplier) {
+      throw new Error("Supplier not found");
+    }
+
+    if (supplierData.name && supplierData.name !== existingSupplier.name) {
+      const isNameUnique = await isSupplierNameUnique(
+        userId,
+        supplierData.name,
+        supplierId
+      );
+      if (!isNameUnique) {
+        throw new Error("A supplier with this name already exists");
+      }
+    }
+
+    const supplier = await prisma.supplier.update({
+      where: { id: supplierId },
+      data: supplierData,
+      include: supplierCounts,
+    });
+
+    return supplier;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002" && error.meta?.target?.includes("name")) {
+      throw new Error("A supplier with this name already exists");
+    }
+    console.error("Error updating supplier:", error);
+    throw new Error(error.message || "Failed to update supplier");
+  }
+}
+
+/**
+ * Deletes a supplier by ID for the specified user
+ * Blocked while purchases, purchase orders or payments reference the
+ * supplier. Assigned products block the deletion too, unless a replacement
+ * supplier is given to move them to.
+ * @param {string} userId - The user ID who owns the supplier
+ * @param {string} supplierId - The supplier ID to delete
+ * @param {Object} [options] - Delete options
+ * @param {string} [options.reassignToId] - Supplier ID to move assigned products to
+ * @returns {Promise<void>}
+ */
+export async function deleteSupplierById(userId, supplierId, options = {}) {
+  const { reassignToId } = options;
+
+  try {
+    // First check if supplier exists and belongs to user
+    const existingSupplier = await prisma.supplier.findFirst({
+      where: {
+        id: supplierId,
+        userId,
+      },
+      include: supplierCounts,
+    });
+
+    if (!existingSupplier) {
+      throw new Error("Supplier not found");
+    }
+
+    const { products, purchases, purchaseOrders, payments } =
+      existingSupplier._count;
+
+    if (purchases > 0) {
+      throw new Error(
+        `Cannot delete supplier. ${purchases} purchase(s) were received from this supplier and must be kept for your records.`
+      );
+    }
+
+    if (purchaseOrders > 0) {
+      throw new Error(
+        `Cannot delete supplier. ${purchaseOrders} purchase order(s) were raised with this supplier and must be kept for your records.`
+      );
+    }
+
+    if (payments > 0) {
+      throw new Error(
+        `Cannot delete supplier. ${payments} payment(s) were made to this supplier and must be kept for your records.`
+      );
+    }
+
+    if (products > 0 && !reassignToId) {
+      throw new Error(
+        `Cannot delete supplier. ${products} product(s) are assigned to this supplier. Please reassign those products first.`
+      );
+    }
+
+    if (reassignToId) {
+      if (reassignToId === supplierId) {
+        throw new Error("Choose a different supplier to move products to");
+      }
+      const replacement = await prisma.supplier.findFirst({
+        where: { id: reassignToId, userId },
+        select: { id: true },
+      });
+      if (!replacement) {
+        throw new Error("Replacement supplier not found");
+      }
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (reassignToId) {
+        await tx.product.updateMany({
+          where: { supplierId, userId },
+          data: { supplierId: reassignToId },
+        });
+      }
+
+      await tx.supplier.delete({
+        where: { id: supplierId },
+      });
+    });
+  } catch (error) {
+    console.error("Error deleting supplier:", error);
+    throw new Error(error.message || "Failed to delete supplier");
+  }
+}
+
+/**
+ * Records a payment made to a supplier against the balance owed to them
+ * @param {string} userId - The user ID recording the payment
+ * @param {string} supplierId - The supplier being paid
+ * @param {SupplierPaymentData} paymentData - Payment details
+ * @returns {Promise<Object>} Created payment with the updated supplier
+ */
+export async function recordSupplierPayment(userId, supplierId, paymentData) {
+  try {
+    const supplier = await prisma.supplier.findFirst({
+      where: { id: supplierId, userId },
+      select: { id: true },
+    });
+
+    if (!supplier) {
+      throw new Error("Supplier not found or access denied");
+    }
+
+    const amount = roundMoney(paymentData.amount);
+    const payment = await prisma.$transaction(async (tx) => {
+      // Decrement first so concurrent payments cannot both pass the check
+      const { balance } = await tx.supplier.update({
+        where: { id: supplierId },
+        data: { balance: { decrement: amount } },
+        select: { balance: true },
+      });
+      if (roundMoney(balance) < 0) {
+        throw new Error(
+          `Payment exceeds the outstanding balance of ${(balance + amount).toFixed(2)}`
+        );
+      }
+
+      const created = await tx.supplierPayment.create({
+        data: {
+          amount,
+          note: paymentData.note || null,
+          supplierId,
+          userId,
+        },
+      });
+
+      return tx.supplierPayment.findUnique({
+        where: { id: created.id },
+        include: { supplier: true },
+      });
+    });
+
+    return payment;
+  } catch (error) {
+    console.error("Error recording supplier payment:", error);
+    throw new Error(error.message || "Failed to record payment");
+  }
+}
+
+/**
+ * Builds a supplier ledger: every purchase received on credit and every
+ * payment made, in date order with a running balance.
+ * @param {string} userId - The user ID
+ * @param {string} supplierId - The supplier ID
+ * @returns {Promise<{supplier: Object, entries: LedgerEntry[]}|null>} Ledger, or null if the supplier is not found
+ */
+export async function getSupplierLedger(userId, supplierId) {
+  try {
+    const supplier = await prisma.supplier.findFirst({
+      where: { id: supplierId, userId },
+    });
+
+    if (!supplier) {
+      return null;
+    }
+
+    const [purchases, payments] = await Promise.all([
+      prisma.purchase.findMany({
+        where: { userId, supplierId, paymentStatus: "CREDIT" },
+        select: {
+          id: true,
+          receivedAt: true,
+          totalAmount: true,
+          purchaseOrder: { select: { number: true } },
+          _count: { select: { items: true } },
+        },
+      }),
+      prisma.supplierPayment.findMany({
+        where: { userId, supplierId },
+        select: { id: true, paidAt: true, amount: true, note: true },
+      }),
+    ]);
+
+    const rows = [
+      ...purchases.map((purchase) => {
+        const itemCount = `${purchase._count.items} item${
+          purchase._count.items === 1 ? "" : "s"
+        }`;
+        return {
+          id: purchase.id,
+          type: "PURCHASE",
+          date: purchase.receivedAt,
+          description: purchase.purchaseOrder
+            ? `Purchase on credit – ${formatPurchaseOrderNumber(
+                purchase.purchaseOrder.number
+              )} (${itemCount})`
+            : `Purchase on credit (${itemCount})`,
+          charge: purchase.totalAmount,
+          payment: 0,
+        };
+      }),
+      ...payments.map((payment) => ({
+        id: payment.id,
+        type: "PAYMENT",
+        date: payment.paidAt,
+        description: payment.note ? `Payment – ${payment.note}` : "Payment",
+        charge: 0,
+        payment: payment.amount,
+      })),
+    ].sort((a, b) => a.date - b.date);
+
+    let running = 0;
+    const entries = rows.map((row) => {
+      running = roundMoney(running + row.charge - row.payment);
+      return { ...row, balance: running };
+    });
+
+    return { supplier, entries };
+  } catch (error) {
+    console.error("Error fetching supplier ledger:", error);
+    throw new Error("Failed to fetch supplier ledger");
+  }
+}
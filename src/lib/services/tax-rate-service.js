@@ -0,0 +1,186 @@
+// /src/lib/services/tax-rate-service.js
+import prisma from "@/lib/prisma";
+import { getProductTaxRate } from "@/lib/schemas/tax-schemas";
+
+/**
+ * Tax rate creation data
+ * @typedef {Object} CreateTaxRateData
+ * @property {string} name - Tax rate name (e.g. Standard, Reduced)
+ * @property {number} rate - Percentage (e.g. 20 for 20%)
+ */
+
+/**
+ * Tax rate update data
+ * @typedef {Object} UpdateTaxRateData
+ * @property {string} [name] - Tax rate name
+ * @property {number} [rate] - Percentage
+ */
+
+/**
+ * Tax rules for a set of products
+ * @typedef {Object} TaxContext
+ * @property {boolean} pricesIncludeTax - Whether prices and costs already include tax
+ * @property {Map<string, number>} rates - Tax rate percentage by product ID
+ */
+
+/**
+ * Fetches tax rates for a specific user with how many categories and
+ * products use each one
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>} Tax rates ordered by name
+ */
+export async function getTaxRatesByUser(userId) {
+  try {
+    const taxRates = await prisma.taxRate.findMany({
+      where: { userId },
+      orderBy: { name: "asc" },
+      include: { _count: { select: { categories: true, products: true } } },
+    });
+
+    return taxRates;
+  } catch (error) {
+    console.error("Error fetching tax rates:", error);
+    throw new Error("Failed to fetch tax rates");
+  }
+}
+
+/**
+ * Creates a new tax rate for the specified user
+ * @param {string} userId - The user ID who owns the tax rate
+ * @param {CreateTaxRateData} taxRateData - Tax rate data to create
+ * @returns {Promise<Object>} Created tax rate
+ */
+export async function createTaxRate(userId, taxRateData) {
+  try {
+    const taxRate = await prisma.taxRate.create({
+      data: { ...taxRateData, userId },
+    });
+
+    return taxRate;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002") {
+      throw new Error("A tax rate with this name already exists");
+    }
+    console.error("Error creating tax rate:", error);
+    throw new Error("Failed to create tax rate");
+  }
+}
+
+/**
+ * Updates an existing tax rate for the specified user. Sales and purchases
+ * already recorded keep the rate they were charged at.
+ * @param {string} userId - The user ID who owns the tax rate
+ * @param {string} taxRateId - The tax rate ID to update
+ * @param {UpdateTaxRateData} taxRateData - Tax rate data to update
+ * @returns {Promise<Object>} Updated tax rate
+ */
+export async function updateTaxRate(userId, taxRateId, taxRateData) {
+  try {
+    const existingTaxRate = await prisma.taxRate.findFirst({
+      where: { id: taxRateId, userId },
+      select: { id: true },
+    });
+
+    if (!existingTaxRate) {
+      throw new Error("Tax rate not found");
+    }
+
+    const taxRate = await prisma.taxRate.update({
+      where: { id: taxRateId },
+      data: taxRateData,
+    });
+
+    return taxRate;
+  } catch (error) {
+    // Prisma unique constraint error
+    if (error.code === "P2002") {
+      throw new Error("A tax rate with this name already exists");
+    }
+    console.error("Error updating tax rate:", error);
+    throw new Error(error.message || "Failed to update tax rate");
+  }
+}
+
+/**
+ * Deletes a tax rate by ID for the specified user
+ * Only allows deletion if no categories or products are assigned to it
+ * @param {string} userId - The user ID who owns the tax rate
+ * @param {string} taxRateId - The tax rate ID to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteTaxRateById(userId, taxRateId) {
+  try {
+    const existingTaxRate = await prisma.taxRate.findFirst({
+      where: { id: taxRateId, userId },
+      include: { _count: { select: { categories: true, products: true } } },
+    });
+
+    if (!existingTaxRate) {
+      throw new Error("Tax rate not found");
+    }
+
+    const { categories, products } = existingTaxRate._count;
+    if (categories > 0 || products > 0) {
+      throw new Error(
+        `Cannot delete tax rate. ${categories} category(ies) and ${products} product(s) use this tax rate. Please reassign them first.`
+      );
+    }
+
+    await prisma.taxRate.delete({
+      where: { id: taxRateId },
+    });
+  } catch (error) {
+    console.error("Error deleting tax rate:", error);
+    throw new Error(error.message || "Failed to delete tax rate");
+  }
+}
+
+/**
+ * Checks that a tax rate belongs to the user, so it can be assigned to a
+ * category or product
+ * @param {string} userId - The user ID
+ * @param {string|null|undefined} taxRateId - Tax rate to check; empty values pass
+ * @returns {Promise<void>}
+ */
+export async function assertTaxRateOwned(userId, taxRateId) {
+  if (!taxRateId) return;
+
+  const taxRate = await prisma.taxRate.findFirst({
+    where: { id: taxRateId, userId },
+    select: { id: true },
+  });
+  if (!taxRate) {
+    throw new Error("Tax rate not found or access denied");
+  }
+}
+
+/**
+ * Looks up the tax rules for a sale or purchase: whether the account's
+ * prices include tax, and the rate each product is taxed at
+ * @param {Object} tx - Prisma client or transaction client
+ * @param {string} userId - The user ID
+ * @param {string[]} productIds - Products on the sale or purchase
+ * @returns {Promise<TaxContext>} Tax rules for the products
+ */
+export async function getTaxContext(tx, userId, productIds) {
+  const settings = await tx.shopSettings.findUnique({
+    where: { userId },
+    select: { pricesIncludeTax: true },
+  });
+  const products = await tx.product.findMany({
+    where: { id: { in: productIds }, userId },
+    select: {
+      id: true,
+      taxRate: { select: { rate: true } },
+      category: { select: { taxRate: { select: { rate: true } } } },
+    },
+  });
+
+  return {
+    pricesIncludeTax: settings?.pricesIncludeTax ?? false,
+    rates: new Map(
+      products.map((product) => [product.id, getProductTaxRate(product)])
+    ),
+  };
+}
@@ -15,3 +15,27 @@ export function normalizeName(str) {
   if (!str) return "";
   return str.trim().replace(/\s+/g, " ");
 }
+
+/**
+ * Formats a date as dd/mm/yyyy hh:mm for display.
+ * @param {string | Date} value - The date to format.
+ * @returns {string} The formatted date and time.
+ */
+export function formatDateTime(value) {
+  const date = new Date(value);
+  const day = String(date.getDate()).padStart(2, "0");
+  const month = String(date.getMonth() + 1).padStart(2, "0"); // Month is 0-indexed
+  const year = date.getFullYear();
+  const hours = String(date.getHours()).padStart(2, "0");
+  const minutes = String(date.getMinutes()).padStart(2, "0");
+  return `${day}/${month}/${year} ${hours}:${minutes}`;
+}
+
+/**
+ * Rounds a money amount to cents.
+ * @param {number} amount - The amount to round.
+ * @returns {number} The amount rounded to two decimal places.
+ */
+export function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}